@@ -0,0 +1,126 @@
+// Toplu ağırlık: splits the closed loops of a whole drawing into profiles
+// (outer boundary + its holes) and names them from the drawing texts.
+// A loop inside an odd number of other loops is a hole of its direct parent;
+// a loop inside an even number (0, 2, ...) starts a new profile, so a part
+// drawn inside another profile's hole is still reported on its own.
+// Used by BatchWeightManager; loops come from WeightManager.filterClosedGeometries.
+
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function getBounds(points) {
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    points.forEach(p => {
+        if (p.x < box.minX) box.minX = p.x;
+        if (p.y < box.minY) box.minY = p.y;
+        if (p.x > box.maxX) box.maxX = p.x;
+        if (p.y > box.maxY) box.maxY = p.y;
+    });
+    return box;
+}
+
+const boxContains = (outer, inner) =>
+    inner.minX >= outer.minX && inner.maxX <= outer.maxX && inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+
+// Distance from a point to a box (0 inside)
+const boxDistance = (box, p) => Math.hypot(
+    Math.max(box.minX - p.x, 0, p.x - box.maxX),
+    Math.max(box.minY - p.y, 0, p.y - box.maxY)
+);
+
+/**
+ * @param {Array<{points: Array<{x,y}>, area: number}>} loops - area is the absolute loop area
+ * @returns {Array<{outer: number, holes: number[], bounds: object}>} loop indices, largest profile first
+ */
+export function nestLoops(loops) {
+    const items = loops.map((loop, index) => ({ index, loop, bounds: getBounds(loop.points), parent: -1, depth: 0 }));
+    const byArea = items.slice().sort((a, b) => b.loop.area - a.loop.area);
+
+    // Direct parent = smallest larger loop containing this one; parents are resolved first
+    byArea.forEach((item, order) => {
+        for (let k = order - 1; k >= 0; k--) {
+            const candidate = byArea[k];
+            if (candidate.loop.area <= item.loop.area) continue;
+            if (!boxContains(candidate.bounds, item.bounds)) continue;
+            if (!isPointInPolygon(item.loop.points[0], candidate.loop.points)) continue;
+            item.parent = candidate.index;
+            item.depth = candidate.depth + 1;
+            break;
+        }
+    });
+
+    const profiles = byArea
+        .filter(item => item.depth % 2 === 0)
+        .map(item => ({ outer: item.index, holes: [], bounds: item.bounds }));
+    const profileOf = new Map(profiles.map(p => [p.outer, p]));
+    items.forEach(item => {
+        if (item.depth % 2 === 1) profileOf.get(item.parent).holes.push(item.index);
+    });
+    return profiles;
+}
+
+/**
+ * Reading order: top to bottom by rows, left to right inside a row.
+ * Two profiles share a row when their vertical extents overlap.
+ */
+export function sortReadingOrder(profiles) {
+    const rest = profiles.slice().sort((a, b) => b.bounds.maxY - a.bounds.maxY);
+    const ordered = [];
+    while (rest.length > 0) {
+        const top = rest[0].bounds;
+        const row = rest.filter(p => p.bounds.maxY > top.minY);
+        row.sort((a, b) => a.bounds.minX - b.bounds.minX);
+        ordered.push(...row);
+        row.forEach(p => rest.splice(rest.indexOf(p), 1));
+    }
+    return ordered;
+}
+
+/**
+ * Names each profile after the closest text: a text inside the outline wins, otherwise
+ * the nearest one within `reach` × profile size of its bounding box. Each text names at
+ * most one profile; the rest get `${prefix}${n}` in list order.
+ * @param {Array<{outline: Array<{x,y}>, bounds: object}>} profiles
+ * @param {Array<{text: string, x: number, y: number}>} texts
+ * @returns {Array<{label: string, auto: boolean}>}
+ */
+export function assignLabels(profiles, texts, options = {}) {
+    const reach = options.reach !== undefined ? options.reach : 0.5;
+    const prefix = options.prefix || 'P';
+
+    const pairs = [];
+    profiles.forEach((profile, p) => {
+        const b = profile.bounds;
+        const limit = Math.max(b.maxX - b.minX, b.maxY - b.minY) * reach;
+        texts.forEach((text, t) => {
+            const distance = boxDistance(b, text);
+            if (distance > limit) return;
+            const inside = distance === 0 && isPointInPolygon(text, profile.outline);
+            pairs.push({ p, t, score: inside ? -1 : distance });
+        });
+    });
+    pairs.sort((a, b) => a.score - b.score);
+
+    const labels = profiles.map(() => null);
+    const usedTexts = new Set();
+    pairs.forEach(({ p, t }) => {
+        if (labels[p] || usedTexts.has(t)) return;
+        labels[p] = texts[t].text;
+        usedTexts.add(t);
+    });
+
+    let counter = 0;
+    return labels.map(label => label
+        ? { label, auto: false }
+        : { label: `${prefix}${String(++counter).padStart(2, '0')}`, auto: true });
+}
@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import { MATERIALS } from './materials.js';
+import { nestLoops, sortReadingOrder, assignLabels } from './batch-profiles.js';
+import { toCsv, toXlsx } from './bom-export.js';
+import { plainText } from './text-layout.js';
+
+// Toplu ağırlık hesabı: every closed profile of the drawing (outer boundary + holes,
+// chains via WeightManager.findAllChains) with area, kg/m, perimeters, CCD and shape
+// factor in one table. Row click zooms to the profile, ✕ drops a loop (e.g. the drawing
+// frame) so the loops inside it become profiles again. Exports as CSV / XLSX.
+
+const TEXT_TYPES = ['TEXT', 'MTEXT'];
+const HIGHLIGHT_NAME = 'BatchWeightHighlight';
+
+// [field, i18n key, decimals]
+const COLUMNS = [
+    ['netArea', 'area', 2],
+    ['weight', 'weight', 3],
+    ['outerPerimeter', 'outerPerimeter', 2],
+    ['totalPerimeter', 'totalPerimeter', 2],
+    ['diameter', 'batchCcd', 2],
+    ['shapeFactor', 'shapeFactor', 2],
+    ['holes', 'mandrel', 0]
+];
+
+const UNITS = {
+    netArea: 'mm²',
+    weight: 'kg/m',
+    outerPerimeter: 'mm',
+    totalPerimeter: 'mm',
+    diameter: 'mm'
+};
+
+const escapeHtml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const round = (value, decimals) => {
+    const f = Math.pow(10, decimals);
+    return Math.round(value * f) / f;
+};
+
+export class BatchWeightManager {
+    constructor(app) {
+        this.app = app;
+        this.window = null;
+        this.results = [];
+        this.excluded = new Set(); // objects of dropped loops
+        this.highlight = null;
+        this.activeIndex = -1;
+
+        this.openBtn = document.getElementById('batch-weight-btn');
+        if (this.openBtn) this.openBtn.addEventListener('click', () => this.show());
+
+        const materialSelector = document.getElementById('material-selector');
+        if (materialSelector) materialSelector.addEventListener('change', () => {
+            if (this.isOpen) this.calculate();
+        });
+    }
+
+    get wm() {
+        return this.app.weightManager;
+    }
+
+    get viewer() {
+        return this.app.viewer;
+    }
+
+    get isOpen() {
+        return !!this.window && !this.window.classList.contains('hidden');
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    show() {
+        this.createWindow();
+        this.excluded.clear();
+        this.calculate();
+        this.window.classList.remove('hidden');
+    }
+
+    hide() {
+        if (this.window) this.window.classList.add('hidden');
+        this.clearHighlight();
+        this.results = [];
+        this.activeIndex = -1;
+    }
+
+    // --- Detection ---
+
+    getDrawingObjects() {
+        if (!this.viewer || !this.viewer.dxfGroup) return [];
+        return this.viewer.dxfGroup.children.filter(obj => obj.visible && obj.userData && obj.userData.entity);
+    }
+
+    collectLoops(objects) {
+        const wm = this.wm;
+        const closedGeoms = wm.filterClosedGeometries(objects)
+            .filter(geomEntry => !geomEntry.objects.some(obj => this.excluded.has(obj)));
+
+        const loops = [];
+        closedGeoms.forEach(geomEntry => {
+            const shape = wm.createShapeFromObject(geomEntry);
+            const points = shape ? shape.getPoints(64).map(p => ({ x: p.x, y: p.y })) : [];
+            const area = Math.abs(wm.calculateArea(geomEntry));
+            if (points.length < 3 || !(area > 0)) return;
+            loops.push({ geomEntry, points, area, perimeter: wm.calculatePerimeter(geomEntry) });
+        });
+        return loops;
+    }
+
+    collectTexts(objects) {
+        const texts = [];
+        objects.forEach(obj => {
+            if (!TEXT_TYPES.includes(obj.userData.type)) return;
+            const entity = obj.userData.entity;
+            const position = entity.startPoint || entity.insertionPoint || entity.position;
+            const text = plainText(entity.text, obj.userData.type === 'MTEXT');
+            if (position && text) texts.push({ text, x: position.x, y: position.y });
+        });
+        return texts;
+    }
+
+    calculate() {
+        const wm = this.wm;
+        if (!wm) return;
+
+        const objects = this.getDrawingObjects();
+        const loops = this.collectLoops(objects);
+        const profiles = sortReadingOrder(nestLoops(loops));
+        const labels = assignLabels(
+            profiles.map(p => ({ outline: loops[p.outer].points, bounds: p.bounds })),
+            this.collectTexts(objects)
+        );
+
+        const material = MATERIALS.find(m => m.id === wm.currentMaterialId) || MATERIALS[0];
+        this.material = material;
+
+        this.results = profiles.map((profile, index) => {
+            const outer = loops[profile.outer];
+            const holes = profile.holes.map(i => loops[i]);
+            const netArea = outer.area - holes.reduce((sum, hole) => sum + hole.area, 0);
+            const totalPerimeter = outer.perimeter + holes.reduce((sum, hole) => sum + hole.perimeter, 0);
+            const weight = netArea * material.density / 1000;
+            return {
+                label: labels[index].label,
+                autoLabel: labels[index].auto,
+                outer,
+                holes,
+                bounds: profile.bounds,
+                netArea,
+                weight,
+                outerPerimeter: outer.perimeter,
+                totalPerimeter,
+                diameter: wm.minimumEnclosingCircle(outer.points).diameter,
+                // Total perimeter (cm) / weight (kg/m), as in WeightManager
+                shapeFactor: weight > 0 ? (totalPerimeter / 10) / weight : 0,
+                holeCount: holes.length
+            };
+        });
+
+        this.activeIndex = -1;
+        this.clearHighlight();
+        this.renderTable();
+    }
+
+    // Drops the outer loop of a result; its holes (and anything nested in them) are re-nested
+    exclude(index) {
+        const result = this.results[index];
+        if (!result) return;
+        result.outer.geomEntry.objects.forEach(obj => this.excluded.add(obj));
+        this.calculate();
+    }
+
+    // --- UI ---
+
+    createWindow() {
+        if (this.window) return;
+
+        // Docked, non-blocking window so the drawing stays usable behind it
+        const win = document.createElement('div');
+        win.id = 'batch-weight-window';
+        win.className = 'fixed bottom-4 right-4 bg-gray-900/95 border border-white/20 rounded-xl shadow-2xl z-[1500] hidden flex flex-col w-[760px] max-w-[95vw] max-h-[60vh] backdrop-blur-sm';
+        win.innerHTML = `
+            <div class="flex items-center gap-2 px-4 py-2 border-b border-white/10">
+                <span class="w-1 h-5 bg-cyan-500 rounded-full inline-block"></span>
+                <h3 class="text-white font-bold text-sm">${this.t('batchWeight')}</h3>
+                <span id="batch-weight-summary" class="text-xs text-gray-400 flex-1"></span>
+                <button id="batch-weight-refresh" class="px-2 py-0.5 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10" title="${this.t('batchRecalculate')}">↻</button>
+                <button id="batch-weight-csv" class="px-2 py-0.5 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">CSV</button>
+                <button id="batch-weight-xlsx" class="px-2 py-0.5 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">XLSX</button>
+                <button id="batch-weight-close" class="text-gray-400 hover:text-white transition-colors ml-1">✕</button>
+            </div>
+            <div class="text-[10px] text-gray-500 px-4 pt-1">${this.t('batchHint')}</div>
+            <div id="batch-weight-table" class="flex-1 overflow-y-auto px-2 pb-2"></div>
+        `;
+        document.body.appendChild(win);
+        this.window = win;
+
+        win.querySelector('#batch-weight-close').addEventListener('click', () => this.hide());
+        win.querySelector('#batch-weight-refresh').addEventListener('click', () => this.calculate());
+        win.querySelector('#batch-weight-csv').addEventListener('click', () => this.exportCsv());
+        win.querySelector('#batch-weight-xlsx').addEventListener('click', () => this.exportXlsx());
+
+        win.querySelector('#batch-weight-table').addEventListener('click', (e) => {
+            const excludeBtn = e.target.closest('button[data-exclude]');
+            if (excludeBtn) {
+                e.stopPropagation();
+                this.exclude(parseInt(excludeBtn.dataset.exclude, 10));
+                return;
+            }
+            const row = e.target.closest('tr[data-index]');
+            if (row) this.focus(parseInt(row.dataset.index, 10));
+        });
+    }
+
+    renderTable() {
+        const container = this.window.querySelector('#batch-weight-table');
+        const summary = this.window.querySelector('#batch-weight-summary');
+        summary.textContent = `${this.results.length} ${this.t('batchProfiles')} · ${this.material ? this.material.name : ''}`;
+
+        if (this.results.length === 0) {
+            container.innerHTML = `<div class="text-sm text-gray-400 p-4 text-center">${this.t('batchNoProfiles')}</div>`;
+            return;
+        }
+
+        const head = COLUMNS.map(([field, key]) =>
+            `<th class="text-right font-normal px-1 py-1">${this.t(key)}${UNITS[field] ? ` <span class="text-gray-600">${UNITS[field]}</span>` : ''}</th>`
+        ).join('');
+
+        const rows = this.results.map((result, index) => {
+            const active = index === this.activeIndex ? 'bg-cyan-500/20' : '';
+            const cells = COLUMNS.map(([field, , decimals]) => {
+                const value = field === 'holes' ? result.holeCount : result[field].toFixed(decimals);
+                return `<td class="text-right px-1 font-mono text-cyan-400">${value}</td>`;
+            }).join('');
+            const labelClass = result.autoLabel ? 'text-gray-500 italic' : 'text-white';
+            return `<tr data-index="${index}" class="cursor-pointer hover:bg-white/5 ${active}">
+                <td class="px-1 text-gray-500">${index + 1}</td>
+                <td class="px-1 ${labelClass}">${escapeHtml(result.label)}</td>
+                ${cells}
+                <td class="px-1 text-right">
+                    <button data-exclude="${index}" class="text-gray-500 hover:text-red-400" title="${this.t('batchExclude')}">✕</button>
+                </td>
+            </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="w-full text-xs text-gray-300">
+                <thead class="sticky top-0 bg-gray-900 text-gray-400">
+                    <tr>
+                        <th class="text-left font-normal px-1 py-1">#</th>
+                        <th class="text-left font-normal px-1 py-1">${this.t('batchLabel')}</th>
+                        ${head}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    focus(index) {
+        const result = this.results[index];
+        if (!result || !this.viewer) return;
+        this.activeIndex = index;
+        this.renderTable();
+
+        const b = result.bounds;
+        const margin = Math.max(b.maxX - b.minX, b.maxY - b.minY) * 0.25;
+        this.viewer.zoomExtents(new THREE.Box3(
+            new THREE.Vector3(b.minX - margin, b.minY - margin, 0),
+            new THREE.Vector3(b.maxX + margin, b.maxY + margin, 0)
+        ));
+        this.showHighlight(result);
+    }
+
+    showHighlight(result) {
+        this.clearHighlight();
+        if (!this.viewer || !this.viewer.scene) return;
+
+        const shape = new THREE.Shape(result.outer.points.map(p => new THREE.Vector2(p.x, p.y)));
+        result.holes.forEach(hole => shape.holes.push(new THREE.Path(hole.points.map(p => new THREE.Vector2(p.x, p.y)))));
+
+        this.highlight = new THREE.Mesh(
+            new THREE.ShapeGeometry(shape),
+            new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.3, depthTest: false, side: THREE.DoubleSide })
+        );
+        this.highlight.name = HIGHLIGHT_NAME;
+        this.highlight.position.z = 0.1;
+        this.highlight.renderOrder = 999;
+        this.viewer.scene.add(this.highlight);
+    }
+
+    clearHighlight() {
+        if (!this.highlight) return;
+        if (this.highlight.parent) this.highlight.parent.remove(this.highlight);
+        this.highlight.geometry.dispose();
+        this.highlight.material.dispose();
+        this.highlight = null;
+    }
+
+    // --- Export ---
+
+    getExportRows() {
+        const header = ['#', this.t('batchLabel'),
+            ...COLUMNS.map(([field, key]) => UNITS[field] ? `${this.t(key)} (${UNITS[field]})` : this.t(key)),
+            this.t('material')];
+        const materialName = this.material ? this.material.name : '';
+        const rows = this.results.map((result, index) => [
+            index + 1,
+            result.label,
+            ...COLUMNS.map(([field, , decimals]) => field === 'holes' ? result.holeCount : round(result[field], decimals)),
+            materialName
+        ]);
+        return [header, ...rows];
+    }
+
+    getExportBaseName() {
+        const file = this.app.currentDxfFile;
+        const name = file && file.name ? file.name.replace(/\.[^.]+$/, '') : 'drawing';
+        return `${name}-bom`;
+    }
+
+    exportCsv() {
+        if (this.results.length === 0 || !this.app.saveBlob) return;
+        const blob = new Blob([toCsv(this.getExportRows())], { type: 'text/csv;charset=utf-8' });
+        this.app.saveBlob(blob, `${this.getExportBaseName()}.csv`);
+    }
+
+    exportXlsx() {
+        if (this.results.length === 0 || !this.app.saveBlob) return;
+        const blob = new Blob([toXlsx(this.getExportRows(), 'BOM')], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+        this.app.saveBlob(blob, `${this.getExportBaseName()}.xlsx`);
+    }
+}
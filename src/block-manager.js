@@ -0,0 +1,290 @@
+import { DxfLoader } from './dxf-loader.js';
+
+// Blok tarayıcı: aktif sekmedeki dxf.blocks tanımlarını çizimdeki INSERT
+// sayıları ve küçük resimleriyle listeler. Each row can select all instances,
+// isolate them (hide everything else) or copy the definition to the clipboard.
+export class BlockManager {
+    constructor(app) {
+        this.app = app;
+        this.panel = document.getElementById('blocks-panel');
+        this.list = document.getElementById('blocks-list');
+
+        this.isolation = null; // { name, hidden: [objects] }
+        this.rows = new Map(); // block name -> { countEl, isolateBtn }
+        this.thumbnails = new WeakMap(); // dxf -> Map(block name -> dataURL)
+        this.thumbQueue = [];
+        this.thumbTimer = null;
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    getDxf() {
+        const tab = this.app.tabManager ? this.app.tabManager.getActiveTab() : null;
+        return tab ? tab.dxf : null;
+    }
+
+    // Layout (*Model_Space) and anonymous blocks (*D dimensions, *U, *X hatches)
+    // are generated by CAD and not meant to be browsed
+    getDefinitions(dxf) {
+        return Object.values((dxf && dxf.blocks) || {})
+            .filter(block => block && block.name && !block.name.startsWith('*'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Every drawn reference counts: nested INSERTs and each MINSERT cell's nested ones
+    countInstances() {
+        const counts = new Map();
+        const group = this.app.viewer.dxfGroup;
+        if (!group) return counts;
+
+        for (const child of group.children) {
+            if (child.userData && child.userData.isDeleted) continue;
+            child.traverse(obj => {
+                if (!obj.userData || obj.userData.type !== 'INSERT' || !obj.userData.entity) return;
+                const name = obj.userData.entity.name;
+                counts.set(name, (counts.get(name) || 0) + 1);
+            });
+        }
+        return counts;
+    }
+
+    // Selectable objects (top-level INSERTs) that draw the block somewhere inside
+    findInstances(name) {
+        const group = this.app.viewer.dxfGroup;
+        if (!group) return [];
+
+        return group.children.filter(child => {
+            if (!child.userData || child.userData.isDeleted || child.userData.type !== 'INSERT') return false;
+            let found = false;
+            child.traverse(obj => {
+                if (!found && obj.userData && obj.userData.type === 'INSERT' &&
+                    obj.userData.entity && obj.userData.entity.name === name) {
+                    found = true;
+                }
+            });
+            return found;
+        });
+    }
+
+    // ------------------------------------------------------------
+    // PANEL
+    // ------------------------------------------------------------
+    // Called after a file is loaded and on tab switch
+    update() {
+        this.clearIsolation();
+        this.stopThumbnails();
+        this.rows.clear();
+        if (!this.list) return;
+
+        const dxf = this.getDxf();
+        const blocks = this.getDefinitions(dxf);
+        this.list.innerHTML = '';
+        if (this.panel) this.panel.classList.toggle('hidden', blocks.length === 0);
+        if (blocks.length === 0) return;
+
+        const counts = this.countInstances();
+        if (!this.thumbnails.has(dxf)) this.thumbnails.set(dxf, new Map());
+        const cache = this.thumbnails.get(dxf);
+
+        blocks.forEach(block => {
+            const { el, img } = this.createRow(block, counts.get(block.name) || 0);
+            this.list.appendChild(el);
+            if (cache.has(block.name)) {
+                img.src = cache.get(block.name);
+            } else {
+                this.thumbQueue.push({ block, img, dxf, cache });
+            }
+        });
+        this.scheduleThumbnail();
+    }
+
+    // Delete / undo change the counts but not the definitions
+    refreshCounts() {
+        if (this.rows.size === 0) return;
+        const counts = this.countInstances();
+        this.rows.forEach((row, name) => {
+            row.countEl.textContent = counts.get(name) || 0;
+        });
+    }
+
+    createRow(block, count) {
+        const el = document.createElement('div');
+        el.className = 'flex items-center gap-2 px-2 py-1.5 rounded hover:bg-white/5 transition-colors';
+
+        const img = document.createElement('img');
+        img.className = 'w-12 h-9 object-contain bg-black/50 rounded flex-shrink-0';
+        img.alt = '';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'text-sm text-white truncate flex-1 min-w-0';
+        nameSpan.textContent = block.name;
+        nameSpan.title = block.name;
+
+        const countEl = document.createElement('span');
+        countEl.className = 'text-xs opacity-50 bg-white/10 px-1.5 rounded';
+        countEl.textContent = count;
+        countEl.title = this.t('blockInstances');
+
+        const button = (titleKey, svg, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'p-1 rounded hover:bg-white/10 text-gray-400 hover:text-white transition-colors';
+            btn.title = this.t(titleKey);
+            btn.setAttribute('data-i18n-title', titleKey);
+            btn.innerHTML = svg;
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                onClick();
+            };
+            return btn;
+        };
+
+        const selectBtn = button('selectInstances',
+            '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 3l7 17 2.5-7.5L20 10 3 3z"/></svg>',
+            () => this.selectInstances(block.name));
+        const isolateBtn = button('isolateBlock',
+            '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M3 8V3h5M21 8V3h-5M3 16v5h5M21 16v5h-5"/></svg>',
+            () => this.toggleIsolation(block.name));
+        const copyBtn = button('copyBlock',
+            '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
+            () => this.copyBlock(block.name));
+
+        el.append(img, nameSpan, countEl, selectBtn, isolateBtn, copyBtn);
+        this.rows.set(block.name, { countEl, isolateBtn });
+        return { el, img };
+    }
+
+    // ------------------------------------------------------------
+    // THUMBNAILS
+    // ------------------------------------------------------------
+    // One block per tick so large libraries don't freeze the UI
+    scheduleThumbnail() {
+        if (this.thumbTimer || this.thumbQueue.length === 0) return;
+        this.thumbTimer = setTimeout(() => {
+            this.thumbTimer = null;
+            const job = this.thumbQueue.shift();
+            if (job) this.renderThumbnail(job);
+            this.scheduleThumbnail();
+        }, 0);
+    }
+
+    stopThumbnails() {
+        clearTimeout(this.thumbTimer);
+        this.thumbTimer = null;
+        this.thumbQueue = [];
+    }
+
+    renderThumbnail({ block, img, dxf, cache }) {
+        const clipboard = this.app.clipboardManager;
+        if (!clipboard) return;
+
+        const objects = this.buildObjects(block, dxf);
+        try {
+            const url = objects.length > 0 ? clipboard.generateThumbnail(objects) : null;
+            if (url) {
+                cache.set(block.name, url);
+                img.src = url;
+            }
+        } catch (err) {
+            console.warn(`[BlockManager] Thumbnail failed for "${block.name}"`, err);
+        } finally {
+            this.disposeObjects(objects);
+        }
+    }
+
+    // Block content in block coordinates, as it appears in the block editor
+    buildObjects(block, dxf) {
+        const loader = new DxfLoader();
+        loader.blocks = (dxf && dxf.blocks) || {};
+
+        const objects = [];
+        for (const entity of loader.attachAttributes(block.entities || [])) {
+            try {
+                const object = loader.convertEntity(entity, dxf);
+                if (object) objects.push(object);
+            } catch (err) {
+                console.warn('[BlockManager] Failed to convert block entity:', entity, err);
+            }
+        }
+        return objects;
+    }
+
+    disposeObjects(objects) {
+        objects.forEach(root => root.traverse(obj => {
+            // Sprites share one geometry for the whole app
+            if (obj.geometry && !obj.isSprite) obj.geometry.dispose();
+            if (obj.material) {
+                if (obj.material.map) obj.material.map.dispose();
+                obj.material.dispose();
+            }
+        }));
+    }
+
+    // ------------------------------------------------------------
+    // ACTIONS
+    // ------------------------------------------------------------
+    selectInstances(name) {
+        const app = this.app;
+        const targets = this.findInstances(name);
+
+        app.clearSelection();
+        targets.forEach(obj => {
+            app.viewer.highlightObject(obj, true);
+            app.selectedObjects.push(obj);
+        });
+        app.objectInfoManager.update(app.selectedObjects);
+        app.weightManager.update(app.selectedObjects);
+        if (app.scaleManager) app.scaleManager.updateButtonState(app.selectedObjects);
+        app.updateStatus('Selected: ' + targets.length + ' items');
+    }
+
+    toggleIsolation(name) {
+        const wasIsolated = this.isolation && this.isolation.name === name;
+        this.clearIsolation();
+        if (wasIsolated) return;
+
+        const group = this.app.viewer.dxfGroup;
+        if (!group) return;
+
+        const keep = new Set(this.findInstances(name));
+        const hidden = [];
+        group.children.forEach(child => {
+            if (keep.has(child) || !child.visible) return;
+            child.visible = false;
+            hidden.push(child);
+        });
+        this.isolation = { name, hidden };
+        this.app.viewer.batcher.refresh();
+
+        const row = this.rows.get(name);
+        if (row) row.isolateBtn.classList.add('text-cyan-400');
+        this.app.updateStatus(this.t('isolateBlock') + ': ' + name);
+    }
+
+    clearIsolation() {
+        if (!this.isolation) return;
+        this.isolation.hidden.forEach(obj => {
+            // Deleted while isolated: stays hidden
+            if (!obj.userData || !obj.userData.isDeleted) obj.visible = true;
+        });
+
+        const row = this.rows.get(this.isolation.name);
+        if (row) row.isolateBtn.classList.remove('text-cyan-400');
+        this.isolation = null;
+        this.app.viewer.batcher.refresh();
+    }
+
+    copyBlock(name) {
+        const dxf = this.getDxf();
+        const block = dxf && dxf.blocks ? dxf.blocks[name] : null;
+        const clipboard = this.app.clipboardManager;
+        if (!block || !clipboard) return;
+
+        const objects = this.buildObjects(block, dxf);
+        if (objects.length === 0) return;
+        clipboard.copy(objects, dxf.blocks);
+        this.disposeObjects(objects);
+        this.app.updateStatus(this.t('copiedToClipboard'));
+    }
+}
@@ -1,10 +1,15 @@
 import * as THREE from 'three';
 
+// Block definitions larger than this (JSON characters) stay in memory only;
+// localStorage is shared with the rest of the app and fills up quickly
+const MAX_STORED_BLOCKS_SIZE = 512 * 1024;
+
 export class ClipboardManager {
-    constructor(viewer, weightManager, languageManager) {
+    constructor(viewer, weightManager, languageManager, app = null) {
         this.viewer = viewer;
         this.weightManager = weightManager;
         this.languageManager = languageManager;
+        this.app = app;
         this.items = [];
         this.storageKey = 'dxf_clipboard_items';
         this.sidebar = document.getElementById('clipboard-sidebar');
@@ -43,11 +48,13 @@ export class ClipboardManager {
         }
     }
 
-    copy(selectedObjects) {
+    // blockDefinitions: dxf.blocks of the source drawing, needed to paste INSERTs
+    copy(selectedObjects, blockDefinitions = null) {
         if (!selectedObjects || selectedObjects.length === 0) return;
 
         // 1. Serialize Objects
         const serializedData = this.serializeObjects(selectedObjects);
+        const blocks = this.collectBlocks(serializedData, blockDefinitions);
 
         // 2. Generate Thumbnail (Async? No, sync for now)
         const thumbnail = this.generateThumbnail(selectedObjects);
@@ -84,6 +91,10 @@ export class ClipboardManager {
             data: serializedData,
             metadata: metadata
         };
+        if (blocks) {
+            item.blocks = blocks;
+            item.blocksSize = JSON.stringify(blocks).length;
+        }
 
         // Add to front
         this.items.unshift(item);
@@ -120,7 +131,8 @@ export class ClipboardManager {
             }
 
             // Determine correct color (Original if selected/highlighted, else current)
-            let color = obj.material.color.getHex();
+            // Groups (block references) keep the colors of their content
+            let color = obj.material ? obj.material.color.getHex() : undefined;
             if (userData.originalColor) {
                 // originalColor might be a Color object or hex value
                 if (userData.originalColor.isColor) {
@@ -140,6 +152,24 @@ export class ClipboardManager {
         return serialized;
     }
 
+    // Definitions of every block the copied INSERTs reference, nested ones included
+    collectBlocks(serializedList, blockDefinitions) {
+        if (!blockDefinitions) return null;
+
+        const blocks = {};
+        const visit = (entities) => {
+            (entities || []).forEach(ent => {
+                if (!ent || ent.type !== 'INSERT' || blocks[ent.name]) return;
+                const block = blockDefinitions[ent.name];
+                if (!block) return;
+                blocks[ent.name] = block;
+                visit(block.entities);
+            });
+        };
+        visit(serializedList.map(data => data.entity));
+        return Object.keys(blocks).length > 0 ? blocks : null;
+    }
+
     generateThumbnail(objects) {
         if (!objects.length) return null;
 
@@ -237,7 +267,7 @@ export class ClipboardManager {
             // Or store only last 5 items.
             while (true) {
                 try {
-                    localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+                    localStorage.setItem(this.storageKey, JSON.stringify(this.items.map(item => this.storableItem(item))));
                     break;
                 } catch (e) {
                     if (this.items.length > 1) {
@@ -254,6 +284,14 @@ export class ClipboardManager {
         }
     }
 
+    // Large block definitions are left out of the stored copy; after a reload such an
+    // item pastes without its INSERTs
+    storableItem(item) {
+        if (!item.blocks || !(item.blocksSize > MAX_STORED_BLOCKS_SIZE)) return item;
+        const { blocks, ...rest } = item;
+        return { ...rest, blocksOmitted: true };
+    }
+
     loadFromStorage() {
         const data = localStorage.getItem(this.storageKey);
         if (data) {
@@ -329,8 +367,12 @@ export class ClipboardManager {
         console.log('[Clipboard] Pasting item:', item.id);
 
         if (!item.data || !item.data.length) return;
+        if (item.blocksOmitted && !item.blocks) {
+            console.warn('[Clipboard] Block definitions of this item were too large to keep; block references are skipped');
+        }
 
-        this.reconstructEntities(item.data).then(objects => {
+        const { data, blocks } = this.mergeBlocks(item);
+        this.reconstructEntities(data, blocks).then(objects => {
             console.log('[Clipboard] Reconstructed', objects.length, 'entities');
 
             if (objects.length > 0) {
@@ -352,9 +394,69 @@ export class ClipboardManager {
         });
     }
 
-    async reconstructEntities(serializedList) {
+    // Copies the item's block definitions into the active drawing, so the pasted INSERTs
+    // are still valid after DXF export and session restore. A different definition under
+    // an existing name is renamed (NAME_2, ...) and the references are updated.
+    // Returns the entity data and block table to build the pasted objects from.
+    mergeBlocks(item) {
+        const tab = this.app && this.app.tabManager ? this.app.tabManager.getActiveTab() : null;
+        if (!item.blocks || !tab) return { data: item.data, blocks: item.blocks };
+        if (!tab.dxf) {
+            // 3D model tabs are never written as DXF
+            if (tab.file) return { data: item.data, blocks: item.blocks };
+            tab.dxf = { blocks: {} };
+        }
+        if (!tab.dxf.blocks) tab.dxf.blocks = {};
+        const target = tab.dxf.blocks;
+
+        const findKey = (name) => {
+            const upper = name.toUpperCase();
+            return Object.keys(target).find(n => n.toUpperCase() === upper);
+        };
+        const sameBlock = (a, b) => JSON.stringify([a.position, a.entities]) === JSON.stringify([b.position, b.entities]);
+        const renames = new Map();
+        const renameInsert = (entity) => (entity && entity.type === 'INSERT' && renames.has(entity.name)
+            ? { ...entity, name: renames.get(entity.name) }
+            : entity);
+
+        // Nested blocks first, so a parent is compared with its references already renamed
+        const done = new Set();
+        let added = 0;
+        const resolve = (name) => {
+            if (done.has(name)) return;
+            done.add(name); // also stops self-referencing blocks
+            const block = item.blocks[name];
+            (block.entities || []).forEach(e => {
+                if (e && e.type === 'INSERT' && item.blocks[e.name]) resolve(e.name);
+            });
+            const merged = { ...block, entities: (block.entities || []).map(renameInsert) };
+
+            // Same definition already in the drawing (earlier paste): reuse it
+            let candidate = name;
+            for (let i = 2; ; i++) {
+                const key = findKey(candidate);
+                if (key === undefined) break;
+                if (target[key] && sameBlock(target[key], merged)) {
+                    if (key !== name) renames.set(name, key);
+                    return;
+                }
+                candidate = `${name}_${i}`;
+            }
+            if (candidate !== name) renames.set(name, candidate);
+            target[candidate] = { ...merged, name: candidate };
+            added++;
+        };
+        Object.keys(item.blocks).forEach(resolve);
+
+        if (added > 0 && this.app.blockManager) this.app.blockManager.update();
+        const data = item.data.map(d => (d.entity && renames.has(d.entity.name) ? { ...d, entity: renameInsert(d.entity) } : d));
+        return { data, blocks: target };
+    }
+
+    async reconstructEntities(serializedList, blocks = null) {
         const { DxfLoader } = await import('./dxf-loader.js');
         const loader = new DxfLoader();
+        loader.blocks = blocks || {};
         const objects = [];
 
         for (const data of serializedList) {
@@ -363,10 +465,9 @@ export class ClipboardManager {
             // We don't have full dxf object, but convertEntity mostly needs 'entity' struct.
             // Some methods might need dxf.blocks/header.
             // If entities are simple (LINE, CIRCLE, LWPOLYLINE), it should work.
-            // INSERT (Blocks) will fail if we don't have block definitions.
-            // For Phase 1/2, we assume simple primitives or decomposed blocks.
+            // INSERT (Blocks) need the definitions saved with the item (see collectBlocks).
 
-            const dummyDxf = { blocks: {}, header: {} }; // Mock
+            const dummyDxf = { blocks: loader.blocks, header: {} }; // Mock
             try {
                 const object = loader.convertEntity(data.entity, dummyDxf);
                 if (object) {
@@ -14,10 +14,11 @@ export class CmdAddMeasurement {
 }
 
 export class CmdDelete {
-    constructor(viewer, measurementManager, selection, onComplete) {
+    // isLocked(obj): objects on locked layers are left alone
+    constructor(viewer, measurementManager, selection, onComplete, isLocked = null) {
         this.viewer = viewer;
         this.mgr = measurementManager;
-        this.selection = [...selection]; // Copy selection array
+        this.selection = selection.filter(obj => !isLocked || !isLocked(obj)); // Copy selection array
         this.hiddenEntities = [];
         this.removedMeasurements = [];
         this.onComplete = onComplete; // Callback to clear Global Selection
@@ -38,6 +39,7 @@ export class CmdDelete {
             } else {
                 // Assume DXF Entity
                 obj.visible = false;
+                obj.userData.isDeleted = true; // Excluded from DXF export
                 this.hiddenEntities.push(obj);
             }
         });
@@ -49,6 +51,7 @@ export class CmdDelete {
         // Restore Entities
         this.hiddenEntities.forEach(obj => {
             obj.visible = true;
+            delete obj.userData.isDeleted;
         });
 
         // Restore Measurements
@@ -86,6 +89,14 @@ export class CmdScale {
         S.multiply(new THREE.Matrix4().makeTranslation(-this.center.x, -this.center.y, -this.center.z));
 
         this.objects.forEach((obj, index) => {
+            // Groups (block references, dimensions) have no geometry of their own:
+            // scale the object transform, DxfWriter bakes it into the entity on export
+            if (!obj.geometry) {
+                obj.applyMatrix4(S);
+                obj.updateMatrixWorld(true);
+                return;
+            }
+
             obj.updateMatrixWorld(true);
             const O = obj.matrixWorld.clone();
 
@@ -112,6 +123,9 @@ export class CmdScale {
             // UPDATE METADATA (Bake Scale)
             if (obj.userData && obj.userData.entity) {
                 obj.userData.originalEntity = JSON.parse(JSON.stringify(obj.userData.entity)); // Deep copy backup
+                // Entity now matches the identity-transformed geometry (see DxfWriter.collectEntities)
+                this.previousStates[index].sourceMatrix = obj.userData.sourceMatrix;
+                delete obj.userData.sourceMatrix;
                 const ent = obj.userData.entity;
 
                 // Helper to transform point
@@ -160,6 +174,10 @@ export class CmdScale {
                             ent.majorAxisEndPoint.z *= this.factor;
                         }
                         break;
+                    case 'SPLINE':
+                        if (ent.controlPoints) ent.controlPoints.forEach(p => transformPoint(p));
+                        if (ent.fitPoints) ent.fitPoints.forEach(p => transformPoint(p));
+                        break;
                     case 'INSERT':
                         if (ent.position) transformPoint(ent.position);
                         if (ent.scale) {
@@ -192,7 +210,7 @@ export class CmdScale {
             state.obj.updateMatrix();
             state.obj.updateMatrixWorld(true);
 
-            if (state.obj.geometry.attributes.lineDistance) {
+            if (state.obj.geometry && state.obj.geometry.attributes.lineDistance) {
                 state.obj.computeLineDistances();
             }
 
@@ -200,7 +218,24 @@ export class CmdScale {
             if (state.obj.userData && state.obj.userData.originalEntity) {
                 state.obj.userData.entity = state.obj.userData.originalEntity;
                 delete state.obj.userData.originalEntity;
+                if (state.sourceMatrix) state.obj.userData.sourceMatrix = state.sourceMatrix;
             }
         });
     }
 }
+
+// Layer property changes (color, linetype, visibility, freeze, lock, isolation,
+// named states). before/after are snapshots understood by LayerManager.applySnapshot.
+export class CmdLayerState {
+    constructor(layerManager, before, after) {
+        this.layerManager = layerManager;
+        this.before = before;
+        this.after = after;
+    }
+    execute() {
+        this.layerManager.applySnapshot(this.after);
+    }
+    undo() {
+        this.layerManager.applySnapshot(this.before);
+    }
+}
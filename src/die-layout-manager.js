@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+import { PRES } from './materials.js';
+import {
+    analyzeLayout, autoArrange, transformOutline, DEFAULT_EDGE_CLEARANCE, DEFAULT_CAVITY_GAP
+} from './die-layout.js';
+
+// Çok gözlü kalıp yerleşimi: N (figür) copies of the calculated profile inside the
+// container circle of the selected press. Click picks up / drops a cavity, Ctrl+Scroll
+// rotates it (1° per step, like template placement), Esc leaves the mode.
+// The layout is drawn beside the drawing in its own scene group and never merged into it.
+
+const COLORS = {
+    container: 0xffffff,
+    clearance: 0x666666,
+    cavity: 0x00ffff,
+    cavityActive: 0xffff00,
+    cavityError: 0xff3333,
+    ccd: 0xff00ff,
+    marker: 0xff3333
+};
+
+export class DieLayoutManager {
+    constructor(app) {
+        this.app = app;
+        this.isActive = false;
+        this.group = null;
+        this.center = new THREE.Vector2();
+        this.outline = [];      // outer loop, centred on the section centroid
+        this.loops = [];        // all loops (outer + holes) for drawing
+        this.placements = [];
+        this.analysis = null;
+        this.ccd = null;
+        this.activeIndex = -1;  // cavity following the mouse
+        this.grabOffset = { x: 0, y: 0 };
+        this.edgeClearance = DEFAULT_EDGE_CLEARANCE;
+        this.cavityGap = DEFAULT_CAVITY_GAP;
+
+        this.btn = document.getElementById('die-layout-btn');
+        this.section = document.getElementById('die-layout-section');
+        this.edgeInput = document.getElementById('die-edge-input');
+        this.gapInput = document.getElementById('die-gap-input');
+        this.autoBtn = document.getElementById('die-auto-btn');
+
+        this.bindEvents();
+    }
+
+    get wm() {
+        return this.app.weightManager;
+    }
+
+    get viewer() {
+        return this.app.viewer;
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    bindEvents() {
+        if (this.btn) this.btn.addEventListener('click', () => this.toggle());
+        if (this.autoBtn) this.autoBtn.addEventListener('click', () => this.autoArrange());
+
+        const bindNumber = (input, key) => {
+            if (!input) return;
+            input.value = this[key];
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (value >= 0) this[key] = value;
+                e.target.value = this[key];
+                this.render();
+            });
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        };
+        bindNumber(this.edgeInput, 'edgeClearance');
+        bindNumber(this.gapInput, 'cavityGap');
+
+        // Figure count and press come from the weight panel selectors
+        const figurSelector = document.getElementById('figur-selector');
+        if (figurSelector) figurSelector.addEventListener('change', () => {
+            if (this.isActive) this.autoArrange();
+        });
+        const presSelector = document.getElementById('pres-selector');
+        if (presSelector) presSelector.addEventListener('change', () => {
+            if (this.isActive) this.render();
+        });
+
+        this._clickHandler = (e) => this.onClick(e);
+        this._moveHandler = (e) => this.onMouseMove(e);
+        this._wheelHandler = (e) => this.onWheel(e);
+    }
+
+    getContainerRadius() {
+        const pres = PRES.find(p => p.id === this.wm.currentPresId);
+        return pres && pres.containerDiameter > 0 ? pres.containerDiameter / 2 : 0;
+    }
+
+    toggle() {
+        if (this.isActive) this.exit();
+        else this.enter();
+    }
+
+    enter() {
+        const wm = this.wm;
+        if (!wm || !wm.calculationResult || !wm.sectionProperties) {
+            alert(this.t('dieNoProfile'));
+            return;
+        }
+        if (!(this.getContainerRadius() > 0)) {
+            alert(this.t('dieNoContainer'));
+            return;
+        }
+
+        // Loops in centroid coordinates
+        const { x: cx, y: cy } = wm.sectionProperties.centroid;
+        this.loops = [wm.calculationResult.outer, ...wm.calculationResult.inner]
+            .map(geomEntry => wm.createShapeFromObject(geomEntry))
+            .filter(Boolean)
+            .map(shape => shape.getPoints(64).map(p => ({ x: p.x - cx, y: p.y - cy })));
+        if (this.loops.length === 0) return;
+        this.outline = this.loops[0];
+
+        // Beside the drawing so both stay visible
+        const radius = this.getContainerRadius();
+        const box = new THREE.Box3().setFromObject(this.viewer.dxfGroup);
+        if (box.isEmpty()) {
+            this.center.set(0, 0);
+        } else {
+            this.center.set(box.max.x + radius * 1.3, (box.min.y + box.max.y) / 2);
+        }
+
+        this.isActive = true;
+        this.activeIndex = -1;
+        this.group = new THREE.Group();
+        this.group.name = 'DieLayout';
+        this.viewer.scene.add(this.group);
+
+        const canvas = this.viewer.renderer.domElement;
+        canvas.addEventListener('click', this._clickHandler);
+        canvas.addEventListener('mousemove', this._moveHandler);
+        // Capture phase to intercept wheel before the viewport zoom (see WeightManager.startMouseFollowing)
+        canvas.addEventListener('wheel', this._wheelHandler, { passive: false, capture: true });
+
+        if (this.section) this.section.classList.remove('hidden');
+        if (this.btn) this.btn.classList.add('bg-cyan-500/30', 'text-cyan-300');
+
+        this.autoArrange();
+
+        const view = new THREE.Box3(
+            new THREE.Vector3(this.center.x - radius, this.center.y - radius, 0),
+            new THREE.Vector3(this.center.x + radius, this.center.y + radius, 0)
+        );
+        this.viewer.zoomExtents(view);
+    }
+
+    exit() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.activeIndex = -1;
+
+        const canvas = this.viewer.renderer.domElement;
+        canvas.removeEventListener('click', this._clickHandler);
+        canvas.removeEventListener('mousemove', this._moveHandler);
+        canvas.removeEventListener('wheel', this._wheelHandler, { capture: true });
+
+        this.clearGroup();
+        if (this.group) this.viewer.scene.remove(this.group);
+        this.group = null;
+
+        if (this.section) this.section.classList.add('hidden');
+        if (this.btn) this.btn.classList.remove('bg-cyan-500/30', 'text-cyan-300');
+    }
+
+    autoArrange() {
+        if (!this.isActive) return;
+        const count = Math.max(1, this.wm.currentFigur || 1);
+        this.placements = autoArrange(this.outline, count, this.getContainerRadius(), { cavityGap: this.cavityGap });
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    // Mouse position in container coordinates
+    getLocalPoint(event) {
+        const { vec } = this.wm.getWorldPointFromEvent(event);
+        return { x: vec.x - this.center.x, y: vec.y - this.center.y };
+    }
+
+    onClick(event) {
+        if (!this.isActive) return;
+        if (this.activeIndex >= 0) {
+            this.activeIndex = -1;
+            this.render();
+            return;
+        }
+
+        const p = this.getLocalPoint(event);
+        const cavities = this.analysis ? this.analysis.cavities : [];
+        // Inside the outline, or the nearest centroid within the profile radius
+        let index = cavities.findIndex(points => this.isInside(p, points));
+        if (index < 0) {
+            const reach = this.outline.reduce((r, q) => Math.max(r, Math.hypot(q.x, q.y)), 0);
+            let best = reach;
+            this.placements.forEach((pl, i) => {
+                const d = Math.hypot(p.x - pl.x, p.y - pl.y);
+                if (d < best) {
+                    best = d;
+                    index = i;
+                }
+            });
+        }
+        if (index < 0) return;
+
+        this.activeIndex = index;
+        this.grabOffset = { x: p.x - this.placements[index].x, y: p.y - this.placements[index].y };
+        this.render();
+    }
+
+    onMouseMove(event) {
+        if (!this.isActive || this.activeIndex < 0) return;
+        const p = this.getLocalPoint(event);
+        const placement = this.placements[this.activeIndex];
+        placement.x = p.x - this.grabOffset.x;
+        placement.y = p.y - this.grabOffset.y;
+        this.render();
+    }
+
+    onWheel(event) {
+        if (!this.isActive || this.activeIndex < 0 || !event.ctrlKey) return;
+        event.preventDefault();
+        event.stopPropagation();
+        // Scroll UP -> counter-clockwise; Shift: 15° steps
+        const delta = event.deltaY > 0 ? -1 : 1;
+        const step = (event.shiftKey ? 15 : 1) * Math.PI / 180;
+        this.placements[this.activeIndex].rotation += delta * step;
+        this.render();
+    }
+
+    isInside(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // --- Drawing ---
+
+    clearGroup() {
+        if (!this.group) return;
+        [...this.group.children].forEach(child => {
+            this.group.remove(child);
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.viewer.requestRender();
+    }
+
+    addLine(points, color, closed = false) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            points.map(p => new THREE.Vector3(this.center.x + p.x, this.center.y + p.y, 0.2))
+        );
+        const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+        const line = closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+        line.renderOrder = 1000;
+        this.group.add(line);
+        return line;
+    }
+
+    addCircle(center, radius, color) {
+        const points = [];
+        for (let i = 0; i < 128; i++) {
+            const a = (i / 128) * Math.PI * 2;
+            points.push({ x: center.x + radius * Math.cos(a), y: center.y + radius * Math.sin(a) });
+        }
+        return this.addLine(points, color, true);
+    }
+
+    render() {
+        if (!this.isActive || !this.group) return;
+        this.clearGroup();
+
+        const radius = this.getContainerRadius();
+        this.analysis = analyzeLayout(this.outline, this.placements, radius, {
+            edgeClearance: this.edgeClearance,
+            cavityGap: this.cavityGap
+        });
+        const analysis = this.analysis;
+
+        this.addCircle({ x: 0, y: 0 }, radius, COLORS.container);
+        if (this.edgeClearance > 0 && this.edgeClearance < radius) {
+            this.addCircle({ x: 0, y: 0 }, radius - this.edgeClearance, COLORS.clearance);
+        }
+
+        // Cavities that break a rule are drawn red
+        const failing = new Set();
+        if (!analysis.edgeOk) failing.add(analysis.edge.cavity);
+        if (analysis.gap && !analysis.gapOk) analysis.gap.pair.forEach(i => failing.add(i));
+
+        this.placements.forEach((placement, index) => {
+            let color = COLORS.cavity;
+            if (failing.has(index)) color = COLORS.cavityError;
+            if (index === this.activeIndex) color = COLORS.cavityActive;
+            this.loops.forEach(loop => this.addLine(transformOutline(loop, placement), color, true));
+        });
+
+        // Combined CCD (same Welzl routine as the single profile CCD)
+        const allPoints = analysis.cavities.flat();
+        this.ccd = allPoints.length > 0 ? this.wm.minimumEnclosingCircle(allPoints) : null;
+        if (this.ccd) this.addCircle(this.ccd.center, this.ccd.radius, COLORS.ccd);
+
+        // Critical distances
+        if (analysis.edge.point) {
+            const p = analysis.edge.point;
+            const len = Math.hypot(p.x, p.y) || 1;
+            this.addLine([p, { x: p.x / len * radius, y: p.y / len * radius }], COLORS.marker);
+        }
+        if (analysis.gap && analysis.gap.points) this.addLine(analysis.gap.points, COLORS.marker);
+
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        const analysis = this.analysis;
+        const set = (id, value) => this.wm.updateDOM(id, value);
+        set('val-die-ccd', this.ccd ? this.ccd.diameter.toFixed(2) : '-');
+        set('val-die-edge', analysis && isFinite(analysis.edge.clearance) ? analysis.edge.clearance.toFixed(2) : '-');
+        set('val-die-gap', analysis && analysis.gap ? analysis.gap.distance.toFixed(2) : '-');
+
+        let status = this.t('dieOk');
+        if (analysis && analysis.gap && analysis.gap.overlap) status = this.t('dieOverlap');
+        else if (analysis && !analysis.edgeOk) status = this.t('dieEdgeTooClose');
+        else if (analysis && !analysis.gapOk) status = this.t('dieGapTooSmall');
+        set('val-die-status', status);
+
+        const statusEl = document.getElementById('val-die-status');
+        if (statusEl) {
+            statusEl.classList.toggle('text-red-400', !!analysis && !analysis.ok);
+            statusEl.classList.toggle('text-cyan-400', !analysis || analysis.ok);
+        }
+    }
+}
@@ -0,0 +1,179 @@
+// Multi-cavity die layout inside the press container circle.
+// A cavity is the profile outline (outer loop, centred on the section centroid)
+// placed at { x, y, rotation } relative to the container centre.
+// Used by DieLayoutManager for clearance checks and auto-arrangement.
+
+export const DEFAULT_EDGE_CLEARANCE = 25; // mm, cavity to container wall
+export const DEFAULT_CAVITY_GAP = 20;     // mm, between cavities
+
+const SEARCH_POINTS = 120;  // outline is thinned to this for the auto-arrange search
+const SEARCH_STEPS = 200;   // radial scan steps before bisection
+const ORIENTATIONS = [0, Math.PI / 2, Math.PI, 3 * Math.PI / 2];
+
+export function transformOutline(points, placement) {
+    const cos = Math.cos(placement.rotation || 0);
+    const sin = Math.sin(placement.rotation || 0);
+    return points.map(p => ({
+        x: placement.x + p.x * cos - p.y * sin,
+        y: placement.y + p.x * sin + p.y * cos
+    }));
+}
+
+function thinOutline(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    const step = points.length / maxPoints;
+    const out = [];
+    for (let i = 0; i < maxPoints; i++) out.push(points[Math.floor(i * step)]);
+    return out;
+}
+
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function closestOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return { x: a.x + dx * t, y: a.y + dy * t };
+}
+
+function segmentsCross(a, b, c, d) {
+    const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = orient(a, b, c);
+    const d2 = orient(a, b, d);
+    const d3 = orient(c, d, a);
+    const d4 = orient(c, d, b);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+// Distance between two closed outlines; 0 with overlap = true when they cross or nest
+function outlineDistance(a, b) {
+    let best = { distance: Infinity, points: null };
+    const check = (from, to, swap) => {
+        for (const p of from) {
+            for (let i = 0; i < to.length; i++) {
+                const q = closestOnSegment(p, to[i], to[(i + 1) % to.length]);
+                const d = Math.hypot(p.x - q.x, p.y - q.y);
+                if (d < best.distance) best = { distance: d, points: swap ? [q, p] : [p, q] };
+            }
+        }
+    };
+    check(a, b, false);
+    check(b, a, true);
+
+    let overlap = isPointInPolygon(a[0], b) || isPointInPolygon(b[0], a);
+    for (let i = 0; i < a.length && !overlap; i++) {
+        for (let j = 0; j < b.length; j++) {
+            if (segmentsCross(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])) {
+                overlap = true;
+                break;
+            }
+        }
+    }
+    if (overlap) best.distance = 0;
+    return { ...best, overlap };
+}
+
+const radiusOf = (points) => points.reduce((r, p) => Math.max(r, Math.hypot(p.x, p.y)), 0);
+
+/**
+ * @param {Array<{x,y}>} outline - outer loop centred on the section centroid
+ * @param {Array<{x,y,rotation}>} placements
+ * @param {number} containerRadius
+ * @param {{edgeClearance?: number, cavityGap?: number}} options
+ * @returns {{cavities: Array<Array<{x,y}>>, edge: object, gap: object|null, edgeOk: boolean, gapOk: boolean, ok: boolean}}
+ *   edge: { clearance, cavity, point } (closest outline point to the container wall)
+ *   gap: { distance, pair: [i, j], points: [p, q], overlap }
+ */
+export function analyzeLayout(outline, placements, containerRadius, options = {}) {
+    const edgeClearance = options.edgeClearance !== undefined ? options.edgeClearance : DEFAULT_EDGE_CLEARANCE;
+    const cavityGap = options.cavityGap !== undefined ? options.cavityGap : DEFAULT_CAVITY_GAP;
+    const cavities = placements.map(placement => transformOutline(outline, placement));
+
+    const edge = { clearance: Infinity, cavity: -1, point: null };
+    cavities.forEach((points, index) => {
+        points.forEach(p => {
+            const clearance = containerRadius - Math.hypot(p.x, p.y);
+            if (clearance < edge.clearance) Object.assign(edge, { clearance, cavity: index, point: p });
+        });
+    });
+
+    let gap = null;
+    for (let i = 0; i < cavities.length; i++) {
+        for (let j = i + 1; j < cavities.length; j++) {
+            const d = outlineDistance(cavities[i], cavities[j]);
+            if (!gap || d.distance < gap.distance) gap = { ...d, pair: [i, j] };
+        }
+    }
+
+    const edgeOk = edge.clearance >= edgeClearance;
+    const gapOk = !gap || (!gap.overlap && gap.distance >= cavityGap);
+    return { cavities, edge, gap, edgeOk, gapOk, ok: edgeOk && gapOk };
+}
+
+/**
+ * Balanced, rotationally symmetric layout: cavity k at angle 2πk/N on a pitch circle,
+ * turned by the same angle so every cavity sees the same flow. The pitch radius is the
+ * smallest one that keeps the required gap; the orientation with the largest wall
+ * clearance wins.
+ * @returns {Array<{x,y,rotation}>}
+ */
+export function autoArrange(outline, count, containerRadius, options = {}) {
+    const cavityGap = options.cavityGap !== undefined ? options.cavityGap : DEFAULT_CAVITY_GAP;
+    if (count <= 1) return [{ x: 0, y: 0, rotation: 0 }];
+
+    const coarse = thinOutline(outline, SEARCH_POINTS);
+    const profileRadius = radiusOf(coarse);
+    const layoutAt = (pitch, orientation) => Array.from({ length: count }, (_, k) => {
+        const angle = 2 * Math.PI * k / count;
+        return { x: pitch * Math.cos(angle), y: pitch * Math.sin(angle), rotation: (angle + orientation) % (2 * Math.PI) };
+    });
+    // By symmetry cavity 0 against the others covers every pair
+    const fits = (pitch, orientation) => {
+        const placements = layoutAt(pitch, orientation);
+        const first = transformOutline(coarse, placements[0]);
+        for (let k = 1; k < count; k++) {
+            const centreDistance = Math.hypot(placements[k].x - placements[0].x, placements[k].y - placements[0].y);
+            if (centreDistance > 2 * profileRadius + cavityGap) continue;
+            const d = outlineDistance(first, transformOutline(coarse, placements[k]));
+            if (d.overlap || d.distance < cavityGap) return false;
+        }
+        return true;
+    };
+
+    let best = null;
+    const maxPitch = Math.max(containerRadius, profileRadius * count);
+    ORIENTATIONS.forEach(orientation => {
+        const step = maxPitch / SEARCH_STEPS;
+        let hi = null;
+        for (let i = 1; i <= SEARCH_STEPS; i++) {
+            if (fits(i * step, orientation)) {
+                hi = i * step;
+                break;
+            }
+        }
+        if (hi === null) return;
+        let lo = hi - step;
+        for (let iter = 0; iter < 20; iter++) {
+            const mid = (lo + hi) / 2;
+            if (fits(mid, orientation)) hi = mid;
+            else lo = mid;
+        }
+        const placements = layoutAt(hi, orientation);
+        const reach = Math.max(...placements.map(pl => radiusOf(transformOutline(coarse, pl))));
+        if (!best || reach < best.reach) best = { reach, placements };
+    });
+
+    return best ? best.placements : layoutAt(maxPitch, 0);
+}
@@ -1,48 +1,128 @@
 import * as THREE from 'three';
 import { DxfParser } from 'dxf-parser'; // importmap'te 'dxf-json' -> 'dxf-parser'
+import { tessellateSpline } from './nurbs.js';
+import { readDxfFile, parseDxfText } from './loaders/dxf-parse.js';
+import { layoutText, layoutMText } from './text-layout.js';
+import { getFont, loadFontsFor } from './font-library.js';
+
+const IDENTITY = new THREE.Matrix4();
+
+const createAbortError = () => new DOMException('Load cancelled', 'AbortError');
 
 export class DxfLoader {
     constructor() {
         this.parser = new DxfParser();
         this.font = null;
+        // Properties of the INSERT being expanded (BYBLOCK / layer "0" inheritance)
+        this.blockContext = null;
     }
 
-    async load(file) {
+    /**
+     * Reads and parses the file in a Web Worker so the UI keeps running.
+     * Falls back to the main thread where module workers are unavailable.
+     * @param {File} file
+     * @param {{signal?: AbortSignal, onProgress?: function({phase, loaded, total})}} options
+     * @returns {Promise<object>} parsed DXF; rejects with an AbortError when cancelled
+     */
+    load(file, options = {}) {
+        const { signal, onProgress } = options;
+        if (signal && signal.aborted) return Promise.reject(createAbortError());
+        if (typeof Worker === 'undefined') return this.loadOnMainThread(file, options);
+
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const arrayBuffer = e.target.result;
-
-                    // Try Windows-1254 (Turkish) encoding first
-                    let dxfString;
-                    try {
-                        const decoder = new TextDecoder('windows-1254');
-                        dxfString = decoder.decode(arrayBuffer);
-                    } catch (err) {
-                        // Fallback to UTF-8 if Windows-1254 not supported
-                        console.warn('Windows-1254 not supported, using UTF-8:', err);
-                        const decoder = new TextDecoder('utf-8');
-                        dxfString = decoder.decode(arrayBuffer);
-                    }
+            let worker;
+            try {
+                worker = new Worker(new URL('./loaders/dxf-worker.js', import.meta.url), { type: 'module' });
+            } catch (err) {
+                console.warn('DXF worker unavailable, parsing on the main thread:', err);
+                this.loadOnMainThread(file, options).then(resolve, reject);
+                return;
+            }
 
-                    const dxf = this.parser.parseSync(dxfString);
-                    resolve(dxf);
-                } catch (err) {
-                    reject(err);
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                finish();
+                reject(createAbortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.type === 'progress') {
+                    if (onProgress) onProgress(msg);
+                } else if (msg.type === 'done') {
+                    finish();
+                    resolve(msg.dxf);
+                } else if (msg.type === 'error') {
+                    finish();
+                    reject(new Error(msg.message));
                 }
             };
-            reader.onerror = (err) => reject(err);
-            reader.readAsArrayBuffer(file);
+            // The worker script itself failed to load (e.g. file:// pages)
+            worker.onerror = (e) => {
+                e.preventDefault();
+                finish();
+                console.warn('DXF worker failed, parsing on the main thread:', e.message);
+                this.loadOnMainThread(file, options).then(resolve, reject);
+            };
+
+            worker.postMessage({ file });
         });
     }
 
+    async loadOnMainThread(file, options = {}) {
+        const { signal, onProgress } = options;
+        const text = await readDxfFile(file, onProgress);
+        if (signal && signal.aborted) throw createAbortError();
+        return parseDxfText(text, onProgress);
+    }
+
     // ------------------------------------------------------------
     // SAHNE ÜRETİMİ
     // ------------------------------------------------------------
     generateThreeEntities(dxf) {
         const group = new THREE.Group();
-        if (!dxf || !dxf.entities) return group;
+        const entities = this.beginGeneration(dxf);
+        for (const entity of entities) this.addConvertedEntity(group, entity, dxf);
+        return group;
+    }
+
+    /**
+     * generateThreeEntities() in time slices: yields to the browser every `sliceMs`
+     * so a large drawing doesn't freeze the page while its geometry is built.
+     * @param {{signal?: AbortSignal, onProgress?: function({phase, loaded, total}), sliceMs?: number}} options
+     */
+    async generateThreeEntitiesAsync(dxf, options = {}) {
+        const { signal, onProgress, sliceMs = 30 } = options;
+        // SHX fonts of the STYLE table must be ready before text is laid out
+        await loadFontsFor(dxf);
+        if (signal && signal.aborted) throw createAbortError();
+        const group = new THREE.Group();
+        const entities = this.beginGeneration(dxf);
+        const blocks = this.blocks;
+
+        let sliceStart = performance.now();
+        for (let i = 0; i < entities.length; i++) {
+            this.addConvertedEntity(group, entities[i], dxf);
+            if (performance.now() - sliceStart > sliceMs) {
+                if (onProgress) onProgress({ phase: 'build', loaded: i + 1, total: entities.length });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (signal && signal.aborted) throw createAbortError();
+                // Another load may have used this loader in the meantime
+                this.blocks = blocks;
+                sliceStart = performance.now();
+            }
+        }
+        if (onProgress) onProgress({ phase: 'build', loaded: entities.length, total: entities.length });
+        return group;
+    }
+
+    // Block table and debug counts; returns the top-level entities (ATTRIBs attached to their INSERTs)
+    beginGeneration(dxf) {
+        if (!dxf || !dxf.entities) return [];
 
         // DEBUG: Log all entity types from parser
         const entityTypes = {};
@@ -59,15 +139,17 @@ export class DxfLoader {
         this.blocks = dxf.blocks || {};
         // console.log('📦 Blocks available:', Object.keys(this.blocks));
 
-        for (const entity of dxf.entities) {
-            try {
-                const object = this.convertEntity(entity, dxf);
-                if (object) group.add(object);
-            } catch (err) {
-                console.warn('Failed to convert entity:', entity, err);
-            }
+        this.blockContext = null;
+        return this.attachAttributes(dxf.entities);
+    }
+
+    addConvertedEntity(group, entity, dxf) {
+        try {
+            const object = this.convertEntity(entity, dxf);
+            if (object) group.add(object);
+        } catch (err) {
+            console.warn('Failed to convert entity:', entity, err);
         }
-        return group;
     }
 
     convertEntity(entity, dxf) {
@@ -103,11 +185,14 @@ export class DxfLoader {
                 object = this.createHatch(entity, material); break;
             case 'MTEXT':
                 console.log('[convertEntity] Processing MTEXT:', entity.text);
-                object = this.createMText(entity, color);
+                object = this.createMText(entity, color, dxf);
                 console.log('[convertEntity] MTEXT result:', object);
                 break;
             case 'TEXT':
-                object = this.createText(entity, color); break;
+                object = this.createText(entity, color, dxf); break;
+            case 'ATTRIB':
+            case 'ATTDEF':
+                object = this.createAttribute(entity, color, dxf); break;
             case 'INSERT':
                 object = this.createInsert(entity, dxf); break;
             case 'DIMENSION':
@@ -144,6 +229,13 @@ export class DxfLoader {
                 handle: entity.handle,
                 entity
             };
+
+            // Objects the loader itself places (text, dimensions) are not at identity;
+            // DxfWriter only bakes what changed after loading.
+            object.updateMatrix();
+            if (!object.matrix.equals(IDENTITY)) {
+                object.userData.sourceMatrix = object.matrix.toArray();
+            }
         }
 
         return object;
@@ -356,10 +448,10 @@ export class DxfLoader {
     }
 
     createSpline(entity, material) {
-        if (!entity.controlPoints) return null;
-        const points = entity.controlPoints.map(v => new THREE.Vector3(v.x, v.y, v.z || 0));
-        const curve = new THREE.CatmullRomCurve3(points);
-        const renderPoints = curve.getPoints(points.length * 8);
+        // Gerçek NURBS: derece, knot vektörü ve ağırlıklar (fit point fallback dahil)
+        const points = tessellateSpline(entity);
+        if (points.length < 2) return null;
+        const renderPoints = points.map(p => new THREE.Vector3(p.x, p.y, p.z || 0));
         const geometry = new THREE.BufferGeometry().setFromPoints(renderPoints);
         return new THREE.Line(geometry, material);
     }
@@ -374,7 +466,8 @@ export class DxfLoader {
         const curve = new THREE.EllipseCurve(
             entity.center.x, entity.center.y,
             majorRadius, minorRadius,
-            entity.startParam || 0, entity.endParam || Math.PI * 2,
+            // dxf-parser stores the ELLIPSE start/end parameters as startAngle/endAngle
+            entity.startAngle ?? entity.startParam ?? 0, entity.endAngle ?? entity.endParam ?? Math.PI * 2,
             false,
             rotation
         );
@@ -410,138 +503,113 @@ export class DxfLoader {
     // ------------------------------------------------------------
     // TEXT / MTEXT
     // ------------------------------------------------------------
-    createText(entity, color) {
-        if (!entity.text) return null;
-
-        // Basic TEXT properties
-        const textVal = entity.text;
-        const height = entity.height || 10;
-        const rotation = (entity.rotation || 0) * Math.PI / 180;
-
-        // Alignment handling (basic)
-        // DXF has horizontalJustification / verticalJustification or 72/73 codes
-        // We settle for centered or default left logic for now, or just pass to texture generator
-
-        return this.generateTextLabel(textVal, height, rotation, entity.startPoint, color);
-    }
-
-    createMText(entity, color) {
-        if (!entity.text) return null;
-
-        let raw = entity.text;
-
-        // Decode DXF Unicode escape sequences like \U+00C7 -> Ç
-        raw = raw.replace(/\\U\+([0-9A-Fa-f]{4})/g, (match, hex) => {
-            return String.fromCharCode(parseInt(hex, 16));
-        });
-
-        // Strip MTEXT formatting codes
-        let clean = raw.replace(/\\P/g, ' ').replace(/\\L/g, '').replace(/\\O/g, '');
-        clean = clean.replace(/^{|}$/g, '');
-        clean = clean.replace(/\\[A-Za-z][^;]*;/g, '');
-
-        const height = entity.height || 10;
-        let rotation = 0;
-        if (entity.rotation) {
-            rotation = entity.rotation * Math.PI / 180;
-        } else if (entity.directionVector) {
-            rotation = Math.atan2(entity.directionVector.y, entity.directionVector.x);
-        } else if (entity.xAxisX !== undefined) {
-            rotation = Math.atan2(entity.xAxisY, entity.xAxisX);
-        }
-
-        const position = entity.insertionPoint || entity.insertPoint || entity.position;
-        if (!position) return null;
-
-        const mesh = this.generateTextLabel(clean, height, rotation, position, color);
-
-        // Store original text for placeholder replacement
-        if (mesh) {
-            mesh.userData.originalText = clean;
+    // Text is stroke geometry (text-layout.js + stroke-font.js): it stays sharp at
+    // any zoom, takes the entity colour like other lines and prints in black.
+    createText(entity, color, dxf) {
+        if (!entity.text || !entity.startPoint) return null;
+
+        const style = this.getTextStyle(entity.styleName, dxf);
+        const halign = entity.halign || 0;
+        const valign = entity.valign || 0;
+        const flags = entity.generationFlag ?? style.textGenerationFlag ?? 0;
+
+        // Left/baseline text hangs on the start point (10), everything else on the
+        // alignment point (11); aligned and fit text runs from 10 to 11
+        let anchor = entity.startPoint;
+        let rotation = (entity.rotation || 0) * Math.PI / 180;
+        let length = 0;
+        if ((halign === 3 || halign === 5) && entity.endPoint) {
+            const dx = entity.endPoint.x - entity.startPoint.x;
+            const dy = entity.endPoint.y - entity.startPoint.y;
+            length = Math.hypot(dx, dy);
+            if (length > 0) rotation = Math.atan2(dy, dx);
+        } else if ((halign || valign) && entity.endPoint) {
+            anchor = entity.endPoint;
         }
 
-        return mesh;
+        const layout = layoutText(entity.text, {
+            ...this.textStyleOptions(style),
+            height: entity.textHeight || style.fixedTextHeight || 2.5,
+            widthFactor: entity.xScale || style.widthFactor || 1,
+            oblique: entity.obliqueAngle ?? style.obliqueAngle ?? 0,
+            halign,
+            valign,
+            length,
+            backward: !!(flags & 2),
+            upsideDown: !!(flags & 4)
+        });
+        return this.createTextObject(layout, color, anchor, rotation);
     }
 
-    generateTextLabel(text, height, rotation, position, colorVal) {
-        // Create canvas texture
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+    createMText(entity, color, dxf) {
+        const position = entity.insertionPoint;
+        if (!entity.text || !position) return null;
 
-        // Resolution multiplier for sharp text
-        const resMult = 4;
-        const fontSizePx = 80;
-
-        ctx.font = `Bold ${fontSizePx}px Arial`;
-        const metrics = ctx.measureText(text);
-        const textWidth = metrics.width;
-        const textHeight = fontSizePx * 1.4; // rough estimate
-
-        canvas.width = textWidth + 20; // Padding
-        canvas.height = textHeight;
-
-        // Transparent BG
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-        ctx.font = `Bold ${fontSizePx}px Arial`;
-
-        // Color
-        if (typeof colorVal === 'number') {
-            ctx.fillStyle = '#' + new THREE.Color(colorVal).getHexString();
-        } else if (colorVal && colorVal.isColor) {
-            ctx.fillStyle = '#' + colorVal.getHexString();
-        } else {
-            ctx.fillStyle = '#FFFFFF';
+        const style = this.getTextStyle(entity.styleName, dxf);
+        // The direction vector (11) wins over the rotation (50)
+        let rotation = (entity.rotation || 0) * Math.PI / 180;
+        if (entity.direction && (entity.direction.x || entity.direction.y)) {
+            rotation = Math.atan2(entity.direction.y, entity.direction.x);
         }
 
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(text, 10, canvas.height / 2); // 10px padding left
-
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.minFilter = THREE.LinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-
-        // Aspect Ratio
-        const aspect = canvas.width / canvas.height;
-
-        // World Size
-        // Height is world-space. Width = Height * aspect.
-        const w = height * aspect;
-        const h = height;
-
-        const geom = new THREE.PlaneGeometry(w, h);
-        const mat = new THREE.MeshBasicMaterial({
-            map: texture,
-            transparent: true,
-            alphaTest: 0.1,
-            side: THREE.DoubleSide
+        const layout = layoutMText(entity.text, {
+            ...this.textStyleOptions(style),
+            height: entity.height || style.fixedTextHeight || 2.5,
+            width: entity.width || 0,
+            attachment: entity.attachmentPoint || 1,
+            lineSpacing: entity.lineSpacing || 1
         });
+        return this.createTextObject(layout, color, position, rotation);
+    }
 
-        const mesh = new THREE.Mesh(geom, mat);
+    // STYLE table entry by name (case-insensitive), STANDARD when missing
+    getTextStyle(styleName, dxf) {
+        const entries = dxf?.tables?.STYLE?.entries || [];
+        const find = (name) => entries.find(s => s.name && s.name.toUpperCase() === name.toUpperCase());
+        return (styleName && find(styleName)) || find('STANDARD') || {};
+    }
 
-        // Position
-        // DXF InsertPoint is usually Bottom-Left (for Text) or Top-Left/Center (for MText depending on justification).
-        // Our Plane origin is Center.
-        // We need to offset?
-        // Let's assume InsertPoint corresponds to Center-Left vertical middle?
-        // For simple viewer, centering on InsertPoint or slightly offset is acceptable.
-        // To align Left-Middle:
-        // Mesh Center is at (0,0). Left edge is at -w/2.
-        // We want Left Edge at 0. So shift X by +w/2.
+    textStyleOptions(style) {
+        return {
+            font: style.font || null,
+            getFont,
+            widthFactor: style.widthFactor || 1,
+            oblique: style.obliqueAngle || 0
+        };
+    }
 
-        // Apply offset in geometry to make rotation easier?
-        geom.translate(w / 2, 0, 0); // Origin is now Left-Middle
+    // Layout segments -> LineSegments, one per colour (a Group when the MTEXT has \C runs)
+    createTextObject(layout, color, position, rotation = 0) {
+        const parts = [];
+        layout.segments.forEach((coords, key) => {
+            if (!coords.length) return;
+            const positions = new Float32Array(coords.length / 2 * 3);
+            for (let i = 0, j = 0; i < coords.length; i += 2, j += 3) {
+                positions[j] = coords[i];
+                positions[j + 1] = coords[i + 1];
+            }
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            const material = new THREE.LineBasicMaterial({ color: this.textRunColor(key, color) });
+            parts.push(new THREE.LineSegments(geometry, material));
+        });
+        if (parts.length === 0) return null;
 
-        if (position) {
-            mesh.position.set(position.x, position.y, position.z || 0.1);
+        let object = parts[0];
+        if (parts.length > 1) {
+            object = new THREE.Group();
+            parts.forEach(part => object.add(part));
         }
-
-        mesh.rotation.z = rotation;
-
-        return mesh;
+        object.position.set(position.x, position.y, position.z || 0);
+        object.rotation.z = rotation;
+        return object;
     }
 
+    textRunColor(key, color) {
+        if (key.startsWith('aci:')) return this.aciToHex(parseInt(key.slice(4), 10));
+        if (key.startsWith('rgb:')) return parseInt(key.slice(4), 10);
+        return color;
+    }
     // ------------------------------------------------------------
     // HATCH
     // ------------------------------------------------------------
@@ -1098,15 +1166,16 @@ export class DxfLoader {
 
         const idx = entity?.colorIndex;
 
-        // ByBlock
-        if (idx === 0) return 0xffffff;
+        // ByBlock: color of the INSERT that draws this entity
+        if (idx === 0) return this.blockContext ? this.blockContext.color : 0xffffff;
 
         // ByLayer
         if (idx == null || idx === 256) {
             // DXF parser stores layers in dxf.tables.LAYER.entries as an array
+            const layerName = this.effectiveLayer(entity);
             let layer = null;
             if (dxf?.tables?.LAYER?.entries) {
-                layer = dxf.tables.LAYER.entries.find(l => l.name === entity.layer);
+                layer = dxf.tables.LAYER.entries.find(l => l.name === layerName);
             }
 
             if (layer) {
@@ -1114,9 +1183,10 @@ export class DxfLoader {
                 if (layerTrue != null) return layerTrue;
                 const layerIdx = layer?.colorIndex ?? layer?.color;
                 //console.log(`🎨 Layer "${entity.layer}": colorIndex=${layerIdx}, layer=`, layer);
-                if (layerIdx != null) return this.aciToHex(layerIdx);
+                // Off layers keep their color as a negative index
+                if (layerIdx != null) return this.aciToHex(Math.abs(layerIdx));
             } else {
-                console.warn(`⚠️ Layer "${entity.layer}" not found in tables`);
+                console.warn(`⚠️ Layer "${layerName}" not found in tables`);
             }
 
             return this.aciToHex(7); // default white
@@ -1226,15 +1296,21 @@ export class DxfLoader {
 
 
     getLineType(entity, dxf) {
+        // ByBlock: linetype of the INSERT that draws this entity
+        if (entity.lineType && entity.lineType.toUpperCase() === 'BYBLOCK') {
+            return this.blockContext ? this.blockContext.lineType : 'CONTINUOUS';
+        }
+
         // Direct linetype on entity
-        if (entity.lineType && entity.lineType !== 'BYLAYER') {
+        if (entity.lineType && entity.lineType.toUpperCase() !== 'BYLAYER') {
             console.log(`🔧 Direct linetype: "${entity.lineType}" for layer ${entity.layer}`);
             return entity.lineType;
         }
 
         // ByLayer - get from layer definition
         if (dxf?.tables?.LAYER?.entries) {
-            const layer = dxf.tables.LAYER.entries.find(l => l.name === entity.layer);
+            const layerName = this.effectiveLayer(entity);
+            const layer = dxf.tables.LAYER.entries.find(l => l.name === layerName);
             if (layer?.lineType) {
                 console.log(`🔧 ByLayer linetype: "${layer.lineType}" for layer ${entity.layer}`);
                 return layer.lineType;
@@ -1292,73 +1368,14 @@ export class DxfLoader {
         return 0xFFFFFF; // default white
     }
 
-    getFontFamily(styleName) {
-        if (!styleName) return 'Arial, sans-serif';
-
-        const style = styleName.toUpperCase();
-
-        // Map common AutoCAD fonts to web fonts
-        const fontMap = {
-            'ROMANC': '"Times New Roman", serif',
-            'ROMANS': '"Times New Roman", serif',
-            'ROMANT': '"Times New Roman", serif',
-            'TIMES': '"Times New Roman", serif',
-            'ARIAL': 'Arial, sans-serif',
-            'STANDARD': 'Arial, sans-serif',
-            'SIMPLEX': 'Arial, sans-serif',
-            'COMPLEX': '"Times New Roman", serif',
-            'ITALIC': '"Times New Roman", italic, serif',
-            'COURIER': '"Courier New", monospace'
-        };
-
-        // Check for partial matches
-        for (const [key, value] of Object.entries(fontMap)) {
-            if (style.includes(key)) {
-                return value;
-            }
-        }
-
-        // Default fallback
-        return 'Arial, sans-serif';
-    }
-
-    createText(entity, color) {
-        if (!entity.text || !entity.startPoint) {
-            return null;
-        }
-
-        const text = entity.text;
-        const height = entity.textHeight || 10;
-        const position = entity.startPoint;
-        const rotation = entity.rotation || 0;
-
-        // Create canvas-based sprite with font style
-        const sprite = this.createTextSprite(text, height, color, entity.styleName);
-
-        // THREE.Sprite is centered by default, but AutoCAD TEXT uses bottom-left anchor
-        // Offset position to match AutoCAD behavior
-        const offsetX = sprite.scale.x / 2;  // Half width to right
-        const offsetY = sprite.scale.y / 2;  // Half height up
-
-        // Position with offset
-        sprite.position.set(
-            position.x + offsetX,
-            position.y + offsetY,
-            position.z || 0
-        );
-
-        // Rotation (DXF rotation is in degrees)
-        if (rotation !== 0) {
-            sprite.rotation.z = rotation * Math.PI / 180;
-        }
-
-        sprite.userData = { text, height };
-        return sprite;
-    }
-
+    // ------------------------------------------------------------
+    // BLOKLAR (INSERT / MINSERT / ATTRIB)
+    // ------------------------------------------------------------
+    // The returned group stays at identity so DxfWriter and the move/scale tools
+    // see the INSERT in its parent's coordinates. Each MINSERT cell is a child
+    // group carrying the block transform; attributes are already positioned
+    // by CAD and sit directly under the INSERT.
     createInsert(entity, dxf) {
-        // console.log('📦 INSERT entity:', entity);
-
         if (!entity.name || !entity.insertionPoint) {
             console.warn('❌ INSERT missing name or insertionPoint:', entity);
             return null;
@@ -1372,49 +1389,144 @@ export class DxfLoader {
             return null;
         }
 
-        // console.log(`📦 Rendering block "${blockName}" with ${block.entities.length} entities`);
-        // console.log('📦 Block data:', block);
+        // A block that (indirectly) inserts itself would never end
+        const parentContext = this.blockContext;
+        for (let c = parentContext; c; c = c.parent) {
+            if (c.name === blockName) {
+                console.warn(`❌ Block "${blockName}" references itself`);
+                return null;
+            }
+        }
+
+        // Resolved in the parent's context, so BYBLOCK chains up through nested inserts
+        const context = {
+            parent: parentContext,
+            name: blockName,
+            layer: this.effectiveLayer(entity),
+            color: this.getColor(entity, dxf),
+            lineType: this.getLineType(entity, dxf)
+        };
 
-        // Create group for this insert
         const group = new THREE.Group();
+        this.blockContext = context;
+        try {
+            const content = new THREE.Group();
+            for (const blockEntity of this.attachAttributes(block.entities)) {
+                try {
+                    const obj = this.convertEntity(blockEntity, dxf);
+                    if (obj) content.add(obj);
+                } catch (err) {
+                    console.warn('Failed to convert block entity:', blockEntity, err);
+                }
+            }
 
-        // Get block base point (block entities are relative to this)
-        const baseX = block.position?.x || block.basePoint?.x || 0;
-        const baseY = block.position?.y || block.basePoint?.y || 0;
-        const baseZ = block.position?.z || block.basePoint?.z || 0;
-        // console.log(`📦 Base point: (${baseX}, ${baseY}, ${baseZ})`);
+            // MINSERT: columns x rows copies sharing geometry
+            const columns = Math.max(1, entity.columnCount || 1);
+            const rows = Math.max(1, entity.rowCount || 1);
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < columns; col++) {
+                    const cell = (row === 0 && col === 0) ? content : content.clone();
+                    this.getInsertMatrix(entity, block, col, row).decompose(cell.position, cell.quaternion, cell.scale);
+                    group.add(cell);
+                }
+            }
 
-        // Render each entity in the block
-        for (const blockEntity of block.entities) {
-            try {
-                const obj = this.convertEntity(blockEntity, dxf);
-                if (obj) {
-                    // Do NOT offset - entities already have absolute positions
-                    group.add(obj);
+            for (const attrib of entity.attribs || []) {
+                try {
+                    const obj = this.convertEntity(attrib, dxf);
+                    if (obj) group.add(obj);
+                } catch (err) {
+                    console.warn('Failed to convert attribute:', attrib, err);
                 }
-            } catch (err) {
-                console.warn('Failed to convert block entity:', blockEntity, err);
             }
+        } finally {
+            this.blockContext = parentContext;
         }
 
-        // Apply INSERT transforms
-        const pos = entity.insertionPoint || entity.position;
-        group.position.set(pos.x, pos.y, pos.z || 0);
+        return group;
+    }
+
+    // Block -> parent coordinates for one MINSERT cell:
+    // OCS · T(insertionPoint) · Rz(rotation) · T(cell offset) · S(scale) · T(-basePoint)
+    getInsertMatrix(entity, block, col = 0, row = 0) {
+        const base = block.position || block.basePoint || { x: 0, y: 0, z: 0 };
+        const pos = entity.insertionPoint;
+        const scaleX = entity.xScale || entity.scaleX || 1;
+        const scaleY = entity.yScale || entity.scaleY || 1;
+        const scaleZ = entity.zScale || entity.scaleZ || 1;
+
+        return this.ocsMatrix(entity.extrusionDirection)
+            .multiply(new THREE.Matrix4().makeTranslation(pos.x, pos.y, pos.z || 0))
+            .multiply(new THREE.Matrix4().makeRotationZ((entity.rotation || 0) * Math.PI / 180))
+            .multiply(new THREE.Matrix4().makeTranslation(col * (entity.columnSpacing || 0), row * (entity.rowSpacing || 0), 0))
+            .multiply(new THREE.Matrix4().makeScale(scaleX, scaleY, scaleZ))
+            .multiply(new THREE.Matrix4().makeTranslation(-base.x, -base.y, -(base.z || 0)));
+    }
+
+    // DXF "arbitrary axis algorithm": OCS -> WCS for an extrusion direction
+    ocsMatrix(normal) {
+        const m = new THREE.Matrix4();
+        if (!normal) return m;
+        const n = new THREE.Vector3(normal.x || 0, normal.y || 0, normal.z ?? 1);
+        if (n.lengthSq() < 1e-20) return m;
+        n.normalize();
+        if (Math.abs(n.z - 1) < 1e-12) return m;
+
+        const ax = (Math.abs(n.x) < 1 / 64 && Math.abs(n.y) < 1 / 64)
+            ? new THREE.Vector3(0, 1, 0).cross(n)
+            : new THREE.Vector3(0, 0, 1).cross(n);
+        ax.normalize();
+        const ay = n.clone().cross(ax).normalize();
+        return m.makeBasis(ax, ay, n);
+    }
+
+    // Inside a block, layer "0" means "the layer of the INSERT"
+    effectiveLayer(entity) {
+        const layer = entity.layer || '0';
+        return (layer === '0' && this.blockContext) ? this.blockContext.layer : layer;
+    }
 
-        // Rotation (DXF rotation in degrees)
-        if (entity.rotation) {
-            group.rotation.z = entity.rotation * Math.PI / 180;
+    // dxf-json lists ATTRIBs as siblings after their INSERT (66 = 1); move them
+    // into insert.attribs so they are drawn and exported with the block reference
+    attachAttributes(entities) {
+        const result = [];
+        let owner = null;
+        for (const ent of entities || []) {
+            if (ent.type === 'ATTRIB') {
+                if (owner) {
+                    if (!owner.attribs.includes(ent)) owner.attribs.push(ent);
+                } else {
+                    result.push(ent); // Orphan attribute: draw it on its own
+                }
+                continue;
+            }
+            owner = null;
+            if (ent.type === 'INSERT' && ent.isVariableAttributes) {
+                if (!Array.isArray(ent.attribs)) ent.attribs = [];
+                owner = ent;
+            }
+            result.push(ent);
         }
+        return result;
+    }
 
-        // Scale
-        const scaleX = entity.scaleX || entity.xScale || 1;
-        const scaleY = entity.scaleY || entity.yScale || 1;
-        const scaleZ = entity.scaleZ || entity.zScale || 1;
-        group.scale.set(scaleX, scaleY, scaleZ);
+    createAttribute(entity, color, dxf) {
+        const flags = entity.attributeFlag || 0;
+        if (flags & 1) return null; // Invisible
 
-        // console.log(`✅ INSERT rendered at (${pos.x}, ${pos.y}), rotation: ${entity.rotation || 0}°`);
+        let text = entity.text;
+        if (entity.type === 'ATTDEF') {
+            // Inside a block each INSERT brings its own ATTRIB value; only constant
+            // definitions are drawn. Outside a block CAD shows the tag.
+            if (this.blockContext) {
+                if (!(flags & 2)) return null;
+            } else {
+                text = entity.tag;
+            }
+        }
+        if (!text) return null;
 
-        return group;
+        return this.createText({ ...entity, text, styleName: entity.styleName || entity.textStyle }, color, dxf);
     }
 
     createDimension(entity, color, dxf) {
@@ -1760,17 +1872,10 @@ export class DxfLoader {
             textVal = measurementValue.toFixed(2);
         } else if (textVal.includes('<>')) {
             textVal = textVal.replace('<>', measurementValue.toFixed(2));
-            textVal = textVal.replace(/\\[A-Za-z0-9]+;/g, '');
         } else {
             isOverridden = true;
-            textVal = textVal.replace(/\\[A-Za-z0-9]+;/g, '');
-        }
-
-        if (textVal) {
-            textVal = textVal.replace(/%%d/gi, '°');
-            textVal = textVal.replace(/%%p/gi, '±');
-            textVal = textVal.replace(/%%c/gi, 'Ø');
         }
+        // MTEXT codes (\S tolerances, \P) and %%c / %%d / %%p are handled by the text layout
 
         // ---- TEXT POSITION: constant gap from dimension line ----
         // Project textPt onto dimension line (through dimPt1, direction u)
@@ -1810,85 +1915,16 @@ export class DxfLoader {
             addLine(dimPt2, proj);
         }
 
-        // text sprite
+        // text, centered on the computed position and aligned with the dimension line
         const textColor = isOverridden ? 0xFF0000 : color;
-        const textSprite = this.createTextSprite(textVal, vars.DIMTXT, textColor, entity.styleName);
-
-        // place centered on computed pos (sprite is already centered)
-        textSprite.position.set(textPos.x, textPos.y, 0);
-
-        // rotation: keep aligned with dimension line
-        if (textSprite.material && typeof textSprite.material.rotation === 'number') {
-            textSprite.material.rotation = dimAngle;
-        } else if (textSprite.rotation) {
-            textSprite.rotation.z = dimAngle;
-        }
-
-        group.add(textSprite);
-
-        return group;
-    }
-
-
-    createTextSprite(text, height, color, styleName = null) {
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-
-        // Map DXF font styles to web fonts
-        const fontFamily = this.getFontFamily(styleName);
-
-        // High resolution for quality
-        const fontSize = height * 8; // Scale up for better quality
-        const font = `${fontSize}px ${fontFamily}`;
-        context.font = font;
-
-        // Measure text
-        const metrics = context.measureText(text);
-        const textWidth = metrics.width;
-
-        // Set canvas size with padding
-        const padding = fontSize * 0.1; // Small padding
-        canvas.width = textWidth + padding * 2;
-        canvas.height = fontSize + padding * 2;
-
-        // Re-set font after canvas resize
-        context.font = font;
-        context.textAlign = 'left';
-        context.textBaseline = 'top';
-
-        // Fill background (transparent)
-        context.clearRect(0, 0, canvas.width, canvas.height);
-
-        // Draw text
-        const hexColor = '#' + color.toString(16).padStart(6, '0');
-        context.fillStyle = hexColor;
-        context.fillText(text, padding, padding);
-
-        // Create texture
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.needsUpdate = true;
-
-        // Create sprite material
-        const spriteMaterial = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            depthTest: false  // Always render on top
+        const layout = layoutMText(textVal, {
+            ...this.textStyleOptions(this.getTextStyle(null, dxf)),
+            height: vars.DIMTXT,
+            attachment: 5
         });
+        const textObject = this.createTextObject(layout, textColor, textPos, dimAngle);
+        if (textObject) group.add(textObject);
 
-        const sprite = new THREE.Sprite(spriteMaterial);
-
-        // Scale sprite to match text height in world units
-        // fontSize (on canvas) should equal 'height' (in world)
-        // Canvas is scaled 8x (fontSize = height * 8)
-        // So sprite height should be: canvas.height * (height / fontSize)
-        const aspect = canvas.width / canvas.height;
-        const spriteHeight = canvas.height * (height / fontSize);
-        sprite.scale.set(spriteHeight * aspect, spriteHeight, 1);
-
-        // Ensure sprite renders on top
-        sprite.renderOrder = 1000;
-
-        return sprite;
+        return group;
     }
 }
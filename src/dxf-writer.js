@@ -0,0 +1,1157 @@
+import * as THREE from 'three';
+import { DxfLoader } from './dxf-loader.js';
+
+// Dash/gap lengths DxfLoader falls back to for these names
+const STANDARD_LINETYPE_PATTERNS = {
+    DASHED: [5, -3],
+    HIDDEN: [2.5, -1.25],
+    CENTER: [12.7, -3.175],
+    PHANTOM: [12.7, -2.54],
+    DOT: [0, -1.588],
+    DASHDOT: [6.35, -1.588],
+    BORDER: [12.7, -3.175],
+    DIVIDE: [12.7, -2.54]
+};
+
+// Serializes the scene content of a tab back into an ASCII DXF (AC1015).
+// Entity data comes from each object's userData.entity (kept in sync by
+// CmdScale / WeightManager merges); header, tables and block definitions
+// come from the originally parsed DXF so the file round-trips into CAD.
+export class DxfWriter {
+    constructor() {
+        this.out = [];
+        this.handleSeed = 0x20;
+    }
+
+    write(group, dxf = null, options = {}) {
+        this.out = [];
+        this.handleSeed = 0x20;
+        this.dxf = dxf || {};
+        this.layerStates = options.layerStates || null;
+        // XDATA is only written for applications registered here (see writeXData)
+        this.appIds = new Set(options.appIds || []);
+
+        const entities = this.collectEntities(group).concat(options.extraEntities || []);
+        this.extraBlocks = this.createDimensionBlocks(entities);
+
+        // Body first: $HANDSEED in the header must be known after all handles are given out
+        const body = this.captureSection(() => {
+            this.writeTables(entities);
+            this.writeBlocks();
+            this.writeEntities(entities);
+            this.writeObjects();
+        });
+
+        const header = this.captureSection(() => this.writeHeader(group));
+        return header.concat(body, ['0', 'EOF']).join('\r\n') + '\r\n';
+    }
+
+    captureSection(fn) {
+        const saved = this.out;
+        this.out = [];
+        fn();
+        const result = this.out;
+        this.out = saved;
+        return result;
+    }
+
+    // ------------------------------------------------------------
+    // SCENE -> ENTITY DATA
+    // ------------------------------------------------------------
+    collectEntities(group) {
+        const entities = [];
+        if (!group) return entities;
+
+        for (const child of group.children) {
+            const data = child.userData;
+            if (!data || !data.entity || data.isDeleted) continue;
+
+            child.updateMatrix();
+            let entity = data.entity;
+            // The loader may already have placed the object (text sprites);
+            // only what changed since then belongs in the entity data.
+            let matrix = child.matrix;
+            if (data.sourceMatrix) {
+                const source = new THREE.Matrix4().fromArray(data.sourceMatrix);
+                matrix = child.matrix.clone().multiply(source.invert());
+            }
+            if (!this.isIdentity(matrix)) {
+                entity = this.transformEntity(entity, matrix);
+            }
+
+            // Pasted/reconstructed objects may carry their layer only on userData
+            if (data.layer && entity.layer !== data.layer) {
+                entity = { ...entity, layer: data.layer };
+            }
+            entities.push(entity);
+        }
+        return entities;
+    }
+
+    // Generated dimensions carry their geometry inline (blockEntities);
+    // CAD expects it in an anonymous *D block referenced by group 2.
+    createDimensionBlocks(entities) {
+        const used = new Set(Object.keys(this.dxf.blocks || {}).map(n => n.toUpperCase()));
+        const blocks = [];
+        let index = 1;
+
+        for (const ent of entities) {
+            if (ent.type !== 'DIMENSION' || ent.name || !ent.blockEntities) continue;
+            while (used.has(`*D${index}`)) index++;
+            ent.name = `*D${index}`;
+            used.add(ent.name);
+            blocks.push({ name: ent.name, position: { x: 0, y: 0, z: 0 }, type: 1, entities: ent.blockEntities });
+        }
+        return blocks;
+    }
+
+    isIdentity(matrix) {
+        const e = matrix.elements;
+        const id = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+        return e.every((v, i) => Math.abs(v - id[i]) < 1e-12);
+    }
+
+    // Bakes an object transform (placed templates, floating merges) into entity coordinates
+    transformEntity(source, matrix) {
+        const ent = JSON.parse(JSON.stringify(source));
+        const e = matrix.elements;
+        const det = e[0] * e[5] - e[1] * e[4];
+        const scale = Math.sqrt(Math.abs(det));
+        const rotation = Math.atan2(e[1], e[0]) * 180 / Math.PI;
+        const mirrored = det < 0;
+
+        const point = (p) => {
+            if (!p) return;
+            const v = new THREE.Vector3(p.x, p.y, p.z || 0).applyMatrix4(matrix);
+            p.x = v.x;
+            p.y = v.y;
+            if (p.z !== undefined) p.z = v.z;
+        };
+        const vector = (p) => {
+            if (!p) return;
+            const v = new THREE.Vector3(p.x, p.y, p.z || 0).transformDirection(matrix).multiplyScalar(
+                Math.hypot(p.x, p.y, p.z || 0) * scale
+            );
+            p.x = v.x;
+            p.y = v.y;
+            if (p.z !== undefined) p.z = v.z;
+        };
+        const arcAngles = (center, radius, startDeg, endDeg) => {
+            const at = (deg) => ({
+                x: center.x + radius * Math.cos(deg * Math.PI / 180),
+                y: center.y + radius * Math.sin(deg * Math.PI / 180)
+            });
+            const s = at(startDeg);
+            const t = at(endDeg);
+            const c = { x: center.x, y: center.y };
+            point(s); point(t); point(c);
+            const a1 = Math.atan2(s.y - c.y, s.x - c.x) * 180 / Math.PI;
+            const a2 = Math.atan2(t.y - c.y, t.x - c.x) * 180 / Math.PI;
+            // A mirror reverses the sweep direction
+            return mirrored ? [a2, a1] : [a1, a2];
+        };
+
+        switch (ent.type) {
+            case 'LINE':
+                point(ent.startPoint);
+                point(ent.endPoint);
+                break;
+            case 'CIRCLE':
+                point(ent.center);
+                ent.radius *= scale;
+                break;
+            case 'ARC': {
+                const [s, t] = arcAngles(ent.center, ent.radius, ent.startAngle, ent.endAngle);
+                point(ent.center);
+                ent.radius *= scale;
+                ent.startAngle = s;
+                ent.endAngle = t;
+                break;
+            }
+            case 'LWPOLYLINE':
+            case 'POLYLINE':
+                (ent.vertices || []).forEach(v => {
+                    point(v);
+                    if (mirrored && v.bulge) v.bulge = -v.bulge;
+                });
+                break;
+            case 'ELLIPSE':
+                point(ent.center);
+                vector(ent.majorAxisEndPoint);
+                if (mirrored) {
+                    const start = ent.startAngle;
+                    ent.startAngle = 2 * Math.PI - ent.endAngle;
+                    ent.endAngle = 2 * Math.PI - start;
+                }
+                break;
+            case 'SPLINE':
+                (ent.controlPoints || []).forEach(point);
+                (ent.fitPoints || []).forEach(point);
+                vector(ent.startTangent);
+                vector(ent.endTangent);
+                break;
+            case 'POINT':
+                point(ent.position);
+                break;
+            case 'SOLID':
+                (ent.points || []).forEach(point);
+                break;
+            case '3DFACE':
+                (ent.vertices || []).forEach(point);
+                break;
+            case 'TEXT':
+            case 'ATTRIB':
+            case 'ATTDEF':
+                point(ent.startPoint);
+                point(ent.endPoint);
+                point(ent.alignmentPoint);
+                ent.textHeight = (ent.textHeight || 0) * scale;
+                ent.rotation = (ent.rotation || 0) + rotation;
+                break;
+            case 'MTEXT':
+                point(ent.insertionPoint);
+                ent.height = (ent.height || 0) * scale;
+                if (ent.width) ent.width *= scale;
+                if (ent.direction) vector(ent.direction);
+                else ent.rotation = (ent.rotation || 0) + rotation;
+                break;
+            case 'INSERT':
+                point(ent.insertionPoint);
+                ent.xScale = (ent.xScale ?? 1) * scale * (mirrored ? -1 : 1);
+                ent.yScale = (ent.yScale ?? 1) * scale;
+                ent.zScale = (ent.zScale ?? 1) * scale;
+                ent.rotation = (ent.rotation || 0) + rotation;
+                if (ent.columnSpacing) ent.columnSpacing *= scale;
+                if (ent.rowSpacing) ent.rowSpacing *= scale;
+                // Attributes are stored in the INSERT's parent coordinates
+                if (Array.isArray(ent.attribs)) ent.attribs = ent.attribs.map(a => this.transformEntity(a, matrix));
+                break;
+            case 'DIMENSION':
+                ['definitionPoint', 'textPoint', 'insertionPoint', 'subDefinitionPoint1',
+                    'subDefinitionPoint2', 'subDefinitionPoint', 'centerPoint', 'arcPoint'].forEach(k => point(ent[k]));
+                if (ent.leaderLength) ent.leaderLength *= scale;
+                if (ent.rotationAngle !== undefined) ent.rotationAngle += rotation;
+                break;
+            case 'HATCH':
+                (ent.boundaryPaths || []).forEach(path => {
+                    (path.vertices || []).forEach(v => {
+                        point(v);
+                        if (mirrored && v.bulge) v.bulge = -v.bulge;
+                    });
+                    (path.edges || []).forEach(edge => {
+                        point(edge.start);
+                        point(edge.end);
+                        if (edge.type === 2) {
+                            const [s, t] = arcAngles(edge.center, edge.radius, edge.startAngle, edge.endAngle);
+                            edge.startAngle = s;
+                            edge.endAngle = t;
+                            edge.radius *= scale;
+                        }
+                        point(edge.center);
+                        (edge.controlPoints || []).forEach(point);
+                    });
+                });
+                break;
+        }
+        return ent;
+    }
+
+    // ------------------------------------------------------------
+    // LOW LEVEL
+    // ------------------------------------------------------------
+    nextHandle() {
+        return (this.handleSeed++).toString(16).toUpperCase();
+    }
+
+    isFloatCode(code) {
+        return (code >= 10 && code <= 59) || (code >= 110 && code <= 149) ||
+            (code >= 210 && code <= 239) || (code >= 460 && code <= 469) ||
+            (code >= 1010 && code <= 1059);
+    }
+
+    formatNumber(value) {
+        if (!Number.isFinite(value) || Math.abs(value) < 1e-12) return '0.0';
+        const s = value.toFixed(10).replace(/0+$/, '');
+        return s.endsWith('.') ? s + '0' : s;
+    }
+
+    // Non-ASCII characters are written as \U+XXXX (one code per code point, so characters
+    // outside the BMP are not split into surrogates) so the file is code-page independent.
+    // A line break would end the group value; only MTEXT turns it into \P (see writeMText).
+    encodeString(value) {
+        return String(value ?? '')
+            .replace(/\r?\n/g, ' ')
+            .replace(/[^\x00-\x7F]/gu, ch => '\\U+' + ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'));
+    }
+
+    group(code, value) {
+        let text;
+        if (this.isFloatCode(code)) {
+            text = this.formatNumber(Number(value) || 0);
+        } else if (typeof value === 'number') {
+            text = String(Math.round(value));
+        } else {
+            text = this.encodeString(value);
+        }
+        this.out.push(String(code), text);
+    }
+
+    point(code, p) {
+        this.group(code, p?.x ?? 0);
+        this.group(code + 10, p?.y ?? 0);
+        this.group(code + 20, p?.z ?? 0);
+    }
+
+    point2D(code, p) {
+        this.group(code, p?.x ?? 0);
+        this.group(code + 10, p?.y ?? 0);
+    }
+
+    // ------------------------------------------------------------
+    // HEADER
+    // ------------------------------------------------------------
+    writeHeader(group) {
+        const src = this.dxf.header || {};
+        const box = group ? new THREE.Box3().setFromObject(group) : new THREE.Box3();
+        const hasBox = !box.isEmpty();
+
+        this.group(0, 'SECTION');
+        this.group(2, 'HEADER');
+
+        this.group(9, '$ACADVER');
+        this.group(1, 'AC1015');
+        this.group(9, '$HANDSEED');
+        this.group(5, this.nextHandle());
+        this.group(9, '$INSBASE');
+        this.point(10, src.$INSBASE);
+        this.group(9, '$EXTMIN');
+        this.point(10, hasBox ? box.min : src.$EXTMIN);
+        this.group(9, '$EXTMAX');
+        this.point(10, hasBox ? box.max : src.$EXTMAX);
+        this.group(9, '$LTSCALE');
+        this.group(40, src.$LTSCALE ?? 1);
+
+        const ints = ['$INSUNITS', '$MEASUREMENT', '$LUNITS', '$LUPREC', '$AUNITS', '$AUPREC'];
+        for (const name of ints) {
+            if (typeof src[name] === 'number') {
+                this.group(9, name);
+                this.group(70, src[name]);
+            }
+        }
+        const floats = ['$DIMSCALE', '$TEXTSIZE', '$PDSIZE'];
+        for (const name of floats) {
+            if (typeof src[name] === 'number') {
+                this.group(9, name);
+                this.group(40, src[name]);
+            }
+        }
+        if (src.$TEXTSTYLE) {
+            this.group(9, '$TEXTSTYLE');
+            this.group(7, src.$TEXTSTYLE);
+        }
+        if (src.$DIMSTYLE) {
+            this.group(9, '$DIMSTYLE');
+            this.group(2, src.$DIMSTYLE);
+        }
+
+        this.group(0, 'ENDSEC');
+    }
+
+    // ------------------------------------------------------------
+    // TABLES
+    // ------------------------------------------------------------
+    tableEntries(name) {
+        return this.dxf.tables?.[name]?.entries || [];
+    }
+
+    beginTable(name, count) {
+        const handle = this.nextHandle();
+        this.group(0, 'TABLE');
+        this.group(2, name);
+        this.group(5, handle);
+        this.group(330, '0');
+        this.group(100, 'AcDbSymbolTable');
+        this.group(70, count);
+        return handle;
+    }
+
+    beginRecord(type, owner, subclass, handleCode = 5) {
+        const handle = this.nextHandle();
+        this.group(0, type);
+        this.group(handleCode, handle);
+        this.group(330, owner);
+        this.group(100, 'AcDbSymbolTableRecord');
+        this.group(100, subclass);
+        return handle;
+    }
+
+    writeTables(entities) {
+        this.group(0, 'SECTION');
+        this.group(2, 'TABLES');
+
+        this.writeVportTable();
+        this.writeLtypeTable(entities);
+        this.writeLayerTable(entities);
+        this.writeStyleTable(entities);
+
+        this.beginTable('VIEW', 0);
+        this.group(0, 'ENDTAB');
+        this.beginTable('UCS', 0);
+        this.group(0, 'ENDTAB');
+
+        const appNames = ['ACAD', ...[...this.appIds].filter(name => name !== 'ACAD')];
+        const appTable = this.beginTable('APPID', appNames.length);
+        for (const name of appNames) {
+            this.beginRecord('APPID', appTable, 'AcDbRegAppTableRecord');
+            this.group(2, name);
+            this.group(70, 0);
+        }
+        this.group(0, 'ENDTAB');
+
+        this.writeDimstyleTable(entities);
+        this.writeBlockRecordTable();
+
+        this.group(0, 'ENDSEC');
+    }
+
+    writeVportTable() {
+        const header = this.dxf.header || {};
+        const min = header.$EXTMIN || { x: 0, y: 0 };
+        const max = header.$EXTMAX || { x: 100, y: 100 };
+
+        const owner = this.beginTable('VPORT', 1);
+        this.beginRecord('VPORT', owner, 'AcDbViewportTableRecord');
+        this.group(2, '*Active');
+        this.group(70, 0);
+        this.point2D(10, { x: 0, y: 0 });
+        this.point2D(11, { x: 1, y: 1 });
+        this.point2D(12, { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2 });
+        this.group(40, Math.max(Math.abs(max.y - min.y), 1));
+        this.group(41, 1.5);
+        this.group(0, 'ENDTAB');
+    }
+
+    writeLtypeTable(entities) {
+        const entries = this.tableEntries('LTYPE')
+            .filter(lt => !['BYBLOCK', 'BYLAYER', 'CONTINUOUS'].includes((lt.name || '').toUpperCase()));
+        const known = new Set(['BYBLOCK', 'BYLAYER', 'CONTINUOUS', ...entries.map(lt => lt.name.toUpperCase())]);
+
+        // Referenced but undefined linetypes get a definition so the file stays valid
+        const missing = new Set();
+        const referenced = [
+            ...entities.map(e => e.lineType),
+            ...this.tableEntries('LAYER').map(l => l.lineType),
+            ...[...(this.layerStates ? this.layerStates.values() : [])].map(s => s.lineType)
+        ];
+        for (const name of referenced) {
+            if (name && !known.has(name.toUpperCase())) missing.add(name);
+        }
+
+        const owner = this.beginTable('LTYPE', entries.length + missing.size + 3);
+
+        for (const name of ['ByBlock', 'ByLayer', 'Continuous']) {
+            this.beginRecord('LTYPE', owner, 'AcDbLinetypeTableRecord');
+            this.group(2, name);
+            this.group(70, 0);
+            this.group(3, name === 'Continuous' ? 'Solid line' : '');
+            this.group(72, 65);
+            this.group(73, 0);
+            this.group(40, 0);
+        }
+
+        for (const lt of entries) {
+            const pattern = (lt.pattern || []).map(p => typeof p === 'number' ? p : p.elementLength ?? 0);
+            this.beginRecord('LTYPE', owner, 'AcDbLinetypeTableRecord');
+            this.group(2, lt.name);
+            this.group(70, lt.standardFlag || 0);
+            this.group(3, lt.description || '');
+            this.group(72, 65);
+            this.group(73, pattern.length);
+            this.group(40, lt.totalPatternLength ?? pattern.reduce((s, v) => s + Math.abs(v), 0));
+            for (const len of pattern) {
+                this.group(49, len);
+                this.group(74, 0);
+            }
+        }
+
+        for (const name of missing) {
+            // Standard linetypes picked in the layer manager get the pattern the viewer draws
+            const pattern = STANDARD_LINETYPE_PATTERNS[name.toUpperCase()] || [];
+            this.beginRecord('LTYPE', owner, 'AcDbLinetypeTableRecord');
+            this.group(2, name);
+            this.group(70, 0);
+            this.group(3, '');
+            this.group(72, 65);
+            this.group(73, pattern.length);
+            this.group(40, pattern.reduce((s, v) => s + Math.abs(v), 0));
+            for (const len of pattern) {
+                this.group(49, len);
+                this.group(74, 0);
+            }
+        }
+        this.group(0, 'ENDTAB');
+    }
+
+    writeLayerTable(entities) {
+        const layers = new Map();
+        layers.set('0', { name: '0', colorIndex: 7, lineType: 'Continuous' });
+        for (const layer of this.tableEntries('LAYER')) {
+            layers.set(layer.name, layer);
+        }
+        for (const ent of entities) {
+            const name = ent.layer || '0';
+            if (!layers.has(name)) layers.set(name, { name, colorIndex: 7, lineType: 'Continuous' });
+        }
+
+        const owner = this.beginTable('LAYER', layers.size);
+        for (const layer of layers.values()) {
+            const state = this.layerStates?.get(layer.name);
+            let color = Math.abs(layer.colorIndex ?? 7) || 7;
+            // Hidden layers are stored as "off" (negative color), the same way CAD does
+            if (state ? state.visible === false : layer.colorIndex < 0) color = -color;
+
+            // Frozen (1) and locked (4) flags come from the layer manager when it knows the layer
+            let flags = layer.standardFlag || 0;
+            if (state) flags = (flags & ~5) | (state.frozen ? 1 : 0) | (state.locked ? 4 : 0);
+
+            let trueColor = typeof layer.color === 'number' && layer.color > 0xff ? layer.color & 0xffffff : null;
+            if (state && state.color) {
+                trueColor = parseInt(state.color.slice(1), 16);
+                // Readers without true color support get the closest palette color
+                color = Math.sign(color) * this.nearestAci(trueColor);
+            }
+
+            this.beginRecord('LAYER', owner, 'AcDbLayerTableRecord');
+            this.group(2, layer.name);
+            this.group(70, flags);
+            this.group(62, color);
+            this.group(6, (state && state.lineType) || layer.lineType || 'Continuous');
+            this.group(370, layer.lineweight ?? -3);
+            // Last on purpose: dxf-json stops reading a layer record at 420
+            if (trueColor !== null) this.group(420, trueColor);
+        }
+        this.group(0, 'ENDTAB');
+    }
+
+    nearestAci(rgb) {
+        if (!this.aciPalette) {
+            const loader = new DxfLoader();
+            this.aciPalette = Array.from({ length: 255 }, (_, i) => loader.aciToHex(i + 1));
+        }
+        let best = 7;
+        let bestDist = Infinity;
+        this.aciPalette.forEach((hex, i) => {
+            const dr = ((hex >> 16) & 0xff) - ((rgb >> 16) & 0xff);
+            const dg = ((hex >> 8) & 0xff) - ((rgb >> 8) & 0xff);
+            const db = (hex & 0xff) - (rgb & 0xff);
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i + 1;
+            }
+        });
+        return best;
+    }
+
+    writeStyleTable(entities) {
+        const styles = new Map();
+        styles.set('STANDARD', { name: 'Standard', font: 'txt' });
+        for (const style of this.tableEntries('STYLE')) {
+            styles.set(style.name.toUpperCase(), style);
+        }
+        for (const ent of entities) {
+            if ((ent.type === 'TEXT' || ent.type === 'MTEXT') && ent.styleName && !styles.has(ent.styleName.toUpperCase())) {
+                styles.set(ent.styleName.toUpperCase(), { name: ent.styleName, font: 'txt' });
+            }
+        }
+
+        const owner = this.beginTable('STYLE', styles.size);
+        for (const style of styles.values()) {
+            this.beginRecord('STYLE', owner, 'AcDbTextStyleTableRecord');
+            this.group(2, style.name);
+            this.group(70, style.standardFlag || 0);
+            this.group(40, style.fixedTextHeight || 0);
+            this.group(41, style.widthFactor || 1);
+            this.group(50, style.obliqueAngle || 0);
+            this.group(71, style.textGenerationFlag || 0);
+            this.group(42, style.lastHeight || 2.5);
+            this.group(3, style.font || 'txt');
+            this.group(4, style.bigFont || '');
+        }
+        this.group(0, 'ENDTAB');
+    }
+
+    writeDimstyleTable(entities) {
+        const names = new Set(['Standard']);
+        for (const ds of this.tableEntries('DIMSTYLE')) {
+            if (ds.name) names.add(ds.name);
+        }
+        for (const ent of entities) {
+            if (ent.type === 'DIMENSION' && ent.styleName) names.add(ent.styleName);
+        }
+
+        const owner = this.beginTable('DIMSTYLE', names.size);
+        this.group(100, 'AcDbDimStyleTable');
+        for (const name of names) {
+            // DIMSTYLE records use group 105 for their handle
+            this.beginRecord('DIMSTYLE', owner, 'AcDbDimStyleTableRecord', 105);
+            this.group(2, name);
+            this.group(70, 0);
+        }
+        this.group(0, 'ENDTAB');
+    }
+
+    blockDefinitions() {
+        const blocks = this.dxf.blocks || {};
+        return Object.values(blocks)
+            .filter(b => b && b.name && !this.isLayoutBlock(b.name))
+            .concat(this.extraBlocks || []);
+    }
+
+    isLayoutBlock(name) {
+        const upper = name.toUpperCase();
+        return upper.startsWith('*MODEL_SPACE') || upper.startsWith('*PAPER_SPACE');
+    }
+
+    writeBlockRecordTable() {
+        const names = ['*Model_Space', '*Paper_Space', ...this.blockDefinitions().map(b => b.name)];
+        this.blockRecords = new Map();
+
+        const owner = this.beginTable('BLOCK_RECORD', names.length);
+        for (const name of names) {
+            const handle = this.beginRecord('BLOCK_RECORD', owner, 'AcDbBlockTableRecord');
+            this.group(2, name);
+            this.blockRecords.set(name, handle);
+        }
+        this.group(0, 'ENDTAB');
+    }
+
+    // ------------------------------------------------------------
+    // BLOCKS / ENTITIES / OBJECTS
+    // ------------------------------------------------------------
+    writeBlock(name, basePoint, flags, entities, layer = '0') {
+        const owner = this.blockRecords.get(name);
+
+        this.group(0, 'BLOCK');
+        this.group(5, this.nextHandle());
+        this.group(330, owner);
+        this.group(100, 'AcDbEntity');
+        this.group(8, layer);
+        this.group(100, 'AcDbBlockBegin');
+        this.group(2, name);
+        this.group(70, flags);
+        this.point(10, basePoint);
+        this.group(3, name);
+        this.group(1, '');
+
+        for (const ent of entities) this.writeEntity(ent, owner);
+
+        this.group(0, 'ENDBLK');
+        this.group(5, this.nextHandle());
+        this.group(330, owner);
+        this.group(100, 'AcDbEntity');
+        this.group(8, layer);
+        this.group(100, 'AcDbBlockEnd');
+    }
+
+    writeBlocks() {
+        this.group(0, 'SECTION');
+        this.group(2, 'BLOCKS');
+
+        this.writeBlock('*Model_Space', null, 0, []);
+        this.writeBlock('*Paper_Space', null, 0, []);
+        for (const block of this.blockDefinitions()) {
+            // XREF blocks (bits 4/8) would need a path; export them as plain blocks
+            const flags = (block.type || 0) & ~(4 | 8 | 16 | 32);
+            this.writeBlock(block.name, block.position, flags, block.entities || [], block.layer || '0');
+        }
+
+        this.group(0, 'ENDSEC');
+    }
+
+    writeEntities(entities) {
+        const owner = this.blockRecords.get('*Model_Space');
+
+        this.group(0, 'SECTION');
+        this.group(2, 'ENTITIES');
+        for (const ent of entities) this.writeEntity(ent, owner);
+        this.group(0, 'ENDSEC');
+    }
+
+    writeObjects() {
+        const root = this.nextHandle();
+        const groups = this.nextHandle();
+
+        this.group(0, 'SECTION');
+        this.group(2, 'OBJECTS');
+
+        this.group(0, 'DICTIONARY');
+        this.group(5, root);
+        this.group(330, '0');
+        this.group(100, 'AcDbDictionary');
+        this.group(281, 1);
+        this.group(3, 'ACAD_GROUP');
+        this.group(350, groups);
+
+        this.group(0, 'DICTIONARY');
+        this.group(5, groups);
+        this.group(330, root);
+        this.group(100, 'AcDbDictionary');
+        this.group(281, 1);
+
+        this.group(0, 'ENDSEC');
+    }
+
+    // ------------------------------------------------------------
+    // ENTITY RECORDS
+    // ------------------------------------------------------------
+    writeEntityHeader(type, ent, owner) {
+        const handle = this.nextHandle();
+        this.group(0, type);
+        this.group(5, handle);
+        this.group(330, owner);
+        this.group(100, 'AcDbEntity');
+        if (ent.isInPaperSpace) this.group(67, 1);
+        this.group(8, ent.layer || '0');
+        if (ent.lineType) this.group(6, ent.lineType);
+        if (ent.colorIndex !== undefined && ent.colorIndex !== null) this.group(62, ent.colorIndex);
+        if (typeof ent.color === 'number' && ent.color >= 0) this.group(420, ent.color & 0xffffff);
+        if (ent.lineweight !== undefined && ent.lineweight !== null) this.group(370, ent.lineweight);
+        if (ent.lineTypeScale !== undefined && ent.lineTypeScale !== 1) this.group(48, ent.lineTypeScale);
+        if (ent.isVisible === false) this.group(60, 1);
+        return handle;
+    }
+
+    writeEntity(ent, owner) {
+        if (!ent || !ent.type) return;
+
+        switch (ent.type) {
+            case 'LINE':
+                this.writeEntityHeader('LINE', ent, owner);
+                this.group(100, 'AcDbLine');
+                this.point(10, ent.startPoint);
+                this.point(11, ent.endPoint);
+                break;
+            case 'CIRCLE':
+            case 'ARC':
+                this.writeEntityHeader(ent.type, ent, owner);
+                this.group(100, 'AcDbCircle');
+                this.point(10, ent.center);
+                this.group(40, ent.radius);
+                if (ent.type === 'ARC') {
+                    this.group(100, 'AcDbArc');
+                    this.group(50, ent.startAngle);
+                    this.group(51, ent.endAngle);
+                }
+                break;
+            case 'LWPOLYLINE':
+                this.writeLwPolyline(ent, owner);
+                break;
+            case 'POLYLINE':
+                this.writePolyline(ent, owner);
+                break;
+            case 'ELLIPSE':
+                this.writeEntityHeader('ELLIPSE', ent, owner);
+                this.group(100, 'AcDbEllipse');
+                this.point(10, ent.center);
+                this.point(11, ent.majorAxisEndPoint);
+                if (ent.extrusionDirection) this.point(210, ent.extrusionDirection);
+                this.group(40, ent.axisRatio);
+                this.group(41, ent.startAngle ?? 0);
+                this.group(42, ent.endAngle ?? 2 * Math.PI);
+                break;
+            case 'SPLINE':
+                this.writeSpline(ent, owner);
+                break;
+            case 'POINT':
+                this.writeEntityHeader('POINT', ent, owner);
+                this.group(100, 'AcDbPoint');
+                this.point(10, ent.position);
+                break;
+            case 'SOLID': {
+                this.writeEntityHeader('SOLID', ent, owner);
+                this.group(100, 'AcDbTrace');
+                const pts = ent.points || [];
+                for (let i = 0; i < 4; i++) this.point(10 + i, pts[Math.min(i, pts.length - 1)]);
+                break;
+            }
+            case '3DFACE': {
+                this.writeEntityHeader('3DFACE', ent, owner);
+                this.group(100, 'AcDbFace');
+                const pts = ent.vertices || [];
+                for (let i = 0; i < 4; i++) this.point(10 + i, pts[Math.min(i, pts.length - 1)]);
+                break;
+            }
+            case 'TEXT':
+                this.writeText(ent, owner);
+                break;
+            case 'MTEXT':
+                this.writeMText(ent, owner);
+                break;
+            case 'INSERT':
+                this.writeInsert(ent, owner);
+                break;
+            case 'ATTDEF':
+                this.writeAttribute(ent, owner);
+                break;
+            case 'ATTRIB':
+                // Written inside their INSERT (see writeInsert); a loose ATTRIB is not valid DXF
+                break;
+            case 'DIMENSION':
+                this.writeDimension(ent, owner);
+                break;
+            case 'HATCH':
+                this.writeHatch(ent, owner);
+                break;
+            default:
+                // Unsupported entity types are dropped rather than written half-way
+                console.warn(`[DxfWriter] Skipping unsupported entity type: ${ent.type}`);
+        }
+    }
+
+    writeInsert(ent, owner) {
+        const attribs = (ent.attribs || []).filter(a => a && a.type === 'ATTRIB');
+
+        this.writeEntityHeader('INSERT', ent, owner);
+        this.group(100, ent.columnCount > 1 || ent.rowCount > 1 ? 'AcDbMInsertBlock' : 'AcDbBlockReference');
+        if (attribs.length) this.group(66, 1);
+        this.group(2, ent.name);
+        this.point(10, ent.insertionPoint);
+        if ((ent.xScale ?? 1) !== 1) this.group(41, ent.xScale);
+        if ((ent.yScale ?? 1) !== 1) this.group(42, ent.yScale);
+        if ((ent.zScale ?? 1) !== 1) this.group(43, ent.zScale);
+        if (ent.rotation) this.group(50, ent.rotation);
+        if ((ent.columnCount ?? 1) > 1) this.group(70, ent.columnCount);
+        if ((ent.rowCount ?? 1) > 1) this.group(71, ent.rowCount);
+        if (ent.columnSpacing) this.group(44, ent.columnSpacing);
+        if (ent.rowSpacing) this.group(45, ent.rowSpacing);
+        if (ent.extrusionDirection) this.point(210, ent.extrusionDirection);
+
+        if (!attribs.length) return;
+        for (const attrib of attribs) this.writeAttribute(attrib, owner);
+        this.writeEntityHeader('SEQEND', { layer: ent.layer }, owner);
+    }
+
+    // ATTRIB / ATTDEF: a TEXT followed by the attribute subclass. dxf-json names
+    // the alignment fields differently for the two, both spellings are accepted.
+    writeAttribute(ent, owner) {
+        const isDef = ent.type === 'ATTDEF';
+        const halign = ent.horizontalJustification ?? ent.halign ?? 0;
+        const valign = ent.verticalJustification ?? ent.valign ?? 0;
+        const alignPoint = ent.alignmentPoint || ent.endPoint;
+        const style = ent.textStyle || ent.styleName;
+        const xScale = ent.scale ?? ent.xScale;
+
+        this.writeEntityHeader(ent.type, ent, owner);
+        this.group(100, 'AcDbText');
+        this.point(10, ent.startPoint);
+        this.group(40, ent.textHeight || 1);
+        this.group(1, ent.text || '');
+        if (ent.rotation) this.group(50, ent.rotation);
+        if (xScale && xScale !== 1) this.group(41, xScale);
+        if (ent.obliqueAngle) this.group(51, ent.obliqueAngle);
+        if (style) this.group(7, style);
+        if (halign) this.group(72, halign);
+        if (halign || valign) this.point(11, alignPoint || ent.startPoint);
+        this.group(100, isDef ? 'AcDbAttributeDefinition' : 'AcDbAttribute');
+        if (isDef) this.group(3, ent.prompt || '');
+        this.group(2, ent.tag || '');
+        this.group(70, ent.attributeFlag || 0);
+        if (valign) this.group(74, valign);
+    }
+
+    writeLwPolyline(ent, owner) {
+        const vertices = ent.vertices || [];
+        const closed = ent.closed || (ent.flag & 1) === 1;
+
+        this.writeEntityHeader('LWPOLYLINE', ent, owner);
+        this.group(100, 'AcDbPolyline');
+        this.group(90, vertices.length);
+        this.group(70, (ent.flag || 0) | (closed ? 1 : 0));
+        if (ent.constantWidth) this.group(43, ent.constantWidth);
+        if (ent.elevation) this.group(38, ent.elevation);
+        for (const v of vertices) {
+            this.point2D(10, v);
+            if (v.startWidth) this.group(40, v.startWidth);
+            if (v.endWidth) this.group(41, v.endWidth);
+            if (v.bulge) this.group(42, v.bulge);
+        }
+    }
+
+    writePolyline(ent, owner) {
+        const flag = ent.flag || 0;
+        const is3D = (flag & 8) !== 0;
+        const vertexClass = is3D ? 'AcDb3dPolylineVertex' : 'AcDb2dVertex';
+
+        this.writeEntityHeader('POLYLINE', ent, owner);
+        this.group(100, is3D ? 'AcDb3dPolyline' : 'AcDb2dPolyline');
+        this.group(66, 1);
+        this.point(10, { x: 0, y: 0, z: 0 });
+        this.group(70, flag | (ent.closed ? 1 : 0));
+
+        for (const v of ent.vertices || []) {
+            this.writeEntityHeader('VERTEX', { layer: ent.layer }, owner);
+            this.group(100, 'AcDbVertex');
+            this.group(100, vertexClass);
+            this.point(10, v);
+            if (v.bulge) this.group(42, v.bulge);
+            this.group(70, (v.flag || 0) | (is3D ? 32 : 0));
+        }
+
+        this.writeEntityHeader('SEQEND', { layer: ent.layer }, owner);
+    }
+
+    writeSpline(ent, owner) {
+        const controlPoints = ent.controlPoints || [];
+        const fitPoints = ent.fitPoints || [];
+        const knots = ent.knots || [];
+        const weights = ent.weights || [];
+
+        this.writeEntityHeader('SPLINE', ent, owner);
+        this.group(100, 'AcDbSpline');
+        if (ent.normal) this.point(210, ent.normal);
+        this.group(70, ent.flag || 0);
+        this.group(71, ent.degree || 3);
+        this.group(72, knots.length);
+        this.group(73, controlPoints.length);
+        this.group(74, fitPoints.length);
+        this.group(42, ent.knotTolerance ?? 0.0000001);
+        this.group(43, ent.controlTolerance ?? 0.0000001);
+        this.group(44, ent.fitTolerance ?? 0.0000000001);
+        if (ent.startTangent) this.point(12, ent.startTangent);
+        if (ent.endTangent) this.point(13, ent.endTangent);
+        for (const k of knots) this.group(40, k);
+        if (weights.length === controlPoints.length) {
+            for (const w of weights) this.group(41, w);
+        }
+        for (const p of controlPoints) this.point(10, p);
+        for (const p of fitPoints) this.point(11, p);
+    }
+
+    writeText(ent, owner) {
+        const aligned = (ent.halign || 0) !== 0 || (ent.valign || 0) !== 0;
+
+        this.writeEntityHeader('TEXT', ent, owner);
+        this.group(100, 'AcDbText');
+        this.point(10, ent.startPoint);
+        this.group(40, ent.textHeight || 1);
+        this.group(1, ent.text || '');
+        if (ent.rotation) this.group(50, ent.rotation);
+        if (ent.xScale && ent.xScale !== 1) this.group(41, ent.xScale);
+        if (ent.obliqueAngle) this.group(51, ent.obliqueAngle);
+        if (ent.styleName) this.group(7, ent.styleName);
+        if (ent.generationFlag) this.group(71, ent.generationFlag);
+        if (ent.halign) this.group(72, ent.halign);
+        if (aligned) this.point(11, ent.endPoint || ent.startPoint);
+        this.group(100, 'AcDbText');
+        if (ent.valign) this.group(73, ent.valign);
+    }
+
+    writeMText(ent, owner) {
+        this.writeEntityHeader('MTEXT', ent, owner);
+        this.group(100, 'AcDbMText');
+        this.point(10, ent.insertionPoint);
+        this.group(40, ent.height || 1);
+        this.group(41, ent.width || 0);
+        this.group(71, ent.attachmentPoint || 1);
+        this.group(72, ent.drawingDirection || 1);
+
+        // Long strings are split into 250-char chunks: group 3 for all but the last
+        const chunks = this.splitMText(this.encodeString(String(ent.text || '').replace(/\r?\n/g, '\\P')), 250);
+        chunks.forEach((chunk, i) => this.out.push(i === chunks.length - 1 ? '1' : '3', chunk));
+
+        if (ent.styleName) this.group(7, ent.styleName);
+        if (ent.direction) this.point(11, ent.direction);
+        else if (ent.rotation) this.group(50, ent.rotation);
+        if (ent.lineSpacingStyle) this.group(73, ent.lineSpacingStyle);
+        if (ent.lineSpacing) this.group(44, ent.lineSpacing);
+        this.writeXData(ent);
+    }
+
+    // Chunk boundaries never fall inside a code: \U+XXXX (up to six digits), \H2.5; / \S1^2; style codes
+    // up to their ';', escaped pairs (\P, \\, \{) and %% codes stay whole
+    splitMText(text, size) {
+        const tokens = text.match(/\\U\+[0-9A-Fa-f]{4,6}|\\[ACFHQSTWcfp][^;\\]*;|\\[\s\S]|%%\d{3}|%%[\s\S]|[\s\S]/g) || [];
+        const chunks = [];
+        let current = '';
+        tokens.forEach(token => {
+            if (current.length + token.length > size && current) {
+                chunks.push(current);
+                current = '';
+            }
+            current += token;
+            // A single code longer than a chunk can only be cut
+            while (current.length > size) {
+                chunks.push(current.slice(0, size));
+                current = current.slice(size);
+            }
+        });
+        chunks.push(current);
+        return chunks;
+    }
+
+    writeDimension(ent, owner) {
+        const kind = (ent.dimensionType || 0) & 0x0f;
+
+        this.writeEntityHeader('DIMENSION', ent, owner);
+        this.group(100, 'AcDbDimension');
+        if (ent.name) this.group(2, ent.name);
+        this.point(10, ent.definitionPoint);
+        this.point(11, ent.textPoint);
+        this.group(70, ent.dimensionType || 0);
+        if (ent.attachmentPoint) this.group(71, ent.attachmentPoint);
+        if (ent.text !== undefined && ent.text !== null) this.group(1, ent.text);
+        if (ent.textRotation) this.group(53, ent.textRotation);
+        if (ent.measurement !== undefined) this.group(42, ent.measurement);
+        this.group(3, ent.styleName || 'Standard');
+
+        switch (kind) {
+            case 0:
+            case 1:
+                this.group(100, 'AcDbAlignedDimension');
+                this.point(13, ent.subDefinitionPoint1);
+                this.point(14, ent.subDefinitionPoint2);
+                if (kind === 0) {
+                    this.group(50, ent.rotationAngle || 0);
+                    if (ent.obliqueAngle) this.group(52, ent.obliqueAngle);
+                    this.group(100, 'AcDbRotatedDimension');
+                }
+                break;
+            case 2:
+                this.group(100, 'AcDb2LineAngularDimension');
+                this.point(13, ent.subDefinitionPoint1);
+                this.point(14, ent.subDefinitionPoint2);
+                this.point(15, ent.centerPoint);
+                this.point(16, ent.arcPoint);
+                break;
+            case 5:
+                this.group(100, 'AcDb3PointAngularDimension');
+                this.point(13, ent.subDefinitionPoint1);
+                this.point(14, ent.subDefinitionPoint2);
+                this.point(15, ent.centerPoint);
+                break;
+            case 3:
+            case 4:
+                this.group(100, kind === 3 ? 'AcDbDiametricDimension' : 'AcDbRadialDimension');
+                this.point(15, ent.subDefinitionPoint);
+                this.group(40, ent.leaderLength || 0);
+                break;
+            case 6:
+                this.group(100, 'AcDbOrdinateDimension');
+                this.point(13, ent.subDefinitionPoint1);
+                this.point(14, ent.subDefinitionPoint2);
+                break;
+        }
+        this.writeXData(ent);
+    }
+
+    // Parsed XDATA loses its group codes, so only registered apps are written back
+    // (strings as 1000, numbers as 1040)
+    writeXData(ent) {
+        if (!Array.isArray(ent.xdata)) return;
+        for (const entry of ent.xdata) {
+            if (!entry || !this.appIds.has(entry.appName)) continue;
+            this.group(1001, entry.appName);
+            for (const value of entry.value || []) {
+                this.group(typeof value === 'number' ? 1040 : 1000, value);
+            }
+        }
+    }
+
+    writeHatch(ent, owner) {
+        const paths = ent.boundaryPaths || [];
+        const solid = ent.solidFill === 1 || (ent.patternName || '').toUpperCase() === 'SOLID';
+
+        this.writeEntityHeader('HATCH', ent, owner);
+        this.group(100, 'AcDbHatch');
+        this.point(10, ent.elevationPoint || { x: 0, y: 0, z: 0 });
+        this.point(210, ent.extrusionDirection || { x: 0, y: 0, z: 1 });
+        this.group(2, ent.patternName || (solid ? 'SOLID' : 'ANSI31'));
+        this.group(70, solid ? 1 : 0);
+        // Associativity is dropped: source boundary handles are not preserved
+        this.group(71, 0);
+        this.group(91, paths.length);
+
+        for (const path of paths) {
+            const flag = path.boundaryPathTypeFlag || 0;
+            this.group(92, flag & ~0x0200);
+
+            if (flag & 2) {
+                const vertices = path.vertices || [];
+                const hasBulge = vertices.some(v => v.bulge);
+                this.group(72, hasBulge ? 1 : 0);
+                this.group(73, path.isClosed === false ? 0 : 1);
+                this.group(93, vertices.length);
+                for (const v of vertices) {
+                    this.point2D(10, v);
+                    if (hasBulge) this.group(42, v.bulge || 0);
+                }
+            } else {
+                const edges = path.edges || [];
+                this.group(93, edges.length);
+                for (const e of edges) this.writeHatchEdge(e);
+            }
+            this.group(97, 0);
+        }
+
+        this.group(75, ent.hatchStyle || 0);
+        this.group(76, ent.patternType ?? 1);
+        if (!solid) {
+            const lines = ent.definitionLines || [];
+            this.group(52, ent.patternAngle || 0);
+            this.group(41, ent.patternScale || 1);
+            this.group(77, 0);
+            this.group(78, lines.length);
+            for (const line of lines) {
+                const dashes = line.dashLengths || [];
+                this.group(53, line.angle || 0);
+                this.point2D(43, line.base);
+                this.point2D(45, line.offset);
+                this.group(79, dashes.length);
+                for (const d of dashes) this.group(49, d);
+            }
+        }
+        this.group(98, 0);
+    }
+
+    writeHatchEdge(e) {
+        this.group(72, e.type);
+        switch (e.type) {
+            case 1:
+                this.point2D(10, e.start);
+                this.point2D(11, e.end);
+                break;
+            case 2:
+                this.point2D(10, e.center);
+                this.group(40, e.radius);
+                this.group(50, e.startAngle);
+                this.group(51, e.endAngle);
+                this.group(73, (e.isCCW ?? e.isCounterClockwise) === false ? 0 : 1);
+                break;
+            case 3:
+                this.point2D(10, e.center);
+                this.point2D(11, e.end);
+                this.group(40, e.lengthOfMinorAxis);
+                this.group(50, e.startAngle);
+                this.group(51, e.endAngle);
+                this.group(73, (e.isCCW ?? e.isCounterClockwise) === false ? 0 : 1);
+                break;
+            case 4: {
+                const knots = e.knots || [];
+                const cps = e.controlPoints || [];
+                const rational = cps.some(p => p.weight !== undefined && p.weight !== 1);
+                this.group(94, e.degree || 3);
+                this.group(73, rational ? 1 : 0);
+                this.group(74, e.isPeriodic ? 1 : 0);
+                this.group(95, knots.length);
+                this.group(96, cps.length);
+                for (const k of knots) this.group(40, k);
+                for (const p of cps) {
+                    this.point2D(10, p);
+                    if (rational) this.group(42, p.weight ?? 1);
+                }
+                break;
+            }
+        }
+    }
+}
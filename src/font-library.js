@@ -0,0 +1,302 @@
+import { parseShx } from './shx-font.js';
+
+// SHX font registry used by DxfLoader. Fonts come from the user (stored in IndexedDB,
+// survive reloads) or from the fonts/ folder next to index.html; Autodesk fonts can't be
+// shipped with the viewer, so the folder is empty by default. A font that can't be found
+// is replaced through the fallback mapping (localStorage), ending at the built-in font.
+
+const MAPPING_KEY = 'dxf-viewer-font-mapping';
+const DB_NAME = 'dxf-viewer-fonts';
+const DB_VERSION = 1;
+const FONT_STORE = 'fonts';
+const FONT_FOLDER = new URL('../fonts/', import.meta.url);
+
+export const BUILTIN = 'builtin';
+export const DEFAULT_FALLBACK = '*'; // mapping entry for every other missing SHX font
+
+const DEFAULT_MAPPING = {
+    isocp: 'simplex',
+    isocpeur: 'simplex',
+    isoct: 'simplex',
+    isocteur: 'simplex',
+    isoct2: 'simplex',
+    isoct3: 'simplex',
+    romans: 'simplex',
+    romanc: 'simplex',
+    romand: 'simplex',
+    monotxt: 'txt',
+    simplex: 'txt',
+    [DEFAULT_FALLBACK]: BUILTIN
+};
+
+const fonts = new Map();   // key -> ShxFont
+const sources = new Map(); // key -> 'user' | 'folder'
+const tried = new Set();   // folder lookups already made (found or not)
+let mapping = null;
+let version = 0;
+let dbPromise = null;
+let userFontsPromise = null;
+
+// "C:\Fonts\SIMPLEX.SHX" -> "simplex"; TrueType names keep their extension ("arial.ttf")
+export function fontKey(name) {
+    const base = String(name || '').split(/[\\/]/).pop().trim().toLowerCase();
+    return base.replace(/\.shx$/, '');
+}
+
+// STYLE fonts without an extension ("txt") are SHX fonts as well
+const isShx = (key) => !!key && key !== BUILTIN && !key.includes('.');
+
+// Changes whenever fonts or the mapping change; tabs built with an older version are rebuilt
+export function fontVersion() {
+    return version;
+}
+
+// ------------------------------------------------------------
+// FALLBACK MAPPING
+// ------------------------------------------------------------
+export function getFontMapping() {
+    if (!mapping) {
+        mapping = { ...DEFAULT_MAPPING };
+        if (typeof localStorage !== 'undefined') {
+            try {
+                Object.assign(mapping, JSON.parse(localStorage.getItem(MAPPING_KEY) || '{}'));
+            } catch (e) {
+                console.warn('[FontLibrary] Saved font mapping is invalid, using defaults', e);
+            }
+        }
+    }
+    return mapping;
+}
+
+// target: font key, BUILTIN, or '' for the default fallback (kept as null so a
+// default entry isn't restored from DEFAULT_MAPPING on the next load)
+export function setFontMapping(key, target) {
+    const map = getFontMapping();
+    if (key === DEFAULT_FALLBACK) map[key] = target || BUILTIN;
+    else map[key] = target || null;
+    try {
+        localStorage.setItem(MAPPING_KEY, JSON.stringify(map));
+    } catch (e) {
+        console.warn('[FontLibrary] Could not save font mapping', e);
+    }
+    version++;
+}
+
+export function resetFontMapping() {
+    mapping = { ...DEFAULT_MAPPING };
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(MAPPING_KEY);
+    version++;
+}
+
+// Keys visited for a font name: itself, then its fallbacks until one is loaded or BUILTIN
+function fallbackChain(key) {
+    const map = getFontMapping();
+    const chain = [];
+    while (key && key !== BUILTIN && !chain.includes(key)) {
+        chain.push(key);
+        if (fonts.has(key)) break;
+        key = map[key] ?? (isShx(key) ? map[DEFAULT_FALLBACK] : null);
+    }
+    return chain;
+}
+
+// Key of the font that renders `name`, BUILTIN when none is loaded
+export function resolveFontKey(name) {
+    const chain = fallbackChain(fontKey(name));
+    const last = chain[chain.length - 1];
+    return fonts.has(last) ? last : BUILTIN;
+}
+
+/**
+ * Font for text-layout (getFont option); null means the built-in stroke font.
+ * Synchronous: only fonts loaded beforehand (loadFontsFor) are used.
+ */
+export function getFont(name) {
+    if (!name) return null;
+    return fonts.get(resolveFontKey(name)) || null;
+}
+
+// ------------------------------------------------------------
+// LOADING
+// ------------------------------------------------------------
+function styleFonts(dxf) {
+    const entries = dxf?.tables?.STYLE?.entries || [];
+    return entries.filter(s => s.font).map(s => ({ style: s.name, font: s.font, key: fontKey(s.font) }));
+}
+
+/**
+ * Loads every SHX font (and fallback) referenced by the drawing's STYLE table.
+ * Missing fonts are not an error; their text falls back through the mapping.
+ */
+export async function loadFontsFor(dxf) {
+    await loadUserFonts();
+    const keys = new Set(styleFonts(dxf).map(s => s.key));
+    keys.add(DEFAULT_FALLBACK);
+    await Promise.all([...keys].map(async (key) => {
+        if (key === DEFAULT_FALLBACK) key = getFontMapping()[DEFAULT_FALLBACK];
+        // Walk the chain, fetching each font until one is found
+        for (;;) {
+            const chain = fallbackChain(key);
+            const next = chain.find(k => isShx(k) && !fonts.has(k) && !tried.has(k));
+            if (!next) return;
+            await loadFolderFont(next);
+        }
+    }));
+}
+
+async function loadFolderFont(key) {
+    tried.add(key);
+    if (typeof fetch === 'undefined') return;
+    for (const file of [`${key}.shx`, `${key.toUpperCase()}.SHX`]) {
+        try {
+            const response = await fetch(new URL(file, FONT_FOLDER));
+            if (!response.ok) continue;
+            const font = parseShx(await response.arrayBuffer(), key);
+            // A user font added meanwhile wins
+            if (!fonts.has(key)) {
+                fonts.set(key, font);
+                sources.set(key, 'folder');
+                version++;
+            }
+            return;
+        } catch (err) {
+            console.warn(`[FontLibrary] ${file}:`, err.message);
+        }
+    }
+}
+
+function loadUserFonts() {
+    if (!userFontsPromise) {
+        userFontsPromise = readFontRecords()
+            .then(records => records.forEach(record => {
+                try {
+                    registerUserFont(record.key, parseShx(record.data, record.key));
+                } catch (err) {
+                    console.warn(`[FontLibrary] Stored font ${record.name}:`, err.message);
+                }
+            }))
+            .catch(err => {
+                console.warn('[FontLibrary] Could not read stored fonts', err);
+                // Read again next time, like openDb
+                userFontsPromise = null;
+            });
+    }
+    return userFontsPromise;
+}
+
+function registerUserFont(key, font) {
+    fonts.set(key, font);
+    sources.set(key, 'user');
+    version++;
+}
+
+/**
+ * Adds .shx files chosen by the user and keeps them for later sessions.
+ * @param {FileList|File[]} files
+ * @returns {Promise<{added: string[], errors: string[]}>}
+ */
+export async function addFontFiles(files) {
+    await loadUserFonts();
+    const added = [];
+    const errors = [];
+    for (const file of Array.from(files)) {
+        const key = fontKey(file.name);
+        try {
+            const data = await file.arrayBuffer();
+            registerUserFont(key, parseShx(data, key));
+            added.push(key);
+            // Still usable in this session when it can't be stored
+            writeFontRecord({ key, name: file.name, data, addedAt: Date.now() })
+                .catch(err => console.warn('[FontLibrary] Could not store font', err));
+        } catch (err) {
+            errors.push(`${file.name}: ${err.message}`);
+        }
+    }
+    return { added, errors };
+}
+
+export async function removeUserFont(key) {
+    fonts.delete(key);
+    sources.delete(key);
+    tried.delete(key); // The folder copy, if any, is used again
+    version++;
+    try {
+        await deleteFontRecord(key);
+    } catch (err) {
+        console.warn('[FontLibrary] Could not remove stored font', err);
+    }
+}
+
+// ------------------------------------------------------------
+// STATUS (font dialog)
+// ------------------------------------------------------------
+export function loadedFonts() {
+    return [...fonts.entries()]
+        .map(([key, font]) => ({ key, source: sources.get(key), description: font.description }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// STYLE fonts of a drawing and the font each one is drawn with
+export function fontStatus(dxf) {
+    const seen = new Set();
+    return styleFonts(dxf).filter(s => !seen.has(s.key) && seen.add(s.key)).map(s => ({
+        ...s,
+        shx: isShx(s.key),
+        loaded: fonts.has(s.key),
+        resolved: resolveFontKey(s.key)
+    }));
+}
+
+// ------------------------------------------------------------
+// INDEXEDDB
+// ------------------------------------------------------------
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(FONT_STORE)) {
+                db.createObjectStore(FONT_STORE, { keyPath: 'key' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a retry later instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+async function readFontRecords() {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(FONT_STORE, 'readonly').objectStore(FONT_STORE).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function writeFontRecord(record) {
+    const db = await openDb();
+    return storeRequest(db, store => store.put(record));
+}
+
+async function deleteFontRecord(key) {
+    const db = await openDb();
+    return storeRequest(db, store => store.delete(key));
+}
+
+function storeRequest(db, action) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(FONT_STORE, 'readwrite');
+        action(tx.objectStore(FONT_STORE));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,256 @@
+import { DxfLoader } from './dxf-loader.js';
+import {
+    BUILTIN, DEFAULT_FALLBACK, addFontFiles, removeUserFont, loadFontsFor, loadedFonts,
+    fontStatus, fontVersion, getFontMapping, setFontMapping, resetFontMapping
+} from './font-library.js';
+
+// SHX font dialog: which fonts the active drawing's STYLE table asks for, which font
+// draws each one (fallback mapping), and the user's own .shx files. Every change is
+// applied at once; text of the active tab is rebuilt, other tabs when switched to.
+
+const SELECT_CLASS = 'bg-black/20 border border-white/10 rounded px-1 py-0.5 text-xs text-white focus:outline-none focus:border-cyan-500';
+const TEXT_TYPES = ['TEXT', 'MTEXT', 'ATTRIB', 'ATTDEF', 'DIMENSION'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+export class FontManager {
+    constructor(app) {
+        this.app = app;
+        this.modal = null;
+
+        this.openBtn = document.getElementById('fonts-btn');
+        if (this.openBtn) this.openBtn.addEventListener('click', () => this.show());
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    // A freshly loaded tab is drawn with the current fonts
+    markBuilt(tab) {
+        if (tab) tab.fontVersion = fontVersion();
+    }
+
+    async show() {
+        this.createModal();
+        this.setStatus('');
+        this.modal.classList.remove('hidden');
+        this.render();
+        // Fonts copied into fonts/ since the drawing was opened are picked up here
+        await this.applyChanges();
+    }
+
+    hide() {
+        if (this.modal) this.modal.classList.add('hidden');
+    }
+
+    getTab() {
+        return this.app.tabManager ? this.app.tabManager.getActiveTab() : null;
+    }
+
+    createModal() {
+        if (this.modal) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'fonts-modal';
+        modal.className = 'fixed inset-0 bg-black/80 flex items-center justify-center z-[2000] hidden backdrop-blur-sm';
+        modal.innerHTML = `
+            <div class="bg-gray-900 border border-white/20 p-6 rounded-xl shadow-2xl max-w-3xl w-full relative flex flex-col max-h-[90vh]">
+                <button id="fonts-close" class="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors text-xl">✕</button>
+                <h3 class="text-xl text-white font-bold mb-2 flex items-center gap-2">
+                    <span class="w-1 h-6 bg-cyan-500 rounded-full inline-block"></span>
+                    ${this.t('fontsTitle')}
+                </h3>
+                <p class="text-xs text-gray-400 mb-4">${this.t('fontsHint')}</p>
+                <div id="fonts-content" class="flex-1 overflow-y-auto space-y-4 pr-1"></div>
+                <div class="flex flex-wrap items-center gap-2 mt-4 pt-3 border-t border-white/10">
+                    <button id="fonts-add" class="px-3 py-1 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('fontsAdd')}</button>
+                    <button id="fonts-reset" class="px-3 py-1 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('fontsResetMapping')}</button>
+                    <span id="fonts-status" class="text-xs flex-1"></span>
+                    <button id="fonts-done" class="px-3 py-1 text-sm rounded bg-cyan-600 hover:bg-cyan-500 text-white font-bold">${this.t('close')}</button>
+                </div>
+                <input type="file" id="fonts-file" accept=".shx" multiple class="hidden">
+            </div>
+        `;
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        modal.querySelector('#fonts-close').addEventListener('click', () => this.hide());
+        modal.querySelector('#fonts-done').addEventListener('click', () => this.hide());
+        modal.querySelector('#fonts-reset').addEventListener('click', () => {
+            resetFontMapping();
+            this.applyChanges();
+        });
+
+        const fileInput = modal.querySelector('#fonts-file');
+        modal.querySelector('#fonts-add').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';
+            if (files.length) this.addFiles(files);
+        });
+
+        // Content is re-rendered after every change: delegation
+        const content = modal.querySelector('#fonts-content');
+        content.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-font]');
+            if (!select) return;
+            setFontMapping(select.dataset.font, select.value);
+            this.applyChanges();
+        });
+        content.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-remove]');
+            if (!btn) return;
+            await removeUserFont(btn.dataset.remove);
+            this.applyChanges();
+        });
+    }
+
+    // Fallback choices: built-in font and every loaded font
+    fallbackSelect(key, value, allowDefault) {
+        const options = [];
+        if (allowDefault) options.push(['', this.t('fontsDefaultFallback')]);
+        options.push([BUILTIN, this.t('fontsBuiltin')]);
+        loadedFonts().forEach(f => { if (f.key !== key) options.push([f.key, f.key]); });
+        // A mapping to a font that isn't loaded stays visible
+        if (value && !options.some(([v]) => v === value)) options.push([value, `${value} (${this.t('fontsMissing')})`]);
+        return `<select class="${SELECT_CLASS}" data-font="${escapeHtml(key)}">${options.map(([v, label]) =>
+            `<option value="${escapeHtml(v)}" ${v === (value || '') ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>`;
+    }
+
+    render() {
+        const content = this.modal.querySelector('#fonts-content');
+        const tab = this.getTab();
+        const mapping = getFontMapping();
+        const fonts = loadedFonts();
+
+        const statusText = (s) => {
+            if (s.loaded) return `<span class="text-green-400">${this.t('fontsLoaded')}</span>`;
+            const used = s.resolved === BUILTIN ? this.t('fontsBuiltin') : s.resolved;
+            const label = s.shx ? this.t('fontsMissing') : this.t('fontsNotShx');
+            return `<span class="text-amber-400">${label}</span> <span class="text-gray-400">→ ${escapeHtml(used)}</span>`;
+        };
+
+        const drawingFonts = tab && tab.dxf ? fontStatus(tab.dxf) : [];
+        const drawingRows = drawingFonts.map(s => `
+            <tr>
+                <td class="px-1 py-0.5 font-mono">${escapeHtml(s.style)}</td>
+                <td class="px-1 py-0.5 font-mono">${escapeHtml(s.font)}</td>
+                <td class="px-1 py-0.5">${statusText(s)}</td>
+                <td class="px-1 py-0.5 text-right">${s.loaded ? '' : this.fallbackSelect(s.key, mapping[s.key], s.shx)}</td>
+            </tr>`).join('');
+
+        const fontRows = fonts.map(f => `
+            <tr>
+                <td class="px-1 py-0.5 font-mono">${escapeHtml(f.key)}</td>
+                <td class="px-1 py-0.5 text-gray-400">${escapeHtml(f.description)}</td>
+                <td class="px-1 py-0.5">${this.t(f.source === 'user' ? 'fontsSourceUser' : 'fontsSourceFolder')}</td>
+                <td class="px-1 py-0.5 text-right">${f.source === 'user'
+                    ? `<button data-remove="${escapeHtml(f.key)}" class="text-gray-500 hover:text-red-400 text-xs">✕</button>` : ''}</td>
+            </tr>`).join('');
+
+        const empty = (key) => `<tr><td colspan="4" class="px-1 py-1 text-gray-500">${this.t(key)}</td></tr>`;
+
+        content.innerHTML = `
+            <div>
+                <div class="text-xs text-gray-400 uppercase tracking-wide mb-1">${this.t('fontsDrawing')}</div>
+                <table class="w-full text-xs text-gray-300">
+                    <thead><tr>
+                        <th class="text-left font-normal px-1 pb-1">${this.t('fontsStyle')}</th>
+                        <th class="text-left font-normal px-1 pb-1">${this.t('fontsFile')}</th>
+                        <th class="text-left font-normal px-1 pb-1">${this.t('fontsState')}</th>
+                        <th class="text-right font-normal px-1 pb-1">${this.t('fontsFallback')}</th>
+                    </tr></thead>
+                    <tbody>${drawingRows || empty('fontsNoDrawing')}</tbody>
+                </table>
+                <div class="flex justify-between items-center mt-2 text-xs text-gray-300">
+                    <span>${this.t('fontsOtherFallback')}</span>
+                    ${this.fallbackSelect(DEFAULT_FALLBACK, mapping[DEFAULT_FALLBACK], false)}
+                </div>
+            </div>
+            <div>
+                <div class="text-xs text-gray-400 uppercase tracking-wide mb-1">${this.t('fontsAvailable')}</div>
+                <table class="w-full text-xs text-gray-300">
+                    <tbody>${fontRows || empty('fontsNone')}</tbody>
+                </table>
+            </div>`;
+    }
+
+    setStatus(text, isError = false) {
+        const el = this.modal && this.modal.querySelector('#fonts-status');
+        if (!el) return;
+        el.textContent = text;
+        el.className = `text-xs flex-1 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    async addFiles(files) {
+        const { added, errors } = await addFontFiles(files);
+        if (errors.length) this.setStatus(errors.join('; '), true);
+        else this.setStatus(`${this.t('fontsAdded')}: ${added.join(', ')}`);
+        await this.applyChanges();
+    }
+
+    async applyChanges() {
+        await this.refreshActiveTab();
+        if (this.modal && !this.modal.classList.contains('hidden')) this.render();
+    }
+
+    /**
+     * Re-lays out the text of the active tab when fonts or the mapping changed since it
+     * was built (called from TabManager.switchToTab as well). Like LayerManager.restyle
+     * the scene objects are kept, so selections and undo history stay valid.
+     */
+    async refreshActiveTab() {
+        const tab = this.getTab();
+        if (!tab || !tab.dxf || tab.loading || tab.fontVersion === fontVersion()) return;
+
+        await loadFontsFor(tab.dxf);
+        // The user may have switched tabs meanwhile; that tab is refreshed on its own switch
+        if (this.getTab() !== tab) return;
+        tab.fontVersion = fontVersion();
+
+        const layerManager = this.app.layerManager;
+        const dxf = layerManager ? layerManager.styledDxf(tab.dxf) : tab.dxf;
+        const loader = new DxfLoader();
+        loader.blocks = dxf.blocks || {};
+
+        let count = 0;
+        for (const child of tab.dxfGroup.children) {
+            if (!child.userData || !child.userData.entity || !this.hasText(child)) continue;
+            try {
+                const fresh = loader.convertEntity(child.userData.entity, dxf);
+                if (fresh) {
+                    this.replaceText(child, fresh);
+                    count++;
+                }
+            } catch (err) {
+                console.warn('[FontManager] Text refresh failed:', child.userData.entity, err);
+            }
+        }
+        if (count === 0) return;
+        this.app.viewer.batcher.refresh();
+        this.app.viewer.requestRender();
+    }
+
+    hasText(object) {
+        let found = false;
+        object.traverse(o => {
+            if (!found && o.userData && TEXT_TYPES.includes(o.userData.type)) found = true;
+        });
+        return found;
+    }
+
+    replaceText(target, fresh) {
+        // Blocks and dimensions: children regenerated, the group's own transform kept
+        if (target.isGroup || fresh.isGroup) {
+            this.app.layerManager.transplantStyle(target, fresh);
+            return;
+        }
+        // Single-colour text: new glyph geometry, material (color, highlight) kept
+        if (target.geometry && fresh.geometry) {
+            target.geometry.dispose();
+            target.geometry = fresh.geometry;
+        }
+        if (fresh.material) fresh.material.dispose();
+    }
+}
@@ -0,0 +1,482 @@
+import { DxfLoader } from './dxf-loader.js';
+import { CmdLayerState } from './commands.js';
+
+// Standard linetypes the loader can draw without an LTYPE definition
+const STANDARD_LINETYPES = ['Continuous', 'DASHED', 'HIDDEN', 'CENTER', 'PHANTOM', 'DOT', 'DASHDOT', 'BORDER', 'DIVIDE'];
+
+const ICONS = {
+    visible: '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle>',
+    hidden: '<path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path><line x1="1" y1="1" x2="23" y2="23"></line>',
+    freeze: '<path d="M12 2v20M4.93 7l14.14 10M4.93 17L19.07 7"></path>',
+    lock: '<rect x="5" y="11" width="14" height="10" rx="2"></rect><path d="M8 11V7a4 4 0 0 1 8 0v4"></path>',
+    unlock: '<rect x="5" y="11" width="14" height="10" rx="2"></rect><path d="M8 11V7a4 4 0 0 1 7.9-1"></path>',
+    isolate: '<circle cx="12" cy="12" r="3"></circle><path d="M3 8V3h5M21 8V3h-5M3 16v5h5M21 16v5h-5"></path>'
+};
+
+// Katman yöneticisi: renk / çizgi tipi değişikliği, dondurma, kilitleme,
+// izolasyon ve adlandırılmış katman durumları. State lives in the active tab's
+// layerStates map ({ visible, frozen, locked, color, lineType }); every change
+// goes through CommandHistory and DxfWriter writes it to the LAYER table.
+export class LayerManager {
+    constructor(app) {
+        this.app = app;
+        this.panel = document.getElementById('layers-panel');
+
+        // Locked layers can't be picked (click, box, chain selection, hover)
+        this.app.viewer.pickFilter = (obj) => !this.isObjectLocked(obj);
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    getTab() {
+        return this.app.tabManager ? this.app.tabManager.getActiveTab() : null;
+    }
+
+    get states() {
+        return this.app.layerStates;
+    }
+
+    getState(name) {
+        if (!this.states.has(name)) this.states.set(name, { visible: true });
+        return this.states.get(name);
+    }
+
+    isDisplayed(state) {
+        return state.visible !== false && !state.frozen;
+    }
+
+    // Off (negative color), frozen (70 & 1) and locked (70 & 4) layers as saved by CAD
+    initFromDxf(dxf) {
+        const entries = (dxf && dxf.tables && dxf.tables.LAYER && dxf.tables.LAYER.entries) || [];
+        entries.forEach(layer => {
+            if (!layer.name || this.states.has(layer.name)) return;
+            const flags = layer.standardFlag || 0;
+            this.states.set(layer.name, {
+                visible: !(layer.colorIndex < 0),
+                frozen: (flags & 1) !== 0,
+                locked: (flags & 4) !== 0
+            });
+        });
+    }
+
+    layerNames(group) {
+        const names = [];
+        if (!group) return names;
+        for (const child of group.children) {
+            const name = (child.userData && child.userData.layer) || '0';
+            if (!names.includes(name)) names.push(name);
+        }
+        return names;
+    }
+
+    getLayerEntry(name) {
+        const tab = this.getTab();
+        const entries = (tab && tab.dxf && tab.dxf.tables && tab.dxf.tables.LAYER && tab.dxf.tables.LAYER.entries) || [];
+        return entries.find(l => l.name === name) || null;
+    }
+
+    // Top-level scene object (selection target) that contains obj
+    topLevel(obj) {
+        const root = this.app.viewer.dxfGroup;
+        let o = obj;
+        while (o && o.parent && o.parent !== root) o = o.parent;
+        return o && o.parent === root ? o : null;
+    }
+
+    isObjectLocked(obj) {
+        const top = this.topLevel(obj);
+        if (!top) return false;
+        const state = this.states.get((top.userData && top.userData.layer) || '0');
+        return !!(state && state.locked);
+    }
+
+    // ------------------------------------------------------------
+    // SCENE
+    // ------------------------------------------------------------
+    applyVisibility(name) {
+        const group = this.app.viewer.dxfGroup;
+        if (!group) return;
+        const displayed = this.isDisplayed(this.getState(name));
+        for (const child of group.children) {
+            if (((child.userData && child.userData.layer) || '0') !== name) continue;
+            child.visible = displayed && !child.userData.isDeleted;
+            this.app.viewer.batcher.refresh(child);
+        }
+    }
+
+    applyAll() {
+        this.layerNames(this.app.viewer.dxfGroup).forEach(name => this.applyVisibility(name));
+    }
+
+    // The tab's DXF with color/linetype overrides written into its LAYER table
+    styledDxf(dxf) {
+        const tables = (dxf && dxf.tables) || {};
+        const entries = ((tables.LAYER && tables.LAYER.entries) || []).map(l => ({ ...l }));
+        this.states.forEach((state, name) => {
+            if (!state.color && !state.lineType) return;
+            let entry = entries.find(l => l.name === name);
+            if (!entry) {
+                entry = { name, colorIndex: 7, lineType: 'Continuous' };
+                entries.push(entry);
+            }
+            if (state.color) entry.trueColor = state.color;
+            if (state.lineType) entry.lineType = state.lineType;
+        });
+        return { ...(dxf || {}), tables: { ...tables, LAYER: { ...(tables.LAYER || {}), entries } } };
+    }
+
+    // Rebuilds the look of everything drawn on these layers (layer "0" content of
+    // blocks and BYBLOCK colors included) while keeping the scene objects, so
+    // selections, undo history and user transforms stay valid
+    restyle(names) {
+        const group = this.app.viewer.dxfGroup;
+        const tab = this.getTab();
+        if (!group || !tab) return;
+
+        const dxf = this.styledDxf(tab.dxf);
+        const loader = new DxfLoader();
+        loader.blocks = dxf.blocks || {};
+
+        for (const child of group.children) {
+            if (!child.userData || !child.userData.entity || !this.touchesLayers(child, names)) continue;
+            try {
+                const fresh = loader.convertEntity(child.userData.entity, dxf);
+                if (fresh) this.transplantStyle(child, fresh);
+            } catch (err) {
+                console.warn('[LayerManager] Restyle failed:', child.userData.entity, err);
+            }
+        }
+        this.app.viewer.batcher.refresh();
+    }
+
+    touchesLayers(object, names) {
+        let found = false;
+        object.traverse(o => {
+            if (!found && o.userData && names.includes(o.userData.layer)) found = true;
+        });
+        return found;
+    }
+
+    transplantStyle(target, fresh) {
+        // Groups (blocks, dimensions, hatches): children are regenerated, the
+        // group's own transform (user moves) is kept
+        if (target.isGroup || fresh.isGroup) {
+            const old = [...target.children];
+            if (old.length) target.remove(...old);
+            this.disposeObjects(old);
+            if (fresh.children.length) target.add(...fresh.children);
+            return;
+        }
+
+        // Leaves keep their geometry (CmdScale may have baked a transform into it)
+        if (target.material && fresh.material) {
+            this.disposeMaterial(target.material);
+            target.material = fresh.material;
+            delete target.userData.originalColor;
+            delete target.userData.isClonedMaterial;
+            if (target.material.isLineDashedMaterial && typeof target.computeLineDistances === 'function') {
+                target.computeLineDistances();
+            }
+        }
+        // Sprites share one geometry for the whole app
+        if (fresh.geometry && !fresh.isSprite) fresh.geometry.dispose();
+    }
+
+    disposeMaterial(material) {
+        if (material.map) material.map.dispose();
+        material.dispose();
+    }
+
+    disposeObjects(objects) {
+        objects.forEach(root => root.traverse(obj => {
+            if (obj.geometry && !obj.isSprite) obj.geometry.dispose();
+            if (obj.material) this.disposeMaterial(obj.material);
+        }));
+    }
+
+    // ------------------------------------------------------------
+    // COMMANDS
+    // ------------------------------------------------------------
+    snapshot(names) {
+        return { states: names.map(name => [name, { ...this.getState(name) }]) };
+    }
+
+    // Snapshot: { states: [[name, state], ...], isolation?: {...} | null }
+    applySnapshot(snapshot) {
+        const restyle = [];
+        const visibility = [];
+
+        snapshot.states.forEach(([name, next]) => {
+            const prev = this.getState(name);
+            if (prev.color !== next.color || prev.lineType !== next.lineType) restyle.push(name);
+            if (this.isDisplayed(prev) !== this.isDisplayed(next)) visibility.push(name);
+            this.states.set(name, { ...next });
+        });
+
+        const tab = this.getTab();
+        if ('isolation' in snapshot && tab) tab.layerIsolation = snapshot.isolation;
+
+        if (restyle.length > 0) {
+            // Highlighted objects hold cloned materials that would bring the old color back
+            this.app.clearSelection();
+            this.restyle(restyle);
+        }
+        visibility.forEach(name => this.applyVisibility(name));
+
+        if (this.app.selectedObjects.some(obj => this.isObjectLocked(obj))) this.app.clearSelection();
+        this.render(this.app.viewer.dxfGroup);
+    }
+
+    change(names, mutate) {
+        const before = this.snapshot(names);
+        const after = { states: before.states.map(([name, state]) => [name, mutate(name, { ...state })]) };
+        this.app.history.execute(new CmdLayerState(this, before, after));
+    }
+
+    setColor(name, color) {
+        this.change([name], (n, state) => ({ ...state, color }));
+    }
+
+    setLineType(name, lineType) {
+        this.change([name], (n, state) => ({ ...state, lineType }));
+    }
+
+    toggleVisible(name) {
+        this.change([name], (n, state) => ({ ...state, visible: state.visible === false }));
+    }
+
+    toggleFrozen(name) {
+        this.change([name], (n, state) => ({ ...state, frozen: !state.frozen }));
+    }
+
+    toggleLocked(name) {
+        this.change([name], (n, state) => ({ ...state, locked: !state.locked }));
+    }
+
+    // Only the given layer stays on; unisolate() brings back what was visible before
+    isolate(name) {
+        const tab = this.getTab();
+        if (!tab) return;
+        const names = this.layerNames(this.app.viewer.dxfGroup);
+        const before = { ...this.snapshot(names), isolation: tab.layerIsolation || null };
+        const after = {
+            states: before.states.map(([n, state]) => [n, n === name
+                ? { ...state, visible: true, frozen: false }
+                : { ...state, visible: false }]),
+            // Isolating another layer while isolated still returns to the original state
+            isolation: { layer: name, restore: tab.layerIsolation ? tab.layerIsolation.restore : before.states }
+        };
+        this.app.history.execute(new CmdLayerState(this, before, after));
+    }
+
+    unisolate() {
+        const tab = this.getTab();
+        if (!tab || !tab.layerIsolation) return;
+        const restore = new Map(tab.layerIsolation.restore);
+        const names = this.layerNames(this.app.viewer.dxfGroup);
+        const before = { ...this.snapshot(names), isolation: tab.layerIsolation };
+        const after = {
+            states: before.states.map(([name, state]) => {
+                const saved = restore.get(name);
+                return [name, saved ? { ...state, visible: saved.visible, frozen: saved.frozen } : state];
+            }),
+            isolation: null
+        };
+        this.app.history.execute(new CmdLayerState(this, before, after));
+    }
+
+    // Named layer states are kept per tab (and saved with the session)
+    saveNamedState() {
+        const tab = this.getTab();
+        if (!tab) return;
+        const name = prompt(this.t('layerStateNamePrompt'), `State ${tab.layerStateSets.size + 1}`);
+        if (!name) return;
+        tab.layerStateSets.set(name, this.snapshot(this.layerNames(this.app.viewer.dxfGroup)).states);
+        this.render(this.app.viewer.dxfGroup);
+        if (this.app.sessionManager) this.app.sessionManager.markDirty();
+    }
+
+    restoreNamedState(name) {
+        const tab = this.getTab();
+        const saved = tab && tab.layerStateSets.get(name);
+        if (!saved) return;
+        const before = this.snapshot(saved.map(([layer]) => layer));
+        this.app.history.execute(new CmdLayerState(this, before, { states: saved.map(([layer, state]) => [layer, { ...state }]) }));
+    }
+
+    deleteNamedState(name) {
+        const tab = this.getTab();
+        if (!tab || !tab.layerStateSets.delete(name)) return;
+        this.render(this.app.viewer.dxfGroup);
+        if (this.app.sessionManager) this.app.sessionManager.markDirty();
+    }
+
+    // ------------------------------------------------------------
+    // PANEL
+    // ------------------------------------------------------------
+    layerColor(name, group) {
+        const state = this.getState(name);
+        if (state.color) return state.color;
+
+        const tab = this.getTab();
+        if (this.getLayerEntry(name)) {
+            const hex = new DxfLoader().getColor({ layer: name }, tab.dxf);
+            return '#' + hex.toString(16).padStart(6, '0');
+        }
+        // Layer without a table entry: first object's color
+        const child = group.children.find(c => ((c.userData && c.userData.layer) || '0') === name);
+        let material = child && child.material;
+        if (!material && child && child.children.length > 0) material = child.children[0].material;
+        return material && material.color ? '#' + material.color.getHexString() : '#ffffff';
+    }
+
+    lineTypeOptions() {
+        const tab = this.getTab();
+        const names = [];
+        const add = (name) => {
+            if (name && !names.some(n => n.toUpperCase() === name.toUpperCase())) names.push(name);
+        };
+        STANDARD_LINETYPES.forEach(add);
+        const entries = (tab && tab.dxf && tab.dxf.tables && tab.dxf.tables.LTYPE && tab.dxf.tables.LTYPE.entries) || [];
+        entries
+            .map(lt => lt.name)
+            .filter(n => n && !['BYBLOCK', 'BYLAYER'].includes(n.toUpperCase()))
+            .forEach(add);
+        return names;
+    }
+
+    render(group) {
+        if (!this.panel) return;
+
+        const names = this.layerNames(group);
+        if (names.length === 0) {
+            this.panel.innerHTML = '<p class="empty-state">No layers available</p>';
+            return;
+        }
+
+        this.panel.innerHTML = '';
+        const tab = this.getTab();
+        const lineTypes = this.lineTypeOptions();
+
+        for (const name of names) {
+            const state = this.getState(name);
+            const entry = this.getLayerEntry(name);
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-1 px-2 py-1.5 rounded hover:bg-white/5 transition-colors';
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'w-4 h-4 p-0 border border-white/20 rounded bg-transparent cursor-pointer flex-shrink-0';
+            colorInput.value = this.layerColor(name, group);
+            colorInput.title = this.t('layerColor');
+            colorInput.onchange = () => this.setColor(name, colorInput.value);
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'text-sm truncate flex-1 min-w-0 ml-1 ' + (this.isDisplayed(state) ? 'text-white' : 'text-gray-500');
+            nameSpan.textContent = name;
+            nameSpan.title = name;
+
+            const lineTypeSelect = document.createElement('select');
+            lineTypeSelect.className = 'bg-black/20 border border-white/10 rounded text-[10px] text-gray-300 px-1 py-0.5 max-w-[80px]';
+            lineTypeSelect.title = this.t('layerLinetype');
+            const current = state.lineType || (entry && entry.lineType) || 'Continuous';
+            const options = lineTypes.some(n => n.toUpperCase() === current.toUpperCase()) ? lineTypes : [current, ...lineTypes];
+            options.forEach(lt => {
+                const option = document.createElement('option');
+                option.value = lt;
+                option.textContent = lt;
+                option.selected = lt.toUpperCase() === current.toUpperCase();
+                lineTypeSelect.appendChild(option);
+            });
+            lineTypeSelect.onchange = () => this.setLineType(name, lineTypeSelect.value);
+
+            const isIsolated = tab && tab.layerIsolation && tab.layerIsolation.layer === name;
+            row.append(
+                colorInput,
+                nameSpan,
+                lineTypeSelect,
+                this.iconButton(state.visible === false ? ICONS.hidden : ICONS.visible, 'layerVisible', state.visible !== false, () => this.toggleVisible(name)),
+                this.iconButton(ICONS.freeze, 'layerFreeze', !!state.frozen, () => this.toggleFrozen(name), 'text-cyan-400'),
+                this.iconButton(state.locked ? ICONS.lock : ICONS.unlock, 'layerLock', !!state.locked, () => this.toggleLocked(name), 'text-amber-400'),
+                this.iconButton(ICONS.isolate, 'layerIsolate', !!isIsolated, () => (isIsolated ? this.unisolate() : this.isolate(name)), 'text-cyan-400')
+            );
+            this.panel.appendChild(row);
+        }
+
+        if (tab) this.panel.appendChild(this.renderFooter(tab));
+        this.updateLayerHeader(names[0], group);
+    }
+
+    iconButton(icon, titleKey, active, onClick, activeClass = 'text-white') {
+        const btn = document.createElement('button');
+        btn.className = 'p-1 rounded hover:bg-white/10 transition-colors ' + (active ? activeClass : 'text-gray-500');
+        btn.title = this.t(titleKey);
+        btn.innerHTML = `<svg class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg>`;
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return btn;
+    }
+
+    // Isolation off + named layer states
+    renderFooter(tab) {
+        const footer = document.createElement('div');
+        footer.className = 'flex items-center gap-1 px-2 pt-2 mt-1 border-t border-white/10';
+
+        if (tab.layerIsolation) {
+            const unisolateBtn = document.createElement('button');
+            unisolateBtn.className = 'text-xs text-cyan-400 hover:text-white px-2 py-1 rounded hover:bg-white/10 transition-colors';
+            unisolateBtn.textContent = this.t('layerUnisolate');
+            unisolateBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.unisolate();
+            };
+            footer.appendChild(unisolateBtn);
+        }
+
+        const select = document.createElement('select');
+        select.className = 'flex-1 min-w-0 bg-black/20 border border-white/10 rounded text-xs text-gray-300 px-1 py-1';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.t('layerStates');
+        select.appendChild(placeholder);
+        tab.layerStateSets.forEach((states, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.onchange = () => {
+            if (select.value) this.restoreNamedState(select.value);
+        };
+
+        const saveBtn = this.iconButton('<path d="M12 5v14M5 12h14"></path>', 'layerStateSave', true, () => this.saveNamedState());
+        const deleteBtn = this.iconButton('<path d="M3 6h18M8 6V4h8v2M6 6l1 14h10l1-14"></path>', 'layerStateDelete', true, () => {
+            if (select.value) this.deleteNamedState(select.value);
+        });
+
+        footer.append(select, saveBtn, deleteBtn);
+        return footer;
+    }
+
+    updateLayerHeader(name, group) {
+        const state = this.getState(name);
+        const headerColor = document.getElementById('layer-header-color');
+        const headerName = document.getElementById('layer-header-name');
+        const headerVisible = document.getElementById('layer-header-visible');
+
+        if (headerColor) headerColor.style.backgroundColor = this.layerColor(name, group);
+        if (headerName) headerName.textContent = name;
+
+        if (headerVisible) {
+            headerVisible.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${state.visible === false ? ICONS.hidden : ICONS.visible}</svg>`;
+            headerVisible.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleVisible(name);
+            };
+        }
+    }
+}
@@ -0,0 +1,247 @@
+// Çevrimdışı DWG okuyucu: libredwg (WebAssembly) ile DWG dosyasını çözer ve
+// DxfLoader.generateThreeEntities()'in beklediği dxf-json yapısına çevirir.
+//
+// The decoder is @mlightcad/libredwg-web (GPL-3.0, ~10 MB wasm). It is not
+// bundled; copy its `dist/` and `wasm/` folders to libs/libredwg/ to enable
+// offline DWG import (see README). Until then load() throws and main.js
+// falls back to the conversion API after asking the user.
+const LIBREDWG_MODULE = '../../libs/libredwg/dist/libredwg-web.js';
+
+const RAD2DEG = 180 / Math.PI;
+
+export class DwgLoader {
+    constructor() {
+        this.libredwg = null;
+        this.module = null;
+        this.initPromise = null;
+    }
+
+    async init() {
+        if (this.libredwg) return this.libredwg;
+        if (!this.initPromise) {
+            this.initPromise = (async () => {
+                this.module = await import(new URL(LIBREDWG_MODULE, import.meta.url).href);
+                this.libredwg = await this.module.LibreDwg.create();
+                return this.libredwg;
+            })();
+            // Failed init (files missing) may be retried after they are deployed
+            this.initPromise.catch(() => { this.initPromise = null; });
+        }
+        return this.initPromise;
+    }
+
+    async isAvailable() {
+        try {
+            await this.init();
+            return true;
+        } catch (e) {
+            console.warn('[DwgLoader] libredwg not available:', e.message);
+            return false;
+        }
+    }
+
+    async load(file) {
+        try {
+            await this.init();
+        } catch (e) {
+            throw new Error('Offline DWG reader is not installed (libs/libredwg)');
+        }
+
+        const buffer = await file.arrayBuffer();
+        const { Dwg_File_Type } = this.module;
+        const dwg = this.libredwg.dwg_read_data(buffer, Dwg_File_Type.DWG);
+        if (!dwg) throw new Error('Could not read DWG file');
+
+        let db;
+        try {
+            db = this.libredwg.convert(dwg);
+        } finally {
+            this.libredwg.dwg_free(dwg);
+        }
+        return this.toDxfData(db);
+    }
+
+    // ------------------------------------------------------------
+    // DwgDatabase -> dxf-json
+    // libredwg keeps DWG's native radians; dxf-json (DXF) uses degrees for
+    // ARC/TEXT/INSERT/DIMENSION angles, so those are converted here.
+    // ------------------------------------------------------------
+    toDxfData(db) {
+        const header = {};
+        Object.entries(db.header || {}).forEach(([key, value]) => {
+            if (value === null || value === undefined) return;
+            if (typeof value === 'object' && !('x' in value)) return; // Colors, handles...
+            header['$' + key] = value;
+        });
+
+        const tables = db.tables || {};
+        const table = (name, mapEntry = (e) => e) => ({
+            entries: ((tables[name] && tables[name].entries) || []).map(mapEntry)
+        });
+
+        const blocks = {};
+        ((tables.BLOCK_RECORD && tables.BLOCK_RECORD.entries) || []).forEach(record => {
+            if (!record || !record.name) return;
+            blocks[record.name] = {
+                name: record.name,
+                handle: record.handle,
+                position: record.basePoint || { x: 0, y: 0, z: 0 },
+                type: record.flags || 0,
+                layer: '0',
+                entities: this.convertEntities(record.entities || [])
+            };
+        });
+
+        return {
+            header,
+            tables: {
+                LAYER: table('LAYER', (l) => ({
+                    ...l,
+                    // DXF marks "off" layers with a negative color
+                    colorIndex: l.off ? -Math.abs(l.colorIndex || 7) : l.colorIndex
+                })),
+                LTYPE: table('LTYPE', (lt) => ({
+                    ...lt,
+                    pattern: (lt.pattern || []).map(p => (typeof p === 'number' ? p : p.elementLength))
+                })),
+                STYLE: table('STYLE'),
+                DIMSTYLE: table('DIMSTYLE'),
+                VPORT: table('VPORT'),
+                APPID: table('APPID'),
+                BLOCK_RECORD: table('BLOCK_RECORD', ({ entities, ...rest }) => rest)
+            },
+            blocks,
+            entities: this.convertEntities(db.entities || [])
+        };
+    }
+
+    convertEntities(list) {
+        const out = [];
+        for (const ent of list) {
+            try {
+                const converted = this.convertEntity(ent);
+                if (converted) out.push(converted);
+            } catch (err) {
+                console.warn('[DwgLoader] Failed to convert entity:', ent, err);
+            }
+        }
+        return out;
+    }
+
+    convertEntity(ent) {
+        if (!ent || !ent.type) return null;
+
+        switch (ent.type) {
+            case 'ARC':
+                return { ...ent, startAngle: ent.startAngle * RAD2DEG, endAngle: ent.endAngle * RAD2DEG };
+
+            case 'TEXT':
+                return { ...ent, rotation: (ent.rotation || 0) * RAD2DEG };
+
+            case 'ATTRIB':
+            case 'ATTDEF': {
+                // libredwg nests the text record; dxf-json keeps it flat
+                const base = (ent.text && typeof ent.text === 'object') ? ent.text : {};
+                return {
+                    ...ent,
+                    ...base,
+                    type: ent.type,
+                    layer: ent.layer,
+                    tag: ent.tag,
+                    text: base.text ?? '',
+                    rotation: (base.rotation || 0) * RAD2DEG
+                };
+            }
+
+            case 'MTEXT':
+                return {
+                    ...ent,
+                    height: ent.textHeight,
+                    width: ent.rectWidth
+                };
+
+            case 'INSERT':
+                return {
+                    ...ent,
+                    rotation: (ent.rotation || 0) * RAD2DEG,
+                    attribs: (ent.attribs || []).map(a => this.convertEntity(a)).filter(Boolean)
+                };
+
+            case 'SOLID':
+            case 'TRACE':
+                return {
+                    ...ent,
+                    points: [ent.corner1, ent.corner2, ent.corner3, ent.corner4 || ent.corner3]
+                };
+
+            case '3DFACE': {
+                // Face corners run around the outline; createSolid expects SOLID order
+                // (third and fourth swapped). vertices keeps the DXF order for export.
+                const vertices = [ent.corner1, ent.corner2, ent.corner3, ent.corner4 || ent.corner3];
+                return {
+                    ...ent,
+                    vertices,
+                    points: [vertices[0], vertices[1], vertices[3], vertices[2]]
+                };
+            }
+
+            case 'POLYLINE2D':
+            case 'POLYLINE3D':
+            case 'POLYLINE_MESH':
+            case 'POLYLINE_PFACE':
+                return {
+                    ...ent,
+                    type: 'POLYLINE',
+                    vertices: (ent.vertices || []).map(v => ({
+                        x: v.x, y: v.y, z: v.z || 0,
+                        bulge: v.bulge || 0,
+                        startWidth: v.startWidth,
+                        endWidth: v.endWidth,
+                        flag: v.flag
+                    }))
+                };
+
+            case 'DIMENSION': {
+                const kind = (ent.dimensionType || 0) & 0x0f;
+                const dim = {
+                    ...ent,
+                    rotationAngle: (ent.rotationAngle || 0) * RAD2DEG,
+                    obliqueAngle: (ent.obliqueAngle || 0) * RAD2DEG,
+                    textRotation: (ent.textRotation || 0) * RAD2DEG
+                };
+                // Radial/diametric: the point on the curve is DXF group 15
+                if ((kind === 3 || kind === 4) && !dim.subDefinitionPoint) {
+                    dim.subDefinitionPoint = ent.centerPoint;
+                }
+                return dim;
+            }
+
+            case 'HATCH':
+                return {
+                    ...ent,
+                    boundaryPaths: (ent.boundaryPaths || []).map(path => this.convertHatchPath(path))
+                };
+
+            default:
+                // LINE, CIRCLE, ELLIPSE, LWPOLYLINE, SPLINE, POINT... already match
+                return ent;
+        }
+    }
+
+    convertHatchPath(path) {
+        if (!path || !Array.isArray(path.edges)) return path;
+        return {
+            ...path,
+            edges: path.edges.map(edge => {
+                if (edge.type !== 2 && edge.type !== 3) return edge;
+                return {
+                    ...edge,
+                    startAngle: edge.startAngle * RAD2DEG,
+                    endAngle: edge.endAngle * RAD2DEG,
+                    // is_ccw comes as 0/1; missing means counter-clockwise
+                    isCounterClockwise: edge.isCCW === undefined ? true : Boolean(edge.isCCW)
+                };
+            })
+        };
+    }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { DxfLoader } from '../dxf-loader.js';
+import { DwgLoader } from './DwgLoader.js';
+import { PdfLoader } from './PdfLoader.js';
 import { OCCTLoader } from './OCCTLoader.js';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
@@ -8,23 +10,26 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 export class LoaderManager {
     constructor() {
         this.dxfLoader = new DxfLoader();
+        this.dwgLoader = new DwgLoader();
+        this.pdfLoader = new PdfLoader();
         this.occtLoader = new OCCTLoader();
         this.stlLoader = new STLLoader();
         this.objLoader = new OBJLoader();
         this.gltfLoader = new GLTFLoader();
     }
 
-    async load(file) {
+    // options: format specific import settings, e.g. { page, scale } for PDF, plus
+    // { signal, onProgress } for the DXF family (parse worker + chunked scene build)
+    async load(file, options = {}) {
         const extension = file.name.split('.').pop().toLowerCase();
 
         switch (extension) {
             case 'dxf':
-                return this.loadDXF(file);
+                return this.loadDXF(file, options);
             case 'dwg':
-                throw new Error("Client-side DWG not supported yet (requires API)");
+                return this.loadDWG(file, options);
             case 'pdf':
-                // PDF handling logic is currently in main.js, probably keep it there or move here later
-                throw new Error("PDF should be handled before LoaderManager");
+                return this.loadPDF(file, options);
             case 'stp':
             case 'step':
             case 'iges':
@@ -42,10 +47,10 @@ export class LoaderManager {
         }
     }
 
-    async loadDXF(file) {
+    async loadDXF(file, options = {}) {
         // Return structured object
-        const userData = await this.dxfLoader.load(file);
-        const group = this.dxfLoader.generateThreeEntities(userData);
+        const userData = await this.dxfLoader.load(file, options);
+        const group = await this.dxfLoader.generateThreeEntitiesAsync(userData, options);
         return {
             type: 'dxf',
             group: group,
@@ -53,6 +58,38 @@ export class LoaderManager {
         };
     }
 
+    // DWG is decoded into the same structure DxfLoader produces, so the rest
+    // of the app (export, blocks, measurements) treats it as a DXF
+    async loadDWG(file, options = {}) {
+        const data = await this.dwgLoader.load(file);
+        const group = await this.dxfLoader.generateThreeEntitiesAsync(data, options);
+        return {
+            type: 'dxf',
+            group: group,
+            data: data
+        };
+    }
+
+    async isDwgReaderAvailable() {
+        return this.dwgLoader.isAvailable();
+    }
+
+    // Vector paths of one PDF page, scaled to model millimeters
+    async loadPDF(file, options) {
+        const data = await this.pdfLoader.load(file, options);
+        const group = await this.dxfLoader.generateThreeEntitiesAsync(data, options);
+        return {
+            type: 'dxf',
+            group: group,
+            data: data
+        };
+    }
+
+    // Page count and detected "1:N" note for the import dialog
+    async inspectPDF(file, pageIndex = 0) {
+        return this.pdfLoader.inspect(file, pageIndex);
+    }
+
     async loadCAD(file, extension) {
         // OCCT Loader logic needs to know if it is doing STEP or IGES inside
         // We'll update OCCTLoader to handle file extension if needed, or pass it here
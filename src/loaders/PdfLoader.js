@@ -0,0 +1,1000 @@
+// PDF vektör içe aktarma: sayfadaki yol operatörlerini (m, l, c, v, y, re, h)
+// okuyup DxfLoader.generateThreeEntities()'in beklediği dxf-json yapısına çevirir.
+//
+// Only what vector drawings need is implemented: object scan (including
+// compressed object streams), Flate/ASCIIHex/ASCII85 filters, the page tree,
+// graphics state (q/Q/cm) and form XObjects. Text is read only to detect a
+// "1:N" scale note; raster images are skipped.
+
+const POINT_TO_MM = 25.4 / 72;
+const EPS = 1e-9;
+const MAX_FORM_DEPTH = 12;
+
+// Layer for filled-only paths (solid hatches, outlined text) so they can be hidden
+export const PDF_FILL_LAYER = 'PDF_FILL';
+
+// ------------------------------------------------------------
+// LEXER / PARSER
+// ------------------------------------------------------------
+class PdfName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PdfStream {
+    constructor(dict, bytes, start, end) {
+        this.dict = dict;
+        this.bytes = bytes;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+const isName = (v, name) => v instanceof PdfName && (name === undefined || v.name === name);
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set([40, 41, 60, 62, 91, 93, 123, 125, 47, 37]); // ()<>[]{}/%
+
+class Lexer {
+    constructor(bytes, pos = 0) {
+        this.bytes = bytes;
+        this.pos = pos;
+    }
+
+    skipWhitespace() {
+        const b = this.bytes;
+        while (this.pos < b.length) {
+            const c = b[this.pos];
+            if (WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 37) { // % comment
+                while (this.pos < b.length && b[this.pos] !== 10 && b[this.pos] !== 13) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    // Returns { type: 'num'|'name'|'str'|'kw'|'delim'|'eof', value }
+    next() {
+        this.skipWhitespace();
+        const b = this.bytes;
+        if (this.pos >= b.length) return { type: 'eof' };
+
+        const c = b[this.pos];
+
+        if (c === 47) { // /Name
+            this.pos++;
+            let name = '';
+            while (this.pos < b.length && !WHITESPACE.has(b[this.pos]) && !DELIMITERS.has(b[this.pos])) {
+                if (b[this.pos] === 35 && this.pos + 2 < b.length) { // #xx escape
+                    name += String.fromCharCode(parseInt(String.fromCharCode(b[this.pos + 1], b[this.pos + 2]), 16));
+                    this.pos += 3;
+                } else {
+                    name += String.fromCharCode(b[this.pos++]);
+                }
+            }
+            return { type: 'name', value: name };
+        }
+
+        if (c === 40) return { type: 'str', value: this.readLiteralString() };
+
+        if (c === 60) {
+            if (b[this.pos + 1] === 60) {
+                this.pos += 2;
+                return { type: 'delim', value: '<<' };
+            }
+            return { type: 'str', value: this.readHexString() };
+        }
+        if (c === 62 && b[this.pos + 1] === 62) {
+            this.pos += 2;
+            return { type: 'delim', value: '>>' };
+        }
+        if (c === 91 || c === 93 || c === 123 || c === 125) {
+            this.pos++;
+            return { type: 'delim', value: String.fromCharCode(c) };
+        }
+
+        // Number: [+-]?digits with optional '.'
+        if ((c >= 48 && c <= 57) || c === 43 || c === 45 || c === 46) {
+            const start = this.pos;
+            this.pos++;
+            while (this.pos < b.length) {
+                const d = b[this.pos];
+                if ((d >= 48 && d <= 57) || d === 46 || d === 45) this.pos++;
+                else break;
+            }
+            const value = parseFloat(String.fromCharCode(...b.subarray(start, this.pos)).replace(/(?!^)-/g, ''));
+            return { type: 'num', value: isNaN(value) ? 0 : value };
+        }
+
+        // Keyword / operator
+        const start = this.pos;
+        while (this.pos < b.length && !WHITESPACE.has(b[this.pos]) && !DELIMITERS.has(b[this.pos])) this.pos++;
+        if (this.pos === start) this.pos++; // Stray delimiter, e.g. ')'
+        // Operators are short; a long run is binary junk and only needs to be skipped
+        return { type: 'kw', value: String.fromCharCode(...b.subarray(start, Math.min(this.pos, start + 32))) };
+    }
+
+    readLiteralString() {
+        const b = this.bytes;
+        this.pos++; // (
+        let depth = 1;
+        let out = '';
+        while (this.pos < b.length) {
+            const c = b[this.pos++];
+            if (c === 92) { // backslash
+                const e = b[this.pos++];
+                switch (e) {
+                    case 110: out += '\n'; break;
+                    case 114: out += '\r'; break;
+                    case 116: out += '\t'; break;
+                    case 98: out += '\b'; break;
+                    case 102: out += '\f'; break;
+                    case 13: if (b[this.pos] === 10) this.pos++; break; // Line continuation
+                    case 10: break;
+                    default:
+                        if (e >= 48 && e <= 55) { // Octal \ddd
+                            let code = e - 48;
+                            for (let i = 0; i < 2 && b[this.pos] >= 48 && b[this.pos] <= 55; i++) {
+                                code = code * 8 + (b[this.pos++] - 48);
+                            }
+                            out += String.fromCharCode(code & 0xff);
+                        } else {
+                            out += String.fromCharCode(e);
+                        }
+                }
+            } else if (c === 40) {
+                depth++;
+                out += '(';
+            } else if (c === 41) {
+                if (--depth === 0) break;
+                out += ')';
+            } else {
+                out += String.fromCharCode(c);
+            }
+        }
+        return out;
+    }
+
+    readHexString() {
+        const b = this.bytes;
+        this.pos++; // <
+        let hex = '';
+        while (this.pos < b.length && b[this.pos] !== 62) {
+            if (!WHITESPACE.has(b[this.pos])) hex += String.fromCharCode(b[this.pos]);
+            this.pos++;
+        }
+        this.pos++; // >
+        if (hex.length % 2) hex += '0';
+        let out = '';
+        for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2), 16) || 0);
+        return out;
+    }
+
+    // Inline image data after "ID": skip to whitespace + "EI"
+    skipInlineImage() {
+        const b = this.bytes;
+        this.pos++; // Single whitespace after ID
+        while (this.pos < b.length - 2) {
+            if (WHITESPACE.has(b[this.pos]) && b[this.pos + 1] === 69 && b[this.pos + 2] === 73 &&
+                (this.pos + 3 >= b.length || WHITESPACE.has(b[this.pos + 3]) || DELIMITERS.has(b[this.pos + 3]))) {
+                this.pos += 3;
+                return;
+            }
+            this.pos++;
+        }
+        this.pos = b.length;
+    }
+}
+
+// Parses one object starting with `token`. Refs ("n g R") only appear in the file body,
+// so content streams pass allowRefs = false and skip the look-ahead.
+function parseObject(lexer, token = lexer.next(), allowRefs = true) {
+    switch (token.type) {
+        case 'num': {
+            if (allowRefs && Number.isInteger(token.value) && token.value >= 0) {
+                const save = lexer.pos;
+                const gen = lexer.next();
+                if (gen.type === 'num' && Number.isInteger(gen.value)) {
+                    const r = lexer.next();
+                    if (r.type === 'kw' && r.value === 'R') return new PdfRef(token.value, gen.value);
+                }
+                lexer.pos = save;
+            }
+            return token.value;
+        }
+        case 'name':
+            return new PdfName(token.value);
+        case 'str':
+            return token.value;
+        case 'delim':
+            if (token.value === '[') {
+                const arr = [];
+                for (let t = lexer.next(); t.type !== 'eof' && !(t.type === 'delim' && t.value === ']'); t = lexer.next()) {
+                    arr.push(parseObject(lexer, t, allowRefs));
+                }
+                return arr;
+            }
+            if (token.value === '<<') {
+                const dict = {};
+                for (let t = lexer.next(); t.type !== 'eof' && !(t.type === 'delim' && t.value === '>>'); t = lexer.next()) {
+                    if (t.type !== 'name') continue; // Malformed key, skip
+                    dict[t.value] = parseObject(lexer, lexer.next(), allowRefs);
+                }
+                return dict;
+            }
+            return null;
+        case 'kw':
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            return null;
+        default:
+            return null;
+    }
+}
+
+// ------------------------------------------------------------
+// FILTERS
+// ------------------------------------------------------------
+async function inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress PDF streams');
+    }
+    const ds = new DecompressionStream('deflate');
+    const writer = ds.writable.getWriter();
+    writer.write(data).catch(() => { });
+    writer.close().catch(() => { });
+
+    // Many writers leave junk after the zlib end; keep what was decoded
+    const reader = ds.readable.getReader();
+    const chunks = [];
+    let total = 0;
+    try {
+        for (; ;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            total += value.length;
+        }
+    } catch (err) {
+        if (total === 0) throw err;
+    }
+
+    const out = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(c => { out.set(c, offset); offset += c.length; });
+    return out;
+}
+
+function asciiHexDecode(data) {
+    const out = [];
+    let high = -1;
+    for (const c of data) {
+        if (c === 62) break; // >
+        const v = c >= 48 && c <= 57 ? c - 48 : (c | 32) >= 97 && (c | 32) <= 102 ? (c | 32) - 87 : -1;
+        if (v < 0) continue;
+        if (high < 0) high = v;
+        else { out.push(high * 16 + v); high = -1; }
+    }
+    if (high >= 0) out.push(high * 16);
+    return new Uint8Array(out);
+}
+
+function ascii85Decode(data) {
+    const out = [];
+    const group = [];
+    const flush = (count) => {
+        while (group.length < 5) group.push(84); // 'u'
+        let value = 0;
+        for (const g of group) value = value * 85 + g;
+        const bytes = [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+        out.push(...bytes.slice(0, count));
+        group.length = 0;
+    };
+    for (let i = 0; i < data.length; i++) {
+        const c = data[i];
+        if (c === 126) break; // ~>
+        if (c === 122 && group.length === 0) { out.push(0, 0, 0, 0); continue; } // 'z'
+        if (c < 33 || c > 117) continue;
+        group.push(c - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 0) flush(group.length - 1);
+    return new Uint8Array(out);
+}
+
+// ------------------------------------------------------------
+// DOCUMENT
+// ------------------------------------------------------------
+class PdfDocument {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.objects = new Map(); // num -> parsed value (PdfStream for streams)
+        this.trailers = [];
+    }
+
+    static async open(bytes) {
+        const doc = new PdfDocument(bytes);
+        doc.scanObjects();
+        await doc.loadObjectStreams();
+        return doc;
+    }
+
+    // Brute-force scan instead of reading the xref: works for damaged files and
+    // incremental updates (later definitions win)
+    scanObjects() {
+        const bytes = this.bytes;
+        const text = new TextDecoder('latin1').decode(bytes);
+        if (!text.startsWith('%PDF') && text.indexOf('%PDF') < 0) throw new Error('Not a PDF file');
+
+        const re = /(\d+)\s+(\d+)\s+obj\b/g;
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            const num = parseInt(m[1], 10);
+            const lexer = new Lexer(bytes, re.lastIndex);
+            let value;
+            try {
+                value = parseObject(lexer);
+            } catch (err) {
+                continue;
+            }
+
+            // Stream body follows the dictionary
+            const save = lexer.pos;
+            const kw = lexer.next();
+            if (kw.type === 'kw' && kw.value === 'stream' && value && typeof value === 'object') {
+                let start = lexer.pos;
+                if (bytes[start] === 13) start++;
+                if (bytes[start] === 10) start++;
+
+                let end = -1;
+                if (typeof value.Length === 'number') {
+                    const candidate = start + value.Length;
+                    const tail = text.substr(candidate, 32);
+                    if (/^\s*endstream/.test(tail)) end = candidate;
+                }
+                if (end < 0) {
+                    end = text.indexOf('endstream', start);
+                    if (end < 0) end = bytes.length;
+                    else if (bytes[end - 1] === 10) end -= bytes[end - 2] === 13 ? 2 : 1;
+                    else if (bytes[end - 1] === 13) end -= 1;
+                }
+                value = new PdfStream(value, bytes, start, end);
+                re.lastIndex = end;
+                if (isName(value.dict.Type, 'XRef')) this.trailers.push(value.dict);
+            } else {
+                lexer.pos = save;
+            }
+            this.objects.set(num, value);
+        }
+
+        // Classic trailers
+        const trailerRe = /trailer\s*<</g;
+        while ((m = trailerRe.exec(text)) !== null) {
+            try {
+                this.trailers.push(parseObject(new Lexer(bytes, m.index + 7)));
+            } catch (err) {
+                // Ignore broken trailer
+            }
+        }
+
+        if (this.trailers.some(t => t && t.Encrypt)) {
+            throw new Error('Encrypted PDF files are not supported');
+        }
+    }
+
+    // PDF 1.5+ keeps most dictionaries inside compressed object streams
+    async loadObjectStreams() {
+        const streams = [...this.objects.values()].filter(v => v instanceof PdfStream && isName(v.dict.Type, 'ObjStm'));
+        for (const stream of streams) {
+            let data;
+            try {
+                data = await this.decodeStream(stream);
+            } catch (err) {
+                console.warn('[PdfLoader] Could not decode object stream', err);
+                continue;
+            }
+            const n = stream.dict.N || 0;
+            const first = stream.dict.First || 0;
+            const header = new Lexer(data, 0);
+            const entries = [];
+            for (let i = 0; i < n; i++) {
+                const num = header.next();
+                const offset = header.next();
+                if (num.type !== 'num' || offset.type !== 'num') break;
+                entries.push([num.value, offset.value]);
+            }
+            entries.forEach(([num, offset]) => {
+                if (this.objects.has(num)) return; // Direct (newer) definition wins
+                try {
+                    this.objects.set(num, parseObject(new Lexer(data, first + offset)));
+                } catch (err) {
+                    // Skip unreadable object
+                }
+            });
+        }
+    }
+
+    resolve(value) {
+        let guard = 0;
+        while (value instanceof PdfRef && guard++ < 32) {
+            value = this.objects.has(value.num) ? this.objects.get(value.num) : null;
+        }
+        return value;
+    }
+
+    async decodeStream(stream) {
+        let data = stream.bytes.subarray(stream.start, stream.end);
+        const length = this.resolve(stream.dict.Length);
+        if (typeof length === 'number' && length >= 0 && length < data.length) {
+            data = data.subarray(0, length);
+        }
+
+        let filters = this.resolve(stream.dict.Filter);
+        if (!filters) return data;
+        if (!Array.isArray(filters)) filters = [filters];
+
+        for (const f of filters) {
+            const name = this.resolve(f)?.name;
+            switch (name) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = await inflate(data);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = asciiHexDecode(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = ascii85Decode(data);
+                    break;
+                default:
+                    throw new Error(`Unsupported PDF stream filter: ${name}`);
+            }
+        }
+        return data;
+    }
+
+    getPages() {
+        const root = this.trailers.map(t => this.resolve(t && t.Root)).filter(Boolean).pop() ||
+            [...this.objects.values()].find(v => v && isName(v.Type, 'Catalog'));
+
+        const pages = [];
+        const visited = new Set();
+        const walk = (node, inherited) => {
+            node = this.resolve(node);
+            if (!node || typeof node !== 'object' || visited.has(node)) return;
+            visited.add(node);
+
+            const attrs = { ...inherited };
+            ['Resources', 'MediaBox', 'CropBox', 'Rotate'].forEach(key => {
+                if (node[key] !== undefined) attrs[key] = this.resolve(node[key]);
+            });
+
+            if (Array.isArray(this.resolve(node.Kids))) {
+                this.resolve(node.Kids).forEach(kid => walk(kid, attrs));
+            } else if (isName(node.Type, 'Page') || node.Contents) {
+                pages.push({ ...attrs, Contents: node.Contents, UserUnit: node.UserUnit });
+            }
+        };
+        if (root) walk(root.Pages, {});
+
+        // No usable page tree: take every page object in file order
+        if (pages.length === 0) {
+            [...this.objects.entries()]
+                .filter(([, v]) => v && isName(v.Type, 'Page'))
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([, v]) => pages.push({
+                    Resources: this.resolve(v.Resources),
+                    MediaBox: this.resolve(v.MediaBox),
+                    CropBox: this.resolve(v.CropBox),
+                    Rotate: this.resolve(v.Rotate),
+                    Contents: v.Contents,
+                    UserUnit: v.UserUnit
+                }));
+        }
+        return pages;
+    }
+
+    async getPageContent(page) {
+        let contents = this.resolve(page.Contents);
+        if (!contents) return new Uint8Array(0);
+        if (!Array.isArray(contents)) contents = [contents];
+
+        const parts = [];
+        for (const c of contents) {
+            const stream = this.resolve(c);
+            if (stream instanceof PdfStream) parts.push(await this.decodeStream(stream));
+        }
+        // Streams are concatenated with a separator so tokens do not merge
+        const total = parts.reduce((s, p) => s + p.length + 1, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(p => {
+            out.set(p, offset);
+            out[offset + p.length] = 10;
+            offset += p.length + 1;
+        });
+        return out;
+    }
+}
+
+// ------------------------------------------------------------
+// CONTENT STREAM INTERPRETER
+// ------------------------------------------------------------
+// Matrix [a b c d e f]: x' = a*x + c*y + e, y' = b*x + d*y + f
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+function transformPoint(m, x, y) {
+    return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+class ContentInterpreter {
+    constructor(doc) {
+        this.doc = doc;
+        this.strokes = []; // Subpaths painted with a stroke
+        this.fills = []; // Subpaths only filled
+        this.texts = [];
+    }
+
+    async run(bytes, resources, ctm, depth = 0) {
+        const lexer = new Lexer(bytes);
+        const stateStack = [];
+        let state = { ctm };
+        let subpaths = [];
+        let current = null;
+        let operands = [];
+
+        const moveTo = (x, y) => {
+            current = { start: transformPoint(state.ctm, x, y), segments: [], closed: false };
+            current.last = current.start;
+            subpaths.push(current);
+        };
+        const lineTo = (x, y) => {
+            if (!current) return moveTo(x, y);
+            const to = transformPoint(state.ctm, x, y);
+            current.segments.push({ type: 'L', to });
+            current.last = to;
+        };
+        const curveTo = (c1, c2, to) => {
+            if (!current) moveTo(to.x, to.y);
+            current.segments.push({ type: 'C', c1, c2, to });
+            current.last = to;
+        };
+        const closePath = () => {
+            if (!current) return;
+            current.closed = true;
+            // Drawing continues from the start point
+            const start = current.start;
+            current = { start, last: start, segments: [], closed: false };
+            subpaths.push(current);
+        };
+        const paint = (target) => {
+            subpaths.forEach(sp => {
+                if (sp.segments.length > 0) target.push(sp);
+            });
+        };
+        const endPath = () => {
+            subpaths = [];
+            current = null;
+        };
+
+        for (let token = lexer.next(); token.type !== 'eof'; token = lexer.next()) {
+            if (token.type !== 'kw') {
+                operands.push(parseObject(lexer, token, false));
+                continue;
+            }
+
+            const op = token.value;
+            const num = (i) => (typeof operands[i] === 'number' ? operands[i] : 0);
+
+            switch (op) {
+                case 'q':
+                    stateStack.push(state);
+                    state = { ...state };
+                    break;
+                case 'Q':
+                    if (stateStack.length) state = stateStack.pop();
+                    break;
+                case 'cm':
+                    state.ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], state.ctm);
+                    break;
+
+                case 'm': moveTo(num(0), num(1)); break;
+                case 'l': lineTo(num(0), num(1)); break;
+                case 'c':
+                    curveTo(transformPoint(state.ctm, num(0), num(1)), transformPoint(state.ctm, num(2), num(3)),
+                        transformPoint(state.ctm, num(4), num(5)));
+                    break;
+                case 'v': // First control point = current point
+                    curveTo(current ? current.last : transformPoint(state.ctm, num(0), num(1)),
+                        transformPoint(state.ctm, num(0), num(1)), transformPoint(state.ctm, num(2), num(3)));
+                    break;
+                case 'y': { // Second control point = end point
+                    const to = transformPoint(state.ctm, num(2), num(3));
+                    curveTo(transformPoint(state.ctm, num(0), num(1)), to, to);
+                    break;
+                }
+                case 'h': closePath(); break;
+                case 're': {
+                    const [x, y, w, h] = [num(0), num(1), num(2), num(3)];
+                    moveTo(x, y);
+                    lineTo(x + w, y);
+                    lineTo(x + w, y + h);
+                    lineTo(x, y + h);
+                    closePath();
+                    break;
+                }
+
+                case 's': closePath(); paint(this.strokes); endPath(); break;
+                case 'S': paint(this.strokes); endPath(); break;
+                case 'b':
+                case 'b*': closePath(); paint(this.strokes); endPath(); break;
+                case 'B':
+                case 'B*': paint(this.strokes); endPath(); break;
+                case 'f':
+                case 'F':
+                case 'f*': paint(this.fills); endPath(); break;
+                case 'n': endPath(); break;
+                case 'W':
+                case 'W*': break; // Clipping is ignored
+
+                case 'Do':
+                    if (isName(operands[0])) await this.runXObject(operands[0].name, resources, state.ctm, depth);
+                    break;
+
+                case 'Tj':
+                case "'":
+                    if (typeof operands[0] === 'string') this.texts.push(operands[0]);
+                    break;
+                case '"':
+                    if (typeof operands[2] === 'string') this.texts.push(operands[2]);
+                    break;
+                case 'TJ':
+                    if (Array.isArray(operands[0])) {
+                        // Large negative kerning values are word gaps
+                        this.texts.push(operands[0].map(p => (typeof p === 'string' ? p : (p < -200 ? ' ' : ''))).join(''));
+                    }
+                    break;
+                case 'ET':
+                    this.texts.push('\n');
+                    break;
+
+                case 'ID':
+                    lexer.skipInlineImage();
+                    break;
+                default:
+                    break;
+            }
+            operands = [];
+        }
+    }
+
+    async runXObject(name, resources, ctm, depth) {
+        if (depth >= MAX_FORM_DEPTH) return;
+        const doc = this.doc;
+        const xobjects = doc.resolve(resources && resources.XObject);
+        const xobj = doc.resolve(xobjects && xobjects[name]);
+        if (!(xobj instanceof PdfStream) || !isName(xobj.dict.Subtype, 'Form')) return; // Images are skipped
+
+        const matrix = doc.resolve(xobj.dict.Matrix);
+        const formCtm = Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix, ctm) : ctm;
+        const formResources = doc.resolve(xobj.dict.Resources) || resources;
+        try {
+            await this.run(await doc.decodeStream(xobj), formResources, formCtm, depth + 1);
+        } catch (err) {
+            console.warn(`[PdfLoader] Skipped form XObject ${name}`, err);
+        }
+    }
+}
+
+// ------------------------------------------------------------
+// GEOMETRY -> ENTITIES
+// ------------------------------------------------------------
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function bezierPoint(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+    return { x: a * p0.x + b * p1.x + c * p2.x + d * p3.x, y: a * p0.y + b * p1.y + c * p2.y + d * p3.y };
+}
+
+// Cubic Bézier that is (the usual approximation of) a circular arc -> arc edge, else null
+function bezierToArc(p0, p1, p2, p3) {
+    const t0 = { x: p1.x - p0.x, y: p1.y - p0.y };
+    const t1 = { x: p3.x - p2.x, y: p3.y - p2.y };
+    const chord = distance(p0, p3);
+    if (Math.hypot(t0.x, t0.y) < EPS || Math.hypot(t1.x, t1.y) < EPS || chord < EPS) return null;
+
+    // Center = intersection of the end normals
+    const det = t0.x * t1.y - t0.y * t1.x;
+    if (Math.abs(det) < EPS * Math.hypot(t0.x, t0.y) * Math.hypot(t1.x, t1.y)) return null;
+    const dx = p3.x - p0.x, dy = p3.y - p0.y;
+    const s = (dx * t1.x + dy * t1.y) / det;
+    const center = { x: p0.x - t0.y * s, y: p0.y + t0.x * s };
+
+    const radius = (distance(center, p0) + distance(center, p3)) / 2;
+    if (radius > chord * 100) return null; // Practically straight, keep as curve
+    const tol = radius * 2e-3;
+    if (Math.abs(distance(center, p0) - distance(center, p3)) > tol) return null;
+    for (const t of [0.25, 0.5, 0.75]) {
+        if (Math.abs(distance(center, bezierPoint(p0, p1, p2, p3, t)) - radius) > tol) return null;
+    }
+
+    const a0 = Math.atan2(p0.y - center.y, p0.x - center.x);
+    const a1 = Math.atan2(p3.y - center.y, p3.x - center.x);
+    const ccw = ((p0.x - center.x) * t0.y - (p0.y - center.y) * t0.x) > 0;
+    let sweep = ccw ? a1 - a0 : a0 - a1;
+    while (sweep <= 0) sweep += Math.PI * 2;
+    if (sweep > Math.PI * 1.2) return null; // Not what a single arc segment looks like
+
+    return { type: 'arc', a: p0, b: p3, center, radius, sweep: ccw ? sweep : -sweep };
+}
+
+// Subpath -> edges (line / arc / bezier) with degenerate pieces removed
+function subpathEdges(sp, tol) {
+    const edges = [];
+    let prev = sp.start;
+    for (const seg of sp.segments) {
+        if (seg.type === 'L') {
+            if (distance(prev, seg.to) > tol) edges.push({ type: 'line', a: prev, b: seg.to });
+        } else {
+            const arc = bezierToArc(prev, seg.c1, seg.c2, seg.to);
+            if (arc) edges.push(arc);
+            else if (distance(prev, seg.to) > tol || distance(prev, seg.c1) > tol || distance(prev, seg.c2) > tol) {
+                edges.push({ type: 'bezier', a: prev, c1: seg.c1, c2: seg.c2, b: seg.to });
+            }
+        }
+        prev = seg.to;
+    }
+    if (sp.closed && edges.length > 0 && distance(prev, sp.start) > tol) {
+        edges.push({ type: 'line', a: prev, b: sp.start });
+    }
+
+    // Merge consecutive pieces of the same circle (circles come as 4 Béziers)
+    const merged = [];
+    for (const e of edges) {
+        const last = merged[merged.length - 1];
+        if (last && e.type === 'arc' && last.type === 'arc' &&
+            distance(last.center, e.center) < Math.max(tol, last.radius * 2e-3) &&
+            Math.abs(last.radius - e.radius) < Math.max(tol, last.radius * 2e-3) &&
+            Math.sign(last.sweep) === Math.sign(e.sweep) &&
+            Math.abs(last.sweep + e.sweep) <= Math.PI * 2 + 1e-6) {
+            last.b = e.b;
+            last.sweep += e.sweep;
+        } else {
+            merged.push({ ...e });
+        }
+    }
+    return merged;
+}
+
+const toDegrees = (rad) => ((rad * 180 / Math.PI) % 360 + 360) % 360;
+
+function arcEntity(edge, layer) {
+    const { center, radius, sweep } = edge;
+    if (Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-3) {
+        return { type: 'CIRCLE', layer, center: { x: center.x, y: center.y, z: 0 }, radius };
+    }
+    // DXF arcs run counter-clockwise
+    const from = sweep > 0 ? edge.a : edge.b;
+    const to = sweep > 0 ? edge.b : edge.a;
+    return {
+        type: 'ARC',
+        layer,
+        center: { x: center.x, y: center.y, z: 0 },
+        radius,
+        startAngle: toDegrees(Math.atan2(from.y - center.y, from.x - center.x)),
+        endAngle: toDegrees(Math.atan2(to.y - center.y, to.x - center.x))
+    };
+}
+
+// Lines and arcs in a row -> LINE / ARC / LWPOLYLINE with bulges
+function polylineEntity(edges, closed, layer) {
+    if (edges.length === 1 && !closed) {
+        const e = edges[0];
+        if (e.type === 'arc') return arcEntity(e, layer);
+        return {
+            type: 'LINE', layer,
+            startPoint: { x: e.a.x, y: e.a.y, z: 0 },
+            endPoint: { x: e.b.x, y: e.b.y, z: 0 }
+        };
+    }
+    if (edges.length === 1 && edges[0].type === 'arc' && Math.abs(Math.abs(edges[0].sweep) - Math.PI * 2) < 1e-3) {
+        return arcEntity(edges[0], layer);
+    }
+
+    const vertices = edges.map(e => ({
+        x: e.a.x,
+        y: e.a.y,
+        bulge: e.type === 'arc' ? Math.tan(e.sweep / 4) : 0
+    }));
+    if (!closed) {
+        const last = edges[edges.length - 1].b;
+        vertices.push({ x: last.x, y: last.y, bulge: 0 });
+    }
+    return { type: 'LWPOLYLINE', layer, vertices, flag: closed ? 1 : 0, closed };
+}
+
+// Béziers in a row -> one cubic SPLINE with triple interior knots
+function splineEntity(edges, closed, layer) {
+    const controlPoints = [{ x: edges[0].a.x, y: edges[0].a.y, z: 0 }];
+    const knots = [0, 0, 0, 0];
+    edges.forEach((e, i) => {
+        controlPoints.push({ x: e.c1.x, y: e.c1.y, z: 0 }, { x: e.c2.x, y: e.c2.y, z: 0 }, { x: e.b.x, y: e.b.y, z: 0 });
+        if (i < edges.length - 1) knots.push(i + 1, i + 1, i + 1);
+    });
+    knots.push(edges.length, edges.length, edges.length, edges.length);
+    return { type: 'SPLINE', layer, degree: 3, knots, controlPoints, flag: closed ? 9 : 8 };
+}
+
+function subpathToEntities(sp, layer, tol) {
+    const edges = subpathEdges(sp, tol);
+    if (edges.length === 0) return [];
+
+    const closed = distance(edges[0].a, edges[edges.length - 1].b) <= tol;
+    const runs = [];
+    edges.forEach(e => {
+        const kind = e.type === 'bezier' ? 'spline' : 'poly';
+        const last = runs[runs.length - 1];
+        if (last && last.kind === kind) last.edges.push(e);
+        else runs.push({ kind, edges: [e] });
+    });
+
+    const whole = runs.length === 1 && closed;
+    return runs.map(run => (run.kind === 'spline'
+        ? splineEntity(run.edges, whole, layer)
+        : polylineEntity(run.edges, whole, layer)));
+}
+
+// Rounded geometry key: the same outline painted twice (fill, then stroke) is imported once
+function subpathKey(sp) {
+    const r = (p) => `${Math.round(p.x * 1000)},${Math.round(p.y * 1000)}`;
+    return r(sp.start) + sp.segments.map(s => (s.type === 'C' ? `C${r(s.c1)}${r(s.c2)}${r(s.to)}` : `L${r(s.to)}`)).join('') + (sp.closed ? 'h' : '');
+}
+
+// "SCALE 1:50", "Ölçek 1/5", "M 2:1" ...
+function detectScaleInText(text) {
+    const keyword = /(?:scale|[öo]l[çc]ek|ma(?:ss|ß)stab|[ée]chelle|escala|scala)\s*[:=]?\s*(\d+(?:[.,]\d+)?)\s*[:/]\s*(\d+(?:[.,]\d+)?)/i;
+    const bare = /(?:^|[^\d.,:/])(\d+(?:[.,]\d+)?)\s*:\s*(\d+(?:[.,]\d+)?)(?![\d.,:])/;
+    const match = text.match(keyword) || text.match(bare);
+    if (!match) return null;
+
+    const a = parseFloat(match[1].replace(',', '.'));
+    const b = parseFloat(match[2].replace(',', '.'));
+    if (!(a > 0) || !(b > 0)) return null;
+    // Only scales that look like drawing scales (1:N or N:1)
+    if (a !== 1 && b !== 1) return null;
+    const ratio = b / a;
+    return ratio >= 0.01 && ratio <= 10000 ? ratio : null;
+}
+
+// ------------------------------------------------------------
+// LOADER
+// ------------------------------------------------------------
+export class PdfLoader {
+    constructor() {
+        // Last opened document, so inspect() + load() parse the file once
+        this.cachedFile = null;
+        this.cachedDoc = null;
+    }
+
+    async openDocument(file) {
+        if (this.cachedFile === file && this.cachedDoc) return this.cachedDoc;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const doc = await PdfDocument.open(bytes);
+        this.cachedFile = file;
+        this.cachedDoc = doc;
+        return doc;
+    }
+
+    // Page count and the scale written on the page (1 = not found) for the import dialog
+    async inspect(file, pageIndex = 0) {
+        const doc = await this.openDocument(file);
+        const pages = doc.getPages();
+        if (pages.length === 0) throw new Error('PDF has no pages');
+
+        const page = pages[Math.min(Math.max(pageIndex, 0), pages.length - 1)];
+        const interpreter = await this.interpretPage(doc, page, 1);
+        const scale = detectScaleInText(interpreter.texts.join(' '));
+
+        return {
+            pageCount: pages.length,
+            detectedScale: scale,
+            hasVectors: interpreter.strokes.length + interpreter.fills.length > 0
+        };
+    }
+
+    /**
+     * @param {File} file
+     * @param {{page?: number, scale?: number}} options page is 1-based;
+     *        scale N means the drawing is 1:N (paper mm × N = model mm)
+     */
+    async load(file, options = {}) {
+        const doc = await this.openDocument(file);
+        const pages = doc.getPages();
+        const pageNumber = Math.round(options.page || 1);
+        if (pageNumber < 1 || pageNumber > pages.length) {
+            throw new Error(`PDF has no page ${pageNumber} (1-${pages.length})`);
+        }
+        const scale = options.scale > 0 ? options.scale : 1;
+        const page = pages[pageNumber - 1];
+
+        const interpreter = await this.interpretPage(doc, page, POINT_TO_MM * scale * (page.UserUnit || 1));
+        if (interpreter.strokes.length + interpreter.fills.length === 0) {
+            throw new Error('No vector data found on this page (scanned PDF?)');
+        }
+
+        // Points closer than 0.001 paper mm are the same point
+        const tol = POINT_TO_MM * scale * 1e-3;
+        const seen = new Set();
+        const entities = [];
+        const addPaths = (subpaths, layer) => {
+            subpaths.forEach(sp => {
+                const key = subpathKey(sp);
+                if (seen.has(key)) return;
+                seen.add(key);
+                entities.push(...subpathToEntities(sp, layer, tol));
+            });
+        };
+        addPaths(interpreter.strokes, '0');
+        addPaths(interpreter.fills, PDF_FILL_LAYER);
+
+        console.log(`[PdfLoader] Page ${pageNumber}: ${entities.length} entities (scale 1:${scale})`);
+
+        return {
+            header: { $INSUNITS: 4 }, // Millimeters
+            tables: {
+                LAYER: {
+                    entries: [
+                        { name: '0', colorIndex: 7, lineType: 'CONTINUOUS' },
+                        { name: PDF_FILL_LAYER, colorIndex: 8, lineType: 'CONTINUOUS' }
+                    ]
+                },
+                LTYPE: { entries: [] },
+                STYLE: { entries: [] }
+            },
+            blocks: {},
+            entities
+        };
+    }
+
+    async interpretPage(doc, page, unitScale) {
+        const box = page.CropBox || page.MediaBox || [0, 0, 612, 792];
+        const x0 = Math.min(box[0], box[2]), y0 = Math.min(box[1], box[3]);
+        const w = Math.abs(box[2] - box[0]), h = Math.abs(box[3] - box[1]);
+
+        // Page origin at the lower-left corner, turned the way a viewer shows it
+        let display;
+        switch (((page.Rotate || 0) % 360 + 360) % 360) {
+            case 90: display = [0, -1, 1, 0, -y0, w + x0]; break;
+            case 180: display = [-1, 0, 0, -1, w + x0, h + y0]; break;
+            case 270: display = [0, 1, -1, 0, h + y0, -x0]; break;
+            default: display = [1, 0, 0, 1, -x0, -y0];
+        }
+        const ctm = multiply(display, [unitScale, 0, 0, unitScale, 0, 0]);
+
+        const interpreter = new ContentInterpreter(doc);
+        await interpreter.run(await doc.getPageContent(page), page.Resources || {}, ctm);
+        return interpreter;
+    }
+}
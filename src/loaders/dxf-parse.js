@@ -0,0 +1,68 @@
+// DXF dosyası -> dxf-parser nesnesi. Shared by the parse worker (dxf-worker.js) and the
+// main-thread fallback in DxfLoader.load(). Progress is reported as
+// { phase: 'read' | 'parse', loaded, total } (bytes while reading, lines while parsing).
+// The parser is imported by path, not through the import map: workers don't see it.
+import { DxfParser, DxfArrayScanner } from '../../libs/dxf-parser.js';
+
+const PROGRESS_INTERVAL = 100; // ms between progress reports
+
+// Windows-1254 (Turkish) first, UTF-8 where the browser lacks it
+function createDecoder() {
+    try {
+        return new TextDecoder('windows-1254');
+    } catch (err) {
+        console.warn('Windows-1254 not supported, using UTF-8:', err);
+        return new TextDecoder('utf-8');
+    }
+}
+
+export async function readDxfFile(file, onProgress) {
+    const decoder = createDecoder();
+    if (typeof file.stream !== 'function') return decoder.decode(await file.arrayBuffer());
+
+    const reader = file.stream().getReader();
+    const parts = [];
+    let loaded = 0;
+    let last = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        parts.push(decoder.decode(value, { stream: true }));
+        const now = Date.now();
+        if (onProgress && now - last > PROGRESS_INTERVAL) {
+            last = now;
+            onProgress({ phase: 'read', loaded, total: file.size });
+        }
+    }
+    parts.push(decoder.decode());
+    if (onProgress) onProgress({ phase: 'read', loaded, total: file.size });
+    return parts.join('');
+}
+
+// Same as DxfParser.parseSync(), with the scanner counting the group codes it hands out
+export function parseDxfText(text, onProgress) {
+    const lines = text.split(/\r\n|\r|\n/g);
+    const scanner = new DxfArrayScanner(lines);
+    if (!scanner.hasNext()) throw new Error('Empty file');
+
+    if (onProgress) {
+        const next = scanner.next.bind(scanner);
+        let groups = 0;
+        let last = 0;
+        scanner.next = () => {
+            if ((++groups & 0xFFF) === 0) {
+                const now = Date.now();
+                if (now - last > PROGRESS_INTERVAL) {
+                    last = now;
+                    onProgress({ phase: 'parse', loaded: Math.min(groups * 2, lines.length), total: lines.length });
+                }
+            }
+            return next();
+        };
+    }
+
+    const dxf = new DxfParser().parseAll(scanner);
+    if (onProgress) onProgress({ phase: 'parse', loaded: lines.length, total: lines.length });
+    return dxf;
+}
@@ -0,0 +1,15 @@
+// Web Worker: reads and parses a DXF off the UI thread (see DxfLoader.load).
+// In:  { file }
+// Out: { type: 'progress', phase, loaded, total } ... then { type: 'done', dxf } or { type: 'error', message }
+import { readDxfFile, parseDxfText } from './dxf-parse.js';
+
+self.onmessage = async (e) => {
+    const post = (progress) => self.postMessage({ type: 'progress', ...progress });
+    try {
+        const text = await readDxfFile(e.data.file, post);
+        const dxf = parseDxfText(text, post);
+        self.postMessage({ type: 'done', dxf });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
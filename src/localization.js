@@ -69,6 +69,28 @@ export const translations = {
         "position": "Konum",
         "scale": "Ölçek",
         "rotation": "Döndürme",
+        "basePoint": "Baz Noktası",
+        "arraySize": "Dizi (Sütun x Satır)",
+        "arraySpacing": "Dizi Aralığı",
+        "nestedBlocks": "İç İçe Blok",
+        "attributes": "Öznitelikler",
+        "blocksTitle": "Bloklar",
+        "blockInstances": "Çizimdeki adet",
+        "selectInstances": "Tümünü seç",
+        "isolateBlock": "Yalnızca bunu göster",
+        "copyBlock": "Panoya kopyala",
+        "layerColor": "Katman rengi",
+        "layerLinetype": "Çizgi tipi",
+        "layerVisible": "Katmanı aç/kapat",
+        "layerFreeze": "Dondur / çöz",
+        "layerLock": "Kilitle / kilidi aç",
+        "layerIsolate": "Katmanı izole et",
+        "layerUnisolate": "İzolasyonu kaldır",
+        "layerStates": "Katman durumları",
+        "layerStateSave": "Durumu kaydet",
+        "layerStateDelete": "Durumu sil",
+        "layerStateNamePrompt": "Katman durumu adı:",
+        "layerLockedNoDelete": "Seçili nesneler kilitli katmanlarda, silinemez",
         "yes": "Evet",
         "no": "Hayır",
         "horizontal": "Yatay",
@@ -145,6 +167,106 @@ export const translations = {
         "outerPerimeter": "Dış Çevre",
         "shapeFactor": "Şekil Faktörü",
         "totalPerimeter": "Toplam Çevre",
+        "sectionProperties": "Kesit Özellikleri",
+        "sectionCentroid": "Ağırlık Merkezi (X; Y)",
+        "sectionAngle": "Asal Eksen Açısı",
+        "sectionTorsion": "Burulma Sabiti J",
+        "wallThickness": "Et Kalınlığı",
+        "wallAnalyze": "Analiz",
+        "wallThreshold": "Min. Et (Pres)",
+        "wallMin": "Min. Et",
+        "wallMax": "Maks. Et",
+        "wallStatus": "Durum",
+        "wallOk": "Uygun",
+        "wallBelowThreshold": "Eşik altı et",
+        "profileType": "Profil Tipi",
+        "profileLength": "Boy (mm)",
+        "tongueRatio": "Dil Oranı",
+        "profile_solid": "Dolu",
+        "profile_semi-hollow": "Yarı Boşluklu",
+        "profile_hollow": "Boşluklu",
+        "materialDatabase": "Malzeme Veritabanı",
+        "dbMaterials": "Alaşımlar",
+        "dbTempers": "Temperler",
+        "dbPresses": "Presler",
+        "dbId": "Kod",
+        "dbName": "Ad",
+        "dbDensity": "Yoğunluk (g/cm³)",
+        "dbContainerDiameter": "Konteyner Ø (mm)",
+        "dbContainerArea": "Konteyner Alanı",
+        "dbMaxCCD": "Maks. CCD (mm)",
+        "dbMaxTonnage": "Kapasite (ton)",
+        "dbBilletLengths": "Biyet Boyları (mm)",
+        "dbMinWall": "Min. Et (mm)",
+        "dbAddRow": "Ekle",
+        "dbSave": "Kaydet",
+        "dbImport": "JSON İçe Aktar",
+        "dbExport": "JSON Dışa Aktar",
+        "dbReset": "Varsayılanlar",
+        "dbResetConfirm": "Veritabanı varsayılan listeye döndürülsün mü? Kayıtlı değişiklikler silinir.",
+        "dbInvalid": "Geçersiz veri",
+        "dbImported": "İçe aktarıldı ve kaydedildi",
+        "dbSaved": "Varsayılanlar yüklendi",
+        "fontsTitle": "SHX Fontları",
+        "fontsHint": "Çizimdeki SHX fontları fonts/ klasöründen veya buradan eklenen dosyalardan yüklenir. Bulunamayan fontlar seçilen yedek fontla çizilir.",
+        "fontsDrawing": "Çizimdeki Fontlar",
+        "fontsStyle": "Stil",
+        "fontsFile": "Font Dosyası",
+        "fontsState": "Durum",
+        "fontsFallback": "Yedek Font",
+        "fontsOtherFallback": "Diğer eksik SHX fontları",
+        "fontsDefaultFallback": "Varsayılan (*)",
+        "fontsBuiltin": "Dahili font",
+        "fontsLoaded": "Yüklendi",
+        "fontsMissing": "Bulunamadı",
+        "fontsNotShx": "SHX değil",
+        "fontsAvailable": "Yüklü Fontlar",
+        "fontsSourceUser": "Kullanıcı",
+        "fontsSourceFolder": "fonts/ klasörü",
+        "fontsNone": "Yüklü SHX fontu yok",
+        "fontsNoDrawing": "Açık çizimde STYLE tablosu yok",
+        "fontsAdd": "SHX Dosyası Ekle",
+        "fontsAdded": "Eklendi",
+        "fontsResetMapping": "Varsayılan Eşleme",
+        "close": "Kapat",
+        "runCalculator": "Biyet / Üretim",
+        "runQuantity": "Sipariş (adet)",
+        "runOrderLength": "Sipariş (m)",
+        "runBilletLength": "Biyet Boyu",
+        "runButtLength": "Dip Atık (mm)",
+        "runPullerScrap": "Puller Hurdası (mm)",
+        "runSawKerf": "Testere Payı (mm)",
+        "runBilletWeight": "Biyet Ağırlığı",
+        "runPiecesPerBillet": "Parça / Biyet",
+        "runBillets": "Gereken Biyet",
+        "runButtLoss": "Dip Kaybı",
+        "runScrap": "Puller / Testere Hurdası",
+        "runInput": "Toplam Giriş",
+        "runOutput": "Toplam Çıkış",
+        "runYield": "Verim",
+        "dieLayout": "Kalıp Yerleşimi",
+        "dieLayoutOpen": "Yerleşim",
+        "dieLayoutHint": "Tıkla: al / bırak, Ctrl+Scroll: döndür (Shift: 15°), Esc: çık",
+        "dieEdgeClearance": "Kenar Mesafesi (mm)",
+        "dieCavityGap": "Göz Arası (mm)",
+        "dieAutoArrange": "Otomatik Yerleştir",
+        "dieCombinedCcd": "Toplam CCD",
+        "dieMinEdge": "Min. Kenar Mesafesi",
+        "dieMinGap": "Min. Göz Arası",
+        "dieOk": "Uygun",
+        "dieOverlap": "Gözler çakışıyor",
+        "dieEdgeTooClose": "Konteyner kenarına çok yakın",
+        "dieGapTooSmall": "Göz arası yetersiz",
+        "dieNoProfile": "Önce ağırlık hesabı için kapalı bir profil seçin.",
+        "dieNoContainer": "Seçili presin konteyner çapı tanımlı değil.",
+        "batchWeight": "Toplu Gramaj",
+        "batchRecalculate": "Yeniden hesapla",
+        "batchHint": "Satıra tıkla: profile git, ✕: döngüyü çıkar (ör. çizim çerçevesi). Gizli katmanlar atlanır.",
+        "batchProfiles": "profil",
+        "batchNoProfiles": "Çizimde kapalı profil bulunamadı.",
+        "batchLabel": "Profil",
+        "batchCcd": "DU (Ø)",
+        "batchExclude": "Hesaptan çıkar",
         "extrusionRatio": "Ekstrüzyon Oranı",
         "addTemplate": "Antet Ekle",
         "selectTemplate": "Antet Seç",
@@ -164,9 +286,29 @@ export const translations = {
         "downloadConfirmTitle": "İndirmeyi Onayla",
         "downloadConfirmDesc": "Orijinal dosyanın dönüştürülmüş DXF versiyonunu indirmek üzeresiniz.",
         "downloadBtn": "İndir",
+        "downloadMeasurementsJson": "Ölçüleri ayrıca JSON dosyası olarak kaydet",
+        "sessionRestoreTitle": "Önceki oturum geri yüklensin mi?",
+        "sessionRestore": "Geri Yükle",
+        "sessionDiscard": "Vazgeç",
+        "dwgUploadConfirm": "Çevrimdışı DWG okuyucu kurulu değil. Dosya dönüştürme için api.izgi.me sunucusuna gönderilsin mi?",
+        "pdfImportTitle": "PDF İçe Aktar",
+        "pdfPage": "Sayfa",
+        "pdfScale": "Çizim ölçeği",
+        "pdfScaleDetected": "Sayfada bulunan ölçek:",
+        "pdfScaleNotFound": "Sayfada ölçek bulunamadı; kağıt üzerindeki mm değerleri kullanılacak.",
+        "pdfNoVectors": "Bu sayfa taranmış bir resim gibi görünüyor, içinde çizim verisi bulunamadı.",
         "gapTolerance": "Boşluk Toleransı",
         "tolerance": "Tolerans",
         "toleranceHint": "Kapalı alan oluşmadıysa toleransı artır.",
+        "gapOpenEnds": "Açık Boşluk",
+        "gapSmallest": "En Küçük Boşluk",
+        "gapApply": "Boşluğu Kapat",
+        "loadCancel": "Yüklemeyi durdur",
+        "loadCancelled": "Yükleme iptal edildi",
+        "loadReading": "Okunuyor",
+        "loadParsing": "Ayrıştırılıyor",
+        "loadBuilding": "Çizim oluşturuluyor",
+        "loadEntities": "nesne",
         "scaleBtn": "Nesneleri Ölçekle",
         "scaleTitle": "Nesneleri Ölçekle",
         "scaleFactor": "Ölçek Faktörü:",
@@ -244,6 +386,28 @@ export const translations = {
         "position": "Position",
         "scale": "Scale",
         "rotation": "Rotation",
+        "basePoint": "Base Point",
+        "arraySize": "Array (Columns x Rows)",
+        "arraySpacing": "Array Spacing",
+        "nestedBlocks": "Nested Blocks",
+        "attributes": "Attributes",
+        "blocksTitle": "Blocks",
+        "blockInstances": "Instances in drawing",
+        "selectInstances": "Select all instances",
+        "isolateBlock": "Isolate",
+        "copyBlock": "Copy to clipboard",
+        "layerColor": "Layer color",
+        "layerLinetype": "Linetype",
+        "layerVisible": "Turn layer on/off",
+        "layerFreeze": "Freeze / thaw",
+        "layerLock": "Lock / unlock",
+        "layerIsolate": "Isolate layer",
+        "layerUnisolate": "Unisolate",
+        "layerStates": "Layer states",
+        "layerStateSave": "Save state",
+        "layerStateDelete": "Delete state",
+        "layerStateNamePrompt": "Layer state name:",
+        "layerLockedNoDelete": "Selected objects are on locked layers and cannot be deleted",
         "yes": "Yes",
         "no": "No",
         "horizontal": "Horizontal",
@@ -320,6 +484,106 @@ export const translations = {
         "outerPerimeter": "Outer Perimeter",
         "shapeFactor": "Shape Factor",
         "totalPerimeter": "Total Perimeter",
+        "sectionProperties": "Section Properties",
+        "sectionCentroid": "Centroid (X; Y)",
+        "sectionAngle": "Principal Axis Angle",
+        "sectionTorsion": "Torsion Constant J",
+        "wallThickness": "Wall Thickness",
+        "wallAnalyze": "Analyze",
+        "wallThreshold": "Min. Wall (Press)",
+        "wallMin": "Min. Wall",
+        "wallMax": "Max. Wall",
+        "wallStatus": "Status",
+        "wallOk": "OK",
+        "wallBelowThreshold": "Thin walls",
+        "profileType": "Profile Type",
+        "profileLength": "Length (mm)",
+        "tongueRatio": "Tongue Ratio",
+        "profile_solid": "Solid",
+        "profile_semi-hollow": "Semi-hollow",
+        "profile_hollow": "Hollow",
+        "materialDatabase": "Material Database",
+        "dbMaterials": "Alloys",
+        "dbTempers": "Tempers",
+        "dbPresses": "Presses",
+        "dbId": "Code",
+        "dbName": "Name",
+        "dbDensity": "Density (g/cm³)",
+        "dbContainerDiameter": "Container Ø (mm)",
+        "dbContainerArea": "Container Area",
+        "dbMaxCCD": "Max. CCD (mm)",
+        "dbMaxTonnage": "Capacity (t)",
+        "dbBilletLengths": "Billet Lengths (mm)",
+        "dbMinWall": "Min. Wall (mm)",
+        "dbAddRow": "Add",
+        "dbSave": "Save",
+        "dbImport": "Import JSON",
+        "dbExport": "Export JSON",
+        "dbReset": "Defaults",
+        "dbResetConfirm": "Reset the database to the default list? Saved changes will be lost.",
+        "dbInvalid": "Invalid data",
+        "dbImported": "Imported and saved",
+        "dbSaved": "Defaults restored",
+        "fontsTitle": "SHX Fonts",
+        "fontsHint": "SHX fonts of the drawing are loaded from the fonts/ folder or from files added here. Missing fonts are drawn with the selected fallback.",
+        "fontsDrawing": "Fonts in Drawing",
+        "fontsStyle": "Style",
+        "fontsFile": "Font File",
+        "fontsState": "Status",
+        "fontsFallback": "Fallback",
+        "fontsOtherFallback": "Other missing SHX fonts",
+        "fontsDefaultFallback": "Default (*)",
+        "fontsBuiltin": "Built-in font",
+        "fontsLoaded": "Loaded",
+        "fontsMissing": "Missing",
+        "fontsNotShx": "Not SHX",
+        "fontsAvailable": "Loaded Fonts",
+        "fontsSourceUser": "User",
+        "fontsSourceFolder": "fonts/ folder",
+        "fontsNone": "No SHX fonts loaded",
+        "fontsNoDrawing": "The open drawing has no STYLE table",
+        "fontsAdd": "Add SHX Files",
+        "fontsAdded": "Added",
+        "fontsResetMapping": "Default Mapping",
+        "close": "Close",
+        "runCalculator": "Billet / Run",
+        "runQuantity": "Order (pcs)",
+        "runOrderLength": "Order (m)",
+        "runBilletLength": "Billet Length",
+        "runButtLength": "Butt (mm)",
+        "runPullerScrap": "Puller Scrap (mm)",
+        "runSawKerf": "Saw Kerf (mm)",
+        "runBilletWeight": "Billet Weight",
+        "runPiecesPerBillet": "Pieces / Billet",
+        "runBillets": "Billets Needed",
+        "runButtLoss": "Butt Loss",
+        "runScrap": "Puller / Saw Scrap",
+        "runInput": "Total Input",
+        "runOutput": "Total Output",
+        "runYield": "Yield",
+        "dieLayout": "Die Layout",
+        "dieLayoutOpen": "Layout",
+        "dieLayoutHint": "Click: pick up / drop, Ctrl+Scroll: rotate (Shift: 15°), Esc: exit",
+        "dieEdgeClearance": "Edge Clearance (mm)",
+        "dieCavityGap": "Cavity Gap (mm)",
+        "dieAutoArrange": "Auto Arrange",
+        "dieCombinedCcd": "Combined CCD",
+        "dieMinEdge": "Min. Edge Distance",
+        "dieMinGap": "Min. Cavity Gap",
+        "dieOk": "OK",
+        "dieOverlap": "Cavities overlap",
+        "dieEdgeTooClose": "Too close to the container wall",
+        "dieGapTooSmall": "Cavity gap too small",
+        "dieNoProfile": "Select a closed profile for the weight calculation first.",
+        "dieNoContainer": "The selected press has no container diameter.",
+        "batchWeight": "Batch Weight",
+        "batchRecalculate": "Recalculate",
+        "batchHint": "Click a row: zoom to the profile, ✕: drop the loop (e.g. the drawing frame). Hidden layers are skipped.",
+        "batchProfiles": "profiles",
+        "batchNoProfiles": "No closed profiles found in the drawing.",
+        "batchLabel": "Profile",
+        "batchCcd": "CCD (Ø)",
+        "batchExclude": "Exclude",
         "addTemplate": "Add Template",
         "selectTemplate": "Select Template",
         "templateFile": "Template File",
@@ -338,9 +602,29 @@ export const translations = {
         "downloadConfirmTitle": "Confirm Download",
         "downloadConfirmDesc": "You are about to download the converted DXF version of the original file.",
         "downloadBtn": "Download",
+        "downloadMeasurementsJson": "Also save measurements as a sidecar JSON file",
+        "sessionRestoreTitle": "Restore previous session?",
+        "sessionRestore": "Restore",
+        "sessionDiscard": "Discard",
+        "dwgUploadConfirm": "The offline DWG reader is not installed. Send the file to api.izgi.me for conversion?",
+        "pdfImportTitle": "Import PDF",
+        "pdfPage": "Page",
+        "pdfScale": "Drawing scale",
+        "pdfScaleDetected": "Scale found on the page:",
+        "pdfScaleNotFound": "No scale found on the page; paper millimeters will be used.",
+        "pdfNoVectors": "This page looks like a scanned image; no drawing data was found.",
         "gapTolerance": "Gap Tolerance",
         "tolerance": "Tolerance",
         "toleranceHint": "Increase tolerance if no area detected",
+        "gapOpenEnds": "Open Gaps",
+        "gapSmallest": "Smallest Gap",
+        "gapApply": "Bridge Gap",
+        "loadCancel": "Stop loading",
+        "loadCancelled": "Loading cancelled",
+        "loadReading": "Reading",
+        "loadParsing": "Parsing",
+        "loadBuilding": "Building drawing",
+        "loadEntities": "entities",
         "scaleBtn": "Scale Objects",
         "scaleTitle": "Scale Objects",
         "scaleFactor": "Scale Factor:",
@@ -3,7 +3,7 @@ import { SceneViewer } from './scene-viewer.js';
 import { LoaderManager } from './loaders/LoaderManager.js';
 import { LanguageManager } from './localization.js';
 import { SnappingManager } from './snapping-manager.js';
-import { MeasurementManager } from './measurement-manager.js?v=0.1';
+import { MeasurementManager, MEASUREMENT_APPID } from './measurement-manager.js?v=0.1';
 import { ObjectInfoManager } from './object-info-manager.js';
 import { WeightManager } from './weight-manager.js';
 import { CommandHistory } from './command-history.js';
@@ -11,6 +11,14 @@ import { CmdAddMeasurement, CmdDelete } from './commands.js';
 import { ClipboardManager } from './clipboard-manager.js';
 import { ScaleManager } from './scale-manager.js';
 import { SelectionHelper } from './selection-helper.js';
+import { DxfWriter } from './dxf-writer.js';
+import { SessionManager } from './session-manager.js';
+import { BlockManager } from './block-manager.js';
+import { LayerManager } from './layer-manager.js';
+import { MaterialDatabaseManager } from './material-database-manager.js';
+import { DieLayoutManager } from './die-layout-manager.js';
+import { BatchWeightManager } from './batch-weight-manager.js';
+import { FontManager } from './font-manager.js';
 
 
 import { TabManager } from './tab-manager.js';
@@ -39,7 +47,13 @@ class DXFViewerApp {
         this.languageManager = new LanguageManager();
         this.languageManager.init();
 
-        this.history = new CommandHistory((canUndo, canRedo) => this.updateUndoRedoUI(canUndo, canRedo));
+        this.history = new CommandHistory((canUndo, canRedo) => {
+            this.updateUndoRedoUI(canUndo, canRedo);
+            // Commands move, scale, delete or restyle entities in place
+            this.viewer.batcher.refresh();
+            if (this.blockManager) this.blockManager.refreshCounts();
+            if (this.sessionManager) this.sessionManager.markDirty();
+        });
 
         // this.viewer is already created in constructor
         this.viewer.languageManager = this.languageManager;
@@ -57,7 +71,7 @@ class DXFViewerApp {
         this.selectedObject = null;
         this.draggingCanvas = false;
 
-        // Track layer visibility state persistently
+        // Layer states of the active tab (TabManager swaps the map on tab switch)
         this.layerStates = new Map();
 
         this.snappingManager = new SnappingManager(this.viewer);
@@ -83,12 +97,21 @@ class DXFViewerApp {
             }
         );
         this.weightManager.init();
-
-        this.clipboardManager = new ClipboardManager(this.viewer, this.weightManager, this.languageManager);
+        this.materialDatabaseManager = new MaterialDatabaseManager(this);
+        this.dieLayoutManager = new DieLayoutManager(this);
+        this.batchWeightManager = new BatchWeightManager(this);
+        this.fontManager = new FontManager(this);
+
+        this.clipboardManager = new ClipboardManager(this.viewer, this.weightManager, this.languageManager, this);
+        this.blockManager = new BlockManager(this);
+        this.layerManager = new LayerManager(this);
         this.scaleManager = new ScaleManager(this.viewer, this.snappingManager, (cmd) => {
             this.history.execute(cmd);
         });
 
+        // Session autosave/restore (offered from TabManager.showStartPage)
+        this.sessionManager = new SessionManager(this);
+
         // Initialize Events first
         this.setupUIEvents();
 
@@ -206,7 +229,7 @@ class DXFViewerApp {
             fileInput.addEventListener('change', (e) => {
                 if (e.target.files.length > 0) {
                     // Load into NEW TAB
-                    this.loadDXFFile(e.target.files[0], true);
+                    this.openFiles([...e.target.files], true);
                     fileDropdown?.classList.add('hidden');
                 }
                 // Reset input so same file can be selected again
@@ -225,7 +248,7 @@ class DXFViewerApp {
             e.preventDefault();
             if (e.dataTransfer.files.length > 0) {
                 // Drop always opens in new tab? Yes usually expected.
-                this.loadDXFFile(e.dataTransfer.files[0], true);
+                this.openFiles([...e.dataTransfer.files], true);
             }
         });
 
@@ -461,6 +484,12 @@ class DXFViewerApp {
             return;
         }
 
+        // Enter closes the polygon of the area tool
+        if (e.key === 'Enter' && this.measurementManager && this.measurementManager.finishArea()) {
+            e.preventDefault();
+            return;
+        }
+
         // Delete Key
         if (e.key === 'Delete') {
             this.deleteSelected();
@@ -475,7 +504,8 @@ class DXFViewerApp {
             }
 
             // Priority 1: Cancel active measurement if in progress
-            if (this.measurementManager && this.measurementManager.activeTool && this.measurementManager.measurementPoints && this.measurementManager.measurementPoints.length > 0) {
+            const mm = this.measurementManager;
+            if (mm && mm.activeTool && (mm.points.length > 0 || (mm.areaBoundaries && mm.areaBoundaries.length > 0))) {
                 this.measurementManager.cancel();
                 if (this.snappingManager) this.snappingManager.clearSticky(); // Clear sticky
                 this.updateStatus(this.languageManager.translate('ready'));
@@ -497,6 +527,18 @@ class DXFViewerApp {
                 return;
             }
 
+            // Priority 2.4: Leave the die layout planner
+            if (this.dieLayoutManager && this.dieLayoutManager.isActive) {
+                this.dieLayoutManager.exit();
+                return;
+            }
+
+            // Priority 2.45: Close the batch weight results
+            if (this.batchWeightManager && this.batchWeightManager.isOpen) {
+                this.batchWeightManager.hide();
+                return;
+            }
+
             // Priority 2.5: Deactivate Weight Calculation Mode
             if (this.weightManager && this.weightManager.isActive) {
                 this.weightManager.close(); // Deactivates and clears selection via callback
@@ -525,15 +567,21 @@ class DXFViewerApp {
                 this.weightManager.update([]);
                 document.getElementById('selection-box')?.classList.add('hidden');
                 this.updateStatus('Deleted ' + cmd.selection.length + ' items');
-            }
+            },
+            (obj) => this.layerManager.isObjectLocked(obj)
         );
 
+        if (cmd.selection.length === 0) {
+            this.updateStatus(this.languageManager.translate('layerLockedNoDelete'));
+            return;
+        }
         this.history.execute(cmd);
     }
 
     copySelection() {
         if (this.clipboardManager && this.selectedObjects.length > 0) {
-            this.clipboardManager.copy(this.selectedObjects);
+            const tab = this.tabManager.getActiveTab();
+            this.clipboardManager.copy(this.selectedObjects, tab && tab.dxf ? tab.dxf.blocks : null);
             this.updateStatus(this.languageManager.translate('copiedToClipboard') || 'Copied to clipboard');
         }
     }
@@ -577,6 +625,8 @@ class DXFViewerApp {
     onMouseDown(e) {
         if (e.button !== 0) return;
         if (this.measurementManager && this.measurementManager.activeTool) return;
+        // Die layout handles its own clicks (no selection changes)
+        if (this.dieLayoutManager && this.dieLayoutManager.isActive) return;
 
         const rect = this.canvas.getBoundingClientRect();
         this.selectionState.active = true;
@@ -619,7 +669,7 @@ class DXFViewerApp {
                 // 1. Linear Measurement Mode
                 // 2. Template Placement Mode (Paste)
                 // 3. Print Area Selection Mode
-                const isMeasureMode = this.measurementManager && this.measurementManager.activeTool === 'distance';
+                const isMeasureMode = this.measurementManager && ['distance', 'area'].includes(this.measurementManager.activeTool);
                 const isTemplateMode = this.weightManager && this.weightManager.templateMode;
                 const isPrintMode = this.weightManager && this.weightManager.printMode;
 
@@ -753,7 +803,8 @@ class DXFViewerApp {
             let intersect = null;
 
             const pointer = new THREE.Vector2(x, y);
-            const intersects = this.viewer.raycast(pointer);
+            // Locked layers can still be measured
+            const intersects = this.viewer.raycast(pointer, false);
             if (intersects.length > 0) {
                 intersect = intersects[0];
             }
@@ -775,94 +826,39 @@ class DXFViewerApp {
 
 
 
-        // Area Tool (Visible Surface)
+        // Area Tool: clicking a drawn entity picks the closed boundary it belongs to,
+        // anything else (empty space, snap points) is a corner or the label position
         if (this.measurementManager && this.measurementManager.activeTool === 'area') {
             const rect = this.canvas.getBoundingClientRect();
             const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
             const y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
             const pointer = new THREE.Vector2(x, y);
-            const intersects = this.viewer.raycast(pointer);
+            const intersects = this.viewer.raycast(pointer, false);
+            const snap = this.snappingManager ? this.snappingManager.activeSnap : null;
 
-            if (intersects.length > 0) {
+            if (intersects.length > 0 && this.measurementManager.canPickBoundary() && (!snap || snap.type === 'nearest')) {
                 const hitObject = intersects[0].object;
-                let target = hitObject;
-                // Handle Dimension/Insert parents if needed (similar to selection logic)
-                if (hitObject.parent && hitObject.parent.userData && (hitObject.parent.userData.type === 'DIMENSION' || hitObject.parent.userData.type === 'INSERT')) {
-                    target = hitObject.parent;
-                }
+                const target = this.findBlockReference(hitObject) || hitObject;
+                const connected = this.findConnectedEntities(target, this.viewer.dxfGroup.children);
+                const boundary = this.weightManager.findClosedBoundary(target, [target, ...connected]);
 
-                // 1. Select the chain
-                this.clearSelection();
-                this.performChainSelection([target]);
-
-                // 2. Calculate Total Perimeter
-                let totalLength = 0;
-                if (this.selectedObjects.length > 0) {
-                    this.selectedObjects.forEach(obj => {
-                        // Length Calculation Logic
-                        if (obj.userData.entity) {
-                            const ent = obj.userData.entity;
-                            if (ent.type === 'LINE') {
-                                // Simple distance
-                                const p1 = new THREE.Vector3(ent.start.x, ent.start.y, 0);
-                                const p2 = new THREE.Vector3(ent.end.x, ent.end.y, 0);
-                                totalLength += p1.distanceTo(p2);
-                            } else if (ent.type === 'ARC') {
-                                const r = ent.radius;
-                                let diff = ent.endAngle - ent.startAngle;
-                                if (diff < 0) diff += Math.PI * 2;
-                                totalLength += r * diff;
-                            } else if (ent.type === 'CIRCLE') {
-                                totalLength += 2 * Math.PI * ent.radius;
-                            } else if (ent.type === 'LWPOLYLINE' || ent.type === 'POLYLINE') {
-                                // If dxf-parser passed vertices
-                                if (ent.vertices && ent.vertices.length > 1) {
-                                    for (let i = 0; i < ent.vertices.length; i++) {
-                                        // If closed or not last segment
-                                        if (!ent.closed && i === ent.vertices.length - 1) continue;
-                                        const v1 = ent.vertices[i];
-                                        const v2 = ent.vertices[(i + 1) % ent.vertices.length];
-
-                                        // Add Bulge (Arc segment) or Line
-                                        if (v1.bulge && Math.abs(v1.bulge) > 1e-9) {
-                                            const b = v1.bulge;
-                                            const chord = Math.hypot(v2.x - v1.x, v2.y - v1.y);
-                                            const theta = 4 * Math.atan(Math.abs(b));
-                                            const arcLen = (chord / 2) * (theta / Math.sin(theta / 2)); // s = r*theta, r = chord/(2*sin(theta/2))
-                                            totalLength += arcLen;
-                                        } else {
-                                            totalLength += Math.hypot(v2.x - v1.x, v2.y - v1.y);
-                                        }
-                                    }
-                                }
-                            }
-                        } else if (obj.isLine) {
-                            // Fallback for THREE.Line without entity data
-                            obj.computeLineDistances(); // ensure check
-                            // Just sum distance between points
-                            // Assuming simple line segment
-                            const pos = obj.geometry.attributes.position;
-                            if (pos && pos.count >= 2) {
-                                const p1 = new THREE.Vector3(pos.getX(0), pos.getY(0), pos.getZ(0));
-                                const p2 = new THREE.Vector3(pos.getX(1), pos.getY(1), pos.getZ(1));
-                                totalLength += p1.distanceTo(p2);
-                            }
-                        }
-                    });
-
-                    // 3. Display Result
-                    // Snap point or click point
-                    let p = new THREE.Vector3(x, y, 0);
-                    p.unproject(this.viewer.camera);
-                    p.z = 0;
-                    if (this.snappingManager && this.snappingManager.activeSnap) {
-                        p = this.snappingManager.activeSnap.point;
-                    }
-
-                    this.measurementManager.showAreaMeasurement(p, totalLength);
-                    console.log(`Visible Surface (Perimeter): ${totalLength}`);
+                if (boundary) {
+                    this.measurementManager.toggleAreaBoundary(boundary);
+                } else {
+                    this.updateStatus('Area: no closed boundary through this object.');
                 }
+                if (this.snappingManager) this.snappingManager.clearSticky();
+                return;
+            }
+
+            let point = snap ? snap.point : null;
+            if (!point) {
+                point = new THREE.Vector3(x, y, 0);
+                point.unproject(this.viewer.camera);
+                point.z = 0;
             }
+            this.measurementManager.handleClick(point, intersects[0] || null);
+            if (this.snappingManager) this.snappingManager.clearSticky();
             return;
         }
 
@@ -920,6 +916,9 @@ class DXFViewerApp {
                 }
             }
             if (!isMeasurement && hit.userData.type === 'DIMENSION') target = hit;
+            // Anything inside a (nested) block selects the outermost block reference
+            const blockRef = isMeasurement ? null : this.findBlockReference(hit);
+            if (blockRef) target = blockRef;
 
             // Toggle Selection Logic (Single vs Multi)
             if (!e.ctrlKey && !e.shiftKey) {
@@ -953,6 +952,17 @@ class DXFViewerApp {
         }
     }
 
+    // Outermost INSERT above a picked object (block content may be nested
+    // several levels deep: INSERT > MINSERT cell > nested INSERT > ...)
+    findBlockReference(object) {
+        const root = this.viewer.dxfGroup;
+        let found = null;
+        for (let o = object; o && o !== root; o = o.parent) {
+            if (o.userData && o.userData.type === 'INSERT') found = o;
+        }
+        return found;
+    }
+
     performChainSelection(objects) {
         if (!this.viewer.dxfGroup) return;
         const allObjects = this.viewer.dxfGroup.children;
@@ -1035,7 +1045,7 @@ class DXFViewerApp {
 
             for (const candidate of allObjects) {
                 if (visited.has(candidate.id)) continue;
-                if (!candidate.visible) continue;
+                if (!this.viewer.isPickable(candidate)) continue;
 
                 const candPts = getEndpoints(candidate);
                 if (candPts.length === 0) continue;
@@ -1110,6 +1120,39 @@ class DXFViewerApp {
         }
     }
 
+    // A drawing plus optional measurement sidecar (<name>.measurements.json).
+    // The sidecar is applied after the drawing so it lands in the drawing's tab.
+    async openFiles(files, forceNewTab = false) {
+        const isSidecar = (f) => f.name.toLowerCase().endsWith('.json');
+        const drawing = files.find(f => !isSidecar(f));
+        if (drawing) await this.loadDXFFile(drawing, forceNewTab);
+        for (const file of files.filter(isSidecar)) {
+            await this.loadMeasurementSidecar(file);
+        }
+    }
+
+    async loadMeasurementSidecar(file) {
+        if (!this.tabManager.getActiveTab()) {
+            this.updateStatus('Open a drawing before loading measurements');
+            return;
+        }
+        try {
+            const list = this.measurementManager.parseJSON(await file.text());
+            let count = 0;
+            list.forEach(data => {
+                const m = this.measurementManager.createMeasurementFromData(data);
+                if (!m) return;
+                this.measurementManager.restoreMeasurement(m);
+                count++;
+            });
+            this.updateStatus(`Restored ${count} measurement(s) from ${file.name}`);
+        } catch (err) {
+            console.error(err);
+            this.updateStatus('Error loading measurements');
+            alert('Error loading measurements: ' + err.message);
+        }
+    }
+
     async loadDXFFile(file, forceNewTab = false) {
         if (!file) return;
 
@@ -1144,16 +1187,24 @@ class DXFViewerApp {
         activeTab.file = file;
 
         if (extension === 'dwg') {
-            await this.handleDwgConversion(file);
+            // Read locally when libredwg is installed; the API is only a fallback
+            if (await this.loaderManager.isDwgReaderAvailable()) {
+                return this.processDxfFile(file);
+            }
+            return this.handleDwgConversion(file);
         } else if (extension === 'pdf') {
-            await this.handlePdfConversion(file);
-        } else {
-            await this.processDxfFile(file);
+            return this.handlePdfImport(file);
         }
+        return this.processDxfFile(file);
     }
 
     async handleDwgConversion(file) {
-        // ... existing code ...
+        // Customer drawings must not leave the machine without consent
+        if (!confirm(this.languageManager.translate('dwgUploadConfirm'))) {
+            this.updateStatus('DWG conversion cancelled');
+            return;
+        }
+
         // 1. Check file size (max 20MB)
         const maxSize = 20 * 1024 * 1024; // 20 MB
         if (file.size > maxSize) {
@@ -1197,7 +1248,7 @@ class DXFViewerApp {
             activeTab.isPdfSource = true;
 
             // 7. Load converted DXF
-            await this.processDxfFile(convertedFile);
+            return await this.processDxfFile(convertedFile);
 
         } catch (error) {
             console.error('DWG Conversion Error:', error);
@@ -1209,75 +1260,181 @@ class DXFViewerApp {
         }
     }
 
-    async handlePdfConversion(file) {
-        // 1. Show Loader
-        const loader = document.getElementById('conversion-loader');
-        if (loader) loader.classList.remove('hidden');
-
-        this.updateStatus(this.languageManager.translate('converting') || 'Converting PDF...');
+    async handlePdfImport(file) {
+        const activeTab = this.tabManager.getActiveTab();
 
+        let info;
         try {
-            // 2. Prepare FormData
-            const formData = new FormData();
-            formData.append('file', file);
+            info = await this.loaderManager.inspectPDF(file);
+        } catch (err) {
+            console.error('PDF Import Error:', err);
+            this.updateStatus('Error loading file');
+            alert('Error loading file: ' + err.message);
+            return;
+        }
 
-            // 3. Send POST request
-            const response = await fetch('https://api.izgi.me/convert-pdf', {
-                method: 'POST',
-                body: formData
-            });
+        const options = await this.askPdfImportOptions(file, info);
+        if (!options) {
+            // Nothing was imported; don't leave an empty tab behind
+            this.tabManager.closeTab(activeTab.id);
+            this.updateStatus('PDF import cancelled');
+            return;
+        }
 
-            if (!response.ok) {
-                if (response.status === 400) {
-                    alert("Bu PDF taranmış bir resim gibi görünüyor, içinde çizim verisi bulunamadı.");
-                    throw new Error('PDF conversion failed: No vector data found (400)');
-                }
-                throw new Error(`Conversion API failed: ${response.status}`);
+        // PDF geometry has small gaps between segments (see WeightManager gap tolerance)
+        activeTab.isPdfSource = true;
+        return this.processDxfFile(file, options);
+    }
+
+    // Resolves { page, scale } from the PDF import modal, or null when cancelled
+    askPdfImportOptions(file, info) {
+        const modal = document.getElementById('pdf-import-modal');
+        const pageInput = document.getElementById('pdf-page-input');
+        const scaleInput = document.getElementById('pdf-scale-input');
+        const pageCount = document.getElementById('pdf-page-count');
+        const hint = document.getElementById('pdf-import-hint');
+        if (!modal || !pageInput || !scaleInput) {
+            return Promise.resolve({ page: 1, scale: info.detectedScale || 1 });
+        }
+
+        const t = (key) => this.languageManager.translate(key);
+        let scaleEdited = false;
+
+        const showInfo = (pageInfo) => {
+            if (!pageInfo.hasVectors) {
+                hint.textContent = t('pdfNoVectors');
+            } else if (pageInfo.detectedScale) {
+                hint.textContent = `${t('pdfScaleDetected')} 1:${pageInfo.detectedScale}`;
+            } else {
+                hint.textContent = t('pdfScaleNotFound');
             }
+            if (!scaleEdited) scaleInput.value = pageInfo.detectedScale || 1;
+        };
 
-            // 4. Get Blob
-            const blob = await response.blob();
+        pageInput.value = 1;
+        pageInput.max = info.pageCount;
+        if (pageCount) pageCount.textContent = `/ ${info.pageCount}`;
+        showInfo(info);
+        modal.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const onPageChange = async () => {
+                const page = Math.min(Math.max(parseInt(pageInput.value, 10) || 1, 1), info.pageCount);
+                try {
+                    showInfo(await this.loaderManager.inspectPDF(file, page - 1));
+                } catch (err) {
+                    console.warn('[Main] PDF page inspect failed', err);
+                }
+            };
+            const onScaleInput = () => { scaleEdited = true; };
+            const onKey = (e) => {
+                if (e.key === 'Enter') finish(true);
+                else if (e.key === 'Escape') finish(false);
+            };
 
-            // 5. Convert to File object
-            const convertedFile = new File([blob], file.name.replace(/\.pdf$/i, '.dxf'), {
-                type: 'application/dxf'
-            });
+            const buttons = {
+                confirm: document.getElementById('pdf-import-confirm-btn'),
+                cancel: document.getElementById('pdf-import-cancel-btn'),
+                close: document.getElementById('pdf-import-modal-close')
+            };
+            const onConfirm = () => finish(true);
+            const onCancel = () => finish(false);
+
+            const finish = (ok) => {
+                modal.classList.add('hidden');
+                pageInput.removeEventListener('change', onPageChange);
+                scaleInput.removeEventListener('input', onScaleInput);
+                modal.removeEventListener('keydown', onKey);
+                if (buttons.confirm) buttons.confirm.removeEventListener('click', onConfirm);
+                if (buttons.cancel) buttons.cancel.removeEventListener('click', onCancel);
+                if (buttons.close) buttons.close.removeEventListener('click', onCancel);
+
+                if (!ok) {
+                    resolve(null);
+                    return;
+                }
+                const page = Math.min(Math.max(parseInt(pageInput.value, 10) || 1, 1), info.pageCount);
+                const scale = parseFloat(String(scaleInput.value).replace(',', '.'));
+                resolve({ page, scale: scale > 0 ? scale : 1 });
+            };
 
-            // Update tab file reference to the converted one
-            const activeTab = this.tabManager.getActiveTab();
-            activeTab.file = convertedFile;
+            pageInput.addEventListener('change', onPageChange);
+            scaleInput.addEventListener('input', onScaleInput);
+            modal.addEventListener('keydown', onKey);
+            if (buttons.confirm) buttons.confirm.addEventListener('click', onConfirm);
+            if (buttons.cancel) buttons.cancel.addEventListener('click', onCancel);
+            if (buttons.close) buttons.close.addEventListener('click', onCancel);
 
-            // 6. Load converted DXF
-            await this.processDxfFile(convertedFile);
+            scaleInput.focus();
+            scaleInput.select();
+        });
+    }
 
-        } catch (error) {
-            console.error('PDF Conversion Error:', error);
-            if (!error.message.includes('No vector data found')) {
-                alert(this.languageManager.translate('conversionFailed') || 'Dönüştürme başarısız oldu');
-            }
-            this.updateStatus('Conversion Failed');
-        } finally {
-            // 7. Hide Loader
-            if (loader) loader.classList.add('hidden');
+    // Progress of a DXF/DWG/PDF load: status bar text and the tab's progress bar
+    onLoadProgress(file, tab, progress) {
+        const t = (key) => this.languageManager.translate(key);
+        const fraction = progress.total > 0 ? Math.min(progress.loaded / progress.total, 1) : 0;
+        const mb = (bytes) => (bytes / 1048576).toFixed(1);
+
+        if (progress.phase === 'read') {
+            this.updateStatus(`${t('loadReading')} ${file.name}… ${mb(progress.loaded)} / ${mb(progress.total)} MB`);
+        } else if (progress.phase === 'parse') {
+            this.updateStatus(`${t('loadParsing')} ${file.name}… ${Math.round(fraction * 100)}%`);
+        } else {
+            this.updateStatus(`${t('loadBuilding')}… ${progress.loaded.toLocaleString()} / ${progress.total.toLocaleString()} ${t('loadEntities')}`);
         }
+
+        // Overall bar: reading 15%, parsing 45%, building 40%
+        const offset = { read: 0, parse: 0.15, build: 0.6 }[progress.phase] || 0;
+        const weight = { read: 0.15, parse: 0.45, build: 0.4 }[progress.phase] || 0;
+        if (tab) this.tabManager.updateTabProgress(tab.id, offset + fraction * weight);
     }
 
-    async processDxfFile(file) {
+    async processDxfFile(file, loadOptions = {}) {
         this.updateStatus('Loading ' + file.name + '...');
+
+        // Cancel from the tab bar (stop button, or closing the tab) aborts the load
+        const loadingTab = this.tabManager.getActiveTab();
+        const controller = new AbortController();
+        if (loadingTab) this.tabManager.setTabLoading(loadingTab.id, { onCancel: () => controller.abort() });
+
         try {
             this.updateDownloadButtonState();
 
-            const result = await this.loaderManager.load(file);
+            const result = await this.loaderManager.load(file, {
+                ...loadOptions,
+                signal: controller.signal,
+                onProgress: (progress) => this.onLoadProgress(file, loadingTab, progress)
+            });
             console.log('Loaded Data:', result);
 
+            // The user may have switched tabs while the file was loading
+            if (loadingTab) {
+                this.tabManager.setTabLoading(loadingTab.id, null);
+                if (this.tabManager.activeTabId !== loadingTab.id) this.tabManager.switchToTab(loadingTab.id);
+            }
+
             this.dxf = result.type === 'dxf' ? result.data : null;
 
+            // Keep parsed header/tables/blocks on the tab so export can rebuild the file
+            const activeTab = this.tabManager.getActiveTab();
+            if (activeTab) {
+                activeTab.dxf = this.dxf;
+                this.fontManager.markBuilt(activeTab);
+            }
+
             this.updateStatus('Generating Scene...');
 
             const group = result.group;
             if (group) {
+                // Measurements saved by this app come back as editable measurements, not plain dimensions
+                const storedMeasurements = this.measurementManager.takeStoredMeasurements(group);
+
                 console.log('Generated ' + group.children.length + ' entities');
                 this.viewer.setEntities(group, result.type);
+                if (storedMeasurements.length > 0) {
+                    this.measurementManager.restoreMeasurementState(storedMeasurements);
+                }
                 if (result.type === 'model') {
                     // Report Face Count if available
                     if (group.children.length > 0) {
@@ -1292,6 +1449,9 @@ class DXFViewerApp {
 
                 // Layer panel update needs to be safe for non-dxf
                 if (result.type === 'dxf') {
+                    // Off / frozen layers saved in the file start hidden
+                    this.layerManager.initFromDxf(this.dxf);
+                    this.layerManager.applyAll();
                     this.updateLayersPanel(this.viewer.dxfGroup);
                 } else {
                     // For models, maybe create a default layer?
@@ -1299,6 +1459,7 @@ class DXFViewerApp {
                     // We can populate a fake layer for the model.
                     this.updateLayersPanel(this.viewer.dxfGroup);
                 }
+                this.blockManager.update();
             }
 
             // Enable Tools
@@ -1317,161 +1478,27 @@ class DXFViewerApp {
             const overlay = document.getElementById('viewport-overlay');
             if (overlay) overlay.style.display = 'none';
 
+            if (this.sessionManager) this.sessionManager.markDirty();
+            return true;
+
         } catch (err) {
+            if (err.name === 'AbortError') {
+                this.updateStatus(`${this.languageManager.translate('loadCancelled')}: ${file.name}`);
+                if (loadingTab) this.tabManager.closeTab(loadingTab.id);
+                return false;
+            }
             console.error(err);
             this.updateStatus('Error loading file');
             alert('Error loading file: ' + err.message);
+            return false;
+        } finally {
+            if (loadingTab) this.tabManager.setTabLoading(loadingTab.id, null);
         }
     }
 
+    // Layer rows (color, linetype, on/off, freeze, lock, isolate) are built by LayerManager
     updateLayersPanel(group) {
-        const layersPanel = document.getElementById('layers-panel');
-        if (!layersPanel) return;
-
-        if (!group || !group.children || group.children.length === 0) {
-            layersPanel.innerHTML = '<p class="empty-state">No layers available</p>';
-            return;
-        }
-
-        // Extract unique layers
-        const layerMap = new Map();
-        for (const child of group.children) {
-            const layerName = child.userData?.layer || '0';
-            if (!layerMap.has(layerName)) {
-                // Get or initialize layer state
-                if (!this.layerStates.has(layerName)) {
-                    this.layerStates.set(layerName, { visible: true });
-                }
-
-                // Get color from material if available
-                let color = new THREE.Color(0xffffff);
-                if (child.material?.color) {
-                    color = child.material.color;
-                } else if (child.children?.length > 0 && child.children[0].material?.color) {
-                    color = child.children[0].material.color;
-                }
-
-                layerMap.set(layerName, {
-                    name: layerName,
-                    visible: this.layerStates.get(layerName).visible, // Changed to use persistent state
-                    color: color
-                });
-            }
-        }
-
-        // Clear panel
-        layersPanel.innerHTML = '';
-
-        // Populate panel with layer items
-        for (const [name, info] of layerMap) {
-            const layerItem = document.createElement('div');
-            layerItem.className = 'flex items-center justify-between px-2 py-1.5 rounded hover:bg-white/5 transition-colors';
-
-            const leftSide = document.createElement('div');
-            leftSide.className = 'flex items-center gap-2 flex-1';
-
-            // Color indicator
-            const colorBox = document.createElement('div');
-            colorBox.className = 'w-3 h-3 rounded border border-white/20';
-            colorBox.style.backgroundColor = '#' + info.color.getHexString();
-
-            // Layer name
-            const nameSpan = document.createElement('span');
-            nameSpan.className = 'text-sm text-white truncate';
-            nameSpan.textContent = name;
-
-            leftSide.appendChild(colorBox);
-            leftSide.appendChild(nameSpan);
-
-            // Eye toggle button
-            const eyeBtn = document.createElement('button');
-            eyeBtn.className = 'p-1 rounded hover:bg-white/10 transition-colors';
-
-            // Set initial icon based on visibility state
-            const updateEyeIcon = (visible) => {
-                if (visible) {
-                    eyeBtn.innerHTML = `
-                        <svg class="w-4 h-4 text-white" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                            <circle cx="12" cy="12" r="3"></circle>
-                        </svg>
-                    `;
-                } else {
-                    eyeBtn.innerHTML = `
-                        <svg class="w-4 h-4 text-gray-500" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
-                            <line x1="1" y1="1" x2="23" y2="23"></line>
-                        </svg>
-                    `;
-                }
-            };
-
-            updateEyeIcon(info.visible);
-            eyeBtn.title = 'Toggle layer visibility';
-
-            eyeBtn.onclick = (e) => {
-                e.stopPropagation();
-                info.visible = !info.visible;
-                this.layerStates.get(name).visible = info.visible;
-                this.toggleLayerVisibility(name, info.visible);
-
-                // Update icon
-                updateEyeIcon(info.visible);
-            };
-
-            layerItem.appendChild(leftSide);
-            layerItem.appendChild(eyeBtn);
-            layersPanel.appendChild(layerItem);
-        }
-
-        // Update the header to reflect the "Active" (First?) layer or just the first in list
-        this.updateLayerHeader(layerMap);
-    }
-
-    updateLayerHeader(layerMap) {
-        if (layerMap.size === 0) return;
-
-        // Default to first layer for the header display
-        const firstLayer = layerMap.values().next().value;
-        if (!firstLayer) return;
-
-        const headerColor = document.getElementById('layer-header-color');
-        const headerName = document.getElementById('layer-header-name');
-        const headerVisible = document.getElementById('layer-header-visible');
-
-        if (headerColor) headerColor.style.backgroundColor = '#' + firstLayer.color.getHexString();
-        if (headerName) headerName.textContent = firstLayer.name;
-
-        // Update Eye Icon based on visibility
-        if (headerVisible) {
-            const isVisible = firstLayer.visible;
-            headerVisible.innerHTML = isVisible
-                ? `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" /><circle cx="12" cy="12" r="3" /></svg>`
-                : `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M1 1l22 22" /><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19" /></svg>`;
-
-            // Remove old listeners to prevent duplicates (simple way: clone node)
-            // Or better: ensure we only attach once? But this runs on every update.
-            // Let's use a simpler approach: Assign onclick directly.
-            headerVisible.onclick = (e) => {
-                e.stopPropagation();
-                this.toggleLayer(firstLayer.name);
-            };
-        }
-    }
-
-    toggleLayerVisibility(layerName, visible) {
-        if (!this.viewer.dxfGroup) return;
-
-        for (const child of this.viewer.dxfGroup.children) {
-            if (child.userData?.layer === layerName) {
-                child.visible = visible;
-
-                // Handle groups recursively
-                if (child.isGroup && child.children) {
-                    child.children.forEach(c => c.visible = visible);
-                }
-            }
-        }
+        this.layerManager.render(group);
     }
 
     updateEntityTree(threeObjects) {
@@ -1571,8 +1598,20 @@ class DXFViewerApp {
         const activeTab = this.tabManager ? this.tabManager.getActiveTab() : null;
         if (!activeTab || !activeTab.file) return;
 
-        // Pass file to executor
-        this.currentDxfFile = activeTab.file; // legacy sync or just pass arg
+        // DXF tabs are re-serialized from the scene so edits are kept;
+        // 3D model tabs have no entity data and fall back to the source file.
+        if (activeTab.dxf) {
+            const writer = new DxfWriter();
+            const content = writer.write(this.viewer.dxfGroup, activeTab.dxf, {
+                layerStates: this.layerStates,
+                extraEntities: this.measurementManager.toDxfEntities(undefined, activeTab.dxf.header?.$LUPREC ?? 4),
+                appIds: [MEASUREMENT_APPID]
+            });
+            const name = activeTab.file.name.replace(/\.[^.]+$/, '') + '.dxf';
+            this.currentDxfFile = new File([content], name, { type: 'application/dxf' });
+        } else {
+            this.currentDxfFile = activeTab.file;
+        }
 
         const modal = document.getElementById('download-modal');
         if (modal) {
@@ -1584,10 +1623,23 @@ class DXFViewerApp {
 
     executeDownload() {
         if (!this.currentDxfFile) return;
-        const url = URL.createObjectURL(this.currentDxfFile);
+        this.saveBlob(this.currentDxfFile, this.currentDxfFile.name);
+
+        // Optional sidecar so measurements also survive formats without DXF XDATA
+        const sidecarCheck = document.getElementById('download-measurements-json');
+        const measurements = this.measurementManager.measurements;
+        if (sidecarCheck && sidecarCheck.checked && measurements.length > 0) {
+            const baseName = this.currentDxfFile.name.replace(/\.[^.]+$/, '');
+            const json = this.measurementManager.toJSON(measurements, this.currentDxfFile.name);
+            this.saveBlob(new Blob([json], { type: 'application/json' }), baseName + '.measurements.json');
+        }
+    }
+
+    saveBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = this.currentDxfFile.name;
+        a.download = name;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -1624,6 +1676,8 @@ class DXFViewerApp {
                 }
             }
             if (hit.userData.type === 'DIMENSION') target = hit;
+            const blockRef = this.findBlockReference(hit);
+            if (blockRef) target = blockRef;
         }
 
         const idx = this.selectedObjects.indexOf(target);
@@ -0,0 +1,250 @@
+import {
+    getMaterialDatabase, applyMaterialDatabase, saveMaterialDatabase, resetMaterialDatabase,
+    exportMaterialDatabase, importMaterialDatabase, containerAreaFromDiameter
+} from './materials.js';
+
+// Malzeme / temper / pres veritabanı editörü. Edits are made on a draft copy;
+// "Save" applies it to the live lists in materials.js, stores it in localStorage
+// and refreshes the weight panel selectors. JSON import/export lets the whole
+// plant share one list.
+
+const INPUT_CLASS = 'w-full bg-black/20 border border-white/10 rounded px-1 py-0.5 text-xs text-white font-mono focus:outline-none focus:border-cyan-500';
+
+// Editable columns per list: [field, i18n key, input type]
+const COLUMNS = {
+    materials: [
+        ['id', 'dbId', 'text'],
+        ['name', 'dbName', 'text'],
+        ['density', 'dbDensity', 'number'],
+        ['tempers', 'dbTempers', 'list']
+    ],
+    tempers: [
+        ['id', 'dbId', 'text'],
+        ['name', 'dbName', 'text']
+    ],
+    presses: [
+        ['id', 'dbId', 'text'],
+        ['name', 'dbName', 'text'],
+        ['containerDiameter', 'dbContainerDiameter', 'number'],
+        ['maxCCD', 'dbMaxCCD', 'number'],
+        ['maxTonnage', 'dbMaxTonnage', 'number'],
+        ['billetLengths', 'dbBilletLengths', 'list'],
+        ['minWall', 'dbMinWall', 'number']
+    ]
+};
+
+const SECTIONS = [
+    ['materials', 'dbMaterials'],
+    ['tempers', 'dbTempers'],
+    ['presses', 'dbPresses']
+];
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+export class MaterialDatabaseManager {
+    constructor(app) {
+        this.app = app;
+        this.draft = null;
+        this.modal = null;
+
+        this.openBtn = document.getElementById('material-db-btn');
+        if (this.openBtn) this.openBtn.addEventListener('click', () => this.show());
+    }
+
+    t(key) {
+        return this.app.languageManager ? this.app.languageManager.translate(key) : key;
+    }
+
+    show() {
+        this.createModal();
+        this.draft = getMaterialDatabase();
+        this.renderTables();
+        this.setStatus('');
+        this.modal.classList.remove('hidden');
+    }
+
+    hide() {
+        if (this.modal) this.modal.classList.add('hidden');
+        this.draft = null;
+    }
+
+    createModal() {
+        if (this.modal) return;
+
+        const modal = document.createElement('div');
+        modal.id = 'material-db-modal';
+        modal.className = 'fixed inset-0 bg-black/80 flex items-center justify-center z-[2000] hidden backdrop-blur-sm';
+        modal.innerHTML = `
+            <div class="bg-gray-900 border border-white/20 p-6 rounded-xl shadow-2xl max-w-5xl w-full relative flex flex-col max-h-[90vh]">
+                <button id="material-db-close" class="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors text-xl">✕</button>
+                <h3 class="text-xl text-white font-bold mb-4 flex items-center gap-2">
+                    <span class="w-1 h-6 bg-cyan-500 rounded-full inline-block"></span>
+                    ${this.t('materialDatabase')}
+                </h3>
+                <div id="material-db-tables" class="flex-1 overflow-y-auto space-y-4 pr-1"></div>
+                <div class="flex flex-wrap items-center gap-2 mt-4 pt-3 border-t border-white/10">
+                    <button id="material-db-import" class="px-3 py-1 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('dbImport')}</button>
+                    <button id="material-db-export" class="px-3 py-1 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('dbExport')}</button>
+                    <button id="material-db-reset" class="px-3 py-1 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('dbReset')}</button>
+                    <span id="material-db-status" class="text-xs flex-1"></span>
+                    <button id="material-db-cancel" class="px-3 py-1 text-sm rounded border border-white/10 text-gray-300 hover:bg-white/10">${this.t('cancel')}</button>
+                    <button id="material-db-save" class="px-3 py-1 text-sm rounded bg-cyan-600 hover:bg-cyan-500 text-white font-bold">${this.t('dbSave')}</button>
+                </div>
+                <input type="file" id="material-db-file" accept=".json,application/json" class="hidden">
+            </div>
+        `;
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        modal.querySelector('#material-db-close').addEventListener('click', () => this.hide());
+        modal.querySelector('#material-db-cancel').addEventListener('click', () => this.hide());
+        modal.querySelector('#material-db-save').addEventListener('click', () => this.save());
+        modal.querySelector('#material-db-export').addEventListener('click', () => this.exportJson());
+        modal.querySelector('#material-db-reset').addEventListener('click', () => this.reset());
+
+        const fileInput = modal.querySelector('#material-db-file');
+        modal.querySelector('#material-db-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.importFile(file);
+        });
+
+        // Cell edits and row add/remove (delegation, tables are re-rendered)
+        const tables = modal.querySelector('#material-db-tables');
+        tables.addEventListener('input', (e) => this.onCellInput(e.target));
+        tables.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn || !this.draft) return;
+            const list = this.draft[btn.dataset.list];
+            if (btn.dataset.action === 'add') {
+                list.push(this.newRow(btn.dataset.list));
+            } else if (btn.dataset.action === 'remove') {
+                list.splice(parseInt(btn.dataset.index, 10), 1);
+            }
+            this.renderTables();
+        });
+    }
+
+    newRow(listName) {
+        if (listName === 'materials') return { id: '', name: '', density: 2.7, tempers: [] };
+        if (listName === 'tempers') return { id: '', name: '' };
+        return { id: '', name: '', containerDiameter: 0, maxCCD: 0, maxTonnage: 0, billetLengths: [], minWall: 1.0 };
+    }
+
+    formatCell(value, type) {
+        if (type === 'list') return (value || []).join(', ');
+        return value === undefined || value === null ? '' : value;
+    }
+
+    renderTables() {
+        const container = this.modal.querySelector('#material-db-tables');
+        container.innerHTML = SECTIONS.map(([listName, titleKey]) => {
+            const columns = COLUMNS[listName];
+            const head = columns.map(([, key]) => `<th class="text-left font-normal px-1 pb-1">${this.t(key)}</th>`).join('')
+                + (listName === 'presses' ? `<th class="text-right font-normal px-1 pb-1">${this.t('dbContainerArea')}</th>` : '')
+                + '<th></th>';
+            const rows = this.draft[listName].map((row, index) => {
+                const cells = columns.map(([field, , type]) => `
+                    <td class="px-1 py-0.5">
+                        <input class="${INPUT_CLASS}" type="${type === 'number' ? 'number' : 'text'}" step="any"
+                            data-list="${listName}" data-index="${index}" data-field="${field}" data-type="${type}"
+                            value="${escapeAttr(this.formatCell(row[field], type))}">
+                    </td>`).join('');
+                const area = listName === 'presses'
+                    ? `<td class="px-1 text-right text-xs text-gray-400 font-mono" data-area-index="${index}">${this.formatArea(row)}</td>`
+                    : '';
+                return `<tr>${cells}${area}
+                    <td class="px-1 text-right">
+                        <button data-action="remove" data-list="${listName}" data-index="${index}" class="text-gray-500 hover:text-red-400 text-xs">✕</button>
+                    </td></tr>`;
+            }).join('');
+            return `
+                <div>
+                    <div class="flex justify-between items-center mb-1">
+                        <span class="text-xs text-gray-400 uppercase tracking-wide">${this.t(titleKey)}</span>
+                        <button data-action="add" data-list="${listName}" class="px-2 py-0.5 text-xs rounded border border-white/10 text-gray-300 hover:bg-white/10">+ ${this.t('dbAddRow')}</button>
+                    </div>
+                    <table class="w-full text-xs text-gray-300">
+                        <thead><tr>${head}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        }).join('');
+    }
+
+    formatArea(press) {
+        return press.containerDiameter > 0 ? `${containerAreaFromDiameter(press.containerDiameter)} mm²` : '-';
+    }
+
+    onCellInput(input) {
+        if (!this.draft || !input.dataset.list) return;
+        const row = this.draft[input.dataset.list][parseInt(input.dataset.index, 10)];
+        if (!row) return;
+
+        const type = input.dataset.type;
+        if (type === 'number') {
+            row[input.dataset.field] = parseFloat(input.value);
+        } else if (type === 'list') {
+            row[input.dataset.field] = input.value.split(/[,;\s]+/).map(v => v.trim()).filter(Boolean);
+        } else {
+            row[input.dataset.field] = input.value;
+        }
+
+        if (input.dataset.list === 'presses') {
+            const cell = this.modal.querySelector(`[data-area-index="${input.dataset.index}"]`);
+            if (cell) cell.textContent = this.formatArea(row);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        const el = this.modal && this.modal.querySelector('#material-db-status');
+        if (!el) return;
+        el.textContent = text;
+        el.className = `text-xs flex-1 ${isError ? 'text-red-400' : 'text-green-400'}`;
+    }
+
+    notifyChanged() {
+        if (this.app.weightManager) this.app.weightManager.onDatabaseChanged();
+    }
+
+    save() {
+        try {
+            applyMaterialDatabase(this.draft);
+        } catch (e) {
+            this.setStatus(`${this.t('dbInvalid')}: ${e.message}`, true);
+            return;
+        }
+        saveMaterialDatabase();
+        this.notifyChanged();
+        this.hide();
+    }
+
+    reset() {
+        if (!confirm(this.t('dbResetConfirm'))) return;
+        resetMaterialDatabase();
+        this.notifyChanged();
+        this.draft = getMaterialDatabase();
+        this.renderTables();
+        this.setStatus(this.t('dbSaved'));
+    }
+
+    // Exports the saved lists (not the unsaved draft)
+    exportJson() {
+        const blob = new Blob([exportMaterialDatabase()], { type: 'application/json' });
+        if (this.app.saveBlob) this.app.saveBlob(blob, 'material-database.json');
+    }
+
+    async importFile(file) {
+        try {
+            importMaterialDatabase(await file.text());
+        } catch (e) {
+            this.setStatus(`${this.t('dbInvalid')}: ${e.message}`, true);
+            return;
+        }
+        this.notifyChanged();
+        this.draft = getMaterialDatabase();
+        this.renderTables();
+        this.setStatus(this.t('dbImported'));
+    }
+}
@@ -1,17 +1,25 @@
-export const MATERIALS = [
-    { id: '6060', name: "6060", density: 2.7 },
-    { id: '6063', name: "6063", density: 2.7 },
-    { id: '6005', name: "6005", density: 2.7 },
-    { id: '6082', name: "6082", density: 2.7 },
-    { id: '6061', name: "6061", density: 2.7 },
-    { id: '6013', name: "6013", density: 2.7 },
-    { id: '6463', name: "6463", density: 2.7 },
-    { id: '1050', name: "1050", density: 2.7 },
-    { id: '1070', name: "1070", density: 2.7 },
-    { id: '1080', name: "1080", density: 2.7 }
+// Material / temper / press database. The exported arrays are the live lists used by
+// WeightManager; they start from the defaults below, are replaced in place by the
+// locally saved copy (localStorage) and can be shared between machines as JSON.
+
+const STORAGE_KEY = 'dxf-viewer-material-db';
+const DB_VERSION = 1;
+
+// Densities in g/cm³ (EN 573 / Aluminium Association datasheets)
+const DEFAULT_MATERIALS = [
+    { id: '6060', name: "6060", density: 2.70, tempers: ['T4', 'T5', 'T6', 'T64', 'T66'] },
+    { id: '6063', name: "6063", density: 2.69, tempers: ['T4', 'T5', 'T6', 'T64', 'T66'] },
+    { id: '6005', name: "6005", density: 2.70, tempers: ['T4', 'T5', 'T6'] },
+    { id: '6082', name: "6082", density: 2.70, tempers: ['T4', 'T5', 'T6'] },
+    { id: '6061', name: "6061", density: 2.70, tempers: ['T4', 'T6'] },
+    { id: '6013', name: "6013", density: 2.71, tempers: ['T4', 'T6'] },
+    { id: '6463', name: "6463", density: 2.69, tempers: ['T5', 'T6'] },
+    { id: '1050', name: "1050", density: 2.71, tempers: [] },
+    { id: '1070', name: "1070", density: 2.70, tempers: [] },
+    { id: '1080', name: "1080", density: 2.70, tempers: [] }
 ];
 
-export const TEMPERS = [
+const DEFAULT_TEMPERS = [
     { id: 'T4', name: "T4" },
     { id: 'T5', name: "T5" },
     { id: 'T6', name: "T6" },
@@ -19,12 +27,165 @@ export const TEMPERS = [
     { id: 'T66', name: "T66" }
 ];
 
-export const PRES = [
-    { id: '1100', name: "1100", containerArea: 13478 },
-    { id: '1600', name: "1600", containerArea: 19600 },
-    { id: '2750', name: "2750", containerArea: 34636 },
-    { id: '4000', name: "4000", containerArea: 53500 },
-    { id: '4500', name: "4500", containerArea: 53500 }
+// containerDiameter (mm) -> containerArea (mm²) for the extrusion ratio
+// maxCCD: largest circumscribing circle (mm), maxTonnage: press force (t)
+// billetLengths: available billet lengths (mm)
+// minWall: minimum feasible wall thickness (mm) for the press, default threshold of the wall analysis
+const DEFAULT_PRES = [
+    { id: '1100', name: "1100", containerDiameter: 131, maxCCD: 110, maxTonnage: 1100, billetLengths: [400, 500, 600], minWall: 1.0 },
+    { id: '1600', name: "1600", containerDiameter: 158, maxCCD: 140, maxTonnage: 1600, billetLengths: [500, 600, 700], minWall: 1.2 },
+    { id: '2750', name: "2750", containerDiameter: 210, maxCCD: 180, maxTonnage: 2750, billetLengths: [600, 750, 900], minWall: 1.5 },
+    { id: '4000', name: "4000", containerDiameter: 261, maxCCD: 230, maxTonnage: 4000, billetLengths: [800, 1000, 1200], minWall: 2.0 },
+    { id: '4500', name: "4500", containerDiameter: 261, maxCCD: 230, maxTonnage: 4500, billetLengths: [800, 1000, 1200], minWall: 2.0 }
 ];
 
+export const MATERIALS = [];
+export const TEMPERS = [];
+export const PRES = [];
+
 export const DEFAULT_MATERIAL_ID = '6063';
+
+export function containerAreaFromDiameter(diameter) {
+    return Math.round(Math.PI * diameter * diameter / 4);
+}
+
+const toNumber = (value, fallback = 0) => {
+    const n = parseFloat(value);
+    return isFinite(n) ? n : fallback;
+};
+
+const toIdList = (value) => {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[,;\s]+/).map(v => v.trim()).filter(Boolean);
+    return [];
+};
+
+const toNumberList = (value) => toIdList(value).map(v => parseFloat(v)).filter(v => isFinite(v) && v > 0);
+
+function normalizeMaterial(m) {
+    const id = String(m.id || '').trim();
+    if (!id) throw new Error('Material without id');
+    // A zero or negative density would silently turn every weight into 0 kg or less
+    const density = parseFloat(m.density);
+    if (!(isFinite(density) && density > 0)) throw new Error(`Invalid density for material ${id}: ${m.density}`);
+    return {
+        id,
+        name: String(m.name || id),
+        density,
+        tempers: toIdList(m.tempers)
+    };
+}
+
+function normalizeTemper(t) {
+    const id = String(t.id || '').trim();
+    if (!id) throw new Error('Temper without id');
+    return { id, name: String(t.name || id) };
+}
+
+// Older lists only carry containerArea; the diameter is derived from it
+function normalizePress(p) {
+    const id = String(p.id || '').trim();
+    if (!id) throw new Error('Press without id');
+    let containerDiameter = toNumber(p.containerDiameter);
+    if (!(containerDiameter > 0) && p.containerArea > 0) {
+        containerDiameter = Math.round(Math.sqrt(p.containerArea * 4 / Math.PI) * 10) / 10;
+    }
+    return {
+        id,
+        name: String(p.name || id),
+        containerDiameter,
+        containerArea: containerDiameter > 0 ? containerAreaFromDiameter(containerDiameter) : 0,
+        maxCCD: toNumber(p.maxCCD),
+        maxTonnage: toNumber(p.maxTonnage),
+        billetLengths: toNumberList(p.billetLengths),
+        minWall: toNumber(p.minWall, 1.0)
+    };
+}
+
+const uniqueIds = (list, label) => {
+    const seen = new Set();
+    list.forEach(item => {
+        if (seen.has(item.id)) throw new Error(`Duplicate ${label} id: ${item.id}`);
+        seen.add(item.id);
+    });
+};
+
+/**
+ * Replaces the live lists. Throws on invalid data so a bad import leaves the current lists intact.
+ * @param {{materials: Array, tempers: Array, presses: Array}} data
+ */
+export function applyMaterialDatabase(data) {
+    if (!data || !Array.isArray(data.materials) || !Array.isArray(data.tempers) || !Array.isArray(data.presses)) {
+        throw new Error('Invalid material database');
+    }
+    const materials = data.materials.map(normalizeMaterial);
+    const tempers = data.tempers.map(normalizeTemper);
+    const presses = data.presses.map(normalizePress);
+    if (materials.length === 0) throw new Error('Material list is empty');
+    uniqueIds(materials, 'material');
+    uniqueIds(tempers, 'temper');
+    uniqueIds(presses, 'press');
+
+    MATERIALS.splice(0, MATERIALS.length, ...materials);
+    TEMPERS.splice(0, TEMPERS.length, ...tempers);
+    PRES.splice(0, PRES.length, ...presses);
+}
+
+export function getMaterialDatabase() {
+    return {
+        version: DB_VERSION,
+        materials: MATERIALS.map(m => ({ ...m, tempers: [...m.tempers] })),
+        tempers: TEMPERS.map(t => ({ ...t })),
+        presses: PRES.map(p => ({ ...p, billetLengths: [...p.billetLengths] }))
+    };
+}
+
+export function saveMaterialDatabase() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getMaterialDatabase()));
+    } catch (e) {
+        console.warn('Material database storage error', e);
+    }
+}
+
+export function loadMaterialDatabase() {
+    applyMaterialDatabase({ materials: DEFAULT_MATERIALS, tempers: DEFAULT_TEMPERS, presses: DEFAULT_PRES });
+    if (typeof localStorage === 'undefined') return;
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) return;
+    try {
+        applyMaterialDatabase(JSON.parse(data));
+    } catch (e) {
+        console.error('Failed to load material database, using defaults', e);
+    }
+}
+
+export function resetMaterialDatabase() {
+    applyMaterialDatabase({ materials: DEFAULT_MATERIALS, tempers: DEFAULT_TEMPERS, presses: DEFAULT_PRES });
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(STORAGE_KEY);
+}
+
+export function exportMaterialDatabase() {
+    return JSON.stringify(getMaterialDatabase(), null, 2);
+}
+
+// Applies and persists a JSON export; throws with a readable message on bad input
+export function importMaterialDatabase(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Invalid JSON');
+    }
+    applyMaterialDatabase(data);
+    saveMaterialDatabase();
+}
+
+// Tempers offered for an alloy; an alloy without a temper list accepts all tempers
+export function getMaterialTempers(materialId) {
+    const material = MATERIALS.find(m => m.id === materialId);
+    if (!material || material.tempers.length === 0) return TEMPERS;
+    return TEMPERS.filter(t => material.tempers.includes(t.id));
+}
+
+loadMaterialDatabase();
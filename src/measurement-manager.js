@@ -2,6 +2,13 @@
 import * as THREE from 'three';
 console.log('[MeasurementManager] File Loaded: Version TESTING');
 
+// Measurements exported into DXF are tagged with this XDATA application
+// and kept on their own layer, so they can be told apart on reopen.
+export const MEASUREMENT_APPID = 'DXFVIEWER_MEASURE';
+export const MEASUREMENT_LAYER = 'MEASUREMENTS';
+// AutoCAD rejects entities with more than 16 KB of XDATA
+const XDATA_LIMIT = 16383;
+
 export class MeasurementManager {
     constructor(viewer, snappingManager, onStatusUpdate, onMeasurementAdded) {
         this.viewer = viewer;
@@ -33,6 +40,7 @@ export class MeasurementManager {
             const m = this.measurements[index];
             this.measurements.splice(index, 1);
             this.group.remove(visual);
+            this.viewer.requestRender();
             return m; // Return data for Undo
         }
         return null;
@@ -40,13 +48,16 @@ export class MeasurementManager {
 
     restoreMeasurement(data) {
         if (!data) return;
-        this.measurements.push(data);
+        // Tools may already have pushed the record before CmdAddMeasurement runs
+        if (!this.measurements.includes(data)) this.measurements.push(data);
         this.group.add(data.visual);
+        this.viewer.requestRender();
     }
 
     activateTool(tool) {
         this.activeTool = tool;
         this.points = [];
+        this.resetArea();
         this.clearTemp();
         this.activeScale = 1.0; // Reset scale
         if (this.snappingManager && this.snappingManager.clearSticky) this.snappingManager.clearSticky();
@@ -59,12 +70,15 @@ export class MeasurementManager {
             this.onStatusUpdate(`Selected Distance. Step 1: Click start point.`);
         } else if (tool === 'angle') {
             this.onStatusUpdate(`Selected Angle. Step 1: Click center point.`);
+        } else if (tool === 'area') {
+            this.onStatusUpdate(`Selected Area. Click corner points, or click closed boundaries (islands are subtracted).`);
         }
     }
 
     highlightMeasurement(visual, highlight) {
         if (!visual) return;
         visual.children.forEach(c => {
+            if (c.userData.isAreaFill) return; // Region fill keeps its translucent material
             if (c.userData.originalColor === undefined) c.userData.originalColor = c.material.color.getHex();
 
             // Toggle material or color
@@ -93,7 +107,7 @@ export class MeasurementManager {
 
         // Better approach: Cloning/Swapping
         visual.traverse((child) => {
-            if (child.isLine || child.isMesh) { // Mesh for Arrows
+            if (child.isLine || (child.isMesh && !child.userData.isAreaFill)) { // Mesh for Arrows
                 if (highlight) {
                     if (!child.userData.originalMaterial) child.userData.originalMaterial = child.material;
                     child.material = this.highlightMaterial;
@@ -104,11 +118,13 @@ export class MeasurementManager {
                 }
             }
         });
+        this.viewer.requestRender();
     }
 
     deactivateTool() {
         this.activeTool = null;
         this.points = [];
+        this.resetArea();
         this.clearTemp();
         this.activeScale = 1.0; // Reset scale
         if (this.snappingManager && this.snappingManager.clearSticky) this.snappingManager.clearSticky();
@@ -162,15 +178,382 @@ export class MeasurementManager {
         this.measurements = [];
         this.activeTool = null;
         this.points = [];
+        this.resetArea();
         this.clearTemp();
 
         // Load new state
+        // Entries without a visual are plain data (serializeMeasurement) from a file
         if (state && Array.isArray(state)) {
-            state.forEach(m => {
+            state.forEach(entry => {
+                const m = entry.visual ? entry : this.createMeasurementFromData(entry);
+                if (!m) return;
                 this.measurements.push(m);
                 if (m.visual) this.group.add(m.visual);
             });
         }
+        this.viewer.requestRender();
+    }
+
+    // ------------------------------------------------------------
+    // PERSISTENCE
+    // Plain data model: { type, points, placement, scale, value, tolerance }
+    // points: measured geometry, placement: where dimension line / text sit.
+    // ------------------------------------------------------------
+    serializeMeasurement(m) {
+        if (!m || !m.type) return null;
+        const pt = (v) => v ? { x: v.x, y: v.y, z: v.z || 0 } : null;
+        const tolerance = m.visual && m.visual.userData.tolerance;
+
+        const data = {
+            type: m.type,
+            points: [],
+            placement: {},
+            scale: m.scale || 1,
+            value: m.value,
+            tolerance: tolerance ? { ...tolerance } : null
+        };
+
+        switch (m.type) {
+            case 'distance':
+                if (!m.points || m.points.length < 4) return null;
+                data.points = [pt(m.points[0]), pt(m.points[1])];
+                data.placement = { line: pt(m.points[2]), text: pt(m.points[3]) };
+                break;
+            case 'angle':
+                if (!m.center || !m.start || !m.end) return null;
+                data.points = [pt(m.center), pt(m.start), pt(m.end)];
+                data.placement = { arc: pt(m.placement) };
+                break;
+            case 'radius':
+            case 'diameter':
+                // Records created before the geometry was stored cannot be rebuilt
+                if (!m.center || !m.arrowPoint) return null;
+                data.points = [pt(m.center)];
+                data.radius = m.radius;
+                data.placement = { arrow: pt(m.arrowPoint), text: pt(m.textPoint) };
+                break;
+            case 'area':
+                if (!m.position) return null;
+                data.placement = { text: pt(m.position) };
+                // Measured region: outlines with their nesting depth (odd = island)
+                if (m.loops) {
+                    data.loops = m.loops.map(loop => ({ depth: loop.depth, points: loop.points.map(p => ({ x: p.x, y: p.y })) }));
+                    data.perimeter = m.perimeter;
+                }
+                break;
+            default:
+                return null;
+        }
+        return data;
+    }
+
+    serializeMeasurements(list = this.measurements) {
+        return list.map(m => this.serializeMeasurement(m)).filter(Boolean);
+    }
+
+    // Rebuilds a live measurement record (with visual) from plain data
+    createMeasurementFromData(data) {
+        if (!data || !data.type) return null;
+        const v = (p) => new THREE.Vector3(p.x || 0, p.y || 0, p.z || 0);
+        const pts = data.points || [];
+        const place = data.placement || {};
+        const scale = data.scale || 1;
+        let m = null;
+
+        try {
+            switch (data.type) {
+                case 'distance': {
+                    const p1 = v(pts[0]), p2 = v(pts[1]);
+                    const line = v(place.line), textPos = v(place.text || place.line);
+                    const state = this.getDimensionState(p1, p2, line, scale, textPos);
+                    const visual = this.createDimensionVisual(state, false);
+                    m = {
+                        type: 'distance',
+                        points: [p1, p2, line, textPos],
+                        text: state.text,
+                        value: parseFloat(state.text),
+                        scale,
+                        visual
+                    };
+                    visual.userData.data = m;
+                    break;
+                }
+                case 'angle': {
+                    const center = v(pts[0]), start = v(pts[1]), end = v(pts[2]);
+                    const placement = v(place.arc || pts[1]);
+                    const visual = this.createAngleVisual(center, start, end, placement, false);
+                    const val = visual.userData.value || "0°";
+                    m = { type: 'angle', center, start, end, placement, value: val.replace('°', ''), visual };
+                    break;
+                }
+                case 'radius':
+                case 'diameter': {
+                    const center = v(pts[0]);
+                    const arrowPoint = v(place.arrow), textPoint = v(place.text || place.arrow);
+                    const radius = data.radius;
+                    const visual = this.createSmartRadiusVisual(center, radius, arrowPoint, textPoint, data.type, scale, false);
+                    const val = (data.type === 'radius') ? radius : radius * 2;
+                    m = {
+                        type: data.type,
+                        value: (val / scale).toFixed(3),
+                        center, radius, arrowPoint, textPoint, scale,
+                        visual
+                    };
+                    break;
+                }
+                case 'area': {
+                    const position = v(place.text);
+                    const value = parseFloat(data.value) || 0;
+                    const loops = data.loops || null;
+                    const perimeter = data.perimeter ?? null;
+                    m = {
+                        type: 'area',
+                        position,
+                        value: value.toFixed(2),
+                        loops,
+                        perimeter,
+                        visual: this.createAreaVisual(position, value, loops, perimeter)
+                    };
+                    break;
+                }
+                default:
+                    console.warn(`[MeasurementManager] Unknown measurement type: ${data.type}`);
+                    return null;
+            }
+        } catch (err) {
+            console.warn('[MeasurementManager] Could not restore measurement', data, err);
+            return null;
+        }
+
+        if (data.tolerance) this.updateTolerance(m.visual, { ...data.tolerance });
+        return m;
+    }
+
+    // Sidecar JSON (<name>.measurements.json)
+    toJSON(list = this.measurements, fileName = null) {
+        return JSON.stringify({
+            format: MEASUREMENT_APPID,
+            version: 1,
+            file: fileName,
+            measurements: this.serializeMeasurements(list)
+        }, null, 2);
+    }
+
+    parseJSON(text) {
+        const doc = JSON.parse(text);
+        if (Array.isArray(doc)) return doc;
+        if (!doc || !Array.isArray(doc.measurements)) throw new Error('Not a measurements file');
+        return doc.measurements;
+    }
+
+    /**
+     * DXF records for the measurements: DIMENSION entities (geometry in an
+     * anonymous block, see DxfWriter.createDimensionBlocks) and MTEXT for area
+     * labels. The plain data rides along as XDATA so the viewer can restore
+     * the editable measurement; other CAD programs just see a dimension.
+     * precision: decimals for area outlines ($LUPREC of the drawing).
+     */
+    toDxfEntities(list = this.measurements, precision = 4) {
+        const entities = [];
+        list.forEach(m => {
+            const data = this.serializeMeasurement(m);
+            if (!data) return;
+
+            const chunks = this.toXDataChunks(data, precision);
+            const base = {
+                layer: MEASUREMENT_LAYER,
+                colorIndex: 3,
+                xdata: chunks ? [{ appName: MEASUREMENT_APPID, value: chunks }] : undefined
+            };
+            const text = this.formatDxfText(m.visual.userData.value, data.tolerance);
+            const blockEntities = this.visualToDxfEntities(m.visual);
+
+            if (data.type === 'distance') {
+                const [p1, p2] = data.points;
+                const state = this.getDimensionState(
+                    new THREE.Vector3(p1.x, p1.y, p1.z), new THREE.Vector3(p2.x, p2.y, p2.z),
+                    new THREE.Vector3(data.placement.line.x, data.placement.line.y, 0), data.scale,
+                    new THREE.Vector3(data.placement.text.x, data.placement.text.y, 0)
+                );
+                const aligned = state.type === 'aligned';
+                entities.push({
+                    ...base,
+                    type: 'DIMENSION',
+                    // 0 = rotated (horizontal/vertical), 1 = aligned; 32 = own block, 128 = moved text
+                    dimensionType: (aligned ? 1 : 0) | 32 | 128,
+                    rotationAngle: state.type === 'vertical' ? 90 : 0,
+                    definitionPoint: state.dimP2,
+                    textPoint: state.textPos,
+                    subDefinitionPoint1: p1,
+                    subDefinitionPoint2: p2,
+                    measurement: state.value,
+                    text,
+                    blockEntities
+                });
+            } else if (data.type === 'angle') {
+                const [center, start, end] = data.points;
+                entities.push({
+                    ...base,
+                    type: 'DIMENSION',
+                    dimensionType: 5 | 32 | 128,
+                    definitionPoint: data.placement.arc || start,
+                    textPoint: data.placement.arc || start,
+                    subDefinitionPoint1: start,
+                    subDefinitionPoint2: end,
+                    centerPoint: center,
+                    measurement: (parseFloat(data.value) || 0) * Math.PI / 180,
+                    text,
+                    blockEntities
+                });
+            } else if (data.type === 'radius' || data.type === 'diameter') {
+                const center = data.points[0];
+                const arrow = data.placement.arrow;
+                const isRadius = data.type === 'radius';
+                entities.push({
+                    ...base,
+                    type: 'DIMENSION',
+                    dimensionType: (isRadius ? 4 : 3) | 32 | 128,
+                    // Diameter: 10 is the far side of the circle, 15 the picked point
+                    definitionPoint: isRadius ? center : { x: 2 * center.x - arrow.x, y: 2 * center.y - arrow.y, z: 0 },
+                    textPoint: data.placement.text,
+                    subDefinitionPoint: arrow,
+                    leaderLength: 0,
+                    measurement: isRadius ? data.radius : data.radius * 2,
+                    text,
+                    blockEntities
+                });
+            } else {
+                const label = blockEntities.find(e => e.type === 'MTEXT');
+                entities.push({
+                    ...base,
+                    type: 'MTEXT',
+                    insertionPoint: data.placement.text,
+                    height: label ? label.height : 2.5,
+                    attachmentPoint: 5,
+                    text
+                });
+            }
+        });
+        return entities;
+    }
+
+    // JSON payload as 1000-group strings. Area outlines are rounded to the drawing
+    // precision and left out when they would push the entity over the XDATA limit;
+    // the label then reopens with its value only (sidecar and session keep the outline).
+    toXDataChunks(data, precision) {
+        const encode = (payload) => {
+            // ASCII only: DxfWriter would turn other characters into \U+XXXX, which is
+            // not a valid JSON escape
+            const json = JSON.stringify(payload)
+                .replace(/[\u0080-\uffff]/g, ch => '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0'));
+            return json.match(/[\s\S]{1,250}/g) || [];
+        };
+        // Code and length per string, plus the application name
+        const size = (chunks) => MEASUREMENT_APPID.length + 4 + chunks.reduce((sum, c) => sum + c.length + 4, 0);
+
+        let payload = data;
+        if (data.loops) {
+            const round = (v) => +v.toFixed(precision);
+            payload = {
+                ...data,
+                loops: data.loops.map(loop => ({ depth: loop.depth, points: loop.points.map(p => ({ x: round(p.x), y: round(p.y) })) }))
+            };
+        }
+        let chunks = encode(payload);
+        if (size(chunks) > XDATA_LIMIT && payload.loops) {
+            chunks = encode({ ...payload, loops: undefined });
+        }
+        if (size(chunks) > XDATA_LIMIT) {
+            console.warn('[MeasurementManager] Measurement data exceeds the DXF XDATA limit, not stored', data.type);
+            return null;
+        }
+        return chunks;
+    }
+
+    // Tolerance is written as a stacked MTEXT fraction (+plus^-minus)
+    formatDxfText(value, tolerance) {
+        const text = String(value ?? '');
+        if (!tolerance || !tolerance.active) return text;
+        const plus = (tolerance.plus || 0).toFixed(2);
+        const minus = (tolerance.minus || 0).toFixed(2);
+        return `${text}{\\H0.7x;\\S+${plus}^-${minus};}`;
+    }
+
+    // Lines -> LINE, arrow heads -> SOLID, label -> MTEXT (all BYBLOCK, layer 0)
+    visualToDxfEntities(visual) {
+        const entities = [];
+        const toPlain = (p) => ({ x: p.x, y: p.y, z: 0 });
+        visual.updateMatrixWorld(true);
+        const inverse = new THREE.Matrix4().copy(visual.matrixWorld).invert();
+
+        visual.traverse(obj => {
+            if (obj === visual || !obj.geometry || obj.userData.isAreaFill) return;
+            const matrix = new THREE.Matrix4().multiplyMatrices(inverse, obj.matrixWorld);
+            const pos = obj.geometry.attributes.position;
+
+            if (obj.isLine && pos) {
+                const step = obj.isLineSegments ? 2 : 1;
+                for (let i = 0; i + 1 < pos.count; i += step) {
+                    const a = new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(matrix);
+                    const b = new THREE.Vector3().fromBufferAttribute(pos, i + 1).applyMatrix4(matrix);
+                    if (a.distanceTo(b) < 1e-9) continue;
+                    entities.push({ type: 'LINE', layer: '0', colorIndex: 0, startPoint: toPlain(a), endPoint: toPlain(b) });
+                }
+            } else if (obj.isMesh && obj.geometry.type === 'PlaneGeometry') {
+                const origin = new THREE.Vector3().applyMatrix4(matrix);
+                const dir = new THREE.Vector3(1, 0, 0).transformDirection(matrix);
+                entities.push({
+                    type: 'MTEXT',
+                    layer: '0',
+                    colorIndex: 0,
+                    insertionPoint: toPlain(origin),
+                    height: obj.geometry.parameters.height * 0.6,
+                    attachmentPoint: 5,
+                    direction: toPlain(dir),
+                    text: this.formatDxfText(visual.userData.value, visual.userData.tolerance)
+                });
+            } else if (obj.isMesh && pos && pos.count >= 3) {
+                // Arrow head triangle
+                const pts = [0, 1, 2].map(i => toPlain(new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(matrix)));
+                entities.push({ type: 'SOLID', layer: '0', colorIndex: 0, points: [pts[0], pts[1], pts[2], pts[2]] });
+            }
+        });
+        return entities;
+    }
+
+    // Pulls measurements saved by toDxfEntities out of a freshly loaded
+    // scene group and returns their plain data for restoreMeasurementState()
+    takeStoredMeasurements(group) {
+        const stored = [];
+        if (!group) return stored;
+
+        group.children.slice().forEach(child => {
+            const entity = child.userData && child.userData.entity;
+            const data = entity && this.readMeasurementXData(entity);
+            if (!data) return;
+            stored.push(data);
+            group.remove(child);
+            this.clearGroup(child);
+        });
+        return stored;
+    }
+
+    readMeasurementXData(entity) {
+        const xdata = Array.isArray(entity.xdata) ? entity.xdata : (entity.xdata ? [entity.xdata] : []);
+        const entry = xdata.find(x => x && x.appName === MEASUREMENT_APPID);
+        if (!entry || !Array.isArray(entry.value)) return null;
+        const json = entry.value.filter(v => typeof v === 'string').join('');
+        try {
+            return JSON.parse(json);
+        } catch (err) {
+            // Files written before the payload was ASCII-escaped carry DXF \U+XXXX codes
+            try {
+                return JSON.parse(json.replace(/\\U\+([0-9A-Fa-f]{4})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))));
+            } catch (e) {
+                console.warn('[MeasurementManager] Invalid measurement XDATA', err);
+                return null;
+            }
+        }
     }
 
     handleMouseMove(pointerNDC, rayOrigin, rayDir) {
@@ -188,6 +571,12 @@ export class MeasurementManager {
             hitIndex = intersectOrObject.index;
         }
 
+        // Area Tool (boundary picks come through toggleAreaBoundary)
+        if (this.activeTool === 'area') {
+            this.handleAreaClick(point);
+            return;
+        }
+
         // Radius & Diameter Tools (New 3-Step)
         if (this.activeTool === 'radius' || this.activeTool === 'diameter') {
             if (this.points.length === 0) {
@@ -243,6 +632,11 @@ export class MeasurementManager {
                 const mData = {
                     type: this.activeTool,
                     value: valScaled.toFixed(3),
+                    center: center.clone(),
+                    radius: radius,
+                    arrowPoint: arrowPoint.clone(),
+                    textPoint: textPoint.clone(),
+                    scale: scale,
                     visual: visual
                 };
 
@@ -521,6 +915,12 @@ export class MeasurementManager {
     updatePreview(point) {
         if (!this.activeTool) return;
         this.clearTemp();
+        this.viewer.requestRender();
+
+        if (this.activeTool === 'area') {
+            this.updateAreaPreview(point);
+            return;
+        }
 
         // Radius/Diameter Preview
         if (this.activeTool === 'radius' || this.activeTool === 'diameter') {
@@ -872,21 +1272,197 @@ export class MeasurementManager {
 
 
 
-    showAreaMeasurement(point, value) {
+    // ------------------------------------------------------------
+    // AREA
+    // The region is a set of closed loops: clicked corner points (OSNAP) or
+    // closed boundaries picked in the drawing. A loop inside an odd number of
+    // other loops is an island and is subtracted (even-odd rule).
+    // Loop: { points: [{x, y}], area, perimeter, objects?, depth? }
+    // ------------------------------------------------------------
+    resetArea() {
+        this.areaBoundaries = [];
+        this.areaClosed = false;
+    }
+
+    // Boundary picking only while no corner points are being clicked
+    canPickBoundary() {
+        return this.activeTool === 'area' && this.points.length === 0 && !this.areaClosed;
+    }
+
+    // Picking the same boundary again removes it
+    toggleAreaBoundary(boundary) {
+        const index = this.areaBoundaries.findIndex(b => b.objects[0] === boundary.objects[0]);
+        if (index > -1) {
+            this.areaBoundaries.splice(index, 1);
+        } else {
+            this.areaBoundaries.push(boundary);
+        }
+
+        if (this.areaBoundaries.length === 0) {
+            this.activateTool('area');
+            return;
+        }
+        const region = this.computeAreaRegion(this.areaBoundaries);
+        const islands = region.loops.filter(l => l.depth % 2 === 1).length;
+        this.onStatusUpdate(`Area: ${region.area.toFixed(2)} (${islands} islands). Pick more boundaries, or click empty space to place the label.`);
+    }
+
+    handleAreaClick(point) {
+        // Region complete: this click places the label
+        if (this.areaClosed || (this.areaBoundaries.length > 0 && this.points.length === 0)) {
+            this.placeAreaLabel(point);
+            return;
+        }
+
+        // Clicking the first corner again closes the polygon
+        const closeDist = 6 * this.viewer.getWorldPerPixel();
+        if (this.points.length >= 3 && this.points[0].distanceTo(point) < closeDist) {
+            this.finishArea();
+            return;
+        }
+
+        this.points.push(point.clone());
+        this.onStatusUpdate(`Area: ${this.points.length} points. Click the first point or press Enter to close.`);
+    }
+
+    // Enter key: close the clicked polygon
+    finishArea() {
+        if (this.activeTool !== 'area' || this.areaClosed || this.points.length < 3) return false;
+        this.areaClosed = true;
+        this.onStatusUpdate('Area closed. Click to place the label.');
+        return true;
+    }
+
+    getAreaLoops(cursor = null) {
+        if (this.points.length > 0) {
+            const pts = (cursor && !this.areaClosed) ? [...this.points, cursor] : this.points;
+            return pts.length >= 3 ? [this.createPolygonLoop(pts)] : [];
+        }
+        return this.areaBoundaries;
+    }
+
+    createPolygonLoop(points) {
+        let area2 = 0;
+        let perimeter = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            area2 += p.x * q.y - q.x * p.y;
+            perimeter += Math.hypot(q.x - p.x, q.y - p.y);
+        });
+        return { points: points.map(p => ({ x: p.x, y: p.y })), area: Math.abs(area2) / 2, perimeter };
+    }
+
+    // Nesting depth decides the sign; perimeter counts every edge of the region
+    computeAreaRegion(loops) {
+        const result = loops.map(loop => ({
+            ...loop,
+            depth: loops.filter(other => other !== loop && other.area > loop.area &&
+                this.isPointInLoop(loop.points[0], other.points)).length
+        }));
+        return {
+            loops: result,
+            area: result.reduce((sum, l) => sum + (l.depth % 2 === 0 ? l.area : -l.area), 0),
+            perimeter: result.reduce((sum, l) => sum + l.perimeter, 0)
+        };
+    }
+
+    isPointInLoop(p, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i], b = points[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    updateAreaPreview(point) {
+        const loops = this.getAreaLoops(point);
+        if (loops.length === 0) {
+            // First edge of the polygon
+            if (this.points.length === 1) {
+                this.tempMeasurement = this.createMeasurementVisual(this.points[0], point, '', true);
+                this.group.add(this.tempMeasurement);
+            }
+            return;
+        }
+        const region = this.computeAreaRegion(loops);
+        this.tempMeasurement = this.createAreaVisual(point, region.area, region.loops, region.perimeter, true);
+        this.group.add(this.tempMeasurement);
+    }
+
+    placeAreaLabel(position) {
+        const region = this.computeAreaRegion(this.getAreaLoops());
+        const loops = region.loops.map(l => ({ depth: l.depth, points: l.points }));
+        const visual = this.createAreaVisual(position, region.area, loops, region.perimeter);
+
+        const mData = {
+            type: 'area',
+            position: position.clone(),
+            value: region.area.toFixed(2),
+            loops,
+            perimeter: region.perimeter,
+            visual
+        };
+
+        if (this.onMeasurementAdded) {
+            this.onMeasurementAdded(mData);
+        } else {
+            this.measurements.push(mData);
+            this.group.add(visual);
+        }
+
+        this.points = [];
+        this.resetArea();
+        this.clearTemp();
+        this.onStatusUpdate(`Area: ${mData.value}, Perimeter: ${region.perimeter.toFixed(2)}. Ready for next.`);
+    }
+
+    createAreaVisual(point, value, loops = null, perimeter = null, isPreview = false) {
         const group = new THREE.Group();
-        const text = "S: " + value.toFixed(2);
-        group.userData = { type: 'DIMENSION', value: text, isPreview: false, isUserDefined: true };
+        let text = "S: " + value.toFixed(2);
+        if (perimeter !== null) text += "  P: " + perimeter.toFixed(2);
+        group.userData = { type: 'DIMENSION', value: text, isPreview, isUserDefined: true };
+
+        if (loops && loops.length > 0) {
+            const material = isPreview ? this.previewMaterial : this.lineMaterial;
+            loops.forEach(loop => {
+                const pts = loop.points.map(p => new THREE.Vector3(p.x, p.y, 0));
+                pts.push(pts[0].clone());
+                const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), material);
+                if (isPreview) line.computeLineDistances();
+                group.add(line);
+            });
+            group.add(this.createAreaFill(loops));
+        }
 
         const textMesh = this.createTextMesh(text, 0, this.lineMaterial.color, group.userData.tolerance);
         textMesh.position.copy(point);
         group.add(textMesh);
-        this.group.add(group);
+        return group;
+    }
 
-        this.measurements.push({
-            type: 'area',
-            value: value.toFixed(2),
-            visual: group
-        });
+    // Translucent fill of the region with islands cut out
+    createAreaFill(loops) {
+        const toVec = (p) => new THREE.Vector2(p.x, p.y);
+        const shapes = loops
+            .filter(loop => loop.depth % 2 === 0)
+            .map(loop => {
+                const shape = new THREE.Shape(loop.points.map(toVec));
+                loops
+                    .filter(h => h.depth === loop.depth + 1 && this.isPointInLoop(h.points[0], loop.points))
+                    .forEach(h => shape.holes.push(new THREE.Path(h.points.map(toVec))));
+                return shape;
+            });
+
+        const mesh = new THREE.Mesh(
+            new THREE.ShapeGeometry(shapes),
+            new THREE.MeshBasicMaterial({ color: this.lineMaterial.color, transparent: true, opacity: 0.15, side: THREE.DoubleSide, depthTest: false })
+        );
+        mesh.userData.isAreaFill = true;
+        mesh.raycast = () => { }; // Clicks inside the region reach the drawing and the label
+        return mesh;
     }
 
     getDimensionState(p1, p2, placement, scale = 1.0, fixedTextPos = null) {
@@ -1361,6 +1937,7 @@ export class MeasurementManager {
             newText.position.copy(oldPos);
             newText.userData.originalMaterial = newText.material; // For highlighting logic preservation
             visual.add(newText);
+            this.viewer.requestRender();
         }
     }
 
@@ -1379,6 +1956,7 @@ export class MeasurementManager {
             this.clearGroup(this.tempMeasurement);
             this.group.remove(this.tempMeasurement);
             this.tempMeasurement = null;
+            this.viewer.requestRender();
         }
     }
 
@@ -1389,6 +1967,7 @@ export class MeasurementManager {
             this.group.remove(m.visual);
         });
         this.measurements = [];
+        this.viewer.requestRender();
     }
 
     clearGroup(group) {
@@ -0,0 +1,240 @@
+// NURBS evaluation for DXF SPLINE entities.
+// Shared by DxfLoader (rendering), SnappingManager (snap points) and
+// WeightManager (area/perimeter) so all of them see the same curve.
+// Algorithms follow Piegl & Tiller, "The NURBS Book" (A2.1, A2.2, A9.1).
+
+const EPS = 1e-10;
+
+// Knot span index for parameter u (A2.1)
+function findSpan(n, p, u, U) {
+    if (u >= U[n + 1]) return n;
+    if (u <= U[p]) return p;
+
+    let low = p;
+    let high = n + 1;
+    let mid = Math.floor((low + high) / 2);
+    while (u < U[mid] || u >= U[mid + 1]) {
+        if (u < U[mid]) high = mid;
+        else low = mid;
+        mid = Math.floor((low + high) / 2);
+    }
+    return mid;
+}
+
+// Non-vanishing basis functions N[span-p..span] at u (A2.2)
+function basisFunctions(span, u, p, U) {
+    const N = [1];
+    const left = [];
+    const right = [];
+    for (let j = 1; j <= p; j++) {
+        left[j] = u - U[span + 1 - j];
+        right[j] = U[span + j] - u;
+        let saved = 0;
+        for (let r = 0; r < j; r++) {
+            const denom = right[r + 1] + left[j - r];
+            const temp = Math.abs(denom) < EPS ? 0 : N[r] / denom;
+            N[r] = saved + right[r + 1] * temp;
+            saved = left[j - r] * temp;
+        }
+        N[j] = saved;
+    }
+    return N;
+}
+
+// Clamped, uniformly spaced knot vector for n+1 control points
+function clampedUniformKnots(count, degree) {
+    const knots = [];
+    const inner = count - degree - 1;
+    for (let i = 0; i <= degree; i++) knots.push(0);
+    for (let i = 1; i <= inner; i++) knots.push(i / (inner + 1));
+    for (let i = 0; i <= degree; i++) knots.push(1);
+    return knots;
+}
+
+function toPoint(p) {
+    return { x: p.x ?? p[0] ?? 0, y: p.y ?? p[1] ?? 0, z: p.z ?? p[2] ?? 0 };
+}
+
+// Solves A·x = b in place (Gaussian elimination with partial pivoting)
+function solveLinear(A, b) {
+    const n = A.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        if (Math.abs(A[pivot][col]) < EPS) return null;
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let r = col + 1; r < n; r++) {
+            const f = A[r][col] / A[col][col];
+            if (f === 0) continue;
+            for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+            b[r] -= f * b[col];
+        }
+    }
+    const x = new Array(n);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = b[r];
+        for (let c = r + 1; c < n; c++) sum -= A[r][c] * x[c];
+        x[r] = sum / A[r][r];
+    }
+    return x;
+}
+
+/**
+ * Global interpolation through fit points with chord-length parameters (A9.1).
+ * Returns a non-rational definition { degree, knots, controlPoints }.
+ */
+export function interpolateFitPoints(fitPoints, degree = 3) {
+    const Q = fitPoints.map(toPoint);
+    const n = Q.length - 1;
+    if (n < 1) return null;
+    const p = Math.min(degree, n);
+
+    // Chord-length parameters
+    const dists = [];
+    let total = 0;
+    for (let k = 1; k <= n; k++) {
+        const d = Math.hypot(Q[k].x - Q[k - 1].x, Q[k].y - Q[k - 1].y, Q[k].z - Q[k - 1].z);
+        dists.push(d);
+        total += d;
+    }
+    if (total < EPS) return null;
+
+    const params = [0];
+    for (let k = 1; k < n; k++) params.push(params[k - 1] + dists[k - 1] / total);
+    params.push(1);
+
+    // Knots by averaging
+    const knots = [];
+    for (let i = 0; i <= p; i++) knots.push(0);
+    for (let j = 1; j <= n - p; j++) {
+        let sum = 0;
+        for (let i = j; i < j + p; i++) sum += params[i];
+        knots.push(sum / p);
+    }
+    for (let i = 0; i <= p; i++) knots.push(1);
+
+    const A = [];
+    for (let k = 0; k <= n; k++) {
+        const row = new Array(n + 1).fill(0);
+        const span = findSpan(n, p, params[k], knots);
+        const N = basisFunctions(span, params[k], p, knots);
+        for (let i = 0; i <= p; i++) row[span - p + i] = N[i];
+        A.push(row);
+    }
+
+    const controlPoints = Q.map(() => ({ x: 0, y: 0, z: 0 }));
+    for (const axis of ['x', 'y', 'z']) {
+        const solution = solveLinear(A.map(r => r.slice()), Q.map(q => q[axis]));
+        if (!solution) return null;
+        solution.forEach((v, i) => { controlPoints[i][axis] = v; });
+    }
+
+    return { degree: p, knots, controlPoints, weights: null };
+}
+
+/**
+ * Normalizes a SPLINE entity into { degree, knots, controlPoints, weights }.
+ * Falls back to fit point interpolation when there are no control points,
+ * and to a clamped uniform knot vector when the stored one does not match.
+ */
+export function getSplineDefinition(entity) {
+    if (!entity) return null;
+
+    const controlPoints = (entity.controlPoints || []).map(toPoint);
+    const fitPoints = entity.fitPoints || [];
+
+    if (controlPoints.length < 2) {
+        return fitPoints.length >= 2 ? interpolateFitPoints(fitPoints, entity.degree || 3) : null;
+    }
+
+    const degree = Math.max(1, Math.min(entity.degree || 3, controlPoints.length - 1));
+    let knots = entity.knots || [];
+    if (knots.length !== controlPoints.length + degree + 1) {
+        knots = clampedUniformKnots(controlPoints.length, degree);
+    }
+
+    let weights = entity.weights || null;
+    if (!weights || weights.length !== controlPoints.length || weights.every(w => w === 1)) {
+        weights = null;
+    }
+
+    return { degree, knots, controlPoints, weights };
+}
+
+/**
+ * Point on a (rational) B-spline at parameter u.
+ */
+export function evaluateNurbs(definition, u) {
+    const { degree: p, knots: U, controlPoints: P, weights: W } = definition;
+    const n = P.length - 1;
+    const span = findSpan(n, p, u, U);
+    const N = basisFunctions(span, u, p, U);
+
+    let x = 0, y = 0, z = 0, w = 0;
+    for (let i = 0; i <= p; i++) {
+        const idx = span - p + i;
+        const weight = W ? W[idx] : 1;
+        const f = N[i] * weight;
+        x += f * P[idx].x;
+        y += f * P[idx].y;
+        z += f * P[idx].z;
+        w += f;
+    }
+    if (Math.abs(w) < EPS) return { ...P[span] };
+    return { x: x / w, y: y / w, z: z / w };
+}
+
+/**
+ * Samples the spline into a polyline. Every non-empty knot span gets
+ * `samplesPerSpan` segments so tight curvature near dense knots stays smooth.
+ */
+export function tessellateSpline(entity, samplesPerSpan = 16) {
+    const def = getSplineDefinition(entity);
+    if (!def) return [];
+
+    const p = def.degree;
+    const U = def.knots;
+    const start = U[p];
+    const end = U[U.length - p - 1];
+
+    // Curves with only a few spans still get at least ~64 samples overall
+    let spanCount = 0;
+    for (let i = p; i < U.length - p - 1; i++) {
+        if (U[i + 1] - U[i] >= EPS) spanCount++;
+    }
+    const perSpan = Math.max(samplesPerSpan, Math.ceil(64 / Math.max(spanCount, 1)));
+
+    const points = [evaluateNurbs(def, start)];
+    for (let i = p; i < U.length - p - 1; i++) {
+        const a = U[i];
+        const b = U[i + 1];
+        if (b - a < EPS) continue;
+        for (let s = 1; s <= perSpan; s++) {
+            points.push(evaluateNurbs(def, a + (b - a) * (s / perSpan)));
+        }
+    }
+
+    // Guarantee the exact end point (last span may end slightly short of `end`)
+    const last = evaluateNurbs(def, end);
+    const tail = points[points.length - 1];
+    if (Math.hypot(last.x - tail.x, last.y - tail.y, last.z - tail.z) > EPS) points.push(last);
+
+    return points;
+}
+
+/**
+ * True when the spline is flagged closed/periodic or its ends coincide.
+ */
+export function isSplineClosed(entity, points = null, tolerance = 1e-6) {
+    if (!entity) return false;
+    if ((entity.flag & 1) === 1 || (entity.flag & 2) === 2) return true;
+    const pts = points || tessellateSpline(entity);
+    if (pts.length < 3) return false;
+    const a = pts[0];
+    const b = pts[pts.length - 1];
+    return Math.hypot(a.x - b.x, a.y - b.y) < tolerance;
+}
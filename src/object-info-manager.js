@@ -1,6 +1,10 @@
 
 import * as THREE from 'three';
-import { STANDARTS, calculateTolerance, calculateOpenEndTolerance, calculateAngleTolerance } from './tolerances.js';
+import {
+    STANDARTS, TOLERANCES, TOLERANCE_TYPES, getStandardToleranceTypes, getStandard, getToleranceClass, calculateTolerance, calculateOpenEndTolerance, calculateAngleTolerance,
+    calculateLengthTolerance, calculateStraightnessTolerance, calculateTwistTolerance, isTwistLengthOutOfTable,
+    calculateFlatnessTolerance, calculateContourTolerance, calculateCornerRadiusTolerance
+} from './tolerances.js';
 
 export class ObjectInfoManager {
     constructor(viewer, measurementManager, app) {
@@ -107,7 +111,7 @@ export class ObjectInfoManager {
 
         // Basic Info
         let type = object.userData.type || 'Unknown';
-        if (object.isGroup) type = 'Polyline/Group'; // Refined Polyline Group
+        if (object.isGroup && type !== 'INSERT') type = 'Polyline/Group'; // Refined Polyline Group
 
         // 3D Mesh Handling
         if (object.isMesh && !object.userData.entity) {
@@ -251,6 +255,9 @@ export class ObjectInfoManager {
                 content += this.pointRow(this.t('center'), entity.center);
             }
         }
+        else if (type === 'INSERT') {
+            if (entity) content += this.blockInfo(entity);
+        }
         else if (type === 'LWPOLYLINE' || type === 'POLYLINE' || object.isGroup) {
             // For Groups (Exploded Polyline), calculate total length of children
             // Or use entity data if valid
@@ -420,6 +427,47 @@ export class ObjectInfoManager {
         return area;
     }
 
+    // Block reference: name, placement, MINSERT grid and attribute values
+    blockInfo(entity) {
+        const tab = this.app && this.app.tabManager ? this.app.tabManager.getActiveTab() : null;
+        const block = tab && tab.dxf && tab.dxf.blocks ? tab.dxf.blocks[entity.name] : null;
+        const fmt = (v) => (v ?? 1).toFixed(3).replace(/\.?0+$/, '');
+
+        let content = this.row(this.t('blockName'), this.escapeHtml(entity.name));
+        content += this.pointRow(this.t('position'), entity.insertionPoint);
+        content += this.row(this.t('scale'), [entity.xScale, entity.yScale, entity.zScale].map(fmt).join(' x '));
+        content += this.row(this.t('rotation'), (entity.rotation || 0).toFixed(2) + '°');
+
+        const columns = entity.columnCount || 1;
+        const rows = entity.rowCount || 1;
+        if (columns > 1 || rows > 1) {
+            content += this.row(this.t('arraySize'), columns + ' x ' + rows);
+            content += this.row(this.t('arraySpacing'), fmt(entity.columnSpacing || 0) + ' / ' + fmt(entity.rowSpacing || 0));
+        }
+
+        if (block) {
+            content += this.pointRow(this.t('basePoint'), block.position || block.basePoint);
+            const nested = (block.entities || []).filter(e => e.type === 'INSERT').length;
+            if (nested > 0) content += this.row(this.t('nestedBlocks'), nested);
+        }
+
+        const attribs = (entity.attribs || []).filter(a => a.tag);
+        if (attribs.length > 0) {
+            content += '<div class="text-xs text-gray-400 mt-2 mb-1">' + this.t('attributes') + '</div>';
+            attribs.forEach(a => {
+                content += this.row(this.escapeHtml(a.tag), this.escapeHtml(a.text ?? ''));
+            });
+        }
+        return content;
+    }
+
+    // Block names and attribute values come straight from the file
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
     row(label, value) {
         return '<div class="flex justify-between text-sm mb-1"><span class="text-gray-400">' + label + ':</span> <span class="text-white font-mono">' + value + '</span></div>';
     }
@@ -461,6 +509,12 @@ export class ObjectInfoManager {
         STANDARTS.forEach(std => {
             options += `<option value="${std.id}" ${currentStandard === std.id ? 'selected' : ''}>${std.name}</option>`;
         });
+        // Types the selected standard has no table for stay visible but disabled
+        const stdTypes = getStandardToleranceTypes(currentStandard);
+        const typeOptions = TOLERANCE_TYPES.map(type => {
+            const covered = stdTypes.includes(type.id);
+            return `<option value="${type.id}" ${covered ? '' : 'disabled'}>${type.name}${covered ? '' : ' (standartta yok)'}</option>`;
+        }).join('');
 
         return `
         <div class="tolerance-section mt-3 pt-2 border-t border-white/10">
@@ -481,11 +535,7 @@ export class ObjectInfoManager {
                 <div id="tol-type-container" class="mb-2" style="display: none;">
                     <select id="tol-type" class="w-full bg-black/20 border border-white/10 rounded px-2 py-1 text-xs text-white focus:outline-none focus:border-cyan-500">
                         <option value="" selected disabled>Tolerans Tipi Seçiniz...</option>
-                        <option value="DIMENSION">ÖLÇÜ</option>
-                        <option value="ANGLE">AÇI</option>
-                        <option value="STRAIGHTNESS">DOĞRUSALLIK</option>
-                        <option value="CONTOUR">KONTÜR</option>
-                        <option value="CORNER_RADIUS">KÖŞE RADYUSU</option>
+                        ${typeOptions}
                     </select>
                 </div>
 
@@ -538,6 +588,7 @@ export class ObjectInfoManager {
             if (this.measurementManager) {
                 this.measurementManager.updateTolerance(object, tol);
             }
+            if (this.app && this.app.sessionManager) this.app.sessionManager.markDirty();
         };
 
         // Checkbox Handler
@@ -580,7 +631,17 @@ export class ObjectInfoManager {
                 if (divTypeContainer) {
                     divTypeContainer.style.display = 'block';
                     // Reset Type Selection
-                    if (selType) selType.value = "";
+                    if (selType) {
+                        selType.value = "";
+                        const stdTypes = getStandardToleranceTypes(val);
+                        [...selType.options].forEach(opt => {
+                            if (!opt.value) return;
+                            const covered = stdTypes.includes(opt.value);
+                            const type = TOLERANCE_TYPES.find(t => t.id === opt.value);
+                            opt.disabled = !covered;
+                            opt.textContent = covered ? type.name : `${type.name} (standartta yok)`;
+                        });
+                    }
                 }
 
                 // Default to DIMENSION if just switched?
@@ -607,6 +668,11 @@ export class ObjectInfoManager {
             const type = selType ? selType.value : '';
 
             if (!type) return; // Wait for selection
+            if (!getStandardToleranceTypes(std).includes(type)) {
+                const stdDef = getStandard(std);
+                alert(`${stdDef ? stdDef.title || stdDef.name : std} bu tolerans tipini tanımlamıyor.`);
+                return;
+            }
 
             if (type === 'DIMENSION') {
                 // Disable manual editing (inputs hidden anyway)
@@ -649,7 +715,8 @@ export class ObjectInfoManager {
                     alert("Açı toleransı hesaplanamadı (Kapsam dışı).");
                 }
             } else {
-                alert("Bu tolerans tipi henüz aktif değil.");
+                const tol = this.calculateFormTolerance(type, object, std);
+                if (tol) updateCalculated(tol.plus, tol.minus);
             }
         };
 
@@ -692,6 +759,121 @@ export class ObjectInfoManager {
         }
     }
 
+    // Numeric value of a dimension / line (labels like "R12.50" or "Ø10" included)
+    getMeasuredValue(object) {
+        if (object.userData.type === 'DIMENSION' || (object.parent && object.parent.userData.type === 'DIMENSION')) {
+            const dimObj = object.userData.type === 'DIMENSION' ? object : object.parent;
+            const match = String(dimObj.userData.value).replace(',', '.').match(/-?\d+(\.\d+)?/);
+            return match ? parseFloat(match[0]) : 0;
+        } else if (object.userData.type === 'LINE') {
+            return this.calculateLength(object);
+        }
+        return 0;
+    }
+
+    // Circumscribing circle diameter (CD): from the selected geometry, else from the
+    // last weight calculation; null when neither is available
+    getCircumscribingDiameter(object) {
+        const wm = this.app && this.app.weightManager;
+        if (!wm) return null;
+
+        // Create a temporary geometric entry structure that WeightManager expects
+        if (['LWPOLYLINE', 'POLYLINE', 'CIRCLE', 'LINE'].includes(object.userData.type)) {
+            try {
+                const circleData = wm.calculateBoundingCircleDiameter({ type: 'single', objects: [object] });
+                if (circleData && circleData.diameter) {
+                    console.log(`[ObjectInfo] Calculated CD for selected object: ${circleData.diameter}`);
+                    return circleData.diameter;
+                }
+            } catch (e) {
+                console.error("[ObjectInfo] Error calculating CD:", e);
+            }
+            return null;
+        }
+        const stats = wm.lastCalculatedStats;
+        return stats && stats.diameter ? stats.diameter : null;
+    }
+
+    // Length, straightness, twist, flatness, contour and corner radius tolerances.
+    // Deviation type tolerances (straightness, twist, flatness) are returned as +value / -0.
+    calculateFormTolerance(type, object, standardId = '755-9') {
+        // The form tables are those of EN 755-9 (see getStandardToleranceTypes)
+        if (!getStandardToleranceTypes(standardId).includes(type)) {
+            console.warn(`[ObjectInfo] ${type} tolerance is not defined by ${standardId}`);
+            return null;
+        }
+        const wm = this.app && this.app.weightManager;
+        const stats = wm ? wm.lastCalculatedStats : null;
+        const value = this.getMeasuredValue(object);
+
+        // Asked for when neither the geometry nor the weight panel gives it
+        const askDiameter = () => {
+            const known = this.getCircumscribingDiameter(object);
+            if (known) return known;
+            const input = prompt("Lütfen profilin çevrel daire çapını (CD) girin (mm):", "");
+            if (input === null) return null;
+            const cd = parseFloat(input);
+            return cd > 0 ? cd : null;
+        };
+
+        const askLength = () => {
+            const input = prompt("Lütfen profil boyunu (L) girin (mm):", wm ? String(wm.profileLength) : "6000");
+            if (input === null) return null;
+            return parseFloat(input);
+        };
+
+        let tol = null;
+        let length;
+        switch (type) {
+            case 'LENGTH': {
+                // Measured value is the ordered length
+                const cd = askDiameter();
+                if (cd === null) return null;
+                tol = calculateLengthTolerance(cd, value);
+                if (tol !== null) return { plus: tol, minus: 0 };
+                break;
+            }
+            case 'STRAIGHTNESS': {
+                const cd = askDiameter();
+                if (cd === null) return null;
+                length = askLength();
+                if (length === null) return null;
+                const st = calculateStraightnessTolerance(cd, length);
+                if (st) return { plus: st.total, minus: 0 };
+                break;
+            }
+            case 'TWIST':
+                // Measured value is the profile width W
+                length = askLength();
+                if (length === null) return null;
+                tol = calculateTwistTolerance(value, length);
+                if (tol !== null) return { plus: tol, minus: 0 };
+                if (isTwistLengthOutOfTable(length)) {
+                    alert(`Burulma toleransı ${TOLERANCES.Twist.Max_Length} mm boya kadar tanımlıdır; daha uzun boylar tabloda yok (üretici ile anlaşmaya tabi).`);
+                    return null;
+                }
+                break;
+            case 'FLATNESS':
+                tol = calculateFlatnessTolerance(value, stats?.profileType || 'solid');
+                if (tol !== null) return { plus: tol, minus: 0 };
+                break;
+            case 'CONTOUR': {
+                const cd = askDiameter();
+                if (cd === null) return null;
+                tol = calculateContourTolerance(cd);
+                if (tol !== null) return { plus: tol, minus: tol };
+                break;
+            }
+            case 'CORNER_RADIUS':
+                tol = calculateCornerRadiusTolerance(value);
+                if (tol !== null) return { plus: tol, minus: tol };
+                break;
+        }
+
+        alert("Tolerans aralığı bulunamadı veya veri eksik.");
+        return null;
+    }
+
     createToleranceModal() {
         if (document.getElementById('tolerance-modal')) return;
 
@@ -708,13 +890,13 @@ export class ObjectInfoManager {
                 
                 <h3 class="text-xl text-white font-bold mb-6 flex items-center gap-2">
                     <span class="w-1 h-6 bg-cyan-500 rounded-full inline-block"></span>
-                    Tolerans Seçimi (EN 755-9)
+                    Tolerans Seçimi (<span id="tol-modal-title">EN 755-9</span>)
                 </h3>
                 
                 <div class="flex flex-col md:flex-row gap-6 overflow-hidden">
                     <!-- Image Area -->
-                    <div class="flex-1 flex items-center justify-center bg-black/40 rounded-lg p-4 border border-white/5">
-                        <img src="src/755-9.JPG" alt="Profile Logic" class="max-h-[50vh] object-contain shadow-lg rounded">
+                    <div id="tol-modal-image-box" class="flex-1 flex items-center justify-center bg-black/40 rounded-lg p-4 border border-white/5">
+                        <img id="tol-modal-image" src="src/755-9.JPG" alt="Profile Logic" class="max-h-[50vh] object-contain shadow-lg rounded">
                     </div>
                     
                     <!-- Controls Area -->
@@ -722,21 +904,23 @@ export class ObjectInfoManager {
                         <div class="text-sm text-gray-400 mb-2 font-mono border-b border-white/10 pb-2">
                             <div>Mat: <span id="tol-debug-mat" class="text-white">-</span></div>
                             <div class="flex items-center gap-2 mt-1 mb-1">
-                                <span>CD:</span>
+                                <span id="tol-debug-col-label">CD:</span>
                                 <input type="number" id="tol-debug-cd" class="w-20 bg-black/40 border border-white/20 rounded px-1 text-white focus:border-cyan-500 outline-none" step="0.1">
                             </div>
-                            <div>Prf: <span id="tol-debug-prf" class="text-white">-</span></div>
+                            <div class="flex items-center gap-2">
+                                <span>Prf:</span>
+                                <select id="tol-debug-prf" class="bg-black/40 border border-white/20 rounded px-1 text-white focus:border-cyan-500 outline-none">
+                                    <option value="solid">SOLID</option>
+                                    <option value="semi-hollow">SEMI-HOLLOW</option>
+                                    <option value="hollow">HOLLOW</option>
+                                </select>
+                            </div>
+                            <div>Tongue: <span id="tol-debug-tongue" class="text-white">-</span></div>
                             <div>Dim: <span id="tol-debug-dim" class="text-white">-</span></div>
                         </div>
 
-                        <div class="space-y-2">
-                            <button class="tol-btn w-full bg-cyan-600 hover:bg-cyan-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-cyan-500/20" data-class="A">A</button>
-                            <button class="tol-btn w-full bg-cyan-600 hover:bg-cyan-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-cyan-500/20" data-class="B">B</button>
-                            <button class="tol-btn w-full bg-cyan-600 hover:bg-cyan-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-cyan-500/20" data-class="C">C</button>
-                            <div class="h-px bg-white/10 my-2"></div>
-                            <button class="tol-btn w-full bg-purple-600 hover:bg-purple-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-purple-500/20" data-class="H">H</button>
-                            <button class="tol-btn w-full bg-purple-600 hover:bg-purple-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-purple-500/20" data-class="H_OPEN">H (Açık Uç)</button>
-                        </div>
+                        <!-- Class buttons are generated from the standard definition -->
+                        <div id="tol-class-buttons" class="space-y-2"></div>
                     </div>
                 </div>
             </div>
@@ -748,17 +932,22 @@ export class ObjectInfoManager {
             this.hideToleranceModal();
         });
 
-        // Bind Button Events (Delegation or direct)
-        // We will bind click handlers dynamically in showToleranceModal or strictly here.
-        // It is cleaner to bind logic here if we store the 'currentCallback' somewhere.
-        const btns = modal.querySelectorAll('.tol-btn');
-        btns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const cls = btn.dataset.class;
-                this.handleToleranceSelection(cls);
-            });
+        // Class buttons (delegation, buttons are rebuilt per standard)
+        const btnBox = document.getElementById('tol-class-buttons');
+        btnBox.addEventListener('click', (e) => {
+            const btn = e.target.closest('.tol-btn');
+            if (btn && !btn.disabled) this.handleToleranceSelection(btn.dataset.class);
         });
 
+        // Profile type override (auto-classified by WeightManager)
+        const selectPrf = document.getElementById('tol-debug-prf');
+        if (selectPrf) {
+            selectPrf.addEventListener('change', () => {
+                this._tolProfileType = selectPrf.value;
+                this.updateToleranceClassButtons();
+            });
+        }
+
         // CD Input Handler
         const inputCD = document.getElementById('tol-debug-cd');
         if (inputCD) {
@@ -772,6 +961,46 @@ export class ObjectInfoManager {
         }
     }
 
+    // Title, image, column label and class buttons of the selected standard
+    renderToleranceStandard(std) {
+        const elTitle = document.getElementById('tol-modal-title');
+        const elImageBox = document.getElementById('tol-modal-image-box');
+        const elImage = document.getElementById('tol-modal-image');
+        const elColLabel = document.getElementById('tol-debug-col-label');
+        const btnBox = document.getElementById('tol-class-buttons');
+
+        if (elTitle) elTitle.textContent = std.title || std.name;
+        if (elImageBox) elImageBox.style.display = std.image ? '' : 'none';
+        if (elImage && std.image) elImage.src = std.image;
+        if (elColLabel) elColLabel.textContent = `${std.column ? std.column.label : 'CD'}:`;
+
+        if (!btnBox) return;
+        let html = '';
+        let lastAccent = null;
+        std.classes.forEach(cls => {
+            const accent = cls.accent || 'cyan';
+            if (lastAccent && accent !== lastAccent) html += '<div class="h-px bg-white/10 my-2"></div>';
+            lastAccent = accent;
+            html += `<button class="tol-btn w-full bg-${accent}-600 hover:bg-${accent}-500 text-white py-3 rounded font-bold transition-all shadow hover:shadow-${accent}-500/20" data-class="${cls.id}">${cls.name}</button>`;
+        });
+        btnBox.innerHTML = html;
+    }
+
+    // Classes limited to some profile types (e.g. EN 755-9 B and C: walls enclosing hollows)
+    updateToleranceClassButtons() {
+        const modal = document.getElementById('tolerance-modal');
+        const std = getStandard(this._tolStandardId);
+        if (!modal || !std) return;
+        modal.querySelectorAll('.tol-btn').forEach(btn => {
+            const cls = std.classes.find(c => c.id === btn.dataset.class);
+            if (!cls || !cls.profileTypes) return;
+            const allowed = cls.profileTypes.includes(this._tolProfileType);
+            btn.disabled = !allowed;
+            btn.classList.toggle('opacity-40', !allowed);
+            btn.classList.toggle('cursor-not-allowed', !allowed);
+        });
+    }
+
     hideToleranceModal() {
         const modal = document.getElementById('tolerance-modal');
         if (modal) modal.classList.add('hidden');
@@ -794,79 +1023,47 @@ export class ObjectInfoManager {
         this._tolStandardId = standardId;
 
         // Get Measurement Value
-        let dimension = 0;
-        // Logic to extract value from object
-        if (object.userData.type === 'DIMENSION' || (object.parent && object.parent.userData.type === 'DIMENSION')) {
-            // value is usually stored in userData.value (e.g. 50.123)
-            // Check measurement-manager code: `dimension.userData.value = dist.toFixed(2);` It's a string?
-            const dimObj = object.userData.type === 'DIMENSION' ? object : object.parent;
-            dimension = parseFloat(dimObj.userData.value);
-        } else if (object.userData.type === 'LINE') {
-            dimension = this.calculateLength(object);
-        }
+        const dimension = this.getMeasuredValue(object);
         this._tolDimension = dimension;
 
         // Get Material and Profile Type from WeightManager
         let materialName = 'Unknown';
         let materialId = '6063'; // Default fallback
         let profileType = 'solid'; // Default
+        let tongueRatio = 0;
         let cdValue = 100; // Default fallback
 
         if (this.app && this.app.weightManager) {
             const wm = this.app.weightManager;
             materialId = wm.currentMaterialId;
 
-            // Profile Type logic
+            // Profile Type: classified from boundary topology by WeightManager (solid / semi-hollow / hollow)
             if (wm.lastCalculatedStats) {
-                const mandrel = wm.lastCalculatedStats.mandrelCount;
-                profileType = (mandrel > 0) ? 'hollow' : 'solid';
-            }
-
-            // Calculate CD (DU) directly for this object
-            // Create a temporary geometric entry structure that WeightManager expects
-            let geomEntry = null;
-            if (object.userData.type === 'LWPOLYLINE' || object.userData.type === 'POLYLINE') {
-                geomEntry = { type: 'single', objects: [object] };
-            } else if (object.userData.type === 'CIRCLE') {
-                // For circle, CD is just Diameter
-                // But let's use common logic if possible
-                geomEntry = { type: 'single', objects: [object] };
-            } else if (object.userData.type === 'LINE') {
-                // Lines don't have CD in the same way, but let's try
-                geomEntry = { type: 'single', objects: [object] };
-            }
-
-            if (geomEntry) {
-                try {
-                    const circleData = wm.calculateBoundingCircleDiameter(geomEntry);
-                    if (circleData && circleData.diameter) {
-                        cdValue = circleData.diameter;
-                        console.log(`[ObjectInfo] Calculated CD for selected object: ${cdValue}`);
-                    }
-                } catch (e) {
-                    console.error("[ObjectInfo] Error calculating CD:", e);
-                }
-            } else {
-                // Fallback to last calculated if exists
-                if (wm.lastCalculatedStats && wm.lastCalculatedStats.diameter) {
-                    cdValue = wm.lastCalculatedStats.diameter;
+                if (wm.lastCalculatedStats.profileType) {
+                    profileType = wm.lastCalculatedStats.profileType;
+                    tongueRatio = wm.lastCalculatedStats.tongueRatio || 0;
+                } else {
+                    const mandrel = wm.lastCalculatedStats.mandrelCount;
+                    profileType = (mandrel > 0) ? 'hollow' : 'solid';
                 }
             }
+
+            // CD can still be corrected in the modal
+            const cd = this.getCircumscribingDiameter(object);
+            if (cd) cdValue = cd;
         }
         this._tolMaterialId = materialId;
         this._tolProfileType = profileType;
         this._tolCD = cdValue;
 
-        // Determine Alloy Group for Debug
+        // Determine Alloy Group for Debug (unlisted alloys fall back to the first group)
         let alloyGroup = '?';
-        const std = STANDARTS.find(s => s.id === standardId);
+        const std = getStandard(standardId);
         if (std) {
-            for (const grp of std.groups) {
-                if (grp.alloys.includes(materialId)) {
-                    alloyGroup = grp.id;
-                    break;
-                }
-            }
+            const grp = std.groups.find(g => g.alloys.includes(materialId));
+            if (grp) alloyGroup = grp.id;
+            else if (!std.strictAlloys) alloyGroup = std.groups[0].id;
+            this.renderToleranceStandard(std);
         }
 
         console.log(`[ObjectInfo] showToleranceModal - Material: ${materialId}, AlloyGroup: ${alloyGroup}, CD: ${cdValue}`);
@@ -875,11 +1072,14 @@ export class ObjectInfoManager {
         const elMat = document.getElementById('tol-debug-mat');
         const elCD = document.getElementById('tol-debug-cd');
         const elPrf = document.getElementById('tol-debug-prf');
+        const elTongue = document.getElementById('tol-debug-tongue');
         const elDim = document.getElementById('tol-debug-dim');
 
         if (elMat) elMat.textContent = `${materialId} [${alloyGroup}]`;
         if (elCD) elCD.value = cdValue.toFixed(1);
-        if (elPrf) elPrf.textContent = profileType.toUpperCase();
+        if (elPrf) elPrf.value = profileType;
+        if (elTongue) elTongue.textContent = tongueRatio > 0 ? tongueRatio.toFixed(2) : '-';
+        this.updateToleranceClassButtons();
         if (elDim) elDim.textContent = dimension.toFixed(2);
 
         // Show
@@ -900,20 +1100,21 @@ export class ObjectInfoManager {
         const cd = this._tolCD;
 
         let result = 0;
+        const clsDef = getToleranceClass(std, cls);
 
-        if (cls === 'H_OPEN') {
+        if (clsDef && clsDef.openEnd) {
             // Special case: Prompt for E
             // For now simple prompt, can be improved to UI later
             const input = prompt("Lütfen 'E (Açık Uç Uzunluğu)' değerini girin:", "0");
             if (input === null) return; // Cancelled
             const eVal = parseFloat(input);
 
-            // Base H
-            const base = calculateTolerance(std, alloy, type, dim, 'H', cd);
+            // Base class (H)
+            const base = calculateTolerance(std, alloy, type, dim, clsDef.base, cd);
             if (base !== null) {
-                result = calculateOpenEndTolerance(base, eVal);
+                result = calculateOpenEndTolerance(base, eVal, std);
             } else {
-                alert("H toleransı hesaplanamadı.");
+                alert(`${clsDef.base} toleransı hesaplanamadı.`);
                 return;
             }
         } else {
@@ -921,10 +1122,9 @@ export class ObjectInfoManager {
         }
 
         if (result !== null) {
-            // Apply symmetric? Table gives +/- absolute value usually?
-            // "The tolerances ... are +/- values" -> Yes.
-            const plus = result;
-            const minus = result;
+            // Tables give ± values; some standards list asymmetric { plus, minus }
+            const plus = typeof result === 'object' ? result.plus : result;
+            const minus = typeof result === 'object' ? result.minus : result;
 
             this._tolCallback(plus, minus);
             this.hideToleranceModal();
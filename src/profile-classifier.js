@@ -0,0 +1,172 @@
+// Profile classification per EN 755-9 / EN 12258-1 terminology:
+//  - hollow:      the section encloses one or more voids (inner loops)
+//  - semi-hollow: a partially enclosed void whose tongue ratio (void area / gap²) is high
+//  - solid:       everything else
+// Partially enclosed voids are found on the outer contour: a chord p-q between two
+// contour points that runs outside the material closes off the contour stretch between
+// them. When that stretch winds around a void, the area it encloses with the chord is
+// large compared to the chord (gap) length.
+
+// Tongue ratio above which a partially enclosed void makes the profile semi-hollow
+export const SEMI_HOLLOW_TONGUE_RATIO = 3;
+
+// Voids below this ratio are ordinary notches and are not reported at all
+const MIN_REPORTED_RATIO = 1;
+const MAX_VOIDS = 5;
+const OUTER_SAMPLES = 400;
+
+function signedArea(points) {
+    let a = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        a += p.x * q.y - q.x * p.y;
+    }
+    return a / 2;
+}
+
+// Uniform resample (keeping original vertices) of a closed outline, CCW
+function resampleOuter(points, sampleCount) {
+    const pts = [];
+    points.forEach(p => {
+        const last = pts[pts.length - 1];
+        if (!last || last.x !== p.x || last.y !== p.y) pts.push({ x: p.x, y: p.y });
+    });
+    if (pts.length > 1 && pts[0].x === pts[pts.length - 1].x && pts[0].y === pts[pts.length - 1].y) pts.pop();
+    if (pts.length < 3) return [];
+    if (signedArea(pts) < 0) pts.reverse();
+
+    let total = 0;
+    pts.forEach((p, i) => {
+        const q = pts[(i + 1) % pts.length];
+        total += Math.hypot(q.x - p.x, q.y - p.y);
+    });
+    const spacing = total / sampleCount;
+
+    const out = [];
+    pts.forEach((p, i) => {
+        const q = pts[(i + 1) % pts.length];
+        const steps = Math.max(1, Math.ceil(Math.hypot(q.x - p.x, q.y - p.y) / spacing));
+        for (let k = 0; k < steps; k++) {
+            out.push({ x: p.x + (q.x - p.x) * k / steps, y: p.y + (q.y - p.y) * k / steps });
+        }
+    });
+    return out;
+}
+
+function segmentsCross(a, b, c, d) {
+    const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = orient(a, b, c);
+    const d2 = orient(a, b, d);
+    const d3 = orient(c, d, a);
+    const d4 = orient(c, d, b);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Chord i-j must stay outside the material: midpoint outside the outline and no crossing
+function isValidGap(samples, i, j) {
+    const p = samples[i];
+    const q = samples[j];
+    const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    if (isPointInPolygon(mid, samples)) return false;
+
+    const n = samples.length;
+    for (let k = 0; k < n; k++) {
+        const k2 = (k + 1) % n;
+        if (k === i || k2 === i || k === j || k2 === j) continue;
+        if (segmentsCross(p, q, samples[k], samples[k2])) return false;
+    }
+    return true;
+}
+
+/**
+ * @param {Array<{x:number,y:number}>} outer - outer outline points
+ * @param {number} holeCount - number of inner loops (enclosed voids)
+ * @param {{threshold?: number}} options
+ * @returns {{type: 'solid'|'semi-hollow'|'hollow', tongueRatio: number, voids: Array}}
+ *   voids: [{ gap, area, ratio, gapPoints: [p, q], outline: [{x, y}] }] sorted by ratio
+ */
+export function classifyProfile(outer, holeCount = 0, options = {}) {
+    const threshold = options.threshold || SEMI_HOLLOW_TONGUE_RATIO;
+    const samples = resampleOuter(outer || [], OUTER_SAMPLES);
+    const n = samples.length;
+    const voids = [];
+
+    if (n >= 4) {
+        // prefix[k] = Σ cross(s_m, s_m+1) for m < k, so a contour stretch i..j costs O(1)
+        const prefix = new Float64Array(n + 1);
+        for (let k = 0; k < n; k++) {
+            const p = samples[k];
+            const q = samples[(k + 1) % n];
+            prefix[k + 1] = prefix[k] + (p.x * q.y - q.x * p.y);
+        }
+        const full = prefix[n];
+
+        const candidates = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 2; j < n; j++) {
+                const p = samples[i];
+                const q = samples[j];
+                const gap = Math.hypot(q.x - p.x, q.y - p.y);
+                if (gap === 0) continue;
+                const chord = q.x * p.y - p.x * q.y; // cross(q, p)
+                // Stretch i -> j closed by the chord; the complementary stretch j -> i
+                const inner = (prefix[j] - prefix[i] + chord) / 2;
+                const outerPart = (full - (prefix[j] - prefix[i]) - chord) / 2;
+                // A void is traversed clockwise on a CCW outline
+                if (inner < 0) {
+                    const ratio = -inner / (gap * gap);
+                    if (ratio >= MIN_REPORTED_RATIO) candidates.push({ from: i, to: j, gap, area: -inner, ratio });
+                } else if (outerPart < 0) {
+                    const ratio = -outerPart / (gap * gap);
+                    if (ratio >= MIN_REPORTED_RATIO) candidates.push({ from: j, to: i + n, gap, area: -outerPart, ratio });
+                }
+            }
+        }
+
+        candidates.sort((a, b) => b.ratio - a.ratio);
+
+        // Greedy: best ratio first, one gap per void (ranges of accepted voids are consumed)
+        const used = [];
+        const overlaps = (c) => used.some(u =>
+            (c.from < u.to && u.from < c.to) ||
+            (c.from + n < u.to && u.from < c.to + n) ||
+            (c.from < u.to + n && u.from + n < c.to));
+        for (const c of candidates) {
+            if (voids.length >= MAX_VOIDS) break;
+            if (overlaps(c)) continue;
+            if (!isValidGap(samples, c.from % n, c.to % n)) continue;
+            used.push(c);
+
+            const outline = [];
+            for (let k = c.from; k <= c.to; k++) outline.push(samples[k % n]);
+            voids.push({
+                gap: c.gap,
+                area: c.area,
+                ratio: c.ratio,
+                gapPoints: [samples[c.from % n], samples[c.to % n]],
+                outline
+            });
+        }
+    }
+
+    const tongueRatio = voids.length > 0 ? voids[0].ratio : 0;
+    let type = 'solid';
+    if (holeCount > 0) type = 'hollow';
+    else if (tongueRatio >= threshold) type = 'semi-hollow';
+
+    return { type, tongueRatio, voids, threshold };
+}
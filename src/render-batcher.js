@@ -0,0 +1,428 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// Toplu çizim (batched rendering) for large drawings.
+// Every entity keeps its own Line/Mesh in viewer.dxfGroup, so picking, snapping, weight,
+// export and the layer panel keep working on single entities. For drawing, static
+// entities are merged into one buffer per layer + material; while the viewer renders,
+// the merged buffers are shown and their source objects are hidden.
+// Added/removed objects are found on their own; other changes are reported with
+// refresh(object): colours (selection, hover, layer colour) are written into the batch's
+// vertex colours through the entity → vertex range index, visibility, geometry and
+// transform changes rebuild only the batches they touch.
+
+const _vertex = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+
+// Everything that can't vary per vertex goes into the batch key; null = not batchable
+function materialKey(object) {
+    const m = object.material;
+    const geometry = object.geometry;
+    if (!m || Array.isArray(m) || m.map || m.alphaMap || m.vertexColors || m.clippingPlanes) return null;
+    if (!geometry || !geometry.attributes.position || geometry.attributes.position.itemSize !== 3) return null;
+    // drawRange is used by previews that grow in place
+    if (geometry.drawRange.start !== 0 || geometry.drawRange.count !== Infinity) return null;
+
+    const common = `${m.transparent ? m.opacity : 1}|${m.blending}|${m.depthTest}|${m.depthWrite}|${object.renderOrder}`;
+    if (object.isLine) {
+        if (m.type === 'LineBasicMaterial') return `line|${common}`;
+        if (m.type === 'LineDashedMaterial') return `dash|${m.dashSize}|${m.gapSize}|${m.scale}|${common}`;
+        return null;
+    }
+    if (object.isMesh && !object.isInstancedMesh && !object.isSkinnedMesh && m.type === 'MeshBasicMaterial') {
+        const offset = m.polygonOffset ? `${m.polygonOffsetFactor},${m.polygonOffsetUnits}` : '';
+        return `mesh|${m.side}|${m.wireframe}|${m.alphaTest}|${offset}|${common}`;
+    }
+    if (object.isPoints && m.type === 'PointsMaterial') return `points|${m.size}|${m.sizeAttenuation}|${common}`;
+    return null;
+}
+
+// Hidden objects (own flag or a hidden parent: layer off, deleted) are left out of the batch
+function isShown(object, root) {
+    for (let o = object; o && o !== root; o = o.parent) {
+        if (!o.visible) return false;
+    }
+    return true;
+}
+
+// Vertex order of the source drawn as separate segments / triangles / points
+function vertexOrder(object, geometry) {
+    const count = geometry.attributes.position.count;
+    const at = geometry.index ? (i) => geometry.index.getX(i) : (i) => i;
+    const length = geometry.index ? geometry.index.count : count;
+    const order = [];
+
+    if (object.isLineSegments) {
+        for (let i = 0; i + 1 < length; i += 2) order.push(at(i), at(i + 1));
+    } else if (object.isLine) {
+        for (let i = 0; i + 1 < length; i++) order.push(at(i), at(i + 1));
+        if (object.isLineLoop && length > 2) order.push(at(length - 1), at(0));
+    } else {
+        for (let i = 0; i < length; i++) order.push(at(i));
+    }
+    return order;
+}
+
+// Per-vertex dash distances along the source, as computeLineDistances() gives them
+function lineDistances(object, geometry) {
+    const existing = geometry.attributes.lineDistance;
+    if (existing) return (i) => existing.getX(i);
+
+    const position = geometry.attributes.position;
+    const distances = new Float32Array(position.count);
+    const step = object.isLineSegments ? 2 : 1;
+    for (let i = 1; i < position.count; i++) {
+        const restart = object.isLineSegments && i % step === 0;
+        distances[i] = restart ? 0 : distances[i - 1] +
+            Math.hypot(position.getX(i) - position.getX(i - 1), position.getY(i) - position.getY(i - 1), position.getZ(i) - position.getZ(i - 1));
+    }
+    return (i) => distances[i];
+}
+
+export class RenderBatcher {
+    constructor(scene, onRefresh) {
+        this.scene = scene;
+        this.onRefresh = onRefresh; // asks the viewer for a frame
+        this.enabled = true;
+        this.states = new WeakMap(); // dxfGroup -> batch state (one per tab)
+        this.pending = new Set(); // objects to re-check on the next frame (see refresh)
+        this.checkAll = false;
+        this.hidden = []; // sources hidden for the current render
+        this.active = null;
+    }
+
+    getState(group) {
+        let state = this.states.get(group);
+        if (!state) {
+            const root = new THREE.Group();
+            root.name = 'RenderBatches';
+            root.visible = false;
+            root.matrixAutoUpdate = false;
+            this.scene.add(root);
+            state = { group, root, batches: new Map(), entries: new Map(), containers: new Map(), needsIndex: true };
+            this.states.set(group, state);
+        }
+        return state;
+    }
+
+    /**
+     * Something changed on these objects (or their children): colours are patched in place,
+     * visibility, geometry, transform or material changes rebuild their batches.
+     * Without an argument the whole drawing is checked. Adding/removing objects needs no call.
+     * @param {THREE.Object3D} [object]
+     */
+    refresh(object) {
+        if (object) this.pending.add(object);
+        else this.checkAll = true;
+        if (this.onRefresh) this.onRefresh();
+    }
+
+    // Called by SceneViewer right before it renders the scene
+    beforeRender(group) {
+        this.active = null;
+        if (!this.enabled || !group || !group.parent) return;
+
+        const state = this.getState(group);
+        if (this.checkAll || state.needsIndex || this.structureChanged(state)) this.index(state);
+
+        if (this.checkAll) {
+            group.updateMatrixWorld();
+            state.entries.forEach(entry => this.check(state, entry));
+        } else {
+            this.pending.forEach(object => object.traverse(child => {
+                const entry = state.entries.get(child);
+                if (!entry) return;
+                child.updateWorldMatrix(true, false);
+                this.check(state, entry);
+            }));
+        }
+        this.checkAll = false;
+        this.pending.clear();
+        // A material that no longer fits its batch moves to another one
+        if (state.needsIndex) this.index(state);
+
+        state.batches.forEach(batch => {
+            if (batch.dirty) this.build(state, batch);
+        });
+
+        state.batches.forEach(batch => {
+            batch.members.forEach(entry => {
+                if (entry.count > 0) {
+                    entry.object.visible = false;
+                    this.hidden.push(entry.object);
+                }
+            });
+        });
+
+        state.root.matrix.copy(group.matrixWorld);
+        state.root.matrixWorldNeedsUpdate = true;
+        state.root.visible = group.visible;
+        this.active = state;
+    }
+
+    // Called right after the render: sources back on, merged buffers off again, so
+    // other renders (print, thumbnails) draw the scene as it is
+    afterRender() {
+        this.hidden.forEach(object => { object.visible = true; });
+        this.hidden.length = 0;
+        if (this.active) this.active.root.visible = false;
+        this.active = null;
+    }
+
+    // Frees the merged buffers of a group (tab closed or cleared)
+    release(group) {
+        const state = group && this.states.get(group);
+        if (!state) return;
+        state.batches.forEach(batch => this.disposeBatch(state, batch));
+        this.scene.remove(state.root);
+        this.states.delete(group);
+    }
+
+    // Children added or removed anywhere in the group (cheap: one check per group/block)
+    structureChanged(state) {
+        for (const [container, { count, parent }] of state.containers) {
+            if (container.children.length !== count || container.parent !== parent) return true;
+        }
+        return false;
+    }
+
+    // Groups batchable leaves by layer (of the top-level entity) and material key
+    index(state) {
+        const members = new Map();
+        const containers = new Map();
+        const entries = new Map();
+
+        const visit = (object, layer) => {
+            if (object.children.length > 0 || object.isGroup) {
+                containers.set(object, { count: object.children.length, parent: object.parent });
+                object.children.forEach(child => visit(child, layer));
+            }
+            const key = materialKey(object);
+            if (!key) return;
+
+            let entry = state.entries.get(object);
+            if (!entry || entry.materialKey !== key) {
+                entry = {
+                    object, materialKey: key, material: object.material, batch: null,
+                    shown: false, geometry: null, position: null, version: -1, matrix: null, color: null,
+                    start: 0, count: 0
+                };
+            }
+            entries.set(object, entry);
+
+            const batchKey = `${layer}|${key}`;
+            if (!members.has(batchKey)) members.set(batchKey, []);
+            members.get(batchKey).push(entry);
+        };
+        containers.set(state.group, { count: state.group.children.length, parent: state.group.parent });
+        state.group.children.forEach(child => visit(child, child.userData ? child.userData.layer : undefined));
+
+        // Keep batches whose members did not change
+        state.batches.forEach((batch, key) => {
+            if (!members.has(key)) {
+                this.disposeBatch(state, batch);
+                state.batches.delete(key);
+            }
+        });
+        members.forEach((list, key) => {
+            let batch = state.batches.get(key);
+            if (!batch) {
+                batch = { key, members: [], mesh: null, dirty: true };
+                state.batches.set(key, batch);
+            }
+            const same = batch.members.length === list.length && batch.members.every((entry, i) => entry === list[i]);
+            if (!same) {
+                batch.members = list;
+                batch.dirty = true;
+            }
+            list.forEach(entry => { entry.batch = batch; });
+        });
+
+        state.entries = entries;
+        state.containers = containers;
+        state.needsIndex = false;
+    }
+
+    check(state, entry) {
+        const object = entry.object;
+        const batch = entry.batch;
+        if (object.material !== entry.material) {
+            // Selection/hover clone the material; only a different key moves the entity
+            entry.material = object.material;
+            if (materialKey(object) !== entry.materialKey) {
+                state.needsIndex = true;
+                return;
+            }
+        }
+        if (batch.dirty) return;
+
+        const geometry = object.geometry;
+        if (isShown(object, state.group) !== entry.shown ||
+            geometry !== entry.geometry ||
+            geometry.attributes.position !== entry.position ||
+            geometry.attributes.position.version !== entry.version ||
+            !this.sameMatrix(entry)) {
+            batch.dirty = true;
+            return;
+        }
+        if (entry.count > 0 && !object.material.color.equals(entry.color)) this.writeColor(batch, entry, object.material.color);
+    }
+
+    sameMatrix(entry) {
+        const a = entry.object.matrixWorld.elements;
+        const b = entry.matrix;
+        for (let i = 0; i < 16; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    build(state, batch) {
+        _inverse.copy(state.group.matrixWorld).invert();
+
+        const parts = [];
+        let start = 0;
+        let first = null;
+        batch.members.forEach(entry => {
+            const object = entry.object;
+            const geometry = object.geometry;
+            entry.shown = isShown(object, state.group);
+            entry.geometry = geometry;
+            entry.position = geometry.attributes.position;
+            entry.version = geometry.attributes.position.version;
+            entry.matrix = object.matrixWorld.elements.slice();
+            entry.color = object.material.color.clone();
+            entry.start = start;
+            entry.count = 0;
+            if (!entry.shown) return;
+
+            const part = this.extract(object, entry.color);
+            if (!part) return;
+            entry.count = part.attributes.position.count;
+            start += entry.count;
+            parts.push(part);
+            if (!first) first = object;
+        });
+
+        this.disposeBatch(state, batch);
+        batch.dirty = false;
+        if (parts.length === 0) return;
+
+        const geometry = mergeGeometries(parts);
+        parts.forEach(part => part.dispose());
+        if (!geometry) return;
+
+        batch.mesh = this.createMesh(first, geometry);
+        state.root.add(batch.mesh);
+    }
+
+    // Source geometry in dxfGroup space as plain segments / triangles / points, with vertex colours
+    extract(object, color) {
+        const geometry = object.geometry;
+        const position = geometry.attributes.position;
+        const order = vertexOrder(object, geometry);
+        if (order.length === 0) return null;
+
+        _matrix.multiplyMatrices(_inverse, object.matrixWorld);
+        // Mirrored meshes: keep the winding so single-sided faces stay visible
+        const flip = object.isMesh && _matrix.determinant() < 0;
+        if (flip) {
+            for (let i = 0; i + 2 < order.length; i += 3) {
+                const t = order[i + 1];
+                order[i + 1] = order[i + 2];
+                order[i + 2] = t;
+            }
+        }
+
+        const positions = new Float32Array(order.length * 3);
+        const colors = new Float32Array(order.length * 3);
+        order.forEach((index, i) => {
+            _vertex.fromBufferAttribute(position, index).applyMatrix4(_matrix);
+            positions[i * 3] = _vertex.x;
+            positions[i * 3 + 1] = _vertex.y;
+            positions[i * 3 + 2] = _vertex.z;
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        });
+
+        const part = new THREE.BufferGeometry();
+        part.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        part.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        if (object.material.type === 'LineDashedMaterial') {
+            const distanceAt = lineDistances(object, geometry);
+            const distances = new Float32Array(order.length);
+            for (let i = 0; i < order.length; i += 2) {
+                distances[i] = distanceAt(order[i]);
+                distances[i + 1] = distanceAt(order[i + 1]);
+                // Closing segment of a LineLoop continues from the last vertex
+                if (distances[i + 1] < distances[i]) {
+                    distances[i + 1] = distances[i] + Math.hypot(
+                        positions[i * 3 + 3] - positions[i * 3], positions[i * 3 + 4] - positions[i * 3 + 1], positions[i * 3 + 5] - positions[i * 3 + 2]);
+                }
+            }
+            part.setAttribute('lineDistance', new THREE.BufferAttribute(distances, 1));
+        }
+        return part;
+    }
+
+    createMesh(source, geometry) {
+        const m = source.material;
+        const shared = {
+            vertexColors: true,
+            transparent: m.transparent,
+            opacity: m.opacity,
+            blending: m.blending,
+            depthTest: m.depthTest,
+            depthWrite: m.depthWrite
+        };
+
+        let mesh;
+        if (source.isLine) {
+            const material = m.type === 'LineDashedMaterial'
+                ? new THREE.LineDashedMaterial({ ...shared, dashSize: m.dashSize, gapSize: m.gapSize, scale: m.scale })
+                : new THREE.LineBasicMaterial(shared);
+            mesh = new THREE.LineSegments(geometry, material);
+        } else if (source.isMesh) {
+            mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                ...shared,
+                side: m.side,
+                wireframe: m.wireframe,
+                alphaTest: m.alphaTest,
+                polygonOffset: m.polygonOffset,
+                polygonOffsetFactor: m.polygonOffsetFactor,
+                polygonOffsetUnits: m.polygonOffsetUnits
+            }));
+        } else {
+            mesh = new THREE.Points(geometry, new THREE.PointsMaterial({ ...shared, size: m.size, sizeAttenuation: m.sizeAttenuation }));
+        }
+        mesh.renderOrder = source.renderOrder;
+        // Drawing only: picking and snapping go to the source objects
+        mesh.raycast = () => { };
+        return mesh;
+    }
+
+    writeColor(batch, entry, color) {
+        entry.color.copy(color);
+        if (!batch.mesh) return;
+        const attribute = batch.mesh.geometry.attributes.color;
+        const array = attribute.array;
+        for (let i = entry.start * 3, end = (entry.start + entry.count) * 3; i < end; i += 3) {
+            array[i] = color.r;
+            array[i + 1] = color.g;
+            array[i + 2] = color.b;
+        }
+        attribute.addUpdateRange(entry.start * 3, entry.count * 3);
+        attribute.needsUpdate = true;
+    }
+
+    disposeBatch(state, batch) {
+        if (!batch.mesh) return;
+        state.root.remove(batch.mesh);
+        batch.mesh.geometry.dispose();
+        batch.mesh.material.dispose();
+        batch.mesh = null;
+    }
+}
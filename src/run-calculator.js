@@ -0,0 +1,91 @@
+// Billet / run calculator for extrusion planning.
+// One billet pushed through a die with `figur` strands gives per strand
+//   strandLength = (billet volume - butt volume) / (figur × profile area)
+// The billet is upset to the container bore before it flows, so the butt is a disc of
+// the container diameter, not of the billet diameter.
+// Each strand loses the puller (head/tail) crop; the rest is cut to length with a saw
+// kerf per cut and the leftover is saw scrap. Units: mm, g/cm³, kg.
+
+// Billet diameter = container diameter - clearance (mm)
+export const BILLET_CLEARANCE = 6;
+
+export const DEFAULT_RUN_SETTINGS = {
+    quantity: 0,        // ordered pieces (wins over orderLength)
+    orderLength: 0,     // ordered total length in m
+    billetLength: 0,    // mm, 0 = first billet length of the press
+    buttLength: 20,     // discard left in the container (mm)
+    pullerScrap: 1000,  // head + tail crop per strand and billet (mm)
+    sawKerf: 5          // material lost per saw cut (mm)
+};
+
+const MM3_TO_KG = 1e-6; // mm³ × g/cm³ -> kg
+
+/**
+ * @param {object} params
+ * @param {number} params.netArea - profile cross section (mm²)
+ * @param {number} params.density - g/cm³
+ * @param {number} params.figur - strands per push
+ * @param {number} params.containerDiameter - press container (mm)
+ * @param {number} params.billetLength - mm
+ * @param {number} params.cutLength - finished piece length (mm)
+ * @param {number} params.quantity - ordered pieces (or orderLength in m)
+ * @returns {object|null} null when the inputs can't give a single piece
+ */
+export function calculateRun(params) {
+    const {
+        netArea, density, figur = 1, containerDiameter, billetLength, cutLength,
+        buttLength = DEFAULT_RUN_SETTINGS.buttLength,
+        pullerScrap = DEFAULT_RUN_SETTINGS.pullerScrap,
+        sawKerf = DEFAULT_RUN_SETTINGS.sawKerf
+    } = params;
+    if (!(netArea > 0) || !(density > 0) || !(figur > 0) || !(containerDiameter > BILLET_CLEARANCE) ||
+        !(billetLength > buttLength) || !(cutLength > 0)) {
+        return null;
+    }
+
+    let quantity = Math.ceil(params.quantity || 0);
+    if (!(quantity > 0) && params.orderLength > 0) quantity = Math.ceil(params.orderLength * 1000 / cutLength);
+
+    const billetDiameter = containerDiameter - BILLET_CLEARANCE;
+    const billetArea = Math.PI * billetDiameter * billetDiameter / 4;
+    const containerArea = Math.PI * containerDiameter * containerDiameter / 4;
+    const kgPerMeter = netArea * density / 1000;
+
+    const billetWeight = billetArea * billetLength * density * MM3_TO_KG;
+    const buttWeight = containerArea * buttLength * density * MM3_TO_KG;
+
+    const strandLength = (billetArea * billetLength - containerArea * buttLength) / (figur * netArea);
+    const usableLength = strandLength - pullerScrap;
+    const piecesPerStrand = usableLength > 0 ? Math.floor((usableLength + sawKerf) / (cutLength + sawKerf)) : 0;
+    if (piecesPerStrand < 1) return null;
+    const piecesPerBillet = piecesPerStrand * figur;
+
+    const pullerWeight = figur * Math.min(pullerScrap, strandLength) * kgPerMeter / 1000;
+    const pieceWeight = cutLength * kgPerMeter / 1000;
+    const outputPerBillet = piecesPerBillet * pieceWeight;
+    // Kerf losses and the short end of each strand
+    const sawWeight = Math.max(0, billetWeight - buttWeight - pullerWeight - outputPerBillet);
+
+    const billets = quantity > 0 ? Math.ceil(quantity / piecesPerBillet) : 0;
+    const producedPieces = billets * piecesPerBillet;
+
+    return {
+        quantity,
+        billetDiameter,
+        billetLength,
+        billetWeight,
+        buttWeight,
+        pullerWeight,
+        sawWeight,
+        strandLength,
+        piecesPerStrand,
+        piecesPerBillet,
+        billets,
+        producedPieces,
+        extraPieces: producedPieces - quantity,
+        inputWeight: billets * billetWeight,
+        outputWeight: producedPieces * pieceWeight,
+        orderWeight: quantity * pieceWeight,
+        yield: outputPerBillet / billetWeight * 100
+    };
+}
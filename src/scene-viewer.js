@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RenderBatcher } from './render-batcher.js';
 
 export class SceneViewer {
     constructor(canvas) {
@@ -111,9 +112,23 @@ export class SceneViewer {
 
         // Selection / Helpers
         this.raycaster = new THREE.Raycaster();
+        // Optional (object) => boolean set by the app; false makes an object unselectable (locked layers)
+        this.pickFilter = null;
         this.pointer = new THREE.Vector2();
 
-        this.animate();
+        // Merged per-layer buffers for drawing; entities stay single objects in dxfGroup
+        this.batcher = new RenderBatcher(this.scene, () => this.requestRender());
+
+        // Render on demand: nothing is drawn while the view is idle. Camera moves, content
+        // changes and the managers' overlays (snap markers, previews) call requestRender().
+        this.renderRequested = false;
+        this.controls.addEventListener('change', () => this.requestRender());
+        // Clicks, keys and panel edits change the scene synchronously in their handlers
+        ['pointerdown', 'pointerup', 'keydown', 'keyup', 'change', 'input'].forEach(type => {
+            window.addEventListener(type, () => this.requestRender(), true);
+        });
+
+        this.requestRender();
     }
 
     resize() {
@@ -133,12 +148,25 @@ export class SceneViewer {
         this.camera.updateProjectionMatrix();
 
         this.renderer.setSize(width, height);
+        this.requestRender();
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // Schedules one frame; any number of requests before it is drawn collapse into it
+    requestRender() {
+        if (this.renderRequested) return;
+        this.renderRequested = true;
+        requestAnimationFrame(() => this.renderFrame());
+    }
+
+    renderFrame() {
+        this.renderRequested = false;
         this.controls.update();
-        this.renderer.render(this.scene, this.camera);
+        this.batcher.beforeRender(this.dxfGroup);
+        try {
+            this.renderer.render(this.scene, this.camera);
+        } finally {
+            this.batcher.afterRender();
+        }
     }
 
     getWorldPerPixel() {
@@ -149,6 +177,7 @@ export class SceneViewer {
 
     add(entity) {
         this.dxfGroup.add(entity);
+        this.requestRender();
     }
 
     setEntities(group, type = 'dxf') {
@@ -166,6 +195,7 @@ export class SceneViewer {
 
         // Center view
         this.zoomExtents();
+        this.requestRender();
     }
 
     clear() {
@@ -176,6 +206,8 @@ export class SceneViewer {
             this.sectionHelper = null;
         }
 
+        this.batcher.release(this.dxfGroup);
+
         // Remove all children from DXF groups efficiently
         while (this.dxfGroup.children.length > 0) {
             const object = this.dxfGroup.children[0];
@@ -189,11 +221,13 @@ export class SceneViewer {
             }
             this.dxfGroup.remove(object);
         }
+        this.requestRender();
     }
 
     addEntity(object) {
         if (object) {
             this.dxfGroup.add(object);
+            this.requestRender();
         }
     }
 
@@ -262,6 +296,7 @@ export class SceneViewer {
 
         this.camera.updateProjectionMatrix();
         this.controls.update();
+        this.requestRender();
     }
 
     setBackgroundColor(hex) {
@@ -273,6 +308,7 @@ export class SceneViewer {
         const isDarkBackground = luminance < 0.5;
 
         // Invert black/white colors for visibility
+        this.batcher.refresh();
         this.dxfGroup.traverse((obj) => {
             if (!obj.material) return;
 
@@ -308,7 +344,8 @@ export class SceneViewer {
      * @param {THREE.Vector2} pointer - Normalized coordinates (-1 to +1)
      * @returns {Array} Intersects
      */
-    raycast(pointer) {
+    // selectable = false also returns objects on locked layers (measuring, snapping)
+    raycast(pointer, selectable = true) {
         this.raycaster.setFromCamera(pointer, this.camera);
         // Raycast against lines. Precision threshold in world units
         // Screen space threshold approx 6px
@@ -316,7 +353,16 @@ export class SceneViewer {
         this.raycaster.params.Line.threshold = worldThreshold;
 
         // Recursive = true to hit children of Groups (like Blocks or the main Loader group)
-        return this.raycaster.intersectObjects(this.dxfGroup.children, true);
+        return this.raycaster.intersectObjects(this.dxfGroup.children, true)
+            .filter(hit => this.isPickable(hit.object, selectable));
+    }
+
+    // Three.js raycasts hidden objects too; hidden/frozen layers must not be hit
+    isPickable(object, selectable = true) {
+        for (let o = object; o && o !== this.dxfGroup; o = o.parent) {
+            if (!o.visible) return false;
+        }
+        return !selectable || !this.pickFilter || this.pickFilter(object);
     }
 
     /**
@@ -340,7 +386,7 @@ export class SceneViewer {
 
         this.dxfGroup.traverse((obj) => {
             // Only select leaf objects with geometry (Meshes, Lines)
-            if (obj.isMesh || obj.isLine || obj.isPoints) {
+            if ((obj.isMesh || obj.isLine || obj.isPoints) && this.isPickable(obj)) {
                 // Compute object bounding box in world space
                 // Note: geometry.boundingBox is local. Apply matrixWorld if needed.
                 // Assuming static scene for simple check, but obj.updateMatrixWorld() might be needed if moved.
@@ -403,6 +449,7 @@ export class SceneViewer {
         };
 
         applyHighlight(object, highlight);
+        this.batcher.refresh(object);
     }
 
     setHover(object, state) {
@@ -450,6 +497,7 @@ export class SceneViewer {
         };
 
         applyHover(object, state);
+        this.batcher.refresh(object);
     }
 
     /**
@@ -495,8 +543,6 @@ export class SceneViewer {
         this.camera.position.add(shift);
         this.controls.target.add(shift);
         this.controls.update();
-
-        // Trigger render
-        // (Handled by animate loop)
+        this.requestRender();
     }
 }
@@ -0,0 +1,350 @@
+import { DxfWriter } from './dxf-writer.js';
+
+// Oturum kaydı: açık sekmeler tarayıcı yenilendiğinde kaybolmasın diye
+// IndexedDB'de tutulur. Each tab is one record: source (edited DXF text or
+// the original file for 3D models), layer visibility and measurements.
+// Camera, tab order and the active tab are a separate small record per tab,
+// so panning and zooming never re-serialize the drawing.
+const DB_NAME = 'dxf-viewer-session';
+const DB_VERSION = 2;
+const TAB_STORE = 'tabs';
+const VIEW_STORE = 'views';
+const SAVE_DELAY = 2000; // ms, debounce for autosave
+
+export class SessionManager {
+    constructor(app) {
+        this.app = app;
+        this.dbPromise = null;
+        this.saveTimer = null;
+        this.isRestoring = false;
+        this.offerPending = false; // Saved session exists and the user has not answered yet
+        this.offered = false; // Only offer once per page load
+        this.checked = false; // Saved session was read; before that a save could wipe it
+        this.dirtyTabs = new Set(); // Tab ids whose content changed since the last save
+        this.savedTabs = new Set(); // Tab ids that have a content record in the store
+
+        this.banner = document.getElementById('session-restore');
+        this.restoreBtn = document.getElementById('session-restore-btn');
+        this.discardBtn = document.getElementById('session-discard-btn');
+        this.infoText = document.getElementById('session-restore-info');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.restoreBtn) this.restoreBtn.addEventListener('click', () => this.restore());
+        if (this.discardBtn) this.discardBtn.addEventListener('click', () => this.discard());
+
+        // Camera moves do not go through CommandHistory
+        const viewer = this.app.viewer;
+        if (viewer && viewer.controls) viewer.controls.addEventListener('end', () => this.scheduleSave());
+        if (viewer && viewer.renderer) viewer.renderer.domElement.addEventListener('wheel', () => this.scheduleSave(), { passive: true });
+
+        // beforeunload can't wait for IndexedDB; hidden/pagehide fire early enough
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveNow();
+        });
+        window.addEventListener('pagehide', () => this.saveNow());
+    }
+
+    // ------------------------------------------------------------
+    // INDEXEDDB
+    // ------------------------------------------------------------
+    openDb() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TAB_STORE)) {
+                    db.createObjectStore(TAB_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(VIEW_STORE)) {
+                    db.createObjectStore(VIEW_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry later instead of caching the failure
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    // Tab records with their view record merged in, in tab order
+    async readRecords() {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([TAB_STORE, VIEW_STORE], 'readonly');
+            const tabsRequest = tx.objectStore(TAB_STORE).getAll();
+            const viewsRequest = tx.objectStore(VIEW_STORE).getAll();
+            tx.oncomplete = () => {
+                const views = new Map((viewsRequest.result || []).map(v => [v.id, v]));
+                // Version 1 records carry order and camera themselves
+                const records = (tabsRequest.result || []).map(r => ({ ...r, ...views.get(r.id) }));
+                resolve(records.sort((a, b) => a.order - b.order));
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Writes the given tab and view records and drops records of closed tabs,
+    // in one transaction
+    async writeRecords(tabRecords, viewRecords) {
+        const db = await this.openDb();
+        const ids = new Set(viewRecords.map(r => r.id));
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([TAB_STORE, VIEW_STORE], 'readwrite');
+            [TAB_STORE, VIEW_STORE].forEach(name => {
+                const store = tx.objectStore(name);
+                const keysRequest = store.getAllKeys();
+                keysRequest.onsuccess = () => {
+                    keysRequest.result.filter(key => !ids.has(key)).forEach(key => store.delete(key));
+                };
+            });
+            tabRecords.forEach(r => tx.objectStore(TAB_STORE).put(r));
+            viewRecords.forEach(r => tx.objectStore(VIEW_STORE).put(r));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // ------------------------------------------------------------
+    // SAVE
+    // ------------------------------------------------------------
+    // Camera moves, tab switches and closes: only the view records are rewritten
+    scheduleSave() {
+        if (this.isRestoring) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveNow(), SAVE_DELAY);
+    }
+
+    // Content changes (commands, paste, layer and tolerance edits); defaults to the active tab
+    markDirty(tabId = this.app.tabManager && this.app.tabManager.activeTabId) {
+        if (this.isRestoring) return;
+        if (tabId) this.dirtyTabs.add(tabId);
+        this.scheduleSave();
+    }
+
+    async saveNow() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.isRestoring || !this.checked) return;
+
+        // Working before answering the offer replaces the old session
+        if (this.offerPending) {
+            if (!this.app.tabManager || this.app.tabManager.tabs.length === 0) return;
+            this.hideOffer();
+        }
+
+        const tabManager = this.app.tabManager;
+        const dirty = this.dirtyTabs;
+        this.dirtyTabs = new Set();
+        try {
+            const tabRecords = [];
+            const viewRecords = [];
+            tabManager.tabs.forEach((tab, index) => {
+                const isActive = tab.id === tabManager.activeTabId;
+                if (dirty.has(tab.id)) {
+                    const record = this.captureTab(tab, isActive);
+                    if (!record) return;
+                    tabRecords.push(record);
+                } else if (!this.savedTabs.has(tab.id)) {
+                    return; // Empty "New File" tab
+                }
+                viewRecords.push(this.captureView(tab, index, isActive));
+            });
+            await this.writeRecords(tabRecords, viewRecords);
+            this.savedTabs = new Set(viewRecords.map(r => r.id));
+        } catch (err) {
+            // Try the content again with the next save
+            dirty.forEach(id => this.dirtyTabs.add(id));
+            console.warn('[SessionManager] Could not save session', err);
+        }
+    }
+
+    captureTab(tab, isActive) {
+        const app = this.app;
+        const group = tab.dxfGroup;
+        const hasEntities = group.children.some(c => c.userData && c.userData.entity && !c.userData.isDeleted);
+
+        const record = {
+            id: tab.id,
+            name: tab.name,
+            savedAt: Date.now(),
+            fileName: tab.file ? tab.file.name : null,
+            dxfText: null,
+            file: null
+        };
+
+        // DXF content is re-serialized so edits (move, scale, delete, paste) survive;
+        // 3D models have no entity data and keep their source file.
+        if (tab.dxf || (hasEntities && !tab.file)) {
+            record.dxfText = new DxfWriter().write(group, tab.dxf || null, { layerStates: tab.layerStates });
+        } else if (tab.file) {
+            record.file = tab.file;
+        } else {
+            return null; // Empty "New File" tab
+        }
+
+        // Active tab's live state is in the manager, not yet copied to the tab
+        const measurements = isActive ? app.measurementManager.measurements : (tab.measurementState || []);
+        record.measurements = app.measurementManager.serializeMeasurements(measurements);
+
+        // Layer states, named layer states and an active isolation
+        record.layerStates = [...tab.layerStates].map(([name, state]) => [name, { ...state }]);
+        record.layerStateSets = [...tab.layerStateSets];
+        record.layerIsolation = tab.layerIsolation;
+
+        return record;
+    }
+
+    captureView(tab, order, isActive) {
+        const viewer = this.app.viewer;
+        // Active tab's camera is in the viewer, not yet copied to the tab
+        const camera = isActive ? {
+            position: viewer.camera.position,
+            zoom: viewer.camera.zoom,
+            target: viewer.controls ? viewer.controls.target : tab.cameraState.target
+        } : tab.cameraState;
+        return {
+            id: tab.id,
+            order,
+            isActive,
+            cameraState: {
+                position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+                zoom: camera.zoom,
+                target: { x: camera.target.x, y: camera.target.y, z: camera.target.z }
+            }
+        };
+    }
+
+    // ------------------------------------------------------------
+    // RESTORE
+    // ------------------------------------------------------------
+    // Called from TabManager.showStartPage()
+    async offerRestore() {
+        if (this.offered) return;
+        this.offered = true;
+
+        let records = [];
+        try {
+            records = await this.readRecords();
+        } catch (err) {
+            console.warn('[SessionManager] Session store unavailable', err);
+            return;
+        }
+        this.checked = true;
+        if (records.length === 0 || !this.banner) return;
+
+        // Something may already be open (e.g. ?file= in the URL)
+        if (this.app.tabManager.tabs.length > 0) return;
+
+        this.offerPending = true;
+        if (this.infoText) {
+            const names = records.map(r => r.name).join(', ');
+            const when = new Date(Math.max(...records.map(r => r.savedAt || 0))).toLocaleString();
+            this.infoText.textContent = `${names} (${when})`;
+        }
+        this.banner.classList.remove('hidden');
+    }
+
+    hideOffer() {
+        this.offerPending = false;
+        if (this.banner) this.banner.classList.add('hidden');
+    }
+
+    async discard() {
+        this.hideOffer();
+        try {
+            await this.writeRecords([], []);
+        } catch (err) {
+            console.warn('[SessionManager] Could not clear session', err);
+        }
+    }
+
+    async restore() {
+        this.hideOffer();
+        const app = this.app;
+
+        let records;
+        try {
+            records = await this.readRecords();
+        } catch (err) {
+            console.error(err);
+            app.updateStatus('Error restoring session');
+            return;
+        }
+
+        this.isRestoring = true;
+        let activeId = null;
+        try {
+            for (const record of records) {
+                const tab = await this.restoreTab(record);
+                if (tab && record.isActive) activeId = tab.id;
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+
+        if (activeId) app.tabManager.switchToTab(activeId);
+        app.updateStatus(`Restored ${records.length} tab(s) from previous session`);
+        // Restored tabs have new ids; store them under those once
+        app.tabManager.tabs.forEach(tab => this.dirtyTabs.add(tab.id));
+        this.scheduleSave();
+    }
+
+    async restoreTab(record) {
+        const app = this.app;
+
+        let file = null;
+        if (record.dxfText !== null && record.dxfText !== undefined) {
+            // Must end in .dxf so LoaderManager does not try to convert it again
+            const baseName = (record.fileName || record.name || 'drawing').replace(/\.[^.]+$/, '');
+            file = new File([record.dxfText], baseName + '.dxf', { type: 'application/dxf' });
+        } else if (record.file) {
+            file = record.file instanceof File ? record.file : new File([record.file], record.fileName || record.name);
+        }
+        if (!file) return null;
+
+        // false: the load was cancelled or failed
+        if (await app.loadDXFFile(file, true) === false) return null;
+        const tab = app.tabManager.getActiveTab();
+        if (!tab) return null;
+        app.tabManager.updateTabName(tab.id, record.name);
+
+        // Layers (colors and linetypes are already in the saved LAYER table)
+        (record.layerStates || []).forEach(([name, state]) => {
+            tab.layerStates.set(name, { ...state });
+        });
+        tab.layerStateSets = new Map(record.layerStateSets || []);
+        tab.layerIsolation = record.layerIsolation || null;
+        app.layerManager.applyAll();
+        app.updateLayersPanel(app.viewer.dxfGroup);
+
+        // Measurements (with tolerances)
+        app.measurementManager.restoreMeasurementState(record.measurements || []);
+
+        // Camera (after processDxfFile's zoomExtents)
+        const cam = record.cameraState;
+        if (cam) {
+            const viewer = app.viewer;
+            viewer.camera.position.set(cam.position.x, cam.position.y, cam.position.z);
+            viewer.camera.zoom = cam.zoom;
+            if (viewer.controls) {
+                viewer.controls.target.set(cam.target.x, cam.target.y, cam.target.z);
+                viewer.controls.update();
+            }
+            viewer.camera.updateProjectionMatrix();
+            tab.cameraState.position.copy(viewer.camera.position);
+            tab.cameraState.zoom = cam.zoom;
+            tab.cameraState.target.set(cam.target.x, cam.target.y, cam.target.z);
+        }
+        return tab;
+    }
+}
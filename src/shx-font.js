@@ -0,0 +1,299 @@
+// SHX şekil fontu okuyucu (AutoCAD compiled shape fonts: txt, simplex, isocp, romans...).
+// Supports "shapes 1.0 / 1.1" and "unifont 1.0" files; big fonts (Asian code pages)
+// are rejected. Shapes are interpreted into polylines on demand and returned in the
+// glyph shape of stroke-font.js, in shape units with capHeight = the font's "above".
+
+// Vector directions of the length/direction bytes (0 = east, counter-clockwise)
+const DIRECTIONS = [
+    [1, 0], [1, 0.5], [1, 1], [0.5, 1], [0, 1], [-0.5, 1], [-1, 1], [-1, 0.5],
+    [-1, 0], [-1, -0.5], [-1, -1], [-0.5, -1], [0, -1], [0.5, -1], [1, -1], [1, -0.5]
+];
+
+// Characters that older fonts keep at fixed codes (%%d, %%p, %%c)
+const SPECIAL_SHAPES = {
+    '\u00B0': [127], // °
+    '\u00B1': [128], // ±
+    '\u2300': [0x2205, 129, 0xD8], // ⌀
+    '\u2205': [0x2300, 129, 0xD8] // ∅
+};
+
+const MAX_SUBSHAPE_DEPTH = 8;
+const ARC_STEP = Math.PI / 16;
+
+const signed = (b) => (b > 127 ? b - 256 : b);
+
+// Code page fonts number their shapes by byte value; Turkish drawings use 1254
+let codePage = null;
+function codePageByte(char) {
+    if (!codePage) {
+        codePage = new Map();
+        try {
+            const decoder = new TextDecoder('windows-1254');
+            for (let b = 128; b < 256; b++) codePage.set(decoder.decode(new Uint8Array([b])), b);
+        } catch (err) {
+            // No legacy decoders: Unicode numbers only
+        }
+    }
+    return codePage.get(char);
+}
+
+export class ShxFont {
+    constructor(name, info, shapes, unifont) {
+        this.name = name;
+        this.description = info.description;
+        this.capHeight = info.above || 1;
+        this.descent = info.below || 0;
+        this.shapes = shapes; // shape number -> Uint8Array (spec bytes after the name)
+        this.unifont = unifont;
+        this.cache = new Map();
+    }
+
+    glyph(char) {
+        if (this.cache.has(char)) return this.cache.get(char);
+
+        const candidates = [char.codePointAt(0), ...(SPECIAL_SHAPES[char] || []), codePageByte(char)];
+        const number = candidates.find(n => n !== undefined && n !== 0 && this.shapes.has(n));
+        const glyph = number === undefined ? null : this.buildGlyph(number);
+        this.cache.set(char, glyph);
+        return glyph;
+    }
+
+    buildGlyph(number) {
+        const strokes = [];
+        const pen = { x: 0, y: 0, down: true, scale: 1, stack: [], line: null };
+
+        const moveTo = (x, y) => {
+            if (pen.down) {
+                if (!pen.line) {
+                    pen.line = [pen.x, pen.y];
+                    strokes.push(pen.line);
+                }
+                pen.line.push(x, y);
+            }
+            pen.x = x;
+            pen.y = y;
+        };
+        const arc = (cx, cy, r, start, sweep) => {
+            const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP));
+            for (let i = 1; i <= steps; i++) {
+                const a = start + sweep * i / steps;
+                moveTo(cx + r * Math.cos(a), cy + r * Math.sin(a));
+            }
+        };
+        // DXF-style bulge arc to (x + dx, y + dy)
+        const bulgeTo = (dx, dy, bulge) => {
+            if (bulge === 0) {
+                moveTo(pen.x + dx, pen.y + dy);
+                return;
+            }
+            const chord = Math.hypot(dx, dy);
+            const sweep = 4 * Math.atan(bulge);
+            const r = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+            // Center: from the chord midpoint along the normal
+            const mx = pen.x + dx / 2;
+            const my = pen.y + dy / 2;
+            const d = r * Math.cos(Math.abs(sweep) / 2) * Math.sign(bulge);
+            const cx = mx - dy / chord * d;
+            const cy = my + dx / chord * d;
+            arc(cx, cy, r, Math.atan2(pen.y - cy, pen.x - cx), sweep);
+        };
+
+        const run = (spec, depth) => {
+            let i = 0;
+            const next = () => spec[i++];
+            while (i < spec.length) {
+                const byte = next();
+                // Vector: high nibble length, low nibble direction
+                if (byte > 0x0F) {
+                    const [dx, dy] = DIRECTIONS[byte & 0x0F];
+                    const length = (byte >> 4) * pen.scale;
+                    moveTo(pen.x + dx * length, pen.y + dy * length);
+                    continue;
+                }
+                switch (byte) {
+                    case 0: return;
+                    case 1: pen.down = true; break;
+                    case 2:
+                        pen.down = false;
+                        pen.line = null;
+                        break;
+                    case 3: pen.scale /= next() || 1; break;
+                    case 4: pen.scale *= next() || 1; break;
+                    case 5: pen.stack.push([pen.x, pen.y]); break;
+                    case 6: {
+                        const p = pen.stack.pop();
+                        if (p) [pen.x, pen.y] = p;
+                        pen.line = null;
+                        break;
+                    }
+                    case 7: {
+                        const sub = this.unifont ? (next() << 8) | next() : next();
+                        if (depth < MAX_SUBSHAPE_DEPTH && this.shapes.has(sub)) run(this.shapes.get(sub), depth + 1);
+                        break;
+                    }
+                    case 8:
+                        moveTo(pen.x + signed(next()) * pen.scale, pen.y + signed(next()) * pen.scale);
+                        break;
+                    case 9:
+                        for (;;) {
+                            const dx = signed(next());
+                            const dy = signed(next());
+                            if ((dx === 0 && dy === 0) || i > spec.length) break;
+                            moveTo(pen.x + dx * pen.scale, pen.y + dy * pen.scale);
+                        }
+                        break;
+                    case 10: {
+                        // Octant arc: radius, then (s)0SC - sign = clockwise, S start octant, C count
+                        const r = next() * pen.scale;
+                        const c = signed(next());
+                        const dir = c < 0 ? -1 : 1;
+                        const start = ((Math.abs(c) >> 4) & 7) * Math.PI / 4;
+                        const count = (Math.abs(c) & 7) || 8;
+                        const cx = pen.x - r * Math.cos(start);
+                        const cy = pen.y - r * Math.sin(start);
+                        arc(cx, cy, r, start, dir * count * Math.PI / 4);
+                        break;
+                    }
+                    case 11: {
+                        // Fractional arc: start/end offsets in 1/256 of an octant
+                        const startOffset = next();
+                        const endOffset = next();
+                        const r = ((next() << 8) | next()) * pen.scale;
+                        const c = signed(next());
+                        const dir = c < 0 ? -1 : 1;
+                        const octant = (Math.abs(c) >> 4) & 7;
+                        const count = (Math.abs(c) & 7) || 8;
+                        const unit = Math.PI / 4;
+                        const start = octant * unit + dir * startOffset / 256 * unit;
+                        const endOctant = octant + dir * (count - 1);
+                        const end = endOctant * unit + dir * endOffset / 256 * unit;
+                        let sweep = end - start;
+                        if (endOffset === 0) sweep = dir * count * unit - dir * startOffset / 256 * unit;
+                        const cx = pen.x - r * Math.cos(start);
+                        const cy = pen.y - r * Math.sin(start);
+                        arc(cx, cy, r, start, sweep);
+                        break;
+                    }
+                    case 12: {
+                        const dx = signed(next()) * pen.scale;
+                        const dy = signed(next()) * pen.scale;
+                        bulgeTo(dx, dy, signed(next()) / 127);
+                        break;
+                    }
+                    case 13:
+                        for (;;) {
+                            const dx = signed(next());
+                            const dy = signed(next());
+                            if ((dx === 0 && dy === 0) || i > spec.length) break;
+                            bulgeTo(dx * pen.scale, dy * pen.scale, signed(next()) / 127);
+                        }
+                        break;
+                    case 14:
+                        // Vertical text only: skip the next command
+                        i = skipCommand(spec, i, this.unifont);
+                        break;
+                    default:
+                        break;
+                }
+            }
+        };
+
+        run(this.shapes.get(number), 0);
+
+        let right = 0;
+        strokes.forEach(points => {
+            for (let i = 0; i < points.length; i += 2) right = Math.max(right, points[i]);
+        });
+        return { advance: pen.x, right: strokes.length ? right : pen.x, strokes };
+    }
+}
+
+// Index of the command after the one starting at i
+function skipCommand(spec, i, unifont) {
+    const byte = spec[i];
+    if (byte === undefined || byte > 0x0F) return i + 1;
+    switch (byte) {
+        case 3: case 4: return i + 2;
+        case 7: return i + (unifont ? 3 : 2);
+        case 8: return i + 3;
+        case 10: return i + 3;
+        case 11: return i + 6;
+        case 12: return i + 4;
+        case 9:
+        case 13: {
+            let j = i + 1;
+            while (j + 1 < spec.length && (spec[j] !== 0 || spec[j + 1] !== 0)) j += byte === 9 ? 2 : 3;
+            return j + 2;
+        }
+        default: return i + 1;
+    }
+}
+
+// Shape 0 / unifont header: description\0 above below modes [encoding type] \0
+function readInfo(bytes) {
+    const end = bytes.indexOf(0);
+    const description = new TextDecoder('latin1').decode(bytes.subarray(0, end < 0 ? bytes.length : end));
+    return { description, above: bytes[end + 1] || 0, below: bytes[end + 2] || 0 };
+}
+
+// Spec bytes of a shape record (name\0 spec...)
+function specOf(bytes) {
+    const end = bytes.indexOf(0);
+    return bytes.subarray(end + 1);
+}
+
+/**
+ * @param {ArrayBuffer} buffer - .shx file content
+ * @param {string} name - font name (file name without extension)
+ * @returns {ShxFont}
+ */
+export function parseShx(buffer, name) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const headerEnd = bytes.indexOf(0x1A);
+    if (headerEnd < 0 || headerEnd > 40) throw new Error(`${name}: not an SHX font`);
+    const header = new TextDecoder('latin1').decode(bytes.subarray(0, headerEnd));
+    if (!/^AutoCAD-86/.test(header)) throw new Error(`${name}: not an SHX font`);
+    if (/bigfont/i.test(header)) throw new Error(`${name}: big fonts are not supported`);
+
+    const shapes = new Map();
+    let pos = headerEnd + 1;
+
+    if (/unifont/i.test(header)) {
+        // u32 count, u16 info length, info, then { u16 number, u16 length, bytes }
+        pos += 4;
+        const infoLength = view.getUint16(pos, true);
+        pos += 2;
+        const info = readInfo(bytes.subarray(pos, pos + infoLength));
+        pos += infoLength;
+        while (pos + 4 <= bytes.length) {
+            const number = view.getUint16(pos, true);
+            const length = view.getUint16(pos + 2, true);
+            pos += 4;
+            if (pos + length > bytes.length) break;
+            shapes.set(number, specOf(bytes.subarray(pos, pos + length)));
+            pos += length;
+        }
+        return new ShxFont(name, info, shapes, true);
+    }
+
+    if (!/shapes/i.test(header)) throw new Error(`${name}: unknown SHX type "${header.trim()}"`);
+
+    // u16 first, u16 last, u16 count, index { u16 number, u16 length }, then the shapes in order
+    const count = view.getUint16(pos + 4, true);
+    pos += 6;
+    const index = [];
+    for (let i = 0; i < count && pos + 4 <= bytes.length; i++, pos += 4) {
+        index.push([view.getUint16(pos, true), view.getUint16(pos + 2, true)]);
+    }
+    let info = { description: name, above: 0, below: 0 };
+    for (const [number, length] of index) {
+        if (pos + length > bytes.length) break;
+        const record = bytes.subarray(pos, pos + length);
+        if (number === 0) info = readInfo(record);
+        else shapes.set(number, specOf(record));
+        pos += length;
+    }
+    if (!info.above) throw new Error(`${name}: font has no height information`);
+    return new ShxFont(name, info, shapes, false);
+}
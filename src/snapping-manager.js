@@ -1,5 +1,6 @@
 
 import * as THREE from 'three';
+import { tessellateSpline, isSplineClosed } from './nurbs.js';
 
 export class SnappingManager {
     constructor(viewer) {
@@ -471,6 +472,65 @@ export class SnappingManager {
                     }
                 }
                 break;
+
+            case 'SPLINE': {
+                // Same evaluated NURBS curve the loader draws
+                const pts = tessellateSpline(entity);
+                if (pts.length < 2) break;
+
+                const first = pts[0];
+                const last = pts[pts.length - 1];
+                snaps.push({ type: 'endpoint', point: toWorld(first.x, first.y, first.z || 0) });
+                if (!isSplineClosed(entity, pts)) {
+                    snaps.push({ type: 'endpoint', point: toWorld(last.x, last.y, last.z || 0) });
+                }
+
+                // Fit points are the points the user drew through
+                (entity.fitPoints || []).forEach(fp => {
+                    snaps.push({ type: 'node', point: toWorld(fp.x, fp.y, fp.z || 0) });
+                });
+
+                // Midpoint along the curve length
+                let total = 0;
+                const lengths = [0];
+                for (let i = 1; i < pts.length; i++) {
+                    total += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+                    lengths.push(total);
+                }
+                const half = total / 2;
+                const k = lengths.findIndex(l => l >= half);
+                if (k > 0) {
+                    const segLen = lengths[k] - lengths[k - 1];
+                    const t = segLen > 0 ? (half - lengths[k - 1]) / segLen : 0;
+                    snaps.push({
+                        type: 'midpoint',
+                        point: toWorld(
+                            pts[k - 1].x + (pts[k].x - pts[k - 1].x) * t,
+                            pts[k - 1].y + (pts[k].y - pts[k - 1].y) * t,
+                            0
+                        )
+                    });
+                }
+
+                // Nearest on the tessellated curve
+                if (cursorLocal) {
+                    let best = null;
+                    let bestDistSq = Infinity;
+                    for (let i = 0; i < pts.length - 1; i++) {
+                        if (pts[i].x === pts[i + 1].x && pts[i].y === pts[i + 1].y) continue;
+                        const q = this.closestPointOnSegment(cursorLocal, pts[i], pts[i + 1]);
+                        const dSq = (q.x - cursorLocal.x) ** 2 + (q.y - cursorLocal.y) ** 2;
+                        if (dSq < bestDistSq) {
+                            bestDistSq = dSq;
+                            best = q;
+                        }
+                    }
+                    if (best) {
+                        snaps.push({ type: 'nearest', point: toWorld(best.x, best.y, 0) });
+                    }
+                }
+                break;
+            }
         }
 
         return snaps;
@@ -617,9 +677,12 @@ export class SnappingManager {
         marker.renderOrder = 999;
 
         this.markerGroup.add(marker);
+        this.viewer.requestRender();
     }
 
     clearMarker() {
+        // Called on every mouse move outside snap modes: only redraw when a marker goes away
+        if (this.markerGroup.children.length > 0) this.viewer.requestRender();
         while (this.markerGroup.children.length > 0) {
             const c = this.markerGroup.children[0];
             if (c.geometry) c.geometry.dispose();
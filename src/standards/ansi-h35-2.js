@@ -0,0 +1,60 @@
+// ANSI H35.2M / ASTM B221M — Standard tolerances for extruded profiles (metric).
+// Metal dimensions: at least 75 % of the dimension is metal; space dimensions: less.
+// Columns by circumscribing circle diameter (CCD). One group covers all alloys.
+
+export const ANSI_H35_2 = {
+    id: 'H35.2',
+    name: "ANSI H35.2 / ASTM B221",
+    title: 'ANSI H35.2M / ASTM B221M',
+    groups: [
+        { id: 'ALL', name: 'TÜM ALAŞIMLAR', alloys: [] }
+    ],
+    column: { label: 'CCD' },
+    classes: [
+        { id: 'METAL', name: 'Metal', table: 'Metal_Dimensions', field: 'tolerances' },
+        { id: 'SPACE', name: 'Boşluk', table: 'Space_Dimensions', field: 'tolerances', accent: 'purple' },
+        { id: 'WALL_HOLLOW', name: 'Et (Kapalı)', table: 'Hollow_Wall', profileTypes: ['hollow'] }
+    ],
+    tables: {
+        ALL: {
+            "Metal_Dimensions": {
+                "CD_Keys": ["le250", "250_600"],
+                "Data": [
+                    { "min": 0, "max": 3, "tolerances": { "le250": 0.18, "250_600": 0.25 } },
+                    { "min": 3, "max": 6, "tolerances": { "le250": 0.20, "250_600": 0.28 } },
+                    { "min": 6, "max": 12, "tolerances": { "le250": 0.25, "250_600": 0.33 } },
+                    { "min": 12, "max": 20, "tolerances": { "le250": 0.30, "250_600": 0.38 } },
+                    { "min": 20, "max": 40, "tolerances": { "le250": 0.38, "250_600": 0.46 } },
+                    { "min": 40, "max": 60, "tolerances": { "le250": 0.46, "250_600": 0.56 } },
+                    { "min": 60, "max": 100, "tolerances": { "le250": 0.56, "250_600": 0.66 } },
+                    { "min": 100, "max": 150, "tolerances": { "le250": 0.76, "250_600": 0.86 } },
+                    { "min": 150, "max": 200, "tolerances": { "le250": 0.97, "250_600": 1.07 } },
+                    { "min": 200, "max": 250, "tolerances": { "le250": 1.17, "250_600": 1.27 } },
+                    { "min": 250, "max": 300, "tolerances": { "le250": null, "250_600": 1.47 } }
+                ]
+            },
+            "Space_Dimensions": {
+                "CD_Keys": ["le250", "250_600"],
+                "Data": [
+                    { "min": 0, "max": 3, "tolerances": { "le250": 0.25, "250_600": 0.33 } },
+                    { "min": 3, "max": 6, "tolerances": { "le250": 0.30, "250_600": 0.38 } },
+                    { "min": 6, "max": 12, "tolerances": { "le250": 0.36, "250_600": 0.46 } },
+                    { "min": 12, "max": 20, "tolerances": { "le250": 0.43, "250_600": 0.53 } },
+                    { "min": 20, "max": 40, "tolerances": { "le250": 0.53, "250_600": 0.64 } },
+                    { "min": 40, "max": 60, "tolerances": { "le250": 0.64, "250_600": 0.76 } },
+                    { "min": 60, "max": 100, "tolerances": { "le250": 0.79, "250_600": 0.94 } },
+                    { "min": 100, "max": 150, "tolerances": { "le250": 1.07, "250_600": 1.22 } },
+                    { "min": 150, "max": 200, "tolerances": { "le250": 1.37, "250_600": 1.52 } },
+                    { "min": 200, "max": 250, "tolerances": { "le250": 1.65, "250_600": 1.80 } },
+                    { "min": 250, "max": 300, "tolerances": { "le250": null, "250_600": 2.08 } }
+                ]
+            },
+            // Walls completely enclosing a space: ±10 % of the mean wall, at least ±0.25 mm
+            "Hollow_Wall": {
+                "Data": [
+                    { "min": 0, "max": 50, "relative": 0.10, "minimum": 0.25 }
+                ]
+            }
+        }
+    }
+};
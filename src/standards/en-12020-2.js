@@ -0,0 +1,53 @@
+// EN 12020-2:2016 — Precision profiles in EN AW-6060 / 6063 / 6463.
+// Tighter than EN 755-9; only the listed alloys are covered (strictAlloys).
+// Wall thickness has separate columns for walls enclosing a hollow.
+
+export const EN_12020_2 = {
+    id: '12020-2',
+    name: "12020-2 HASSAS PROFİL",
+    title: 'EN 12020-2',
+    strictAlloys: true,
+    groups: [
+        { id: 'P', name: '6060 / 6063', alloys: ['6060', '6063', '6463'] }
+    ],
+    column: { label: 'CD' },
+    classes: [
+        { id: 'T', name: 'T', table: 'Wall_Thickness', field: 'open' },
+        { id: 'T_HOLLOW', name: 'T (Boşluk)', table: 'Wall_Thickness', field: 'hollow', profileTypes: ['hollow'] },
+        { id: 'H', name: 'H', table: 'Dimensions', field: 'tolerances', accent: 'purple' }
+    ],
+    tables: {
+        P: {
+            "Dimensions": {
+                "CD_Keys": ["le100", "100_200", "200_300", "300_350"],
+                "Data": [
+                    { "min": 0, "max": 3, "tolerances": { "le100": 0.15, "100_200": 0.20, "200_300": 0.25, "300_350": 0.25 } },
+                    { "min": 3, "max": 6, "tolerances": { "le100": 0.15, "100_200": 0.20, "200_300": 0.25, "300_350": 0.30 } },
+                    { "min": 6, "max": 10, "tolerances": { "le100": 0.20, "100_200": 0.25, "200_300": 0.30, "300_350": 0.30 } },
+                    { "min": 10, "max": 15, "tolerances": { "le100": 0.20, "100_200": 0.25, "200_300": 0.30, "300_350": 0.35 } },
+                    { "min": 15, "max": 30, "tolerances": { "le100": 0.25, "100_200": 0.30, "200_300": 0.35, "300_350": 0.40 } },
+                    { "min": 30, "max": 45, "tolerances": { "le100": 0.30, "100_200": 0.40, "200_300": 0.45, "300_350": 0.50 } },
+                    { "min": 45, "max": 60, "tolerances": { "le100": 0.40, "100_200": 0.50, "200_300": 0.55, "300_350": 0.60 } },
+                    { "min": 60, "max": 90, "tolerances": { "le100": 0.45, "100_200": 0.55, "200_300": 0.65, "300_350": 0.70 } },
+                    { "min": 90, "max": 120, "tolerances": { "le100": 0.60, "100_200": 0.65, "200_300": 0.80, "300_350": 0.85 } },
+                    { "min": 120, "max": 150, "tolerances": { "le100": null, "100_200": 0.80, "200_300": 1.00, "300_350": 1.05 } },
+                    { "min": 150, "max": 200, "tolerances": { "le100": null, "100_200": 1.00, "200_300": 1.20, "300_350": 1.25 } },
+                    { "min": 200, "max": 300, "tolerances": { "le100": null, "100_200": null, "200_300": 1.40, "300_350": 1.50 } },
+                    { "min": 300, "max": 350, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_350": 1.80 } }
+                ]
+            },
+            "Wall_Thickness": {
+                "CD_Keys": ["le100", "100_200", "200_300", "300_350"],
+                "Data": [
+                    { "min": 0, "max": 1.5, "open": { "le100": 0.10, "100_200": 0.15, "200_300": 0.20, "300_350": 0.25 }, "hollow": { "le100": 0.15, "100_200": 0.20, "200_300": 0.25, "300_350": 0.30 } },
+                    { "min": 1.5, "max": 3, "open": { "le100": 0.15, "100_200": 0.20, "200_300": 0.25, "300_350": 0.30 }, "hollow": { "le100": 0.20, "100_200": 0.25, "200_300": 0.30, "300_350": 0.35 } },
+                    { "min": 3, "max": 6, "open": { "le100": 0.20, "100_200": 0.25, "200_300": 0.30, "300_350": 0.35 }, "hollow": { "le100": 0.25, "100_200": 0.30, "200_300": 0.40, "300_350": 0.45 } },
+                    { "min": 6, "max": 10, "open": { "le100": 0.25, "100_200": 0.30, "200_300": 0.35, "300_350": 0.40 }, "hollow": { "le100": 0.30, "100_200": 0.40, "200_300": 0.50, "300_350": 0.55 } },
+                    { "min": 10, "max": 15, "open": { "le100": 0.30, "100_200": 0.35, "200_300": 0.40, "300_350": 0.45 }, "hollow": { "le100": 0.40, "100_200": 0.50, "200_300": 0.60, "300_350": 0.65 } },
+                    { "min": 15, "max": 20, "open": { "le100": 0.35, "100_200": 0.40, "200_300": 0.45, "300_350": 0.50 }, "hollow": { "le100": 0.50, "100_200": 0.60, "200_300": 0.70, "300_350": 0.75 } },
+                    { "min": 20, "max": 30, "open": { "le100": 0.40, "100_200": 0.45, "200_300": 0.50, "300_350": 0.55 }, "hollow": { "le100": null, "100_200": 0.70, "200_300": 0.80, "300_350": 0.85 } }
+                ]
+            }
+        }
+    }
+};
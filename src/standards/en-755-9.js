@@ -0,0 +1,190 @@
+// EN 755-9:2016 — Extruded profiles (G1 / G2 alloy groups).
+// Standard definition consumed by tolerances.js; the profile level tables
+// (Length, Straightness, Twist, Flatness, Contour, Corner_Radius, Angle_Squareness)
+// are used by the form tolerance calculators there.
+
+export const TOLERANCES = {
+    "Standard": "EN 755-9:2016",
+    "Alloy_Groups": {
+        "G1": {
+            "Dimensions_H": {
+                "CD_Keys": ["le100", "100_200", "200_300", "300_500", "500_800"],
+                "Data": [
+                    { "min": 0, "max": 10, "tolerances": { "le100": 0.25, "100_200": 0.30, "200_300": 0.35, "300_500": 0.40, "500_800": 0.50 } },
+                    { "min": 10, "max": 25, "tolerances": { "le100": 0.30, "100_200": 0.40, "200_300": 0.50, "300_500": 0.60, "500_800": 0.70 } },
+                    { "min": 25, "max": 50, "tolerances": { "le100": 0.50, "100_200": 0.60, "200_300": 0.80, "300_500": 0.90, "500_800": 1.00 } },
+                    { "min": 50, "max": 100, "tolerances": { "le100": 0.70, "100_200": 0.90, "200_300": 1.10, "300_500": 1.30, "500_800": 1.50 } },
+                    { "min": 100, "max": 150, "tolerances": { "le100": null, "100_200": 1.10, "200_300": 1.30, "300_500": 1.50, "500_800": 1.70 } },
+                    { "min": 150, "max": 200, "tolerances": { "le100": null, "100_200": 1.30, "200_300": 1.50, "300_500": 1.80, "500_800": 2.00 } },
+                    { "min": 200, "max": 300, "tolerances": { "le100": null, "100_200": null, "200_300": 1.70, "300_500": 2.10, "500_800": 2.40 } },
+                    { "min": 300, "max": 450, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 2.80, "500_800": 3.00 } },
+                    { "min": 450, "max": 600, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 3.80, "500_800": 4.20 } },
+                    { "min": 600, "max": 800, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": null, "500_800": 5.00 } }
+                ]
+            },
+            "Wall_Thickness_A_B_C": {
+                "CD_Keys": ["le100", "100_300", "300_500", "500_800"],
+                "Data": [
+                    { "min": 0, "max": 1.5, "A": { "le100": 0.15, "100_300": 0.20, "300_500": 0.25, "500_800": 0.25 }, "B": { "le100": 0.20, "100_300": 0.30, "300_500": 0.35 }, "C": { "le100": 0.25, "100_300": 0.35, "300_500": 0.40 } },
+                    { "min": 1.5, "max": 3, "A": { "le100": 0.15, "100_300": 0.25, "300_500": 0.35, "500_800": 0.40 }, "B": { "le100": 0.25, "100_300": 0.40, "300_500": 0.80, "500_800": 0.60 }, "C": { "le100": 0.30, "100_300": 0.50, "300_500": 1.00, "500_800": 0.75 } },
+                    { "min": 3, "max": 6, "A": { "le100": 0.20, "100_300": 0.30, "300_500": 0.50, "500_800": 0.40 }, "B": { "le100": 0.30, "100_300": 0.40, "300_500": 0.80, "500_800": 1.00 }, "C": { "le100": 0.50, "100_300": 0.75, "300_500": 1.00, "500_800": 1.20 } },
+                    { "min": 6, "max": 10, "A": { "le100": 0.25, "100_300": 0.35, "300_500": 0.55, "500_800": 0.50 }, "B": { "le100": 0.40, "100_300": 0.55, "300_500": 1.00, "500_800": 0.80 }, "C": { "le100": 0.60, "100_300": 0.80, "300_500": 1.20, "500_800": 1.50 } },
+                    { "min": 10, "max": 15, "A": { "le100": 0.30, "100_300": 0.40, "300_500": 0.60, "500_800": 0.60 }, "B": { "le100": 0.45, "100_300": 0.60, "300_500": 1.00, "500_800": 1.20 }, "C": { "le100": 0.80, "100_300": 1.00, "300_500": 1.50, "500_800": 1.80 } },
+                    { "min": 15, "max": 20, "A": { "le100": 0.35, "100_300": 0.45, "300_500": 0.65, "500_800": 0.70 }, "B": { "le100": 0.50, "100_300": 0.70, "300_500": 1.20, "500_800": 1.50 }, "C": { "le100": 1.00, "100_300": 1.30, "300_500": 1.80, "500_800": 2.20 } },
+                    { "min": 20, "max": 30, "A": { "le100": 0.45, "100_300": 0.55, "300_500": 0.75, "500_800": 0.80 }, "B": { "le100": 0.60, "100_300": 0.80, "300_500": 1.50, "500_800": 1.80 }, "C": { "le100": 1.20, "100_300": 1.50, "300_500": 2.20, "500_800": 2.70 } },
+                    { "min": 30, "max": 40, "A": { "le100": 0.55, "100_300": 0.65, "300_500": 0.90, "500_800": 1.00 }, "B": { "le100": 0.70, "100_300": 0.90, "300_500": 1.80, "500_800": 2.20 }, "C": { "le100": null, "100_300": null, "300_500": 2.50, "500_800": 3.00 } },
+                    { "min": 40, "max": 50, "A": { "le100": null, "100_300": 0.75, "300_500": 1.10, "500_800": 1.20 }, "B": { "le100": null, "100_300": 1.10, "300_500": 2.00, "500_800": 2.40 }, "C": { "le100": null, "100_300": null, "300_500": null, "500_800": null } }
+                ]
+            }
+        },
+        "G2": {
+            "Dimensions_H": {
+                "CD_Keys": ["le100", "100_200", "200_300", "300_500", "500_800"],
+                "Data": [
+                    { "min": 0, "max": 10, "tolerances": { "le100": 0.40, "100_200": 0.50, "200_300": 0.55, "300_500": 0.60, "500_800": 0.70 } },
+                    { "min": 10, "max": 25, "tolerances": { "le100": 0.50, "100_200": 0.70, "200_300": 0.80, "300_500": 0.90, "500_800": 1.10 } },
+                    { "min": 25, "max": 50, "tolerances": { "le100": 0.80, "100_200": 0.90, "200_300": 1.00, "300_500": 1.20, "500_800": 1.30 } },
+                    { "min": 50, "max": 100, "tolerances": { "le100": 1.00, "100_200": 1.20, "200_300": 1.30, "300_500": 1.60, "500_800": 1.80 } },
+                    { "min": 100, "max": 150, "tolerances": { "le100": null, "100_200": 1.50, "200_300": 1.70, "300_500": 1.80, "500_800": 2.00 } },
+                    { "min": 150, "max": 200, "tolerances": { "le100": null, "100_200": 1.90, "200_300": 2.20, "300_500": 2.40, "500_800": 2.70 } },
+                    { "min": 200, "max": 300, "tolerances": { "le100": null, "100_200": null, "200_300": 2.50, "300_500": 2.80, "500_800": 3.10 } },
+                    { "min": 300, "max": 450, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 3.50, "500_800": 3.80 } },
+                    { "min": 450, "max": 600, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 4.50, "500_800": 5.00 } },
+                    { "min": 600, "max": 800, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": null, "500_800": 6.00 } }
+                ]
+            },
+            "Wall_Thickness_A_B_C": {
+                "CD_Keys": ["le100", "100_300", "300_500", "500_800"],
+                "Data": [
+                    { "min": 0, "max": 1.5, "A": { "le100": 0.20, "100_300": 0.25, "300_500": 0.35, "500_800": 0.35 }, "B": { "le100": 0.25, "100_300": 0.40, "300_500": 0.50 }, "C": { "le100": 0.35, "100_300": 0.50, "300_500": 0.60 } },
+                    { "min": 1.5, "max": 3, "A": { "le100": 0.20, "100_300": 0.30, "300_500": 0.50, "500_800": 0.55 }, "B": { "le100": 0.35, "100_300": 0.60, "300_500": 1.10, "500_800": 0.90 }, "C": { "le100": 0.45, "100_300": 0.75, "300_500": 1.50, "500_800": 1.10 } },
+                    { "min": 3, "max": 6, "A": { "le100": 0.30, "100_300": 0.40, "300_500": 0.75, "500_800": 0.60 }, "B": { "le100": 0.45, "100_300": 0.60, "300_500": 1.20, "500_800": 1.50 }, "C": { "le100": 0.75, "100_300": 1.10, "300_500": 1.50, "500_800": 1.80 } },
+                    { "min": 6, "max": 10, "A": { "le100": 0.35, "100_300": 0.50, "300_500": 0.80, "500_800": 0.75 }, "B": { "le100": 0.60, "100_300": 0.80, "300_500": 1.50, "500_800": 1.20 }, "C": { "le100": 0.90, "100_300": 1.20, "300_500": 1.80, "500_800": 2.20 } },
+                    { "min": 10, "max": 15, "A": { "le100": 0.45, "100_300": 0.60, "300_500": 0.90, "500_800": 0.90 }, "B": { "le100": 0.70, "100_300": 0.90, "300_500": 1.50, "500_800": 1.80 }, "C": { "le100": 1.20, "100_300": 1.50, "300_500": 2.20, "500_800": 2.70 } },
+                    { "min": 15, "max": 20, "A": { "le100": 0.55, "100_300": 0.70, "300_500": 1.00, "500_800": 1.00 }, "B": { "le100": 0.75, "100_300": 1.00, "300_500": 1.80, "500_800": 2.20 }, "C": { "le100": 1.50, "100_300": 2.00, "300_500": 2.70, "500_800": 3.30 } },
+                    { "min": 20, "max": 30, "A": { "le100": 0.65, "100_300": 0.80, "300_500": 1.10, "500_800": 1.20 }, "B": { "le100": 0.90, "100_300": 1.20, "300_500": 2.20, "500_800": 2.70 }, "C": { "le100": 1.80, "100_300": 2.20, "300_500": 3.30, "500_800": 4.00 } },
+                    { "min": 30, "max": 40, "A": { "le100": 0.80, "100_300": 1.00, "300_500": 1.40, "500_800": 1.50 }, "B": { "le100": 1.00, "100_300": 1.30, "300_500": 2.70, "500_800": 3.30 }, "C": { "le100": null, "100_300": null, "300_500": 3.80, "500_800": 4.50 } },
+                    { "min": 40, "max": 50, "A": { "le100": null, "100_300": 1.10, "300_500": 1.60, "500_800": 1.80 }, "B": { "le100": null, "100_300": 1.60, "300_500": 3.00, "500_800": 3.60 }, "C": { "le100": null, "100_300": null, "300_500": null, "500_800": null } }
+                ]
+            }
+        },
+        "Open_Ends_Addition": {
+            "Data": [
+                { "min": 0, "max": 20, "addition": 0.00 },
+                { "min": 20, "max": 30, "addition": 0.15 },
+                { "min": 30, "max": 40, "addition": 0.25 },
+                { "min": 40, "max": 60, "addition": 0.40 },
+                { "min": 60, "max": 80, "addition": 0.50 },
+                { "min": 80, "max": 100, "addition": 0.60 },
+                { "min": 100, "max": 125, "addition": 0.80 },
+                { "min": 125, "max": 150, "addition": 1.00 },
+                { "min": 150, "max": 180, "addition": 1.20 },
+                { "min": 180, "max": 210, "addition": 1.40 },
+                { "min": 210, "max": 250, "addition": 1.60 },
+                { "min": 250, "max": 999, "addition": 1.80 }
+            ]
+        }
+    },
+    "Angle_Squareness": {
+        "Data": [
+            { "min": 0, "max": 30, "tolerance": 0.4 },
+            { "min": 30, "max": 50, "tolerance": 0.7 },
+            { "min": 50, "max": 80, "tolerance": 1.0 },
+            { "min": 80, "max": 120, "tolerance": 1.4 },
+            { "min": 120, "max": 180, "tolerance": 2.0 },
+            { "min": 180, "max": 240, "tolerance": 2.6 },
+            { "min": 240, "max": 300, "tolerance": 3.1 },
+            { "min": 300, "max": 400, "tolerance": 3.5 }
+        ],
+        // W > 400 mm: deviation = W × factor (≈ tan 0.5°)
+        "Over_Max_Factor": 0.00875
+    },
+    // Fixed length tolerances (+X / -0) by CD column and ordered length L (mm)
+    "Length": {
+        "CD_Keys": ["le100", "100_200", "200_450", "450_800"],
+        "Data": [
+            { "min": 0, "max": 2000, "tolerances": { "le100": 5, "100_200": 7, "200_450": 8, "450_800": 9 } },
+            { "min": 2000, "max": 5000, "tolerances": { "le100": 7, "100_200": 9, "200_450": 11, "450_800": 14 } },
+            { "min": 5000, "max": 10000, "tolerances": { "le100": 10, "100_200": 12, "200_450": 14, "450_800": 16 } },
+            { "min": 10000, "max": 15000, "tolerances": { "le100": 16, "100_200": 18, "200_450": 20, "450_800": 22 } },
+            { "min": 15000, "max": 25000, "tolerances": { "le100": 22, "100_200": 25, "200_450": 28, "450_800": 30 } }
+        ]
+    },
+    // Straightness by CD: ht = deviation over total length (per metre), hs = over any 300 mm
+    "Straightness": {
+        "Data": [
+            { "min": 10, "max": 800, "ht_per_m": 1.5, "hs_300": 0.6 }
+        ]
+    },
+    // Twist by width W: on 1000 mm length and on total length (L ≤ 6000 mm)
+    "Twist": {
+        "Max_Length": 6000,
+        "Data": [
+            { "min": 0, "max": 25, "per_m": 1.0, "total": 1.5 },
+            { "min": 25, "max": 50, "per_m": 1.0, "total": 2.0 },
+            { "min": 50, "max": 75, "per_m": 1.0, "total": 2.0 },
+            { "min": 75, "max": 100, "per_m": 1.0, "total": 2.0 },
+            { "min": 100, "max": 125, "per_m": 1.5, "total": 3.0 },
+            { "min": 125, "max": 150, "per_m": 1.5, "total": 3.0 },
+            { "min": 150, "max": 200, "per_m": 2.0, "total": 4.0 },
+            { "min": 200, "max": 300, "per_m": 2.5, "total": 5.0 },
+            { "min": 300, "max": 450, "per_m": 3.0, "total": 6.0 },
+            { "min": 450, "max": 600, "per_m": 3.5, "total": 7.0 },
+            { "min": 600, "max": 800, "per_m": 4.0, "total": 8.0 }
+        ]
+    },
+    // Flatness (transverse) by width W; hollow profiles have a wider band
+    "Flatness": {
+        "Data": [
+            { "min": 0, "max": 25, "solid": 0.2, "hollow": 0.3 },
+            { "min": 25, "max": 50, "solid": 0.3, "hollow": 0.4 },
+            { "min": 50, "max": 75, "solid": 0.4, "hollow": 0.5 },
+            { "min": 75, "max": 100, "solid": 0.5, "hollow": 0.6 },
+            { "min": 100, "max": 150, "solid": 0.7, "hollow": 0.8 },
+            { "min": 150, "max": 200, "solid": 0.8, "hollow": 1.0 },
+            { "min": 200, "max": 300, "solid": 1.0, "hollow": 1.2 },
+            { "min": 300, "max": 450, "solid": 1.5, "hollow": 1.8 },
+            { "min": 450, "max": 600, "solid": 2.0, "hollow": 2.4 },
+            { "min": 600, "max": 800, "solid": 2.5, "hollow": 3.0 }
+        ]
+    },
+    // Contour (profile of a curved surface) by CD, ± band
+    "Contour": {
+        "Data": [
+            { "min": 0, "max": 100, "tolerance": 0.5 },
+            { "min": 100, "max": 200, "tolerance": 0.7 },
+            { "min": 200, "max": 300, "tolerance": 1.0 },
+            { "min": 300, "max": 500, "tolerance": 1.2 },
+            { "min": 500, "max": 800, "tolerance": 1.5 }
+        ]
+    },
+    // Corner and fillet radii: absolute up to 5 mm, relative above
+    "Corner_Radius": {
+        "Data": [
+            { "min": 0, "max": 5, "tolerance": 0.5 },
+            { "min": 5, "max": 9999, "relative": 0.10 }
+        ]
+    }
+};
+
+export const EN_755_9 = {
+    id: '755-9',
+    name: "755-9 PROFİL",
+    title: 'EN 755-9',
+    image: 'src/755-9.JPG',
+    groups: [
+        { id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6463', '1050', '1070', '1080'] },
+        { id: 'G2', name: 'GRUP 2', alloys: ['6082', '6061', '6013'] }
+    ],
+    column: { label: 'CD' },
+    // Form tolerances come from the TOLERANCES tables above
+    toleranceTypes: ['DIMENSION', 'ANGLE', 'LENGTH', 'STRAIGHTNESS', 'TWIST', 'FLATNESS', 'CONTOUR', 'CORNER_RADIUS'],
+    classes: [
+        { id: 'A', name: 'A', table: 'Wall_Thickness_A_B_C', field: 'A' },
+        { id: 'B', name: 'B', table: 'Wall_Thickness_A_B_C', field: 'B', profileTypes: ['hollow'] },
+        { id: 'C', name: 'C', table: 'Wall_Thickness_A_B_C', field: 'C', profileTypes: ['hollow'] },
+        { id: 'H', name: 'H', table: 'Dimensions_H', field: 'tolerances', accent: 'purple' },
+        { id: 'H_OPEN', name: 'H (Açık Uç)', base: 'H', openEnd: 'Open_Ends_Addition', accent: 'purple' }
+    ],
+    tables: TOLERANCES.Alloy_Groups
+};
@@ -0,0 +1,192 @@
+// EN 755-3 … EN 755-8 — Extruded bars and tubes (G1 / G2 alloy groups).
+// Round, square and hexagonal bars share one diameter / across-flats table;
+// rectangular bars use width W and thickness T (T column chosen by W);
+// tubes use outside diameter D and a wall thickness relative to the nominal wall.
+
+const GROUPS = [
+    { id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6463', '1050', '1070', '1080'] },
+    { id: 'G2', name: 'GRUP 2', alloys: ['6082', '6061', '6013'] }
+];
+
+// Diameter (round), across flats (square, hexagon), tube outside diameter
+const BAR_DIAMETER = {
+    G1: {
+        "Data": [
+            { "min": 8, "max": 18, "tolerance": 0.22 },
+            { "min": 18, "max": 25, "tolerance": 0.25 },
+            { "min": 25, "max": 40, "tolerance": 0.30 },
+            { "min": 40, "max": 50, "tolerance": 0.35 },
+            { "min": 50, "max": 65, "tolerance": 0.40 },
+            { "min": 65, "max": 80, "tolerance": 0.45 },
+            { "min": 80, "max": 100, "tolerance": 0.55 },
+            { "min": 100, "max": 120, "tolerance": 0.65 },
+            { "min": 120, "max": 150, "tolerance": 0.80 },
+            { "min": 150, "max": 180, "tolerance": 1.00 },
+            { "min": 180, "max": 220, "tolerance": 1.15 },
+            { "min": 220, "max": 270, "tolerance": 1.30 },
+            { "min": 270, "max": 320, "tolerance": 1.60 }
+        ]
+    },
+    G2: {
+        "Data": [
+            { "min": 8, "max": 18, "tolerance": 0.30 },
+            { "min": 18, "max": 25, "tolerance": 0.35 },
+            { "min": 25, "max": 40, "tolerance": 0.40 },
+            { "min": 40, "max": 50, "tolerance": 0.45 },
+            { "min": 50, "max": 65, "tolerance": 0.50 },
+            { "min": 65, "max": 80, "tolerance": 0.70 },
+            { "min": 80, "max": 100, "tolerance": 0.90 },
+            { "min": 100, "max": 120, "tolerance": 1.00 },
+            { "min": 120, "max": 150, "tolerance": 1.20 },
+            { "min": 150, "max": 180, "tolerance": 1.40 },
+            { "min": 180, "max": 220, "tolerance": 1.70 },
+            { "min": 220, "max": 270, "tolerance": 2.00 },
+            { "min": 270, "max": 320, "tolerance": 2.50 }
+        ]
+    }
+};
+
+const RECT_WIDTH = {
+    G1: {
+        "Data": [
+            { "min": 10, "max": 18, "tolerance": 0.25 },
+            { "min": 18, "max": 30, "tolerance": 0.30 },
+            { "min": 30, "max": 50, "tolerance": 0.40 },
+            { "min": 50, "max": 80, "tolerance": 0.60 },
+            { "min": 80, "max": 120, "tolerance": 0.70 },
+            { "min": 120, "max": 180, "tolerance": 0.80 },
+            { "min": 180, "max": 240, "tolerance": 1.00 },
+            { "min": 240, "max": 350, "tolerance": 1.20 },
+            { "min": 350, "max": 450, "tolerance": 1.40 },
+            { "min": 450, "max": 600, "tolerance": 1.60 }
+        ]
+    },
+    G2: {
+        "Data": [
+            { "min": 10, "max": 18, "tolerance": 0.35 },
+            { "min": 18, "max": 30, "tolerance": 0.40 },
+            { "min": 30, "max": 50, "tolerance": 0.50 },
+            { "min": 50, "max": 80, "tolerance": 0.70 },
+            { "min": 80, "max": 120, "tolerance": 0.80 },
+            { "min": 120, "max": 180, "tolerance": 1.00 },
+            { "min": 180, "max": 240, "tolerance": 1.20 },
+            { "min": 240, "max": 350, "tolerance": 1.40 },
+            { "min": 350, "max": 450, "tolerance": 1.60 },
+            { "min": 450, "max": 600, "tolerance": 1.80 }
+        ]
+    }
+};
+
+// Thickness T, column by width W
+const RECT_THICKNESS = {
+    G1: {
+        "CD_Keys": ["le100", "100_180", "180_350", "350_600"],
+        "Data": [
+            { "min": 2, "max": 6, "tolerances": { "le100": 0.25, "100_180": 0.30, "180_350": 0.40, "350_600": null } },
+            { "min": 6, "max": 10, "tolerances": { "le100": 0.30, "100_180": 0.35, "180_350": 0.45, "350_600": 0.55 } },
+            { "min": 10, "max": 18, "tolerances": { "le100": 0.35, "100_180": 0.40, "180_350": 0.50, "350_600": 0.60 } },
+            { "min": 18, "max": 30, "tolerances": { "le100": 0.40, "100_180": 0.45, "180_350": 0.60, "350_600": 0.70 } },
+            { "min": 30, "max": 50, "tolerances": { "le100": 0.50, "100_180": 0.60, "180_350": 0.70, "350_600": 0.80 } },
+            { "min": 50, "max": 80, "tolerances": { "le100": 0.70, "100_180": 0.80, "180_350": 0.90, "350_600": 1.00 } },
+            { "min": 80, "max": 120, "tolerances": { "le100": null, "100_180": 1.00, "180_350": 1.10, "350_600": 1.20 } },
+            { "min": 120, "max": 180, "tolerances": { "le100": null, "100_180": null, "180_350": 1.30, "350_600": 1.40 } },
+            { "min": 180, "max": 240, "tolerances": { "le100": null, "100_180": null, "180_350": 1.50, "350_600": 1.60 } }
+        ]
+    },
+    G2: {
+        "CD_Keys": ["le100", "100_180", "180_350", "350_600"],
+        "Data": [
+            { "min": 2, "max": 6, "tolerances": { "le100": 0.30, "100_180": 0.40, "180_350": 0.50, "350_600": null } },
+            { "min": 6, "max": 10, "tolerances": { "le100": 0.40, "100_180": 0.45, "180_350": 0.55, "350_600": 0.65 } },
+            { "min": 10, "max": 18, "tolerances": { "le100": 0.45, "100_180": 0.50, "180_350": 0.60, "350_600": 0.70 } },
+            { "min": 18, "max": 30, "tolerances": { "le100": 0.50, "100_180": 0.60, "180_350": 0.70, "350_600": 0.80 } },
+            { "min": 30, "max": 50, "tolerances": { "le100": 0.60, "100_180": 0.70, "180_350": 0.80, "350_600": 0.90 } },
+            { "min": 50, "max": 80, "tolerances": { "le100": 0.90, "100_180": 1.00, "180_350": 1.10, "350_600": 1.20 } },
+            { "min": 80, "max": 120, "tolerances": { "le100": null, "100_180": 1.30, "180_350": 1.40, "350_600": 1.50 } },
+            { "min": 120, "max": 180, "tolerances": { "le100": null, "100_180": null, "180_350": 1.60, "350_600": 1.70 } },
+            { "min": 180, "max": 240, "tolerances": { "le100": null, "100_180": null, "180_350": 1.80, "350_600": 1.90 } }
+        ]
+    }
+};
+
+// Tube wall: share of the nominal wall thickness with an absolute minimum band
+const tubeWall = (relative, minimum) => ({
+    "Data": [{ "min": 0, "max": 100, "relative": relative, "minimum": minimum }]
+});
+
+const BAR_CLASSES = [{ id: 'D', name: 'D', table: 'Diameter' }];
+
+export const EN_755_3 = {
+    id: '755-3',
+    name: "755-3 YUVARLAK DOLU",
+    title: 'EN 755-3',
+    groups: GROUPS,
+    classes: BAR_CLASSES,
+    tables: { G1: { Diameter: BAR_DIAMETER.G1 }, G2: { Diameter: BAR_DIAMETER.G2 } }
+};
+
+export const EN_755_4 = {
+    id: '755-4',
+    name: "755-4 KARE DOLU",
+    title: 'EN 755-4',
+    groups: GROUPS,
+    classes: [{ id: 'S', name: 'S', table: 'Across_Flats' }],
+    tables: { G1: { Across_Flats: BAR_DIAMETER.G1 }, G2: { Across_Flats: BAR_DIAMETER.G2 } }
+};
+
+export const EN_755_5 = {
+    id: '755-5',
+    name: "755-5 DİKDÖRTGEN DOLU",
+    title: 'EN 755-5',
+    groups: GROUPS,
+    column: { label: 'W' },
+    classes: [
+        { id: 'W', name: 'W', table: 'Width' },
+        { id: 'T', name: 'T', table: 'Thickness', field: 'tolerances', accent: 'purple' }
+    ],
+    tables: {
+        G1: { Width: RECT_WIDTH.G1, Thickness: RECT_THICKNESS.G1 },
+        G2: { Width: RECT_WIDTH.G2, Thickness: RECT_THICKNESS.G2 }
+    }
+};
+
+export const EN_755_6 = {
+    id: '755-6',
+    name: "755-6 ALTIKÖŞE DOLU",
+    title: 'EN 755-6',
+    groups: GROUPS,
+    classes: [{ id: 'S', name: 'S', table: 'Across_Flats' }],
+    tables: { G1: { Across_Flats: BAR_DIAMETER.G1 }, G2: { Across_Flats: BAR_DIAMETER.G2 } }
+};
+
+export const EN_755_7 = {
+    id: '755-7',
+    name: "755-7 DİKİŞSİZ BORU",
+    title: 'EN 755-7',
+    groups: GROUPS,
+    classes: [
+        { id: 'D', name: 'D', table: 'Diameter' },
+        { id: 'T', name: 'T', table: 'Wall', accent: 'purple' }
+    ],
+    tables: {
+        G1: { Diameter: BAR_DIAMETER.G1 },
+        G2: { Diameter: BAR_DIAMETER.G2 },
+        Wall: tubeWall(0.08, 0.10)
+    }
+};
+
+export const EN_755_8 = {
+    id: '755-8',
+    name: "755-8 BORU",
+    title: 'EN 755-8',
+    groups: GROUPS,
+    classes: [
+        { id: 'D', name: 'D', table: 'Diameter' },
+        { id: 'T', name: 'T', table: 'Wall', accent: 'purple' }
+    ],
+    tables: {
+        G1: { Diameter: BAR_DIAMETER.G1 },
+        G2: { Diameter: BAR_DIAMETER.G2 },
+        Wall: tubeWall(0.10, 0.15)
+    }
+};
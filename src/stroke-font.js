@@ -0,0 +1,198 @@
+// Yerleşik çizgi (stroke) fontu: TXT.SHX benzeri tek çizgili CAD yazısı.
+// Glyphs are drawn on a grid with the cap height at 6 units, the baseline at 0
+// and descenders down to -2; most characters sit in a 0..4 box with an advance of 6.
+// Path syntax: "M x y L x y ..." - every M starts a new polyline.
+//
+// A font is any object with { capHeight, descent, glyph(char) -> { advance, right, strokes } | null };
+// the text layout (text-layout.js) only relies on that shape.
+
+const GLYPHS = {
+    ' ': [6, ''],
+    '\u00A0': [6, ''], // no-break space (MTEXT \~)
+    '!': [3, 'M1 6L1 2M1 0.5L1 0'],
+    '"': [5, 'M1 6L1 5M3 6L3 5'],
+    '#': 'M1 0L1 6M3 0L3 6M0 2L4 2M0 4L4 4',
+    '$': 'M4 5L3 6L1 6L0 5L0 4L1 3L3 3L4 2L4 1L3 0L1 0L0 1M2 7L2 -1',
+    '%': 'M0 0L4 6M0 6L0 5L1 5L1 6L0 6M3 1L3 0L4 0L4 1L3 1',
+    '&': 'M4 0L1 5L2 6L3 5L0 2L0 1L1 0L2 0L4 2',
+    '\'': [3, 'M1 6L1 5'],
+    '(': [4, 'M2 7L1 5.5L1 0.5L2 -1'],
+    ')': [4, 'M0 7L1 5.5L1 0.5L0 -1'],
+    '*': 'M2 5L2 1M0 4L4 2M0 2L4 4',
+    '+': 'M2 5L2 1M0 3L4 3',
+    ',': [3, 'M1 0.5L1 0L0 -1'],
+    '-': 'M0 3L4 3',
+    '.': [3, 'M1 0.5L1 0'],
+    '/': 'M0 0L4 6',
+    ':': [3, 'M1 4L1 3.5M1 0.5L1 0'],
+    ';': [3, 'M1 4L1 3.5M1 0.5L1 0L0 -1'],
+    '<': 'M4 5L0 3L4 1',
+    '=': 'M0 4L4 4M0 2L4 2',
+    '>': 'M0 5L4 3L0 1',
+    '?': 'M0 5L1 6L3 6L4 5L4 4L2 3L2 2M2 0.5L2 0',
+    '@': 'M3 2L3 4L1 4L1 2L4 2L4 5L3 6L1 6L0 5L0 1L1 0L4 0',
+    '[': [4, 'M2 7L1 7L1 -1L2 -1'],
+    '\\': 'M0 6L4 0',
+    ']': [4, 'M0 7L1 7L1 -1L0 -1'],
+    '^': 'M0 4L2 6L4 4',
+    '_': 'M0 -1L4 -1',
+    '`': [4, 'M1 6L2 5'],
+    '{': [4, 'M2 7L1 6L1 4L0 3L1 2L1 0L2 -1'],
+    '|': [3, 'M1 7L1 -1'],
+    '}': [4, 'M0 7L1 6L1 4L2 3L1 2L1 0L0 -1'],
+    '~': 'M0 3L1 4L3 3L4 4',
+
+    '0': 'M1 0L0 1L0 5L1 6L3 6L4 5L4 1L3 0L1 0M0 1L4 5',
+    '1': 'M1 5L2 6L2 0M1 0L3 0',
+    '2': 'M0 5L1 6L3 6L4 5L4 4L0 0L4 0',
+    '3': 'M0 5L1 6L3 6L4 5L4 4L3 3L4 2L4 1L3 0L1 0L0 1M1 3L3 3',
+    '4': 'M3 0L3 6L0 2L4 2',
+    '5': 'M4 6L0 6L0 3L3 3L4 2L4 1L3 0L1 0L0 1',
+    '6': 'M3 6L1 6L0 5L0 1L1 0L3 0L4 1L4 2L3 3L0 3',
+    '7': 'M0 6L4 6L1 0',
+    '8': 'M1 3L0 4L0 5L1 6L3 6L4 5L4 4L3 3L1 3L0 2L0 1L1 0L3 0L4 1L4 2L3 3',
+    '9': 'M4 3L1 3L0 4L0 5L1 6L3 6L4 5L4 1L3 0L1 0',
+
+    'A': 'M0 0L2 6L4 0M0.7 2L3.3 2',
+    'B': 'M0 0L0 6L3 6L4 5L4 4L3 3L0 3M3 3L4 2L4 1L3 0L0 0',
+    'C': 'M4 5L3 6L1 6L0 5L0 1L1 0L3 0L4 1',
+    'D': 'M0 0L0 6L3 6L4 5L4 1L3 0L0 0',
+    'E': 'M4 6L0 6L0 0L4 0M0 3L3 3',
+    'F': 'M4 6L0 6L0 0M0 3L3 3',
+    'G': 'M4 5L3 6L1 6L0 5L0 1L1 0L3 0L4 1L4 3L2 3',
+    'H': 'M0 0L0 6M4 0L4 6M0 3L4 3',
+    'I': 'M1 6L3 6M2 6L2 0M1 0L3 0',
+    'J': 'M4 6L4 1L3 0L1 0L0 1',
+    'K': 'M0 0L0 6M4 6L0 2M1 3L4 0',
+    'L': 'M0 6L0 0L4 0',
+    'M': 'M0 0L0 6L2 3L4 6L4 0',
+    'N': 'M0 0L0 6L4 0L4 6',
+    'O': 'M1 0L0 1L0 5L1 6L3 6L4 5L4 1L3 0L1 0',
+    'P': 'M0 0L0 6L3 6L4 5L4 4L3 3L0 3',
+    'Q': 'M1 0L0 1L0 5L1 6L3 6L4 5L4 1L3 0L1 0M2 2L4 0',
+    'R': 'M0 0L0 6L3 6L4 5L4 4L3 3L0 3M2 3L4 0',
+    'S': 'M4 5L3 6L1 6L0 5L0 4L1 3L3 3L4 2L4 1L3 0L1 0L0 1',
+    'T': 'M0 6L4 6M2 6L2 0',
+    'U': 'M0 6L0 1L1 0L3 0L4 1L4 6',
+    'V': 'M0 6L2 0L4 6',
+    'W': 'M0 6L1 0L2 4L3 0L4 6',
+    'X': 'M0 0L4 6M0 6L4 0',
+    'Y': 'M0 6L2 3L4 6M2 3L2 0',
+    'Z': 'M0 6L4 6L0 0L4 0',
+
+    'a': 'M1 4L3 4L4 3L4 0M4 2L1 2L0 1L1 0L3 0L4 1',
+    'b': 'M0 6L0 0M0 3L1 4L3 4L4 3L4 1L3 0L1 0L0 1',
+    'c': 'M4 3L3 4L1 4L0 3L0 1L1 0L3 0L4 1',
+    'd': 'M4 6L4 0M4 3L3 4L1 4L0 3L0 1L1 0L3 0L4 1',
+    'e': 'M0 2L4 2L4 3L3 4L1 4L0 3L0 1L1 0L3 0L4 1',
+    'f': [5, 'M3 6L2 6L1 5L1 0M0 4L3 4'],
+    'g': 'M4 4L4 -1L3 -2L1 -2L0 -1M4 3L3 4L1 4L0 3L0 1L1 0L3 0L4 1',
+    'h': 'M0 6L0 0M0 3L1 4L3 4L4 3L4 0',
+    'i': [3, 'M1 4L1 0M1 5.5L1 6'],
+    'j': [4, 'M2 4L2 -1L1 -2L0 -2M2 5.5L2 6'],
+    'k': [5, 'M0 6L0 0M3 4L0 1M1 2L3 0'],
+    'l': [3, 'M1 6L1 0'],
+    'm': 'M0 4L0 0M0 3L1 4L2 3L2 0M2 3L3 4L4 3L4 0',
+    'n': 'M0 4L0 0M0 3L1 4L3 4L4 3L4 0',
+    'o': 'M1 0L0 1L0 3L1 4L3 4L4 3L4 1L3 0L1 0',
+    'p': 'M0 4L0 -2M0 3L1 4L3 4L4 3L4 1L3 0L1 0L0 1',
+    'q': 'M4 4L4 -2M4 3L3 4L1 4L0 3L0 1L1 0L3 0L4 1',
+    'r': [5, 'M0 4L0 0M0 3L1 4L3 4'],
+    's': 'M4 3L3 4L1 4L0 3L1 2L3 2L4 1L3 0L1 0L0 1',
+    't': [5, 'M1 6L1 1L2 0L3 0M0 4L3 4'],
+    'u': 'M0 4L0 1L1 0L3 0L4 1M4 4L4 0',
+    'v': 'M0 4L2 0L4 4',
+    'w': 'M0 4L1 0L2 3L3 0L4 4',
+    'x': 'M0 0L4 4M0 4L4 0',
+    'y': 'M0 4L2 0M4 4L2 0L1 -2',
+    'z': 'M0 4L4 4L0 0L4 0',
+    '\u0131': [3, 'M1 4L1 0'], // ı
+
+    // Çizim sembolleri (%%d, %%p, %%c) ve birimler
+    '\u00B0': [4, 'M1 6L2 6L2.5 5.5L2 5L1 5L0.5 5.5L1 6'], // °
+    '\u00B1': 'M2 5L2 1M0 3L4 3M0 0L4 0', // ±
+    '\u2300': 'M1 0L0 1L0 5L1 6L3 6L4 5L4 1L3 0L1 0M-0.5 -0.5L4.5 6.5', // ⌀
+    '\u00D7': 'M0.5 1.5L3.5 4.5M0.5 4.5L3.5 1.5', // ×
+    '\u00B5': 'M0 4L0 -2M0 1L1 0L3 0L4 1M4 4L4 0', // µ
+    '\u00B2': [4, 'M0.5 5.5L1 6L2 6L2.5 5.5L2.5 5L0.5 3.5L2.5 3.5'], // ²
+    '\u00B3': [4, 'M0.5 6L2.5 6L1.5 5L2.5 4.5L2.5 4L2 3.5L1 3.5L0.5 4'] // ³
+};
+GLYPHS['\u2205'] = GLYPHS['\u2300']; // ∅, used by some drawings for the diameter sign
+GLYPHS['\u00D8'] = GLYPHS['\u2300']; // Ø
+
+// Aksanlı harfler: base glyph + mark (marks are drawn for a 0..4 box, dx shifts them)
+const MARKS = {
+    cedilla: 'M2 0L2.5 -0.8L1.5 -1.5',
+    breve: ['M1 7.5L1.5 7L2.5 7L3 7.5', 'M1 5.5L1.5 5L2.5 5L3 5.5'],
+    diaeresis: ['M1 7L1 7.5M3 7L3 7.5', 'M1 5L1 5.5M3 5L3 5.5'],
+    dot: ['M2 7L2 7.5', 'M2 5.5L2 6'],
+    circumflex: ['M1 7L2 8L3 7', 'M1 5L2 6L3 5'],
+    acute: ['M1.5 7L2.5 8', 'M1.5 5L2.5 6'],
+    grave: ['M1.5 8L2.5 7', 'M1.5 6L2.5 5']
+};
+
+const COMPOSED = {
+    '\u00C7': ['C', 'cedilla'], '\u00E7': ['c', 'cedilla'], // Ç ç
+    '\u015E': ['S', 'cedilla'], '\u015F': ['s', 'cedilla'], // Ş ş
+    '\u011E': ['G', 'breve'], '\u011F': ['g', 'breve'], // Ğ ğ
+    '\u00D6': ['O', 'diaeresis'], '\u00F6': ['o', 'diaeresis'], // Ö ö
+    '\u00DC': ['U', 'diaeresis'], '\u00FC': ['u', 'diaeresis'], // Ü ü
+    '\u00C4': ['A', 'diaeresis'], '\u00E4': ['a', 'diaeresis'], // Ä ä
+    '\u0130': ['I', 'dot'], // İ
+    '\u00C2': ['A', 'circumflex'], '\u00E2': ['a', 'circumflex'], // Â â
+    '\u00CE': ['I', 'circumflex'], '\u00EE': ['\u0131', 'circumflex', -1], // Î î
+    '\u00DB': ['U', 'circumflex'], '\u00FB': ['u', 'circumflex'], // Û û
+    '\u00C9': ['E', 'acute'], '\u00E9': ['e', 'acute'], // É é
+    '\u00C8': ['E', 'grave'], '\u00E8': ['e', 'grave'] // È è
+};
+
+function parsePath(path, dx = 0) {
+    return path.split('M').filter(Boolean).map(stroke => {
+        const points = [];
+        stroke.split('L').forEach(pair => {
+            const [x, y] = pair.trim().split(/\s+/).map(Number);
+            points.push(x + dx, y);
+        });
+        return points;
+    });
+}
+
+function createGlyph(advance, strokes) {
+    let right = 0;
+    strokes.forEach(points => {
+        for (let i = 0; i < points.length; i += 2) right = Math.max(right, points[i]);
+    });
+    // Spaces have no strokes; they still occupy their advance
+    return { advance, right: strokes.length ? right : advance, strokes };
+}
+
+function buildGlyph(char) {
+    const def = GLYPHS[char];
+    if (def !== undefined) {
+        const [advance, path] = typeof def === 'string' ? [6, def] : def;
+        return createGlyph(advance, parsePath(path));
+    }
+
+    const composed = COMPOSED[char];
+    if (composed) {
+        const [baseChar, markName, dx = 0] = composed;
+        const base = buildGlyph(baseChar);
+        const mark = MARKS[markName];
+        const isLower = baseChar === baseChar.toLowerCase();
+        const markPath = Array.isArray(mark) ? mark[isLower ? 1 : 0] : mark;
+        return createGlyph(base.advance, [...base.strokes, ...parsePath(markPath, dx)]);
+    }
+    return null;
+}
+
+const cache = new Map();
+
+export const BUILTIN_FONT = {
+    name: 'builtin',
+    capHeight: 6,
+    descent: 2,
+    glyph(char) {
+        if (!cache.has(char)) cache.set(char, buildGlyph(char));
+        return cache.get(char);
+    }
+};
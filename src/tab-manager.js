@@ -38,6 +38,7 @@ export class TabManager {
         // Hide viewer content if any (though usually empty if we are here)
         if (this.viewer && this.viewer.dxfGroup) {
             this.viewer.dxfGroup.visible = false;
+            this.viewer.requestRender();
         }
 
         this.activeTabId = null;
@@ -48,6 +49,11 @@ export class TabManager {
         if (this.app && this.app.updateStatus) {
             this.app.updateStatus("Welcome");
         }
+
+        // Offer to reopen the tabs of the previous session (first start only)
+        if (this.app && this.app.sessionManager) {
+            this.app.sessionManager.offerRestore();
+        }
     }
 
     hideStartPage() {
@@ -129,7 +135,11 @@ export class TabManager {
             },
             history: [], // Command history for undo/redo (could be more complex)
             historyIndex: -1,
-            isModified: false
+            layerStates: new Map(), // Layer name -> { visible, frozen, locked, color, lineType }
+            layerStateSets: new Map(), // Named layer states
+            layerIsolation: null,
+            isModified: false,
+            loading: null // { progress: 0..1, onCancel } while the file is being read/parsed
         };
 
         this.tabs.push(tabState);
@@ -185,6 +195,8 @@ export class TabManager {
 
         // Dispose resources for this tab (meshes, materials)
         const tab = this.tabs[index];
+        // Closing a tab that is still loading cancels the load
+        if (tab.loading && tab.loading.onCancel) tab.loading.onCancel();
         this.disposeGroup(tab.dxfGroup);
 
         // If closing active tab, switch to another
@@ -207,15 +219,20 @@ export class TabManager {
                 if (this.viewer && this.viewer.scene && this.viewer.dxfGroup) {
                     this.viewer.scene.remove(this.viewer.dxfGroup);
                     this.viewer.dxfGroup = null;
+                    this.viewer.requestRender();
                 }
                 this.renderTabBar();
                 this.showStartPage();
+                if (this.app && this.app.blockManager) this.app.blockManager.update();
+                if (this.app && this.app.updateLayersPanel) this.app.updateLayersPanel(null);
             }
         } else {
             // Closing inactive tab
             this.tabs.splice(index, 1);
             this.renderTabBar();
         }
+
+        if (this.app && this.app.sessionManager) this.app.sessionManager.scheduleSave();
     }
 
     switchToTab(id) {
@@ -251,6 +268,7 @@ export class TabManager {
         this.viewer.dxfGroup = newTab.dxfGroup;
         this.viewer.dxfGroup.visible = true; // Ensure visible
         this.viewer.scene.add(this.viewer.dxfGroup);
+        this.app.layerStates = newTab.layerStates;
 
         // Restore Measurements
         if (this.app.measurementManager) {
@@ -267,6 +285,7 @@ export class TabManager {
 
         // Update projection matrix
         this.viewer.camera.updateProjectionMatrix();
+        this.viewer.requestRender();
 
         // 4. Update UI
         this.renderTabBar();
@@ -275,12 +294,18 @@ export class TabManager {
         if (this.app.clearSelection) {
             this.app.clearSelection();
         }
+        if (this.app.blockManager) this.app.blockManager.update();
+        if (this.app.updateLayersPanel) this.app.updateLayersPanel(newTab.dxfGroup);
+        // Fonts added or remapped while this tab was in the background
+        if (this.app.fontManager) this.app.fontManager.refreshActiveTab();
 
         // Trigger status update
         if (this.app.updateStatus) {
             this.app.updateStatus(`Switched to ${newTab.name}`);
         }
 
+        if (this.app.sessionManager) this.app.sessionManager.scheduleSave();
+
         // Cancel any active placement/weight manager operations to Isolate Tab Context
         if (this.app.weightManager) {
             // Cancel persistent selection mode (if active)
@@ -323,13 +348,31 @@ export class TabManager {
         }
     }
 
+    // loading: { onCancel } to show progress and a cancel button, null when done
+    setTabLoading(id, loading) {
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab) return;
+        tab.loading = loading ? { progress: 0, ...loading } : null;
+        this.renderTabBar();
+    }
+
+    // Updates the progress bar in place (no tab bar rebuild per progress event)
+    updateTabProgress(id, progress) {
+        const tab = this.tabs.find(t => t.id === id);
+        if (!tab || !tab.loading) return;
+        tab.loading.progress = progress;
+        const bar = this.tabBar && this.tabBar.querySelector(`[data-tab-progress="${id}"]`);
+        if (bar) bar.style.width = `${Math.round(progress * 100)}%`;
+    }
+
     renderTabBar() {
         if (!this.tabBar) return;
         this.tabBar.innerHTML = '';
+        const t = (key) => this.app && this.app.languageManager ? this.app.languageManager.translate(key) : key;
 
         this.tabs.forEach(tab => {
             const el = document.createElement('div');
-            el.className = `tab-item ${tab.id === this.activeTabId ? 'active' : ''}`;
+            el.className = `tab-item ${tab.id === this.activeTabId ? 'active' : ''} ${tab.loading ? 'loading' : ''}`;
 
             const title = document.createElement('span');
             title.className = 'tab-title';
@@ -338,7 +381,13 @@ export class TabManager {
 
             const close = document.createElement('button');
             close.className = 'tab-close';
-            close.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+            if (tab.loading) {
+                // Stop icon: cancels the load (and closes the tab)
+                close.title = t('loadCancel');
+                close.innerHTML = `<svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor"><rect x="5" y="5" width="14" height="14" rx="2"></rect></svg>`;
+            } else {
+                close.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+            }
             close.onclick = (e) => {
                 e.stopPropagation();
                 this.closeTab(tab.id);
@@ -346,6 +395,15 @@ export class TabManager {
 
             el.appendChild(title);
             el.appendChild(close);
+
+            if (tab.loading) {
+                const bar = document.createElement('div');
+                bar.className = 'tab-progress';
+                bar.dataset.tabProgress = tab.id;
+                bar.style.width = `${Math.round(tab.loading.progress * 100)}%`;
+                el.appendChild(bar);
+            }
+
             this.tabBar.appendChild(el);
         });
 
@@ -360,6 +418,8 @@ export class TabManager {
     }
 
     disposeGroup(group) {
+        if (this.viewer && this.viewer.batcher) this.viewer.batcher.release(group);
+
         // Recursive dispose
         group.traverse(child => {
             if (child.geometry) child.geometry.dispose();
@@ -0,0 +1,438 @@
+// DXF TEXT / MTEXT yerleşimi.
+// parseText() splits the raw string into paragraphs of styled characters and stacked
+// fractions (MTEXT inline codes, %% control codes, \U+ escapes). layoutText() and
+// layoutMText() place them - style width factor and oblique angle, 72/73 justification,
+// MTEXT wrapping width and attachment point - and return stroke geometry relative to
+// the text's anchor point:
+//   { segments: Map<colorKey, number[]>, width, height }
+// Every four numbers of a list are one segment (x1, y1, x2, y2). colorKey is '' for the
+// entity colour, 'aci:<n>' / 'rgb:<0xRRGGBB>' for runs coloured with \C / \c.
+import { BUILTIN_FONT } from './stroke-font.js';
+
+const LINE_SPACING = 5 / 3;  // MTEXT baseline distance, × line height
+const STACK_SCALE = 0.7;     // size of \S parts
+const ITALIC_ANGLE = 15;     // \f...|i1; stroke fonts have no italic face
+
+const SPECIAL_CODES = { d: '\u00B0', p: '\u00B1', c: '\u2300', '%': '%' }; // ° ± ⌀
+const PARAGRAPH_ALIGN = { l: 0, c: 0.5, r: 1, j: 0, d: 0 };
+
+const initialState = (base) => ({
+    font: base.font || null, // STYLE font file or \f / \F name; resolved through options.getFont
+    bold: false,
+    italic: false,
+    height: base.height || 1,
+    widthFactor: base.widthFactor || 1,
+    oblique: base.oblique || 0,
+    tracking: 1,
+    color: '',
+    underline: false,
+    overline: false,
+    strike: false
+});
+
+// \H2.5; -> 2.5, \H0.7x; -> current × 0.7
+const scaled = (arg, current) => {
+    const value = parseFloat(arg);
+    if (!isFinite(value) || value <= 0) return current;
+    return /x\s*$/i.test(arg) ? current * value : value;
+};
+
+/**
+ * @param {string} raw - TEXT or MTEXT string
+ * @param {{font?, height?, widthFactor?, oblique?}} base - style of the entity
+ * @param {boolean} mtext - interpret MTEXT codes (\P, \f, \H, \S, {...})
+ * @returns {Array<{align: number|null, items: Array}>} items are
+ *   { type: 'char', ch, state } or { type: 'stack', upper, lower, kind, state }
+ */
+export function parseText(raw, base = {}, mtext = true) {
+    const paragraphs = [];
+    let align = null; // \pxq?; - kept for the following paragraphs as well
+    let items = [];
+    let state = initialState(base);
+    const saved = [];
+
+    const set = (changes) => { state = { ...state, ...changes }; };
+    const pushChar = (ch) => items.push({ type: 'char', ch, state });
+    const endParagraph = () => {
+        paragraphs.push({ align, items });
+        items = [];
+    };
+
+    const applyCode = (code, arg) => {
+        switch (code) {
+            case 'f':
+            case 'F': {
+                const [name, ...flags] = arg.split('|');
+                set({ font: name.trim() || state.font, bold: flags.includes('b1'), italic: flags.includes('i1') });
+                break;
+            }
+            case 'H': set({ height: scaled(arg, state.height) }); break;
+            case 'W': set({ widthFactor: scaled(arg, state.widthFactor) }); break;
+            case 'T': set({ tracking: scaled(arg, state.tracking) }); break;
+            case 'Q': set({ oblique: parseFloat(arg) || 0 }); break;
+            case 'C': {
+                // 0 = BYBLOCK, 256 = BYLAYER: both mean the entity colour here
+                const aci = parseInt(arg, 10);
+                set({ color: aci > 0 && aci < 256 ? `aci:${aci}` : '' });
+                break;
+            }
+            case 'c': {
+                // True colour is stored as 0xBBGGRR
+                const value = parseInt(arg, 10) || 0;
+                set({ color: `rgb:${((value & 0xFF) << 16) | (value & 0xFF00) | ((value >> 16) & 0xFF)}` });
+                break;
+            }
+            case 'p': {
+                const match = /q([lrcjd])/.exec(arg);
+                if (match) align = PARAGRAPH_ALIGN[match[1]];
+                break;
+            }
+            case 'S': {
+                const match = /^(.*?)([\^/#])(.*)$/.exec(arg);
+                if (!match) {
+                    [...arg].forEach(pushChar);
+                    break;
+                }
+                items.push({ type: 'stack', upper: plainText(match[1], false), lower: plainText(match[3], false), kind: match[2], state });
+                break;
+            }
+            // \A (vertical alignment inside the line) is not needed for stroke text
+        }
+    };
+
+    const text = String(raw ?? '');
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+
+        // %%d %%p %%c %%% %%nnn and the %%u / %%o / %%k toggles (TEXT and MTEXT)
+        if (c === '%' && text[i + 1] === '%' && i + 2 < text.length) {
+            const code = text[i + 2].toLowerCase();
+            const digits = /^\d{3}/.exec(text.slice(i + 2));
+            if (SPECIAL_CODES[code]) pushChar(SPECIAL_CODES[code]);
+            else if (code === 'u') set({ underline: !state.underline });
+            else if (code === 'o') set({ overline: !state.overline });
+            else if (code === 'k') set({ strike: !state.strike });
+            else if (digits) {
+                pushChar(String.fromCharCode(parseInt(digits[0], 10)));
+                i += 2;
+            } else {
+                pushChar(c);
+                i++;
+                continue;
+            }
+            i += 3;
+            continue;
+        }
+
+        if (c === '\\' && text[i + 1] === 'U' && text[i + 2] === '+') {
+            const hex = /^[0-9A-Fa-f]{4}/.exec(text.slice(i + 3));
+            if (hex) {
+                pushChar(String.fromCharCode(parseInt(hex[0], 16)));
+                i += 7;
+                continue;
+            }
+        }
+
+        if (!mtext) {
+            pushChar(c);
+            i++;
+            continue;
+        }
+
+        if (c === '{') {
+            saved.push(state);
+            i++;
+            continue;
+        }
+        if (c === '}') {
+            if (saved.length) state = saved.pop();
+            i++;
+            continue;
+        }
+        // Caret notation: ^I tab, ^J / ^M line break
+        if (c === '^' && /[IJM]/.test(text[i + 1] || '')) {
+            if (text[i + 1] === 'I') pushChar(' ');
+            else endParagraph();
+            i += 2;
+            continue;
+        }
+        if (c !== '\\' || i + 1 >= text.length) {
+            pushChar(c);
+            i++;
+            continue;
+        }
+
+        const code = text[i + 1];
+        i += 2;
+        switch (code) {
+            case 'P':
+            case 'X': // dimension text: above / below the line
+            case 'N': // column break
+                endParagraph();
+                break;
+            case '~': pushChar('\u00A0'); break; // no-break space
+            case '\\':
+            case '{':
+            case '}':
+                pushChar(code);
+                break;
+            case 'L': set({ underline: true }); break;
+            case 'l': set({ underline: false }); break;
+            case 'O': set({ overline: true }); break;
+            case 'o': set({ overline: false }); break;
+            case 'K': set({ strike: true }); break;
+            case 'k': set({ strike: false }); break;
+            default: {
+                if (!'fFHWTQCcpSA'.includes(code)) {
+                    pushChar(code);
+                    break;
+                }
+                let end = text.indexOf(';', i);
+                if (end < 0) end = text.length;
+                applyCode(code, text.slice(i, end));
+                i = end + 1;
+            }
+        }
+    }
+    endParagraph();
+    return paragraphs;
+}
+
+// Text without formatting (labels, search); paragraphs are joined with a space
+export function plainText(raw, mtext = true) {
+    return parseText(raw, {}, mtext)
+        .map(paragraph => paragraph.items.map(item => item.type === 'stack' ? `${item.upper}/${item.lower}` : item.ch).join(''))
+        .join(' ')
+        .replace(/\u00A0/g, ' ')
+        .trim();
+}
+
+// --- Measuring ---
+
+function resolveFont(state, options) {
+    return (options.getFont && options.getFont(state.font)) || BUILTIN_FONT;
+}
+
+function measureChar(ch, state, options, scale = 1) {
+    let font = resolveFont(state, options);
+    let glyph = font.glyph(ch);
+    // Characters the font lacks come from the built-in font, at its own scale
+    if (!glyph) {
+        font = BUILTIN_FONT;
+        glyph = font.glyph(ch) || font.glyph('?');
+    }
+    const size = state.height * scale / font.capHeight; // drawing units per font unit
+    const sx = size * state.widthFactor;
+    return {
+        glyph,
+        size,
+        sx,
+        advance: glyph.advance * sx * state.tracking,
+        right: glyph.right * sx,
+        space: ch === ' '
+    };
+}
+
+function measureString(str, state, options, scale) {
+    let x = 0;
+    let width = 0;
+    const chars = [...str].map(ch => {
+        const m = measureChar(ch, state, options, scale);
+        m.x = x;
+        if (!m.space) width = Math.max(width, x + m.right);
+        x += m.advance;
+        return m;
+    });
+    return { chars, width };
+}
+
+function measureStack(item, options) {
+    const { state } = item;
+    const upper = measureString(item.upper, state, options, STACK_SCALE);
+    const lower = measureString(item.lower, state, options, STACK_SCALE);
+    const spacing = state.height * state.widthFactor / 3;
+    const slant = state.height * 0.4; // '#' diagonal
+    const width = item.kind === '#'
+        ? upper.width + slant + lower.width
+        : Math.max(upper.width, lower.width);
+    return { item, upper, lower, slant, advance: width + spacing, right: width, space: false, height: state.height };
+}
+
+function measureItems(items, options) {
+    return items.map(item => {
+        if (item.type === 'stack') return measureStack(item, options);
+        return { item, ...measureChar(item.ch, item.state, options), height: item.state.height };
+    });
+}
+
+function wrapParagraph(pieces, width) {
+    const lines = [];
+    let line = [];
+    let x = 0;
+    let breakAt = -1;
+    for (const piece of pieces) {
+        if (width > 0 && !piece.space && breakAt >= 0 && x + piece.right > width) {
+            lines.push(line.slice(0, breakAt));
+            line = line.slice(breakAt + 1);
+            x = line.reduce((sum, p) => sum + p.advance, 0);
+            breakAt = -1;
+        }
+        // Wrapped lines don't start with the spaces they were broken at
+        if (piece.space && !line.length && lines.length) continue;
+        if (piece.space) breakAt = line.length;
+        line.push(piece);
+        x += piece.advance;
+    }
+    lines.push(line);
+    return lines;
+}
+
+function measureLine(pieces, fallbackHeight) {
+    let x = 0;
+    let width = 0;
+    let height = 0;
+    pieces.forEach(piece => {
+        piece.x = x;
+        if (!piece.space) width = Math.max(width, x + piece.right);
+        x += piece.advance;
+        height = Math.max(height, piece.height);
+    });
+    return { pieces, width, height: height || fallbackHeight };
+}
+
+// --- Drawing ---
+
+function segmentList(out, key) {
+    if (!out.has(key)) out.set(key, []);
+    return out.get(key);
+}
+
+function drawGlyph(out, m, state, x, y) {
+    if (!m.glyph.strokes.length) return;
+    const tan = Math.tan((state.oblique + (state.italic ? ITALIC_ANGLE : 0)) * Math.PI / 180);
+    const list = segmentList(out, state.color);
+    const px = (gx, gy) => x + gx * m.sx + gy * m.size * tan;
+    for (const points of m.glyph.strokes) {
+        for (let i = 2; i < points.length; i += 2) {
+            list.push(
+                px(points[i - 2], points[i - 1]), y + points[i - 1] * m.size,
+                px(points[i], points[i + 1]), y + points[i + 1] * m.size
+            );
+        }
+    }
+}
+
+function drawStack(out, piece, x, y) {
+    const { item, upper, lower } = piece;
+    const { state } = item;
+    const h = state.height;
+    const drawPart = (part, px, py) => part.chars.forEach(m => drawGlyph(out, m, state, px + m.x, py));
+
+    if (item.kind === '#') {
+        // Diagonal fraction: upper raised, slash, lower on the baseline
+        drawPart(upper, x, y + h * 0.4);
+        const sx = x + upper.width;
+        segmentList(out, state.color).push(sx, y - h * 0.1, sx + piece.slant, y + h * 1.1);
+        drawPart(lower, sx + piece.slant, y);
+        return;
+    }
+    // '/' centres both parts over a bar, '^' (tolerances) left-aligns them without one
+    const center = item.kind === '/';
+    drawPart(upper, x + (center ? (piece.right - upper.width) / 2 : 0), y + h * 0.6);
+    drawPart(lower, x + (center ? (piece.right - lower.width) / 2 : 0), y - h * 0.3);
+    if (center) segmentList(out, state.color).push(x, y + h * 0.5, x + piece.right, y + h * 0.5);
+}
+
+function drawLine(out, line, x0, y) {
+    for (const piece of line.pieces) {
+        const x = x0 + piece.x;
+        const { state } = piece.item;
+        if (piece.item.type === 'stack') drawStack(out, piece, x, y);
+        else drawGlyph(out, piece, state, x, y);
+
+        const h = state.height;
+        const list = (state.underline || state.overline || state.strike) ? segmentList(out, state.color) : null;
+        if (state.underline) list.push(x, y - h * 0.2, x + piece.advance, y - h * 0.2);
+        if (state.overline) list.push(x, y + h * 1.2, x + piece.advance, y + h * 1.2);
+        if (state.strike) list.push(x, y + h * 0.5, x + piece.advance, y + h * 0.5);
+    }
+}
+
+/**
+ * Single-line TEXT / ATTRIB. The anchor is the start point for left/baseline text,
+ * the alignment point (11) otherwise; aligned (3) and fit (5) text is stretched over
+ * `length`, the distance between the two points.
+ * @param {string} raw
+ * @param {{font?, getFont?, height, widthFactor?, oblique?, halign?, valign?, length?, backward?, upsideDown?}} options
+ */
+export function layoutText(raw, options = {}) {
+    const { height = 1, halign = 0, valign = 0, length = 0 } = options;
+    const items = parseText(raw, options, false).flatMap(paragraph => paragraph.items);
+    const line = measureLine(measureItems(items, options), height);
+    const out = new Map();
+    drawLine(out, line, 0, 0);
+
+    let sx = 1;
+    let sy = 1;
+    let dx = 0;
+    let dy = 0;
+    if ((halign === 3 || halign === 5) && length > 0 && line.width > 0) {
+        // Aligned keeps the proportions, fit only changes the width
+        sx = length / line.width;
+        if (halign === 3) sy = sx;
+    } else {
+        dx = -[0, 0.5, 1, 0, 0.5, 0][halign] * line.width || 0;
+        const font = resolveFont(initialState(options), options);
+        const vertical = halign === 4 ? 2 : valign; // "Middle" centres both ways
+        dy = [0, height * font.descent / font.capHeight, -height / 2, -height][vertical] || 0;
+    }
+    // Generation flags: 2 = backward, 4 = upside down (mirrored about the anchor)
+    if (options.backward) sx = -sx;
+    if (options.upsideDown) sy = -sy;
+
+    out.forEach(list => {
+        for (let i = 0; i < list.length; i += 2) {
+            list[i] = (list[i] + dx) * sx;
+            list[i + 1] = (list[i + 1] + dy) * sy;
+        }
+    });
+    return { segments: out, width: line.width * Math.abs(sx), height: height * Math.abs(sy) };
+}
+
+/**
+ * MTEXT: paragraphs, wrapping at `width` (0 = no wrapping) and the 71 attachment
+ * point (1 top left ... 9 bottom right) at the origin.
+ * @param {string} raw
+ * @param {{font?, getFont?, height, widthFactor?, oblique?, width?, attachment?, lineSpacing?}} options
+ */
+export function layoutMText(raw, options = {}) {
+    const { height = 1, width = 0, attachment = 1, lineSpacing = 1 } = options;
+    const column = ((attachment - 1) % 3) / 2; // 0 left, 0.5 center, 1 right
+    const row = Math.floor((attachment - 1) / 3); // 0 top, 1 middle, 2 bottom
+
+    const lines = [];
+    parseText(raw, options, true).forEach(paragraph => {
+        wrapParagraph(measureItems(paragraph.items, options), width).forEach(pieces => {
+            lines.push({ ...measureLine(pieces, height), align: paragraph.align });
+        });
+    });
+
+    // First baseline one line height below the top, then LINE_SPACING apart
+    let y = 0;
+    lines.forEach((line, i) => {
+        y -= i === 0 ? line.height : line.height * LINE_SPACING * lineSpacing;
+        line.y = y;
+    });
+    const boxHeight = -y; // top to the last baseline
+    const boxWidth = width > 0 ? width : Math.max(0, ...lines.map(line => line.width));
+    const left = -column * boxWidth;
+    const dy = row * boxHeight / 2;
+
+    const out = new Map();
+    lines.forEach(line => {
+        const align = line.align ?? column;
+        drawLine(out, line, left + align * (boxWidth - line.width), line.y + dy);
+    });
+    return { segments: out, width: boxWidth, height: boxHeight };
+}
@@ -1,253 +1,191 @@
-export const STANDARTS = [
-    { id: '755-9', name: "755-9 PROFİL", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6463', '1050', '1070', '1080'] }, { id: 'G2', name: 'GRUP 2', alloys: ['6082', '6061', '6013'] }] }
-    //{ id: '755-8', name: "755-8 BORU", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6082', '6061', '6013', '6463', '1050', '1070', '1080'] }] },
-    //{ id: '755-6', name: "755-6 ALTIKÖŞE DOLU", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6082', '6061', '6013', '6463', '1050', '1070', '1080'] }] },
-    //{ id: '755-5', name: "755-5 DİKDÖRTGEN DOLU", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6082', '6061', '6013', '6463', '1050', '1070', '1080'] }] },
-    //{ id: '755-4', name: "755-4 KARE DOLU", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6082', '6061', '6013', '6463', '1050', '1070', '1080'] }] },
-    //{ id: '755-3', name: "755-3 YUVARLAK DOLU", groups: [{ id: 'G1', name: 'GRUP 1', alloys: ['6060', '6063', '6005', '6082', '6061', '6013', '6463', '1050', '1070', '1080'] }] }
-];
+import { TOLERANCES, EN_755_9 } from './standards/en-755-9.js';
+import { EN_755_3, EN_755_4, EN_755_5, EN_755_6, EN_755_7, EN_755_8 } from './standards/en-755-bars-tubes.js';
+import { EN_12020_2 } from './standards/en-12020-2.js';
+import { ANSI_H35_2 } from './standards/ansi-h35-2.js';
 
-export const TOLERANCES = {
-    "Standard": "EN 755-9:2016",
-    "Alloy_Groups": {
-        "G1": {
-            "Dimensions_H": {
-                "CD_Keys": ["le100", "100_200", "200_300", "300_500", "500_800"],
-                "Data": [
-                    { "min": 0, "max": 10, "tolerances": { "le100": 0.25, "100_200": 0.30, "200_300": 0.35, "300_500": 0.40, "500_800": 0.50 } },
-                    { "min": 10, "max": 25, "tolerances": { "le100": 0.30, "100_200": 0.40, "200_300": 0.50, "300_500": 0.60, "500_800": 0.70 } },
-                    { "min": 25, "max": 50, "tolerances": { "le100": 0.50, "100_200": 0.60, "200_300": 0.80, "300_500": 0.90, "500_800": 1.00 } },
-                    { "min": 50, "max": 100, "tolerances": { "le100": 0.70, "100_200": 0.90, "200_300": 1.10, "300_500": 1.30, "500_800": 1.50 } },
-                    { "min": 100, "max": 150, "tolerances": { "le100": null, "100_200": 1.10, "200_300": 1.30, "300_500": 1.50, "500_800": 1.70 } },
-                    { "min": 150, "max": 200, "tolerances": { "le100": null, "100_200": 1.30, "200_300": 1.50, "300_500": 1.80, "500_800": 2.00 } },
-                    { "min": 200, "max": 300, "tolerances": { "le100": null, "100_200": null, "200_300": 1.70, "300_500": 2.10, "500_800": 2.40 } },
-                    { "min": 300, "max": 450, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 2.80, "500_800": 3.00 } },
-                    { "min": 450, "max": 600, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 3.80, "500_800": 4.20 } },
-                    { "min": 600, "max": 800, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": null, "500_800": 5.00 } }
-                ]
-            },
-            "Wall_Thickness_A_B_C": {
-                "CD_Keys": ["le100", "100_300", "300_500", "500_800"],
-                "Data": [
-                    { "min": 0, "max": 1.5, "A": { "le100": 0.15, "100_300": 0.20, "300_500": 0.25, "500_800": 0.25 }, "B": { "le100": 0.20, "100_300": 0.30, "300_500": 0.35 }, "C": { "le100": 0.25, "100_300": 0.35, "300_500": 0.40 } },
-                    { "min": 1.5, "max": 3, "A": { "le100": 0.15, "100_300": 0.25, "300_500": 0.35, "500_800": 0.40 }, "B": { "le100": 0.25, "100_300": 0.40, "300_500": 0.80, "500_800": 0.60 }, "C": { "le100": 0.30, "100_300": 0.50, "300_500": 1.00, "500_800": 0.75 } },
-                    { "min": 3, "max": 6, "A": { "le100": 0.20, "100_300": 0.30, "300_500": 0.50, "500_800": 0.40 }, "B": { "le100": 0.30, "100_300": 0.40, "300_500": 0.80, "500_800": 1.00 }, "C": { "le100": 0.50, "100_300": 0.75, "300_500": 1.00, "500_800": 1.20 } },
-                    { "min": 6, "max": 10, "A": { "le100": 0.25, "100_300": 0.35, "300_500": 0.55, "500_800": 0.50 }, "B": { "le100": 0.40, "100_300": 0.55, "300_500": 1.00, "500_800": 0.80 }, "C": { "le100": 0.60, "100_300": 0.80, "300_500": 1.20, "500_800": 1.50 } },
-                    { "min": 10, "max": 15, "A": { "le100": 0.30, "100_300": 0.40, "300_500": 0.60, "500_800": 0.60 }, "B": { "le100": 0.45, "100_300": 0.60, "300_500": 1.00, "500_800": 1.20 }, "C": { "le100": 0.80, "100_300": 1.00, "300_500": 1.50, "500_800": 1.80 } },
-                    { "min": 15, "max": 20, "A": { "le100": 0.35, "100_300": 0.45, "300_500": 0.65, "500_800": 0.70 }, "B": { "le100": 0.50, "100_300": 0.70, "300_500": 1.20, "500_800": 1.50 }, "C": { "le100": 1.00, "100_300": 1.30, "300_500": 1.80, "500_800": 2.20 } },
-                    { "min": 20, "max": 30, "A": { "le100": 0.45, "100_300": 0.55, "300_500": 0.75, "500_800": 0.80 }, "B": { "le100": 0.60, "100_300": 0.80, "300_500": 1.50, "500_800": 1.80 }, "C": { "le100": 1.20, "100_300": 1.50, "300_500": 2.20, "500_800": 2.70 } },
-                    { "min": 30, "max": 40, "A": { "le100": 0.55, "100_300": 0.65, "300_500": 0.90, "500_800": 1.00 }, "B": { "le100": 0.70, "100_300": 0.90, "300_500": 1.80, "500_800": 2.20 }, "C": { "le100": null, "100_300": null, "300_500": 2.50, "500_800": 3.00 } },
-                    { "min": 40, "max": 50, "A": { "le100": null, "100_300": 0.75, "300_500": 1.10, "500_800": 1.20 }, "B": { "le100": null, "100_300": 1.10, "300_500": 2.00, "500_800": 2.40 }, "C": { "le100": null, "100_300": null, "300_500": null, "500_800": null } }
-                ]
-            }
-        },
-        "G2": {
-            "Dimensions_H": {
-                "CD_Keys": ["le100", "100_200", "200_300", "300_500", "500_800"],
-                "Data": [
-                    { "min": 0, "max": 10, "tolerances": { "le100": 0.40, "100_200": 0.50, "200_300": 0.55, "300_500": 0.60, "500_800": 0.70 } },
-                    { "min": 10, "max": 25, "tolerances": { "le100": 0.50, "100_200": 0.70, "200_300": 0.80, "300_500": 0.90, "500_800": 1.10 } },
-                    { "min": 25, "max": 50, "tolerances": { "le100": 0.80, "100_200": 0.90, "200_300": 1.00, "300_500": 1.20, "500_800": 1.30 } },
-                    { "min": 50, "max": 100, "tolerances": { "le100": 1.00, "100_200": 1.20, "200_300": 1.30, "300_500": 1.60, "500_800": 1.80 } },
-                    { "min": 100, "max": 150, "tolerances": { "le100": null, "100_200": 1.50, "200_300": 1.70, "300_500": 1.80, "500_800": 2.00 } },
-                    { "min": 150, "max": 200, "tolerances": { "le100": null, "100_200": 1.90, "200_300": 2.20, "300_500": 2.40, "500_800": 2.70 } },
-                    { "min": 200, "max": 300, "tolerances": { "le100": null, "100_200": null, "200_300": 2.50, "300_500": 2.80, "500_800": 3.10 } },
-                    { "min": 300, "max": 450, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 3.50, "500_800": 3.80 } },
-                    { "min": 450, "max": 600, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": 4.50, "500_800": 5.00 } },
-                    { "min": 600, "max": 800, "tolerances": { "le100": null, "100_200": null, "200_300": null, "300_500": null, "500_800": 6.00 } }
-                ]
-            },
-            "Wall_Thickness_A_B_C": {
-                "CD_Keys": ["le100", "100_300", "300_500", "500_800"],
-                "Data": [
-                    { "min": 0, "max": 1.5, "A": { "le100": 0.20, "100_300": 0.25, "300_500": 0.35, "500_800": 0.35 }, "B": { "le100": 0.25, "100_300": 0.40, "300_500": 0.50 }, "C": { "le100": 0.35, "100_300": 0.50, "300_500": 0.60 } },
-                    { "min": 1.5, "max": 3, "A": { "le100": 0.20, "100_300": 0.30, "300_500": 0.50, "500_800": 0.55 }, "B": { "le100": 0.35, "100_300": 0.60, "300_500": 1.10, "500_800": 0.90 }, "C": { "le100": 0.45, "100_300": 0.75, "300_500": 1.50, "500_800": 1.10 } },
-                    { "min": 3, "max": 6, "A": { "le100": 0.30, "100_300": 0.40, "300_500": 0.75, "500_800": 0.60 }, "B": { "le100": 0.45, "100_300": 0.60, "300_500": 1.20, "500_800": 1.50 }, "C": { "le100": 0.75, "100_300": 1.10, "300_500": 1.50, "500_800": 1.80 } },
-                    { "min": 6, "max": 10, "A": { "le100": 0.35, "100_300": 0.50, "300_500": 0.80, "500_800": 0.75 }, "B": { "le100": 0.60, "100_300": 0.80, "300_500": 1.50, "500_800": 1.20 }, "C": { "le100": 0.90, "100_300": 1.20, "300_500": 1.80, "500_800": 2.20 } },
-                    { "min": 10, "max": 15, "A": { "le100": 0.45, "100_300": 0.60, "300_500": 0.90, "500_800": 0.90 }, "B": { "le100": 0.70, "100_300": 0.90, "300_500": 1.50, "500_800": 1.80 }, "C": { "le100": 1.20, "100_300": 1.50, "300_500": 2.20, "500_800": 2.70 } },
-                    { "min": 15, "max": 20, "A": { "le100": 0.55, "100_300": 0.70, "300_500": 1.00, "500_800": 1.00 }, "B": { "le100": 0.75, "100_300": 1.00, "300_500": 1.80, "500_800": 2.20 }, "C": { "le100": 1.50, "100_300": 2.00, "300_500": 2.70, "500_800": 3.30 } },
-                    { "min": 20, "max": 30, "A": { "le100": 0.65, "100_300": 0.80, "300_500": 1.10, "500_800": 1.20 }, "B": { "le100": 0.90, "100_300": 1.20, "300_500": 2.20, "500_800": 2.70 }, "C": { "le100": 1.80, "100_300": 2.20, "300_500": 3.30, "500_800": 4.00 } },
-                    { "min": 30, "max": 40, "A": { "le100": 0.80, "100_300": 1.00, "300_500": 1.40, "500_800": 1.50 }, "B": { "le100": 1.00, "100_300": 1.30, "300_500": 2.70, "500_800": 3.30 }, "C": { "le100": null, "100_300": null, "300_500": 3.80, "500_800": 4.50 } },
-                    { "min": 40, "max": 50, "A": { "le100": null, "100_300": 1.10, "300_500": 1.60, "500_800": 1.80 }, "B": { "le100": null, "100_300": 1.60, "300_500": 3.00, "500_800": 3.60 }, "C": { "le100": null, "100_300": null, "300_500": null, "500_800": null } }
-                ]
-            }
-        },
-        "Open_Ends_Addition": {
-            "Data": [
-                { "min": 0, "max": 20, "addition": 0.00 },
-                { "min": 20, "max": 30, "addition": 0.15 },
-                { "min": 30, "max": 40, "addition": 0.25 },
-                { "min": 40, "max": 60, "addition": 0.40 },
-                { "min": 60, "max": 80, "addition": 0.50 },
-                { "min": 80, "max": 100, "addition": 0.60 },
-                { "min": 100, "max": 125, "addition": 0.80 },
-                { "min": 125, "max": 150, "addition": 1.00 },
-                { "min": 150, "max": 180, "addition": 1.20 },
-                { "min": 180, "max": 210, "addition": 1.40 },
-                { "min": 210, "max": 250, "addition": 1.60 },
-                { "min": 250, "max": 999, "addition": 1.80 }
-            ]
-        }
-    },
-    "Angle_Squareness": {
-        "Data": [
-            { "min": 0, "max": 30, "tolerance": 0.4 },
-            { "min": 30, "max": 50, "tolerance": 0.7 },
-            { "min": 50, "max": 80, "tolerance": 1.0 },
-            { "min": 80, "max": 120, "tolerance": 1.4 },
-            { "min": 120, "max": 180, "tolerance": 2.0 },
-            { "min": 180, "max": 240, "tolerance": 2.6 },
-            { "min": 240, "max": 300, "tolerance": 3.1 },
-            { "min": 300, "max": 400, "tolerance": 3.5 }
-        ]
+export { TOLERANCES };
+
+/*
+ * Standard definition format (see src/standards/*.js). A new standard is a data module
+ * passed to registerStandard(); no engine code is needed.
+ *
+ * {
+ *   id: '755-9',                       // used by the UI selects
+ *   name: '755-9 PROFİL',              // select label
+ *   title: 'EN 755-9',                 // tolerance modal title
+ *   image: 'src/755-9.JPG',            // optional reference image in the modal
+ *   strictAlloys: false,               // true: alloys not listed in any group are not covered
+ *   groups: [{ id, name, alloys: [] }],// first group is the default for unlisted alloys
+ *   column: { label: 'CD' },           // optional second lookup value (column keys 'le100', '100_200', 'gt800')
+ *   toleranceTypes: ['DIMENSION', ...], // TOLERANCE_TYPES ids the standard covers, default ['DIMENSION']
+ *   classes: [{
+ *     id, name,
+ *     table: 'Dimensions_H',           // tables[groupId][table] or shared tables[table]
+ *     field: 'tolerances',             // optional cell field inside the row
+ *     profileTypes: ['hollow'],        // optional, class only valid for these profile types
+ *     base: 'H', openEnd: 'Open_Ends_Addition', // open end: base class tolerance + addition by E
+ *     accent: 'purple'                 // modal button colour
+ *   }],
+ *   tables: { G1: { Dimensions_H: { CD_Keys: [], Data: [{ min, max, ... }] } } }
+ * }
+ *
+ * Cell values: a number (±), an object keyed by CD_Keys, { plus, minus } for
+ * asymmetric tolerances, or { relative, minimum } for a share of the dimension.
+ */
+export const STANDARTS = [];
+
+export function registerStandard(definition) {
+    const { id, groups, classes, tables } = definition || {};
+    if (!id || !Array.isArray(groups) || groups.length === 0 || !Array.isArray(classes) || !tables) {
+        console.warn('registerStandard: invalid standard definition', definition);
+        return null;
     }
-};
+    const index = STANDARTS.findIndex(s => s.id === id);
+    if (index >= 0) STANDARTS.splice(index, 1, definition);
+    else STANDARTS.push(definition);
+    return definition;
+}
+
+export function getStandard(standardId) {
+    return STANDARTS.find(s => s.id === standardId) || null;
+}
+
+export function getToleranceClass(standardId, classId) {
+    const standard = getStandard(standardId);
+    return standard ? standard.classes.find(c => c.id === classId) || null : null;
+}
+
+[EN_755_9, EN_755_3, EN_755_4, EN_755_5, EN_755_6, EN_755_7, EN_755_8, EN_12020_2, ANSI_H35_2].forEach(registerStandard);
 
 export const TOLERANCE_TYPES = [
     { id: 'DIMENSION', name: 'ÖLÇÜ' },
-    { id: 'ANGLE', name: 'AÇI' }
-    //{ id: 'STRAIGHTNESS', name: 'DOĞRUSALLIK' },
-    //{ id: 'CONTOUR', name: 'KONTÜR' },
-    //{ id: 'CORNER_RADIUS', name: 'KÖŞE RADYUSU' }
+    { id: 'ANGLE', name: 'AÇI' },
+    { id: 'LENGTH', name: 'BOY' },
+    { id: 'STRAIGHTNESS', name: 'DOĞRUSALLIK' },
+    { id: 'TWIST', name: 'BURULMA' },
+    { id: 'FLATNESS', name: 'DÜZLEMSELLİK' },
+    { id: 'CONTOUR', name: 'KONTÜR' },
+    { id: 'CORNER_RADIUS', name: 'KÖŞE RADYUSU' }
 ];
 
 /**
- * Calculates tolerance key based on CD value (Circumscribing Circle Diameter)
- * @param {number} cd - The Circumscribing Circle Diameter
- * @param {string} type - 'Dimensions_H' or 'Wall_Thickness_A_B_C'
- * @returns {string} - The key for the tolerance column (e.g., 'le100', '100_200')
+ * Tolerance types defined by a standard; the angle and form tables are EN 755-9 only
+ * @param {string} standardId
+ * @returns {string[]} - TOLERANCE_TYPES ids
  */
-function getCDKey(cd, type) {
-    if (type === 'Dimensions_H') {
-        if (cd <= 100) return 'le100';
-        if (cd <= 200) return '100_200';
-        if (cd <= 300) return '200_300';
-        if (cd <= 500) return '300_500';
-        if (cd <= 800) return '500_800';
-    } else if (type === 'Wall_Thickness_A_B_C') {
-        if (cd <= 100) return 'le100';
-        if (cd <= 300) return '100_300';
-        if (cd <= 500) return '300_500';
-        if (cd <= 800) return '500_800';
+export function getStandardToleranceTypes(standardId) {
+    const standard = getStandard(standardId);
+    if (!standard) return [];
+    return standard.toleranceTypes || ['DIMENSION'];
+}
+
+// Ranges are "over min up to and including max"; the first range also includes its min
+function findRange(data, value) {
+    return data.find((r, i) => (value > r.min || (i === 0 && value >= r.min)) && value <= r.max) || null;
+}
+
+/**
+ * Column key for a lookup value (CD, width...) from the table's key list
+ * @param {number} value - e.g. the Circumscribing Circle Diameter
+ * @param {string[]} keys - 'le100' (up to 100), '100_200' (over 100 up to 200), 'gt800' (over 800)
+ * @returns {string|null} - The key for the tolerance column (e.g., 'le100', '100_200')
+ */
+function getCDKey(value, keys) {
+    for (const key of keys) {
+        let max;
+        if (key.startsWith('le')) max = parseFloat(key.slice(2));
+        else if (key.startsWith('gt')) max = Infinity;
+        else max = parseFloat(key.split('_')[1]);
+        if (value <= max) return key;
     }
     return null;
 }
 
+function getAlloyGroup(standard, alloyId) {
+    const group = standard.groups.find(g => g.alloys.includes(alloyId));
+    if (group) return group;
+    return standard.strictAlloys ? null : standard.groups[0];
+}
+
+function getTable(standard, groupId, tableName) {
+    const groupTables = standard.tables[groupId];
+    return (groupTables && groupTables[tableName]) || standard.tables[tableName] || null;
+}
+
+// Cell: number (±), { plus, minus }, { relative, minimum } or a row holding 'tolerance'
+function resolveCell(cell, dimension) {
+    if (cell === null || cell === undefined) return null;
+    if (typeof cell === 'number') return cell;
+    if (cell.plus !== undefined) return { plus: cell.plus, minus: cell.minus };
+    if (cell.relative !== undefined) return Math.max(dimension * cell.relative, cell.minimum || 0);
+    if (cell.tolerance !== undefined) return cell.tolerance;
+    return null;
+}
+
 /**
  * Calculates tolerance based on inputs
  * @param {string} standardId - e.g., '755-9'
  * @param {string} alloyId - e.g., '6063'
- * @param {string} profileType - 'hollow' or 'solid' (currently not strictly used for classification if class is provided directly, but useful for context)
+ * @param {string} profileType - 'solid', 'semi-hollow' or 'hollow' (auto-classified by WeightManager, see profile-classifier.js)
  * @param {number} dimension - The measured dimension
- * @param {string} toleranceClass - 'A', 'B', 'C', 'H'
- * @param {number} cdValue - Circumscribing Circle Diameter (default 100 if unknown, but should be passed)
- * @returns {number|null} - Calculated tolerance value
+ * @param {string} toleranceClass - class id from the standard definition, e.g. 'A', 'B', 'C', 'H'
+ * @param {number} cdValue - Column lookup value, CD for EN 755-9 (default 100 if unknown, but should be passed)
+ * @returns {number|{plus:number,minus:number}|null} - Calculated tolerance value (± when a number)
  */
 export function calculateTolerance(standardId, alloyId, profileType, dimension, toleranceClass, cdValue = 100) {
-    if (standardId !== '755-9') {
-        console.warn('calculateTolerance: Only 755-9 is currently supported.');
+    const standard = getStandard(standardId);
+    if (!standard) {
+        console.warn(`calculateTolerance: Unknown standard ${standardId}`);
         return null;
     }
 
-    // 1. Determine Alloy Group (G1 or G2)
-    const standard = STANDARTS.find(s => s.id === standardId);
-    if (!standard) return null;
-
-    let groupId = 'G1'; // Default
-    for (const group of standard.groups) {
-        if (group.alloys.includes(alloyId)) {
-            groupId = group.id;
-            break;
-        }
-    }
-    console.log(`[Tolerances] calculateTolerance - Standard: ${standardId}, Alloy: ${alloyId} -> Group: ${groupId}`);
-
-    const groupData = TOLERANCES.Alloy_Groups[groupId];
-    if (!groupData) return null;
+    // 1. Determine Alloy Group
+    const group = getAlloyGroup(standard, alloyId);
+    if (!group) return null;
+    console.log(`[Tolerances] calculateTolerance - Standard: ${standardId}, Alloy: ${alloyId} -> Group: ${group.id}`);
 
     // 2. Select Table based on Tolerance Class
-    let tableType;
-    if (toleranceClass === 'H') {
-        tableType = 'Dimensions_H';
-    } else if (['A', 'B', 'C'].includes(toleranceClass)) {
-        tableType = 'Wall_Thickness_A_B_C';
-    } else {
-        return null;
-    }
+    const cls = standard.classes.find(c => c.id === toleranceClass);
+    if (!cls || !cls.table) return null;
+    if (cls.profileTypes && profileType && !cls.profileTypes.includes(profileType)) return null;
 
-    const table = groupData[tableType];
+    const table = getTable(standard, group.id, cls.table);
     if (!table) return null;
 
-    // 3. Find Range for Dimension
-    // For Dimensions_H, 'Data' has ranges for the *dimension itself*.
-    // For Wall_Thickness, 'Data' has ranges for the *wall thickness* (which is the dimension here).
-    const range = table.Data.find(r => dimension > r.min && dimension <= r.max);
-
-    // Special handling for 0 or exact min boundary?
-    // Usually ranges are (min, max]. Standard often says "Over X up to and including Y".
-    // 0 might need handling if min is 0.
-    if (!range && dimension === 0) return 0;
-    if (!range) {
-        // Check if it matches the exact min of the first range (0)
-        const first = table.Data[0];
-        if (dimension >= first.min && dimension <= first.max) {
-            // It matched inside logic above if > min. If == min (0), handled here?
-            // Actually strict > min means 0 is excluded.
-            // Let's assume > 0.
-        }
-        return null;
-    }
-
-    // 4. Get Column Key from CD
-    const cdKey = getCDKey(cdValue, tableType);
-    console.log(`[Tolerances] calculateTolerance - CD: ${cdValue} -> Key: ${cdKey}`);
+    // 3. Find Range for Dimension ("over min up to and including max")
+    if (dimension === 0) return 0;
+    const range = findRange(table.Data, dimension);
+    if (!range) return null;
 
-    if (!cdKey) return null;
-
-    // 5. Retrieve Value
-    let result = null;
-    if (tableType === 'Dimensions_H') {
-        // tolerances is an object inside range
-        if (range.tolerances) {
-            result = range.tolerances[cdKey];
-        }
-    } else {
-        // For Wall Thickness, structure is range[Class][Key]
-        if (range[toleranceClass]) {
-            result = range[toleranceClass][cdKey];
-        } else if (range.A && toleranceClass === 'A') { // Fallback if direct access fails? No, structure is standardized above.
-            result = range.A[cdKey];
-        }
+    // 4. Retrieve Value, by column key when the table has columns
+    let cell = cls.field ? range[cls.field] : range;
+    if (table.CD_Keys && cell && typeof cell === 'object' && cell.plus === undefined && cell.relative === undefined) {
+        const cdKey = getCDKey(cdValue, table.CD_Keys);
+        console.log(`[Tolerances] calculateTolerance - ${(standard.column && standard.column.label) || 'CD'}: ${cdValue} -> Key: ${cdKey}`);
+        if (!cdKey) return null;
+        cell = cell[cdKey];
     }
 
-    return result;
+    return resolveCell(cell, dimension);
 }
 
 /**
  * Calculates Open End tolerance addition
  * @param {number} baseTolerance - The H tolerance calculated previously
  * @param {number} lengthE - The length of the open end
+ * @param {string} standardId - Standard whose open end class supplies the addition table
  * @returns {number} - The new total tolerance
  */
-export function calculateOpenEndTolerance(baseTolerance, lengthE) {
-    const table = TOLERANCES.Alloy_Groups.Open_Ends_Addition; // Shared across groups? It's inside G1 parent in structure but keys seem global?
-    // Structure in TOLERANCES: Alloy_Groups -> G1 -> ... 
-    // Wait, Open_Ends_Addition is defined at same level as G1, G2 in my file?
-    // Checking file content:
-    // "Alloy_Groups": { "G1": {...}, "G2": {...}, "Open_Ends_Addition": {...} }
-    // Yes, it's a sibling of G1/G2 inside Alloy_Groups.
-
+export function calculateOpenEndTolerance(baseTolerance, lengthE, standardId = '755-9') {
     if (!baseTolerance) return null;
 
-    const data = table.Data;
-    const range = data.find(r => lengthE > r.min && lengthE <= r.max);
+    const standard = getStandard(standardId);
+    const cls = standard && standard.classes.find(c => c.openEnd);
+    const table = cls ? standard.tables[cls.openEnd] : null;
+    if (!table) return null;
 
-    let addition = 0;
-    if (range) {
-        addition = range.addition;
-    } else if (lengthE === 0) {
-        addition = 0;
-    }
+    const range = findRange(table.Data, lengthE);
+    const addition = range && lengthE > 0 ? range.addition : 0;
 
     return baseTolerance + addition;
 }
@@ -266,10 +204,8 @@ export function calculateAngleTolerance(lengthW, isRightAngle) {
         if (range) {
             return range.tolerance;
         } else if (lengthW > 400) {
-            // Factor for > 400? Table usually ends or has formula. 
-            // Standard EN 755-9 Table 13 usually goes up to ~400 or has a factor.
-            // For now return null or max? Let's return null if out of range.
-            return null;
+            // Beyond the table: proportional to W
+            return lengthW * table.Over_Max_Factor;
         }
         return null;
     } else {
@@ -280,3 +216,105 @@ export function calculateAngleTolerance(lengthW, isRightAngle) {
         return lengthW * factor;
     }
 }
+
+/**
+ * Fixed length tolerance (+value / -0)
+ * @param {number} cdValue - Circumscribing Circle Diameter
+ * @param {number} length - Ordered length L in mm
+ * @returns {number|null}
+ */
+export function calculateLengthTolerance(cdValue, length) {
+    const table = TOLERANCES.Length;
+    const range = findRange(table.Data, length);
+    if (!range) return null;
+
+    const key = getCDKey(cdValue, table.CD_Keys);
+    return key ? range.tolerances[key] : null;
+}
+
+/**
+ * Straightness deviation
+ * @param {number} cdValue - Circumscribing Circle Diameter
+ * @param {number} length - Profile length L in mm
+ * @returns {{total: number, local: number}|null} - ht over L and hs over any 300 mm
+ */
+export function calculateStraightnessTolerance(cdValue, length) {
+    const range = findRange(TOLERANCES.Straightness.Data, cdValue);
+    if (!range || !(length > 0)) return null;
+    return {
+        total: range.ht_per_m * length / 1000,
+        local: range.hs_300
+    };
+}
+
+/**
+ * Twist deviation
+ * @param {number} width - Profile width W in mm
+ * @param {number} length - Profile length L in mm (1000 mm value up to 1 m, total value above)
+ * @returns {number|null} - null beyond Max_Length too: the standard leaves longer lengths
+ *   to agreement, see isTwistLengthOutOfTable()
+ */
+export function calculateTwistTolerance(width, length) {
+    const table = TOLERANCES.Twist;
+    const range = findRange(table.Data, width);
+    if (!range || !(length > 0) || length > table.Max_Length) return null;
+    return length <= 1000 ? range.per_m : range.total;
+}
+
+/**
+ * True when the twist table has no value for the length (L > Max_Length)
+ * @param {number} length - Profile length L in mm
+ * @returns {boolean}
+ */
+export function isTwistLengthOutOfTable(length) {
+    return length > TOLERANCES.Twist.Max_Length;
+}
+
+/**
+ * Flatness deviation
+ * @param {number} width - Width of the measured face W in mm
+ * @param {string} profileType - 'solid', 'semi-hollow' or 'hollow'
+ * @returns {number|null}
+ */
+export function calculateFlatnessTolerance(width, profileType = 'solid') {
+    const range = findRange(TOLERANCES.Flatness.Data, width);
+    if (!range) return null;
+    return profileType === 'hollow' ? range.hollow : range.solid;
+}
+
+/**
+ * Contour tolerance (±)
+ * @param {number} cdValue - Circumscribing Circle Diameter
+ * @returns {number|null}
+ */
+export function calculateContourTolerance(cdValue) {
+    const range = findRange(TOLERANCES.Contour.Data, cdValue);
+    return range ? range.tolerance : null;
+}
+
+/**
+ * Corner / fillet radius tolerance (±)
+ * @param {number} radius - Nominal radius r in mm
+ * @returns {number|null}
+ */
+export function calculateCornerRadiusTolerance(radius) {
+    const range = findRange(TOLERANCES.Corner_Radius.Data, radius);
+    if (!range) return null;
+    return range.relative !== undefined ? radius * range.relative : range.tolerance;
+}
+
+/**
+ * Profile level tolerances for the info table
+ * @param {{cd: number, width: number, length: number, profileType: string}} profile
+ * @returns {{length, straightness, twist, twistOutOfTable, flatness, contour}} - null entries when out of range
+ */
+export function calculateProfileTolerances({ cd, width, length, profileType }) {
+    return {
+        length: calculateLengthTolerance(cd, length),
+        straightness: calculateStraightnessTolerance(cd, length),
+        twist: calculateTwistTolerance(width, length),
+        twistOutOfTable: isTwistLengthOutOfTable(length),
+        flatness: calculateFlatnessTolerance(width, profileType),
+        contour: calculateContourTolerance(cd)
+    };
+}
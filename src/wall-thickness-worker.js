@@ -0,0 +1,13 @@
+// Web Worker: wall thickness analysis off the UI thread (see analyzeWallThicknessAsync).
+// In:  { loops, options }
+// Out: { type: 'done', result } or { type: 'error', message }
+import { analyzeWallThickness } from './wall-thickness.js';
+
+self.onmessage = (e) => {
+    try {
+        const result = analyzeWallThickness(e.data.loops, e.data.options);
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
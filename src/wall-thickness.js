@@ -0,0 +1,229 @@
+// Local wall thickness of a closed profile (outer boundary minus holes).
+// Inscribed-circle method on the sampled contour:
+//  1. Shrinking ball: for every sample p with inward normal n, the largest circle
+//     tangent at p that contains no other boundary sample has radius
+//     r = min |q - p|² / (2 (q - p)·n). Its centre lies on the medial axis.
+//  2. Balls whose two contacts face each other span a wall; balls on the medial
+//     branches running into convex corners/fillets do not and are ignored.
+//  3. Local thickness at p = diameter of the largest wall ball containing p.
+// Solid bars (square, round) whose balls all touch side walls fall back to the
+// inscribed circle. Used by WeightManager for die feasibility (minimum wall per press);
+// it runs in wall-thickness-worker.js through analyzeWallThicknessAsync.
+
+const DEFAULT_SAMPLES = 1500;
+// cos of the minimum contact angle (120°) for a ball to count as a wall ball
+const WALL_CONTACT_COS = -0.5;
+
+function signedArea(points) {
+    let a = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const q = points[(i + 1) % points.length];
+        a += p.x * q.y - q.x * p.y;
+    }
+    return a / 2;
+}
+
+// Drop consecutive duplicates and the repeated closing point
+function cleanLoop(points, eps) {
+    const out = [];
+    points.forEach(p => {
+        const last = out[out.length - 1];
+        if (!last || Math.hypot(p.x - last.x, p.y - last.y) > eps) out.push({ x: p.x, y: p.y });
+    });
+    while (out.length > 1 && Math.hypot(out[0].x - out[out.length - 1].x, out[0].y - out[out.length - 1].y) <= eps) {
+        out.pop();
+    }
+    return out;
+}
+
+// Resample loops (outer CCW, holes CW so the left normal always points into material).
+// Original vertices are kept so corners stay sharp; edges are split to the target spacing.
+function sampleLoops(loops, sampleCount) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    loops.forEach(loop => loop.forEach(p => {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    }));
+    const eps = Math.hypot(maxX - minX, maxY - minY) * 1e-9;
+
+    const cleaned = loops.map(loop => cleanLoop(loop, eps)).filter(loop => loop.length >= 3);
+    const lengths = cleaned.map(loop => loop.reduce((sum, p, i) => {
+        const q = loop[(i + 1) % loop.length];
+        return sum + Math.hypot(q.x - p.x, q.y - p.y);
+    }, 0));
+    const total = lengths.reduce((a, b) => a + b, 0);
+    const spacing = total / sampleCount;
+
+    const samples = [];
+    cleaned.forEach((loop, loopIndex) => {
+        const ccw = signedArea(loop) > 0;
+        const wantCcw = loopIndex === 0;
+        const pts = ccw === wantCcw ? loop : loop.slice().reverse();
+
+        const dense = [];
+        pts.forEach((p, i) => {
+            const q = pts[(i + 1) % pts.length];
+            const len = Math.hypot(q.x - p.x, q.y - p.y);
+            const steps = Math.max(1, Math.ceil(len / spacing));
+            for (let k = 0; k < steps; k++) {
+                const t = k / steps;
+                dense.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+            }
+        });
+
+        const start = samples.length;
+        dense.forEach((p, i) => {
+            const prev = dense[(i - 1 + dense.length) % dense.length];
+            const next = dense[(i + 1) % dense.length];
+            const tx = next.x - prev.x;
+            const ty = next.y - prev.y;
+            const len = Math.hypot(tx, ty) || 1;
+            samples.push({ x: p.x, y: p.y, nx: -ty / len, ny: tx / len, loop: loopIndex, loopStart: start, loopSize: dense.length });
+        });
+    });
+
+    return { samples, spacing };
+}
+
+/**
+ * @param {Array<Array<{x:number,y:number}>>} loops - closed outlines, first = outer, rest = holes
+ * @param {{samples?: number}} options
+ * @returns {{samples: Array<{x, y, loop, thickness}>, min: object, max: object, spacing: number}|null}
+ *   min/max: { thickness, center: {x, y}, radius, contacts: [{x, y}, {x, y}] }
+ */
+export function analyzeWallThickness(loops, options = {}) {
+    if (!loops || loops.length === 0) return null;
+
+    const { samples, spacing } = sampleLoops(loops, options.samples || DEFAULT_SAMPLES);
+    const n = samples.length;
+    if (n < 3 || !(spacing > 0)) return null;
+
+    // 1) Shrinking ball per sample
+    // Contacts within tieTol of the smallest radius touch the same ball (every sample of
+    // a round bar, three sides of a square); the one most opposite p is kept
+    const tieTol = spacing * 0.05;
+    const balls = [];
+    let inscribed = null;
+    for (let i = 0; i < n; i++) {
+        const p = samples[i];
+        let best = Infinity;
+        let bestCos = Infinity;
+        let contact = -1;
+        for (let j = 0; j < n; j++) {
+            if (j === i) continue;
+            const dx = samples[j].x - p.x;
+            const dy = samples[j].y - p.y;
+            const dn = dx * p.nx + dy * p.ny;
+            if (dn <= 1e-12) continue;
+            const r = (dx * dx + dy * dy) / (2 * dn);
+            if (r > best + tieTol) continue;
+            // Contact angle: p - c is -n; compare with direction to the second contact
+            const qx = dx - p.nx * r;
+            const qy = dy - p.ny * r;
+            const cos = (-p.nx * qx - p.ny * qy) / (Math.hypot(qx, qy) || 1);
+            if (r < best - tieTol || cos < bestCos) {
+                bestCos = cos;
+                contact = j;
+            }
+            best = Math.min(best, r);
+        }
+        if (contact < 0) continue;
+
+        const center = { x: p.x + p.nx * best, y: p.y + p.ny * best };
+        const q = samples[contact];
+        const ball = { center, radius: best, contacts: [{ x: p.x, y: p.y }, { x: q.x, y: q.y }] };
+        if (bestCos <= WALL_CONTACT_COS) balls.push(ball);
+        if (!inscribed || best > inscribed.radius) inscribed = ball;
+    }
+    if (balls.length === 0 && inscribed) balls.push(inscribed);
+    if (balls.length === 0) return null;
+
+    // 2) Local thickness = largest wall ball containing the sample
+    const tol = spacing * 0.05;
+    const thickness = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        const p = samples[i];
+        for (const ball of balls) {
+            const d = Math.hypot(p.x - ball.center.x, p.y - ball.center.y);
+            if (d <= ball.radius + tol && 2 * ball.radius > thickness[i]) thickness[i] = 2 * ball.radius;
+        }
+    }
+
+    // Corner zones are covered by no wall ball: inherit from neighbours along the loop
+    for (let pass = 0; pass < 2; pass++) {
+        for (let k = 0; k < n; k++) {
+            const i = pass === 0 ? k : n - 1 - k;
+            if (thickness[i] > 0) continue;
+            const s = samples[i];
+            const step = pass === 0 ? -1 : 1;
+            const neighbour = s.loopStart + ((i - s.loopStart + step + s.loopSize) % s.loopSize);
+            if (thickness[neighbour] > 0) thickness[i] = thickness[neighbour];
+        }
+    }
+
+    const describe = ball => ({
+        thickness: 2 * ball.radius,
+        center: ball.center,
+        radius: ball.radius,
+        contacts: ball.contacts
+    });
+    let minBall = balls[0];
+    let maxBall = balls[0];
+    balls.forEach(ball => {
+        if (ball.radius < minBall.radius) minBall = ball;
+        if (ball.radius > maxBall.radius) maxBall = ball;
+    });
+
+    return {
+        samples: samples.map((s, i) => ({ x: s.x, y: s.y, loop: s.loop, thickness: thickness[i] })),
+        min: describe(minBall),
+        max: describe(maxBall),
+        spacing
+    };
+}
+
+/**
+ * analyzeWallThickness() in a Web Worker, so large profiles don't block the page.
+ * Falls back to the main thread where module workers are not available.
+ * @param {{samples?: number, signal?: AbortSignal}} options
+ * @returns {Promise<object|null>} same result as analyzeWallThickness
+ */
+export function analyzeWallThicknessAsync(loops, options = {}) {
+    const { signal, ...analysisOptions } = options;
+    const createAbortError = () => new DOMException('Wall thickness analysis cancelled', 'AbortError');
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('./wall-thickness-worker.js', import.meta.url), { type: 'module' });
+        } catch (err) {
+            console.warn('Wall thickness worker unavailable, running on the main thread:', err);
+            resolve(analyzeWallThickness(loops, analysisOptions));
+            return;
+        }
+
+        const finish = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            finish();
+            reject(createAbortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        worker.onmessage = (e) => {
+            finish();
+            if (e.data.type === 'done') resolve(e.data.result);
+            else reject(new Error(e.data.message));
+        };
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || 'Wall thickness worker failed'));
+        };
+        // Plain points only: shape.getPoints() returns Vector2 instances
+        const plain = loops.map(loop => loop.map(p => ({ x: p.x, y: p.y })));
+        worker.postMessage({ loops: plain, options: analysisOptions });
+    });
+}
@@ -1,5 +1,10 @@
 import * as THREE from 'three';
-import { MATERIALS, TEMPERS, DEFAULT_MATERIAL_ID, PRES } from './materials.js';
+import { MATERIALS, TEMPERS, DEFAULT_MATERIAL_ID, PRES, getMaterialTempers } from './materials.js';
+import { tessellateSpline, isSplineClosed } from './nurbs.js';
+import { analyzeWallThicknessAsync } from './wall-thickness.js';
+import { classifyProfile } from './profile-classifier.js';
+import { calculateProfileTolerances } from './tolerances.js';
+import { calculateRun, DEFAULT_RUN_SETTINGS } from './run-calculator.js';
 
 export class WeightManager {
     constructor(app, languageManager, snappingManager, onCloseCallback, onChainSelectCallback) {
@@ -20,6 +25,9 @@ export class WeightManager {
         this.currentPresId = PRES.length > 0 ? PRES[0].id : '';
         this.currentFigur = 1;
 
+        // Ordered profile length (mm), used by length/straightness/twist tolerances
+        this.profileLength = 6000;
+
         this.selectedObjects = [];
 
         this.calculationResult = null;
@@ -27,6 +35,21 @@ export class WeightManager {
 
         // Visualization
         this.previewMesh = null;
+        this.sectionAxes = null;
+        this.sectionProperties = null;
+        this.profileClassification = null;
+        this.profileGapOverlay = null;
+
+        // Wall thickness analysis (per-press threshold overrides: presId -> mm)
+        this.wallAnalysisEnabled = false;
+        this.wallAnalysis = null;
+        this.wallAnalysisController = null;
+        this.wallThresholds = {};
+        this.wallOverlay = null;
+
+        // Billet / run calculator (cut length = profileLength)
+        this.runSettings = { ...DEFAULT_RUN_SETTINGS };
+        this.runResult = null;
         this.previewMaterial = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             transparent: true,
@@ -67,6 +90,18 @@ export class WeightManager {
 +--------------+-----------+----------------+----------+------------------+----------+
 | EKST. OR.    | %val-extratio%     | PRES           | %val-pres%       | FIGUR           | %val-figur%          |
 +--------------+-----------+----------------+----------+------------------+----------+
+| AĞIRLIK MRK. | %val-centroid%     | Ixx (mm⁴)      | %val-ixx%        | Iyy (mm⁴)       | %val-iyy%            |
++--------------+-----------+----------------+----------+------------------+----------+
+| Ixy (mm⁴)    | %val-ixy%          | I1 (mm⁴)       | %val-i1%         | I2 (mm⁴)        | %val-i2%             |
++--------------+-----------+----------------+----------+------------------+----------+
+| ASAL EKSEN ° | %val-angle%        | Wx (mm³)       | %val-wx%         | Wy (mm³)        | %val-wy%             |
++--------------+-----------+----------------+----------+------------------+----------+
+| ix (mm)      | %val-rx%           | iy (mm)        | %val-ry%         | BURULMA J (mm⁴) | %val-torsion%        |
++--------------+-----------+----------------+----------+------------------+----------+
+| BOY (mm)     | %val-length%       | BOY TOL.       | %val-tol-length% | DOĞRUSALLIK     | %val-tol-straight%   |
++--------------+-----------+----------------+----------+------------------+----------+
+| BURULMA      | %val-tol-twist%    | DÜZLEMSELLİK   | %val-tol-flat%   | KONTÜR          | %val-tol-contour%    |
++--------------+-----------+----------------+----------+------------------+----------+
 NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
     }
 
@@ -82,6 +117,8 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         // Gap Tolerance UI
         this.gapTolerancePanel = document.getElementById('gap-tolerance-panel');
         this.gapToleranceInput = document.getElementById('gap-tolerance-input');
+        this.gapReport = document.getElementById('gap-report');
+        this.gapApplyBtn = document.getElementById('gap-apply-btn');
 
         // Template popup elements
         this.templatePopup = document.getElementById('template-popup');
@@ -94,6 +131,46 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         // Print button
         this.printBtn = document.getElementById('print-btn');
 
+        // Material / Temper / Pres selectors (driven by the editable database, see materials.js)
+        this.populateDatabaseSelectors();
+
+        // Profile length
+        this.profileLengthInput = document.getElementById('profile-length-input');
+        if (this.profileLengthInput) this.profileLengthInput.value = this.profileLength;
+
+        // Wall thickness analysis
+        this.wallAnalysisBtn = document.getElementById('wall-analysis-btn');
+        this.wallThresholdInput = document.getElementById('wall-threshold-input');
+        this.updateWallThresholdInput();
+
+        // Figur is static in HTML, just set value
+        const figurSelector = document.getElementById('figur-selector');
+        if (figurSelector) {
+            figurSelector.value = this.currentFigur;
+        }
+
+        // Populate Pres and Figur selectors (created dynamically or assumed present in HTML?)
+        // The plan said "Insert ... into Weight Panel" in HTML.
+        // Wait, I forgot to update HTML for Pres/Figur selectors! 
+        // I should inject them into innerHTML of createUI or use replace_file_content on HTML.
+        // But here I'll assume they exist and bind them.
+
+        // NOTE: I will update HTML in next step.
+
+    }
+
+    // Fills the material, temper and press selectors from the live database lists.
+    // Called again after the database is edited or imported; keeps the current
+    // selection when it still exists.
+    populateDatabaseSelectors() {
+        if (!MATERIALS.some(m => m.id === this.currentMaterialId)) {
+            const fallback = MATERIALS.find(m => m.id === DEFAULT_MATERIAL_ID) || MATERIALS[0];
+            this.currentMaterialId = fallback ? fallback.id : '';
+        }
+        if (!PRES.some(p => p.id === this.currentPresId)) {
+            this.currentPresId = PRES.length > 0 ? PRES[0].id : '';
+        }
+
         // Populate Material Selector
         const matSelector = document.getElementById('material-selector');
         if (matSelector) {
@@ -108,19 +185,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             matSelector.value = this.currentMaterialId;
         }
 
-        // Populate Temper Selector
-        const temperSelector = document.getElementById('temper-selector');
-        if (temperSelector) {
-            temperSelector.innerHTML = '';
-            TEMPERS.forEach(temp => {
-                const opt = document.createElement('option');
-                opt.value = temp.id;
-                opt.textContent = temp.name;
-                temperSelector.appendChild(opt);
-            });
-            // Set default if exists
-            this.currentTemperId = temperSelector.value;
-        }
+        this.populateTemperSelector();
 
         // Populate Pres Selector
         const presSelector = document.getElementById('pres-selector');
@@ -137,20 +202,55 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             if (presSelector.value) this.currentPresId = presSelector.value;
         }
 
-        // Figur is static in HTML, just set value
-        const figurSelector = document.getElementById('figur-selector');
-        if (figurSelector) {
-            figurSelector.value = this.currentFigur;
+        this.populateBilletSelector();
+    }
+
+    // Billet lengths of the selected press; keeps the chosen length when the press has it
+    populateBilletSelector() {
+        const pres = PRES.find(p => p.id === this.currentPresId);
+        const lengths = pres && pres.billetLengths ? pres.billetLengths : [];
+        if (!lengths.includes(this.runSettings.billetLength)) {
+            this.runSettings.billetLength = lengths.length > 0 ? lengths[0] : 0;
         }
 
-        // Populate Pres and Figur selectors (created dynamically or assumed present in HTML?)
-        // The plan said "Insert ... into Weight Panel" in HTML.
-        // Wait, I forgot to update HTML for Pres/Figur selectors! 
-        // I should inject them into innerHTML of createUI or use replace_file_content on HTML.
-        // But here I'll assume they exist and bind them.
+        const billetSelector = document.getElementById('billet-length-selector');
+        if (billetSelector) {
+            billetSelector.innerHTML = '';
+            lengths.forEach(length => {
+                const opt = document.createElement('option');
+                opt.value = length;
+                opt.textContent = length;
+                billetSelector.appendChild(opt);
+            });
+            billetSelector.value = this.runSettings.billetLength;
+        }
+    }
 
-        // NOTE: I will update HTML in next step.
+    // Tempers allowed for the current alloy
+    populateTemperSelector() {
+        const tempers = getMaterialTempers(this.currentMaterialId);
+        if (!tempers.some(t => t.id === this.currentTemperId)) {
+            this.currentTemperId = tempers.length > 0 ? tempers[0].id : '';
+        }
+
+        const temperSelector = document.getElementById('temper-selector');
+        if (temperSelector) {
+            temperSelector.innerHTML = '';
+            tempers.forEach(temp => {
+                const opt = document.createElement('option');
+                opt.value = temp.id;
+                opt.textContent = temp.name;
+                temperSelector.appendChild(opt);
+            });
+            temperSelector.value = this.currentTemperId;
+        }
+    }
 
+    // After the material database changed: rebuild selectors, thresholds and results
+    onDatabaseChanged() {
+        this.populateDatabaseSelectors();
+        this.updateWallThresholdInput();
+        if (this.selectedObjects.length > 0) this.calculateAndRender();
     }
 
     bindEvents() {
@@ -173,10 +273,23 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             });
         }
 
+        // Raise the tolerance just above the smallest reported gap
+        if (this.gapApplyBtn) {
+            this.gapApplyBtn.addEventListener('click', () => {
+                const tolerance = this.getSuggestedGapTolerance();
+                if (!tolerance || !this.gapToleranceInput) return;
+                this.gapToleranceInput.value = tolerance;
+                if (this.isActive && this.selectedObjects.length > 0) {
+                    this.update(this.selectedObjects);
+                }
+            });
+        }
+
         const selector = document.getElementById('material-selector');
         if (selector) {
             selector.addEventListener('change', (e) => {
                 this.currentMaterialId = e.target.value;
+                this.populateTemperSelector();
                 this.calculateAndRender();
             });
         }
@@ -195,10 +308,79 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         if (presSelector) {
             presSelector.addEventListener('change', (e) => {
                 this.currentPresId = e.target.value;
+                this.updateWallThresholdInput();
+                this.populateBilletSelector();
                 this.calculateAndRender();
             });
         }
 
+        if (this.profileLengthInput) {
+            this.profileLengthInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (value > 0) {
+                    this.profileLength = value;
+                    if (this.lastCalculatedStats) this.lastCalculatedStats.profileLength = value;
+                    this.updateRunCalculation();
+                } else {
+                    e.target.value = this.profileLength;
+                }
+            });
+            this.profileLengthInput.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        if (this.wallAnalysisBtn) {
+            this.wallAnalysisBtn.addEventListener('click', () => this.toggleWallAnalysis());
+        }
+
+        // Run calculator inputs (negative or empty -> 0)
+        const runInputs = {
+            'run-quantity-input': 'quantity',
+            'run-order-length-input': 'orderLength',
+            'run-butt-input': 'buttLength',
+            'run-puller-input': 'pullerScrap',
+            'run-kerf-input': 'sawKerf'
+        };
+        Object.entries(runInputs).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.value = this.runSettings[key];
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                this.runSettings[key] = value > 0 ? value : 0;
+                e.target.value = this.runSettings[key];
+                this.updateRunCalculation();
+            });
+            input.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+            });
+        });
+
+        const billetSelector = document.getElementById('billet-length-selector');
+        if (billetSelector) {
+            billetSelector.addEventListener('change', (e) => {
+                this.runSettings.billetLength = parseFloat(e.target.value) || 0;
+                this.updateRunCalculation();
+            });
+        }
+
+        if (this.wallThresholdInput) {
+            this.wallThresholdInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!(value > 0)) {
+                    this.updateWallThresholdInput();
+                    return;
+                }
+                // Override is remembered for the selected press only
+                this.wallThresholds[this.currentPresId] = value;
+                this.refreshWallThickness();
+            });
+            this.wallThresholdInput.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
         const figurSelector = document.getElementById('figur-selector');
         if (figurSelector) {
             figurSelector.addEventListener('change', (e) => {
@@ -285,6 +467,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         } else if (!this.isActive) {
             // If turned OFF, hide panel
             this.panel.classList.add('hidden');
+            this.cancelWallAnalysis();
             this.clearVisualization();
         }
     }
@@ -331,9 +514,37 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                 this.calculateAndRender();
             } else {
                 this.panel.classList.add('hidden');
+                this.cancelWallAnalysis();
                 this.clearVisualization();
+                this.visualizeChainGaps();
             }
         }
+        this.updateGapReport();
+    }
+
+    // --- Open chain gaps (Açık uçlar) ---
+
+    getSuggestedGapTolerance() {
+        const gap = (this.lastChainGaps || []).find(g => isFinite(g.distance));
+        if (!gap) return 0;
+        // Tolerance is a strict "<" test; round up to the input's 0.001 step
+        return Math.ceil(gap.distance * 1.05 * 1000 + 1) / 1000;
+    }
+
+    updateGapReport() {
+        if (!this.gapReport) return;
+        const gaps = this.lastChainGaps || [];
+        this.gapReport.classList.toggle('hidden', gaps.length === 0);
+        if (gaps.length === 0) return;
+
+        const nearest = gaps.find(g => isFinite(g.distance));
+        this.updateDOM('val-gap-count', gaps.length);
+        this.updateDOM('val-gap-min', nearest ? nearest.distance.toFixed(3) : '-');
+        if (this.gapApplyBtn) {
+            const tolerance = this.getSuggestedGapTolerance();
+            this.gapApplyBtn.classList.toggle('hidden', !tolerance);
+            this.gapApplyBtn.textContent = `${this.t('gapApply')} (${tolerance} mm)`;
+        }
     }
 
     togglePanel() {
@@ -348,6 +559,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         if (this.btn) {
             this.btn.classList.remove('bg-cyan-500/20', 'text-cyan-400');
         }
+        this.cancelWallAnalysis();
         this.clearVisualization();
         if (this.onCloseCallback) {
             this.onCloseCallback();
@@ -504,6 +716,9 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         const shapeFactor = weight > 0 ? perimeterCm / weight : 0;
 
         const circleData = this.calculateBoundingCircleDiameter(outer.geomEntry);
+        const result = { outer: outer.geomEntry, inner: inner.map(i => i.geomEntry) };
+        const section = this.calculateSectionProperties(result);
+        const classification = this.classifyCalculationResult(result);
 
         return {
             netArea,
@@ -516,7 +731,12 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             numericScale: 1.0,
             extrusionRatio: 0,
             presId: this.currentPresId,
-            figur: this.currentFigur
+            figur: this.currentFigur,
+            section,
+            profileType: classification.type,
+            tongueRatio: classification.tongueRatio,
+            width: this.calculateProfileWidth(outer.geomEntry),
+            profileLength: this.profileLength
         };
     }
 
@@ -556,6 +776,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         }
 
         this.viewer.scene.add(this.floatingGroup);
+        this.viewer.requestRender();
 
         // UI
         if (this.panel) this.panel.classList.add('hidden');
@@ -609,9 +830,8 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         }
     }
 
-    updateFloatingPosition(event) {
-        if (!this.templateMode || !this.floatingGroup) return;
-
+    // World position (z = 0) under the mouse; also used by the die layout planner
+    getWorldPointFromEvent(event) {
         // Get world position from mouse using THREE.js unprojection
         const rect = this.viewer.renderer.domElement.getBoundingClientRect();
         const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -621,6 +841,13 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         const vec = new THREE.Vector3(x, y, 0);
         vec.unproject(this.viewer.camera);
         vec.z = 0;
+        return { vec, x, y };
+    }
+
+    updateFloatingPosition(event) {
+        if (!this.templateMode || !this.floatingGroup) return;
+
+        const { vec, x, y } = this.getWorldPointFromEvent(event);
 
         // Use Snap Point if available (updated by Main loop)
         if (this.snappingManager && this.snappingManager.activeSnap) {
@@ -643,6 +870,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
 
         // Set Z to 0.1 to ensure it sits above the template (Z=0)
         this.floatingGroup.position.set(vec.x, vec.y, 0.1);
+        this.viewer.requestRender();
     }
     hideNonSelectedObjects() {
         // Hide all DXF objects
@@ -654,6 +882,8 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             });
         }
 
+        this.viewer.batcher.refresh();
+
         // Keep preview mesh and debug circle visible (geometry stays at 1:1)
         if (this.previewMesh) this.previewMesh.visible = true;
         if (this.debugCircle) this.debugCircle.visible = true;
@@ -692,6 +922,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             this.templateCenter = box.getCenter(new THREE.Vector3());
 
             console.log(`[WeightManager] Template loaded with ${children.length} entities into dxfGroup`);
+            this.viewer.requestRender();
 
         } catch (err) {
             console.error('[WeightManager] Error loading template:', err);
@@ -755,6 +986,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             if (table) {
                 table.rotation.z = -this.templateRotation;
             }
+            this.viewer.requestRender();
         }
     }
 
@@ -838,6 +1070,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
 
         // 2. Merge floating entities into dxfGroup
         this.mergeFloatingIntoDxfGroup(position, scale);
+        if (this.app && this.app.sessionManager) this.app.sessionManager.markDirty();
 
         // Update Stats State
         if (statsToUse) {
@@ -854,6 +1087,10 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         // Clear pending
         this.pendingPlacementStats = null;
 
+        // The run result belongs to the previous stats; recalculated for the pasted profile
+        // so the run panel, report and print don't mix two profiles
+        this.updateRunCalculation();
+
         // Exit placement mode
         this.templateMode = false;
 
@@ -1096,7 +1333,9 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             'val-scale': (stats.numericScale ? Number(stats.numericScale).toFixed(2) : (scale || 1).toString()),
             'val-extratio': (stats.extrusionRatio || 0).toFixed(2),
             'val-pres': pres.name,
-            'val-figur': this.currentFigur || 1
+            'val-figur': this.currentFigur || 1,
+            ...this.sectionTableValues(stats.section),
+            ...this.toleranceTableValues(stats)
         };
 
         // 2. Align Table Text
@@ -1106,6 +1345,46 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         return this.generateTableTexture(textContent, position, scale);
     }
 
+    // Section property placeholders for the info table ('-' when not available)
+    sectionTableValues(section) {
+        const fmt = (key, digits = 0) => section ? section[key].toFixed(digits) : '-';
+        return {
+            'val-centroid': section ? `${section.centroid.x.toFixed(2)}; ${section.centroid.y.toFixed(2)}` : '-',
+            'val-ixx': fmt('ixx'),
+            'val-iyy': fmt('iyy'),
+            'val-ixy': fmt('ixy'),
+            'val-i1': fmt('i1'),
+            'val-i2': fmt('i2'),
+            'val-angle': fmt('angle', 2),
+            'val-wx': fmt('wx'),
+            'val-wy': fmt('wy'),
+            'val-rx': fmt('rx', 2),
+            'val-ry': fmt('ry', 2),
+            'val-torsion': fmt('torsion')
+        };
+    }
+
+    // EN 755-9 profile tolerances for the info table (length, straightness, twist, flatness, contour)
+    toleranceTableValues(stats) {
+        const length = stats.profileLength || this.profileLength;
+        const tol = calculateProfileTolerances({
+            cd: stats.diameter || 0,
+            width: stats.width || 0,
+            length,
+            profileType: stats.profileType || 'solid'
+        });
+        const fmt = (v) => v === null || v === undefined ? '-' : v.toFixed(2);
+        return {
+            'val-length': length,
+            'val-tol-length': tol.length !== null ? `+${fmt(tol.length)}/-0` : '-',
+            'val-tol-straight': tol.straightness ? `${fmt(tol.straightness.total)} (${fmt(tol.straightness.local)}/300)` : '-',
+            // Twist table ends at 6000 mm; longer lengths are shown as such instead of '-'
+            'val-tol-twist': tol.twistOutOfTable ? 'TABLO DIŞI' : fmt(tol.twist),
+            'val-tol-flat': fmt(tol.flatness),
+            'val-tol-contour': tol.contour !== null ? `±${fmt(tol.contour)}` : '-'
+        };
+    }
+
     formatTable(template, values) {
         const lines = template.split('\n');
 
@@ -1243,6 +1522,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         for (const state of this.originalSceneState.objectStates) {
             state.object.visible = state.visible;
         }
+        this.viewer.batcher.refresh();
     }
 
     exitTemplatePlacementMode(cancelled = false) {
@@ -1604,6 +1884,8 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             return;
         }
 
+        const runReport = this.getRunReportHTML();
+
         printWindow.document.write(`
             <!DOCTYPE html>
             <html>
@@ -1643,6 +1925,34 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                         .no-print {
                             display: none !important;
                         }
+
+                        /* Flex body would keep the run sheet on the image page */
+                        body.has-run-sheet {
+                            display: block;
+                        }
+
+                        .run-sheet {
+                            page-break-before: always;
+                            width: 100%;
+                            height: auto;
+                        }
+                    }
+
+                    .run-sheet {
+                        font-family: Arial, sans-serif;
+                        background: white;
+                        padding: 24px;
+                    }
+
+                    .run-sheet table {
+                        border-collapse: collapse;
+                        font-size: 13px;
+                    }
+
+                    .run-sheet th, .run-sheet td {
+                        border: 1px solid #999;
+                        padding: 4px 10px;
+                        text-align: left;
                     }
 
                     /* ===================== */
@@ -1652,8 +1962,10 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                         body {
                             margin: 0;
                             background: #eee;
-                            height: 100vh;
+                            min-height: 100vh;
                             display: flex;
+                            flex-direction: column;
+                            gap: 16px;
                             align-items: center;
                             justify-content: center;
                         }
@@ -1692,7 +2004,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                 </style>
             </head>
 
-            <body>
+            <body class="${runReport ? 'has-run-sheet' : ''}">
                 <div class="controls no-print">
                     <div style="font-size:12px; color:#666; margin-bottom:6px;">
                         ${width} × ${height}px<br>
@@ -1703,6 +2015,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                 </div>
 
                 <img src="${imageData}" alt="Print Image">
+                ${runReport}
 
             </body>
             </html>
@@ -1763,14 +2076,29 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                 }
             }
 
+            if (type === 'SPLINE' && isSplineClosed(entity)) {
+                results.push({ type: 'single', objects: [obj] });
+                continue;
+            }
+
+            // Full ellipse: tessellated loop, measured like a chain
+            if (type === 'ELLIPSE' && this.isEllipseClosed(entity)) {
+                const vertices = this.getEllipsePoints(entity).slice(0, -1).map(p => ({ x: p.x, y: p.y, bulge: 0 }));
+                results.push({ type: 'chain', objects: [obj], vertices });
+                continue;
+            }
+
             // If not a closed single entity, it might be part of a chain
-            if (type === 'LINE' || type === 'ARC') {
+            // (open polylines and elliptical arcs join end-to-end like lines and arcs)
+            if (type === 'LINE' || type === 'ARC' || type === 'SPLINE' || type === 'ELLIPSE' ||
+                type === 'LWPOLYLINE' || type === 'POLYLINE') {
                 potentialChainObjects.push(obj);
             }
         }
 
         // 2. Try to find multiple chains from remaining objects
-        if (potentialChainObjects.length > 1) {
+        this.lastChainGaps = [];
+        if (potentialChainObjects.length > 0) {
             const chains = this.findAllChains(potentialChainObjects);
             console.log(`[filterClosedGeometries] Found ${chains.length} chains from ${potentialChainObjects.length} objects`);
             results.push(...chains);
@@ -1779,6 +2107,53 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         return results;
     }
 
+    // ELLIPSE start/end are parameters in radians (dxf-parser: startAngle/endAngle)
+    getEllipseParams(entity) {
+        const start = entity.startAngle ?? entity.startParam ?? 0;
+        const end = entity.endAngle ?? entity.endParam ?? Math.PI * 2;
+        return { start, end };
+    }
+
+    isEllipseClosed(entity) {
+        const { start, end } = this.getEllipseParams(entity);
+        const span = Math.abs(end - start) % (Math.PI * 2);
+        return span < 1e-6 || Math.PI * 2 - span < 1e-6;
+    }
+
+    getEllipsePoints(entity, divisions = 256) {
+        const ax = entity.majorAxisEndPoint.x;
+        const ay = entity.majorAxisEndPoint.y;
+        const majorRadius = Math.hypot(ax, ay);
+        const { start, end } = this.getEllipseParams(entity);
+        const closed = this.isEllipseClosed(entity);
+        const curve = new THREE.EllipseCurve(
+            entity.center.x, entity.center.y,
+            majorRadius, majorRadius * entity.axisRatio,
+            closed ? 0 : start, closed ? Math.PI * 2 : end,
+            false,
+            Math.atan2(ay, ax)
+        );
+        return curve.getPoints(divisions);
+    }
+
+    // Area tool: the closed geometry (single entity or chain) that contains obj,
+    // as an outline loop for MeasurementManager.toggleAreaBoundary
+    findClosedBoundary(obj, candidates) {
+        const entry = this.filterClosedGeometries(candidates).find(geom => geom.objects.includes(obj));
+        if (!entry) return null;
+
+        const shape = this.createShapeFromObject(entry);
+        const points = shape ? shape.getPoints(64) : [];
+        if (points.length < 3) return null;
+
+        return {
+            objects: entry.objects,
+            points: points.map(p => ({ x: p.x, y: p.y })),
+            area: this.calculateArea(entry),
+            perimeter: this.calculatePerimeter(entry)
+        };
+    }
+
     calculateAndRender() {
         const closedGeoms = this.filterClosedGeometries(this.selectedObjects);
         console.log(`[WeightManager] Found ${closedGeoms.length} closed geometries:`, closedGeoms);
@@ -1859,6 +2234,22 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         this.lastCalculatedStats.figur = this.currentFigur;
 
         this.calculationResult = { outer: outer.geomEntry, inner: inner.map(i => i.geomEntry) };
+
+        // Section properties (centroid, inertia, principal axes...)
+        this.sectionProperties = this.calculateSectionProperties(this.calculationResult);
+        this.lastCalculatedStats.section = this.sectionProperties;
+        this.updateSectionDOM(this.sectionProperties);
+
+        // Profile class (solid / semi-hollow / hollow), used by the tolerance modal
+        this.profileClassification = this.classifyCalculationResult(this.calculationResult);
+        this.lastCalculatedStats.profileType = this.profileClassification.type;
+        this.lastCalculatedStats.tongueRatio = this.profileClassification.tongueRatio;
+        this.lastCalculatedStats.width = this.calculateProfileWidth(this.calculationResult.outer);
+        this.lastCalculatedStats.profileLength = this.profileLength;
+        this.updateDOM('val-profile-type', this.t(`profile_${this.profileClassification.type}`));
+        this.updateDOM('val-tongue-ratio', this.profileClassification.tongueRatio > 0
+            ? this.profileClassification.tongueRatio.toFixed(2) : '-');
+
         this.visualize();
 
         // Calculate bounding circle AFTER visualization (when mesh is created)
@@ -1876,6 +2267,259 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             // Re-visualize to add debug circle
             this.visualizeDebugCircle();
         }
+
+        this.runWallAnalysis();
+        this.updateRunCalculation();
+    }
+
+    // --- Billet / Run Calculator (Biyet hesabı) ---
+
+    updateRunCalculation() {
+        const stats = this.lastCalculatedStats;
+        const material = MATERIALS.find(m => m.id === this.currentMaterialId) || MATERIALS[0];
+        const pres = PRES.find(p => p.id === this.currentPresId);
+
+        this.runResult = null;
+        if (stats && stats.netArea > 0 && material && pres) {
+            this.runResult = calculateRun({
+                ...this.runSettings,
+                netArea: stats.netArea,
+                density: material.density,
+                figur: this.currentFigur,
+                containerDiameter: pres.containerDiameter,
+                cutLength: this.profileLength
+            });
+            stats.run = this.runResult;
+        }
+
+        const run = this.runResult;
+        const kg = (v) => v.toFixed(2);
+        this.updateDOM('val-run-billet-weight', run ? kg(run.billetWeight) : '-');
+        this.updateDOM('val-run-pieces', run ? run.piecesPerBillet : '-');
+        this.updateDOM('val-run-billets', run && run.billets > 0 ? run.billets : '-');
+        this.updateDOM('val-run-butt', run ? kg(run.buttWeight) : '-');
+        this.updateDOM('val-run-scrap', run ? `${kg(run.pullerWeight)} / ${kg(run.sawWeight)}` : '-');
+        this.updateDOM('val-run-input', run && run.billets > 0 ? kg(run.inputWeight) : '-');
+        this.updateDOM('val-run-output', run && run.billets > 0 ? kg(run.outputWeight) : '-');
+        this.updateDOM('val-run-yield', run ? run.yield.toFixed(1) : '-');
+    }
+
+    // Run sheet appended to the print output (own page)
+    getRunReportHTML() {
+        const run = this.runResult;
+        if (!run) return '';
+        const pres = PRES.find(p => p.id === this.currentPresId);
+        const kg = (v) => `${v.toFixed(2)} kg`;
+        const rows = [
+            [this.t('material'), this.currentMaterialId],
+            ['Pres', pres ? pres.name : '-'],
+            ['Figür', this.currentFigur],
+            [this.t('weight'), `${this.lastCalculatedStats.weight.toFixed(3)} kg/m`],
+            [this.t('profileLength'), this.profileLength],
+            [this.t('runQuantity'), run.quantity || '-'],
+            [this.t('runBilletLength'), `Ø${run.billetDiameter} × ${run.billetLength} mm`],
+            [this.t('runBilletWeight'), kg(run.billetWeight)],
+            [this.t('runButtLoss'), kg(run.buttWeight)],
+            [this.t('runScrap'), `${kg(run.pullerWeight)} / ${kg(run.sawWeight)}`],
+            [this.t('runPiecesPerBillet'), `${run.piecesPerBillet} (${run.piecesPerStrand} × ${this.currentFigur})`],
+            [this.t('runBillets'), run.billets || '-'],
+            [this.t('runInput'), run.billets > 0 ? kg(run.inputWeight) : '-'],
+            [this.t('runOutput'), run.billets > 0 ? `${kg(run.outputWeight)} (${run.producedPieces} / +${run.extraPieces})` : '-'],
+            [this.t('runYield'), `${run.yield.toFixed(1)} %`]
+        ];
+        return `
+                <div class="run-sheet">
+                    <h2>${this.t('runCalculator')}</h2>
+                    <table>
+                        ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+                    </table>
+                </div>`;
+    }
+
+    // Largest bounding box side of the outer boundary (W for twist / flatness)
+    calculateProfileWidth(geomEntry) {
+        const shape = this.createShapeFromObject(geomEntry);
+        if (!shape) return 0;
+        const box = new THREE.Box2().setFromPoints(shape.getPoints(64));
+        return Math.max(box.max.x - box.min.x, box.max.y - box.min.y);
+    }
+
+    // Hollow when there are inner loops, otherwise look for partially enclosed voids on the outer contour
+    classifyCalculationResult(calculationResult) {
+        const outerShape = this.createShapeFromObject(calculationResult.outer);
+        return classifyProfile(outerShape ? outerShape.getPoints(64) : [], calculationResult.inner.length);
+    }
+
+    // --- Wall Thickness (Et Kalınlığı) ---
+
+    getWallThreshold() {
+        if (this.wallThresholds[this.currentPresId] !== undefined) {
+            return this.wallThresholds[this.currentPresId];
+        }
+        const pres = PRES.find(p => p.id === this.currentPresId);
+        return pres && pres.minWall ? pres.minWall : 0;
+    }
+
+    updateWallThresholdInput() {
+        if (this.wallThresholdInput) {
+            this.wallThresholdInput.value = this.getWallThreshold().toFixed(2);
+        }
+    }
+
+    toggleWallAnalysis() {
+        this.wallAnalysisEnabled = !this.wallAnalysisEnabled;
+        if (this.wallAnalysisBtn) {
+            this.wallAnalysisBtn.classList.toggle('bg-cyan-500/30', this.wallAnalysisEnabled);
+            this.wallAnalysisBtn.classList.toggle('text-cyan-300', this.wallAnalysisEnabled);
+        }
+        this.runWallAnalysis();
+    }
+
+    // Inscribed-circle wall thickness along outer + hole contours (see wall-thickness.js)
+    // Runs in a worker; a newer run (profile changed, analysis switched off) cancels the previous one
+    runWallAnalysis() {
+        this.cancelWallAnalysis();
+        if (this.wallAnalysisEnabled && this.calculationResult) {
+            const loops = [this.calculationResult.outer, ...this.calculationResult.inner]
+                .map(geomEntry => this.createShapeFromObject(geomEntry))
+                .filter(Boolean)
+                .map(shape => shape.getPoints(64));
+            const controller = new AbortController();
+            this.wallAnalysisController = controller;
+            analyzeWallThicknessAsync(loops, { signal: controller.signal })
+                .then(analysis => {
+                    if (controller.signal.aborted) return;
+                    this.wallAnalysisController = null;
+                    this.wallAnalysis = analysis;
+                    this.refreshWallThickness();
+                })
+                .catch(err => {
+                    if (err.name !== 'AbortError') console.warn('[WeightManager] Wall thickness analysis failed', err);
+                });
+        }
+        this.refreshWallThickness();
+    }
+
+    // A result arriving after the panel closed must not draw the overlay again
+    cancelWallAnalysis() {
+        if (this.wallAnalysisController) this.wallAnalysisController.abort();
+        this.wallAnalysisController = null;
+        this.wallAnalysis = null;
+    }
+
+    // Threshold dependent part: stats, panel values and colour map
+    refreshWallThickness() {
+        const analysis = this.wallAnalysis;
+        const threshold = this.getWallThreshold();
+
+        let thinRatio = 0;
+        if (analysis) {
+            const thin = analysis.samples.filter(s => s.thickness < threshold).length;
+            thinRatio = thin / analysis.samples.length;
+        }
+
+        if (this.lastCalculatedStats) {
+            this.lastCalculatedStats.wallThickness = analysis ? {
+                min: analysis.min.thickness,
+                minAt: analysis.min.center,
+                max: analysis.max.thickness,
+                maxAt: analysis.max.center,
+                threshold,
+                belowThreshold: analysis.min.thickness < threshold
+            } : null;
+        }
+
+        const loc = (p) => `(${p.x.toFixed(2)}; ${p.y.toFixed(2)})`;
+        this.updateDOM('val-wall-min', analysis ? analysis.min.thickness.toFixed(2) : '-');
+        this.updateDOM('val-wall-min-loc', analysis ? loc(analysis.min.center) : '');
+        this.updateDOM('val-wall-max', analysis ? analysis.max.thickness.toFixed(2) : '-');
+        this.updateDOM('val-wall-max-loc', analysis ? loc(analysis.max.center) : '');
+
+        let status = '-';
+        if (analysis) {
+            status = thinRatio > 0
+                ? `${this.t('wallBelowThreshold')} (${(thinRatio * 100).toFixed(1)}%)`
+                : this.t('wallOk');
+        }
+        this.updateDOM('val-wall-status', status);
+        const statusEl = document.getElementById('val-wall-status');
+        if (statusEl) {
+            statusEl.classList.toggle('text-red-400', thinRatio > 0);
+            statusEl.classList.toggle('text-cyan-400', thinRatio === 0);
+        }
+
+        this.visualizeWallThickness();
+    }
+
+    // Colour map on the contour (red below threshold, yellow thin -> blue thick),
+    // plus the min (red) and max (blue) inscribed circles
+    visualizeWallThickness() {
+        this.clearWallOverlay();
+        const analysis = this.wallAnalysis;
+        if (!this.isActive || !analysis || !this.viewer || !this.viewer.scene) return;
+
+        const threshold = this.getWallThreshold();
+        const low = Math.max(threshold, analysis.min.thickness);
+        const range = Math.max(analysis.max.thickness - low, 1e-9);
+        const z = 0.3;
+
+        this.wallOverlay = new THREE.Group();
+        this.wallOverlay.name = 'WallThickness';
+
+        const addLine = (points, colors, color, closed = false) => {
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({ color: color || 0xffffff, depthTest: false, vertexColors: !!colors });
+            if (colors) geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            const line = closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+            line.renderOrder = 1002;
+            this.wallOverlay.add(line);
+        };
+
+        const loops = new Map();
+        analysis.samples.forEach(s => {
+            if (!loops.has(s.loop)) loops.set(s.loop, []);
+            loops.get(s.loop).push(s);
+        });
+        const color = new THREE.Color();
+        loops.forEach(samples => {
+            const colors = [];
+            samples.forEach(s => {
+                if (s.thickness < threshold) {
+                    color.setRGB(1, 0, 0);
+                } else {
+                    color.setHSL(0.15 + 0.5 * Math.min(1, (s.thickness - low) / range), 1, 0.5);
+                }
+                colors.push(color.r, color.g, color.b);
+            });
+            addLine(samples.map(s => new THREE.Vector3(s.x, s.y, z)), colors, null, true);
+        });
+
+        const addCircle = (info, circleColor) => {
+            const points = [];
+            for (let i = 0; i <= 48; i++) {
+                const t = (i / 48) * Math.PI * 2;
+                points.push(new THREE.Vector3(info.center.x + info.radius * Math.cos(t), info.center.y + info.radius * Math.sin(t), z));
+            }
+            addLine(points, null, circleColor);
+            addLine(info.contacts.map(p => new THREE.Vector3(p.x, p.y, z)), null, circleColor);
+        };
+        addCircle(analysis.min, 0xff3333);
+        addCircle(analysis.max, 0x3399ff);
+
+        this.viewer.scene.add(this.wallOverlay);
+        this.viewer.requestRender();
+    }
+
+    clearWallOverlay() {
+        if (!this.wallOverlay) return;
+        if (this.viewer && this.viewer.scene) {
+            this.viewer.scene.remove(this.wallOverlay);
+        }
+        this.wallOverlay.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        this.wallOverlay = null;
     }
 
     calculateBoundingCircleFromMesh(geometry) {
@@ -2054,6 +2698,10 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         };
     }
 
+    updateSectionDOM(section) {
+        Object.entries(this.sectionTableValues(section)).forEach(([id, value]) => this.updateDOM(id, value));
+    }
+
     updateDOM(id, value) {
         const el = document.getElementById(id);
         if (el) el.textContent = value;
@@ -2091,6 +2739,11 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             return 2 * Math.PI * entity.radius;
         }
 
+        if (type === 'SPLINE') {
+            const pts = tessellateSpline(entity);
+            return pts.length > 1 ? this.calculateChainPerimeter(pts) : 0;
+        }
+
         if (type === 'LWPOLYLINE' || type === 'POLYLINE') {
             if (entity && entity.vertices && entity.vertices.length > 0) {
                 const v = entity.vertices;
@@ -2158,6 +2811,10 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             return Math.PI * entity.radius * entity.radius;
         }
 
+        if (type === 'SPLINE') {
+            return this.calculateChainArea(tessellateSpline(entity));
+        }
+
         if (type === 'LWPOLYLINE' || type === 'POLYLINE') {
             if (entity && entity.vertices && entity.vertices.length > 0) {
                 const v = entity.vertices;
@@ -2244,6 +2901,161 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
     }
 
 
+    // --- Section Properties (Kesit Özellikleri) ---
+
+    // Loop as bulge vertices [{x, y, bulge}] so circles, polylines and chains share one integrator
+    getLoopVertices(geomEntry) {
+        if (geomEntry.type === 'chain') return geomEntry.vertices || [];
+
+        const obj = geomEntry.objects[0];
+        const entity = obj.userData.entity;
+        if (obj.userData.type === 'CIRCLE') {
+            // Two half circles (bulge 1 = 180° CCW)
+            const { x, y } = entity.center;
+            const r = entity.radius;
+            return [{ x: x + r, y, bulge: 1 }, { x: x - r, y, bulge: 1 }];
+        }
+        if (obj.userData.type === 'SPLINE') return tessellateSpline(entity);
+        return (entity && entity.vertices) || [];
+    }
+
+    // Area integrals of one closed loop: A, ∫x, ∫y, ∫x², ∫y², ∫xy.
+    // Chord polygon by Green's theorem, bulge arcs added as exact circular segments.
+    // Result is normalized to a positive (CCW) area regardless of loop direction.
+    integrateLoop(vertices) {
+        const s = { a: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0 };
+        const n = vertices.length;
+        if (n < 2) return s;
+
+        for (let i = 0; i < n; i++) {
+            const p1 = vertices[i];
+            const p2 = vertices[(i + 1) % n];
+            const cross = p1.x * p2.y - p2.x * p1.y;
+            s.a += cross / 2;
+            s.sx += (p1.x + p2.x) * cross / 6;
+            s.sy += (p1.y + p2.y) * cross / 6;
+            s.sxx += (p1.x * p1.x + p1.x * p2.x + p2.x * p2.x) * cross / 12;
+            s.syy += (p1.y * p1.y + p1.y * p2.y + p2.y * p2.y) * cross / 12;
+            s.sxy += (p1.x * p2.y + 2 * p1.x * p1.y + 2 * p2.x * p2.y + p2.x * p1.y) * cross / 24;
+
+            const b = p1.bulge || 0;
+            if (b === 0) continue;
+
+            const dx = p2.x - p1.x;
+            const dy = p2.y - p1.y;
+            const c = Math.hypot(dx, dy);
+            if (c === 0) continue;
+
+            const theta = 4 * Math.atan(Math.abs(b));
+            const alpha = theta / 2;
+            const r = c / (2 * Math.sin(alpha));
+
+            // eu: center -> arc midpoint. Positive bulge bulges to the right of p1->p2.
+            const sign = Math.sign(b);
+            const eu = { x: sign * dy / c, y: -sign * dx / c };
+            const ev = { x: -eu.y, y: eu.x };
+            const sagitta = Math.abs(b) * c / 2;
+            const center = {
+                x: (p1.x + p2.x) / 2 + eu.x * (sagitta - r),
+                y: (p1.y + p2.y) / 2 + eu.y * (sagitta - r)
+            };
+
+            // Segment in local (u, v) frame centered on the arc center, symmetric about u
+            const segA = (r * r / 2) * (theta - Math.sin(theta));
+            const su = (2 / 3) * Math.pow(r * Math.sin(alpha), 3);
+            const r4 = r * r * r * r;
+            const suu = r4 / 8 * (2 * alpha + Math.sin(2 * alpha)) - r4 * Math.sin(alpha) * Math.pow(Math.cos(alpha), 3) / 2;
+            const svv = r4 / 8 * (2 * alpha - Math.sin(2 * alpha)) - r4 * Math.pow(Math.sin(alpha), 3) * Math.cos(alpha) / 6;
+
+            // Arc contribution depends ONLY on bulge sign (see calculateChainArea)
+            s.a += sign * segA;
+            s.sx += sign * (center.x * segA + eu.x * su);
+            s.sy += sign * (center.y * segA + eu.y * su);
+            s.sxx += sign * (center.x * center.x * segA + 2 * center.x * eu.x * su + eu.x * eu.x * suu + ev.x * ev.x * svv);
+            s.syy += sign * (center.y * center.y * segA + 2 * center.y * eu.y * su + eu.y * eu.y * suu + ev.y * ev.y * svv);
+            s.sxy += sign * (center.x * center.y * segA + (center.x * eu.y + center.y * eu.x) * su + eu.x * eu.y * suu + ev.x * ev.y * svv);
+        }
+
+        if (s.a < 0) Object.keys(s).forEach(k => { s[k] = -s[k]; });
+        return s;
+    }
+
+    // Centroid, moments of inertia, principal axes, section moduli, radii of gyration
+    // and torsion constant of the outer-minus-holes region. Lengths in mm.
+    calculateSectionProperties(calculationResult) {
+        if (!calculationResult || !calculationResult.outer) return null;
+
+        const outer = this.integrateLoop(this.getLoopVertices(calculationResult.outer));
+        const holes = calculationResult.inner.map(g => this.integrateLoop(this.getLoopVertices(g)));
+
+        const net = { ...outer };
+        holes.forEach(h => Object.keys(net).forEach(k => { net[k] -= h[k]; }));
+
+        const A = net.a;
+        if (!(A > 1e-9)) return null;
+
+        const cx = net.sx / A;
+        const cy = net.sy / A;
+
+        // Central moments (about centroidal axes parallel to X/Y)
+        const ixx = net.syy - A * cy * cy;
+        const iyy = net.sxx - A * cx * cx;
+        const mean = (ixx + iyy) / 2;
+        // Round-off from the parallel axis shift must not produce a fake tilt on symmetric sections
+        const eps = mean * 1e-9;
+        const ixy = Math.abs(net.sxy - A * cx * cy) < eps ? 0 : net.sxy - A * cx * cy;
+
+        const radius = Math.hypot((ixx - iyy) / 2, ixy);
+        const i1 = mean + radius;
+        const i2 = mean - radius;
+        // Angle of the major (I1) axis from X, in (-90°, 90°]; 0 when all axes are principal (circle, square)
+        let angle = radius < eps ? 0 : 0.5 * Math.atan2(-2 * ixy, ixx - iyy) * 180 / Math.PI;
+        if (angle <= -90) angle += 180;
+
+        // Extreme fibre distances from the outer outline
+        let maxX = 0, maxY = 0;
+        const outerShape = this.createShapeFromObject(calculationResult.outer);
+        if (outerShape) {
+            outerShape.getPoints(64).forEach(p => {
+                maxX = Math.max(maxX, Math.abs(p.x - cx));
+                maxY = Math.max(maxY, Math.abs(p.y - cy));
+            });
+        }
+
+        // Torsion constant (approximate):
+        // solid  -> Saint-Venant J ≈ A⁴ / (4π² Ip)  (exact for a circle)
+        // hollow -> Bredt J ≈ 4 Am² t / s on the mid-wall line, capped by the solid outer value
+        const outerIp = (outer.sxx - outer.sx * outer.sx / outer.a) + (outer.syy - outer.sy * outer.sy / outer.a);
+        const solidJ = (a, ip) => ip > 0 ? Math.pow(a, 4) / (4 * Math.PI * Math.PI * ip) : 0;
+        let torsion = solidJ(A, ixx + iyy);
+        if (holes.length > 0) {
+            const perimeters = [calculationResult.outer, ...calculationResult.inner].map(g => this.calculatePerimeter(g));
+            const midArea = (outer.a + holes.reduce((sum, h) => sum + h.a, 0)) / 2;
+            const midLength = perimeters.reduce((sum, p) => sum + p, 0) / 2;
+            if (midLength > 0) {
+                const thickness = A / midLength;
+                const bredt = 4 * midArea * midArea * thickness / midLength;
+                torsion = Math.max(torsion, Math.min(bredt, solidJ(outer.a, outerIp)));
+            }
+        }
+
+        return {
+            area: A,
+            centroid: { x: cx, y: cy },
+            ixx,
+            iyy,
+            ixy,
+            i1,
+            i2,
+            angle,
+            wx: maxY > 0 ? ixx / maxY : 0,
+            wy: maxX > 0 ? iyy / maxX : 0,
+            rx: Math.sqrt(Math.max(0, ixx) / A),
+            ry: Math.sqrt(Math.max(0, iyy) / A),
+            torsion
+        };
+    }
+
     visualize() {
         this.clearVisualization();
         if (!this.calculationResult) return;
@@ -2278,6 +3090,119 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         }
 
         this.visualizeDebugCircle();
+        this.visualizeSectionAxes();
+        this.visualizeProfileGap();
+        this.visualizeChainGaps();
+        if (this.viewer) this.viewer.requestRender();
+    }
+
+    // Open chain gaps: red bridge between the two ends, ring on every dangling end
+    visualizeChainGaps() {
+        const gaps = this.lastChainGaps || [];
+        if (gaps.length === 0 || !this.viewer || !this.viewer.scene) return;
+
+        this.chainGapOverlay = new THREE.Group();
+        this.chainGapOverlay.name = 'ChainGaps';
+        const z = 0.3;
+        const radius = (this.viewer.getWorldPerPixel ? this.viewer.getWorldPerPixel() : 0.1) * 6;
+        const material = new THREE.LineBasicMaterial({ color: 0xff3333, depthTest: false });
+
+        const addLine = (points) => {
+            const geometry = new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, z)));
+            const line = new THREE.Line(geometry, material);
+            line.renderOrder = 1002;
+            this.chainGapOverlay.add(line);
+        };
+        const addRing = (p) => {
+            const ring = [];
+            for (let i = 0; i <= 16; i++) {
+                const a = i / 16 * Math.PI * 2;
+                ring.push({ x: p.x + radius * Math.cos(a), y: p.y + radius * Math.sin(a) });
+            }
+            addLine(ring);
+        };
+
+        gaps.forEach(gap => {
+            addRing(gap.from);
+            if (gap.to) {
+                addRing(gap.to);
+                addLine([gap.from, gap.to]);
+            }
+        });
+
+        this.viewer.scene.add(this.chainGapOverlay);
+        this.viewer.requestRender();
+    }
+
+    // Semi-hollow voids: gap chord (magenta) and the void outline it closes (dim magenta)
+    visualizeProfileGap() {
+        const classification = this.profileClassification;
+        if (!classification || classification.voids.length === 0 || !this.viewer || !this.viewer.scene) return;
+
+        this.profileGapOverlay = new THREE.Group();
+        this.profileGapOverlay.name = 'ProfileGap';
+        const z = 0.25;
+
+        const addLine = (points, color, opacity = 1) => {
+            const geometry = new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, z)));
+            const material = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: opacity < 1, opacity });
+            const line = new THREE.Line(geometry, material);
+            line.renderOrder = 1001;
+            this.profileGapOverlay.add(line);
+        };
+
+        classification.voids.forEach(v => {
+            // Only voids relevant to the classification are highlighted strongly
+            const relevant = v.ratio >= classification.threshold;
+            addLine([...v.outline, v.outline[0]], 0xff00ff, relevant ? 0.5 : 0.25);
+            addLine(v.gapPoints, 0xff00ff, relevant ? 1 : 0.4);
+        });
+
+        this.viewer.scene.add(this.profileGapOverlay);
+    }
+
+    // Centroid marker + principal axes (I1 solid orange, I2 cyan)
+    visualizeSectionAxes() {
+        const section = this.sectionProperties;
+        if (!section || !this.previewMesh || !this.viewer || !this.viewer.scene) return;
+
+        const geometry = this.previewMesh.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        const size = geometry.boundingSphere.radius;
+        const { x, y } = section.centroid;
+        const z = 0.2;
+
+        this.sectionAxes = new THREE.Group();
+        this.sectionAxes.name = 'SectionAxes';
+        this.sectionAxes.renderOrder = 1001;
+
+        const addLine = (points, color) => {
+            const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+            const line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color, depthTest: false }));
+            line.renderOrder = 1001;
+            this.sectionAxes.add(line);
+        };
+
+        const angle = section.angle * Math.PI / 180;
+        const half = size * 1.15;
+        [[angle, 0xffa500], [angle + Math.PI / 2, 0x00e5ff]].forEach(([a, color]) => {
+            const dx = Math.cos(a) * half;
+            const dy = Math.sin(a) * half;
+            addLine([new THREE.Vector3(x - dx, y - dy, z), new THREE.Vector3(x + dx, y + dy, z)], color);
+        });
+
+        // Centroid: small circle with cross
+        const r = size * 0.04;
+        const circle = [];
+        for (let i = 0; i <= 32; i++) {
+            const t = (i / 32) * Math.PI * 2;
+            circle.push(new THREE.Vector3(x + r * Math.cos(t), y + r * Math.sin(t), z));
+        }
+        addLine(circle, 0xff3333);
+        addLine([new THREE.Vector3(x - r * 1.5, y, z), new THREE.Vector3(x + r * 1.5, y, z)], 0xff3333);
+        addLine([new THREE.Vector3(x, y - r * 1.5, z), new THREE.Vector3(x, y + r * 1.5, z)], 0xff3333);
+
+        this.viewer.scene.add(this.sectionAxes);
     }
 
     visualizeDebugCircle() {
@@ -2340,6 +3265,8 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             const shape = new THREE.Shape();
             shape.absarc(entity.center.x, entity.center.y, entity.radius, 0, Math.PI * 2, false);
             return shape;
+        } else if (type === 'SPLINE') {
+            return this.createShapeFromChain(tessellateSpline(entity));
         } else if (type === 'LWPOLYLINE' || type === 'POLYLINE') {
             if (entity && entity.vertices && entity.vertices.length > 0) {
                 const shape = new THREE.Shape();
@@ -2498,6 +3425,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
 
 
         const results = [];
+        const openChains = [];
 
         // Extract all segments
         const allSegments = [];
@@ -2551,13 +3479,73 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                         const idx = allSegments.findIndex(s => s.object === seg.object);
                         if (idx !== -1) allSegments[idx].used = true;
                     });
+                    openChains.push(chain);
                 }
             }
         }
 
+        this.lastChainGaps = this.findChainGaps(openChains);
         return results;
     }
 
+    countChainEdges(orderedSegments) {
+        return orderedSegments.reduce((sum, seg) =>
+            sum + (seg.tessellatedVertices && seg.tessellatedVertices.length > 1 ? seg.tessellatedVertices.length - 1 : 1), 0);
+    }
+
+    chainHasArc(orderedSegments) {
+        return orderedSegments.some(seg => seg.bulge || (seg.tessellatedVertices && seg.tessellatedVertices.some(v => v.bulge)));
+    }
+
+    /**
+     * Gaps that kept open chains from closing: every dangling end is paired with the
+     * nearest other dangling end (own other end included unless the chain is a single
+     * straight edge). Ends with no partner at all are reported with to = null.
+     * @returns {Array<{from: {x,y}, to: {x,y}|null, distance: number, objects: Array}>} nearest first
+     */
+    findChainGaps(openChains) {
+        const ends = [];
+        openChains.forEach((chain, index) => {
+            const segs = chain.orderedSegments;
+            const canSelfClose = this.countChainEdges(segs) >= 2 || this.chainHasArc(segs);
+            const objects = segs.map(seg => seg.object);
+            ends.push({ chain: index, point: segs[0].p1, canSelfClose, objects });
+            ends.push({ chain: index, point: segs[segs.length - 1].p2, canSelfClose, objects });
+        });
+
+        const gaps = [];
+        const seen = new Set();
+        ends.forEach((end, i) => {
+            let best = -1;
+            let bestDist = Infinity;
+            ends.forEach((other, j) => {
+                if (i === j || (other.chain === end.chain && !end.canSelfClose)) return;
+                const d = end.point.distanceTo(other.point);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = j;
+                }
+            });
+
+            if (best === -1) {
+                gaps.push({ from: { x: end.point.x, y: end.point.y }, to: null, distance: Infinity, objects: end.objects });
+                return;
+            }
+            const key = i < best ? `${i}-${best}` : `${best}-${i}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            const other = ends[best];
+            gaps.push({
+                from: { x: end.point.x, y: end.point.y },
+                to: { x: other.point.x, y: other.point.y },
+                distance: bestDist,
+                objects: other.chain === end.chain ? end.objects : [...end.objects, ...other.objects]
+            });
+        });
+
+        return gaps.sort((a, b) => a.distance - b.distance);
+    }
+
     buildChainFromSegment(allSegments, startIdx, tolerance) {
         const ordered = [];
         const segment = allSegments[startIdx];
@@ -2649,7 +3637,7 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
                         p1: bestSeg.p2, // Swapped
                         p2: bestSeg.p1, // Swapped
                         bulge: bestSeg.bulge ? -bestSeg.bulge : 0,
-                        tessellatedVertices: bestSeg.tessellatedVertices ? bestSeg.tessellatedVertices.slice().reverse() : undefined,
+                        tessellatedVertices: bestSeg.tessellatedVertices ? this.reverseChainVertices(bestSeg.tessellatedVertices) : undefined,
                         used: true
                     };
                     ordered.push(flipped);
@@ -2659,8 +3647,12 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             }
         }
 
-        // Check if chain is closed
-        if (ordered.length < 3) return { closed: false, orderedSegments: ordered };
+        // Check if chain is closed: at least 3 edges, or 2 when one of them is an arc
+        // (an open polyline whose last vertex meets its first is a chain of its own)
+        const edgeCount = this.countChainEdges(ordered);
+        if (edgeCount < 3 && !(edgeCount === 2 && this.chainHasArc(ordered))) {
+            return { closed: false, orderedSegments: ordered };
+        }
 
         const start = ordered[0].p1;
         const end = ordered[ordered.length - 1].p2;
@@ -2672,6 +3664,17 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
         };
     }
 
+    // Reversed vertex run; a bulge belongs to the edge leaving its vertex, so bulges
+    // move one vertex along and change sign
+    reverseChainVertices(vertices) {
+        const n = vertices.length;
+        return vertices.map((v, i) => {
+            const src = vertices[n - 1 - i];
+            const edge = i < n - 1 ? vertices[n - 2 - i].bulge || 0 : 0;
+            return { x: src.x, y: src.y, bulge: edge ? -edge : 0 };
+        });
+    }
+
     // Chain Selection Support
     analyzeChain(objects) {
         const tolerance = 2.0;  // Increased for small arc matching
@@ -2800,6 +3803,55 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             }
         }
 
+        if (type === 'SPLINE') {
+            const pts = tessellateSpline(obj.userData.entity);
+            if (pts.length >= 2) {
+                const first = pts[0];
+                const last = pts[pts.length - 1];
+                return {
+                    object: obj,
+                    p1: new THREE.Vector2(first.x, first.y),
+                    p2: new THREE.Vector2(last.x, last.y),
+                    bulge: 0,
+                    tessellatedVertices: pts.map(p => ({ x: p.x, y: p.y, bulge: 0 }))
+                };
+            }
+        }
+
+        if (type === 'ELLIPSE') {
+            const entity = obj.userData.entity;
+            if (entity && entity.center && entity.majorAxisEndPoint) {
+                const pts = this.getEllipsePoints(entity);
+                const first = pts[0];
+                const last = pts[pts.length - 1];
+                return {
+                    object: obj,
+                    p1: new THREE.Vector2(first.x, first.y),
+                    p2: new THREE.Vector2(last.x, last.y),
+                    bulge: 0,
+                    tessellatedVertices: pts.map(p => ({ x: p.x, y: p.y, bulge: 0 }))
+                };
+            }
+        }
+
+        // Open polyline: one chain segment carrying its own vertices and bulges
+        if (type === 'LWPOLYLINE' || type === 'POLYLINE') {
+            const vertices = obj.userData.entity && obj.userData.entity.vertices;
+            if (vertices && vertices.length >= 2) {
+                const first = vertices[0];
+                const last = vertices[vertices.length - 1];
+                return {
+                    object: obj,
+                    p1: new THREE.Vector2(first.x, first.y),
+                    p2: new THREE.Vector2(last.x, last.y),
+                    bulge: vertices.length === 2 ? first.bulge || 0 : 0,
+                    tessellatedVertices: vertices.length > 2
+                        ? vertices.map((v, i) => ({ x: v.x, y: v.y, bulge: i < vertices.length - 1 ? v.bulge || 0 : 0 }))
+                        : undefined
+                };
+            }
+        }
+
         // Fallback: Extract from geometry (e.g. Polyline segments)
         return this.extractFromGeometry(obj);
     }
@@ -2853,6 +3905,43 @@ NOT: Açı toleransları mm (sentil) cinsinden verilmiştir.`;
             if (this.debugCircle.geometry) this.debugCircle.geometry.dispose();
             this.debugCircle = null;
         }
+
+        // Clean up centroid / principal axes
+        if (this.sectionAxes) {
+            if (this.viewer && this.viewer.scene) {
+                this.viewer.scene.remove(this.sectionAxes);
+            }
+            this.sectionAxes.children.forEach(line => {
+                line.geometry.dispose();
+                line.material.dispose();
+            });
+            this.sectionAxes = null;
+        }
+
+        // Clean up open chain gap markers (shared material)
+        if (this.chainGapOverlay) {
+            if (this.viewer && this.viewer.scene) {
+                this.viewer.scene.remove(this.chainGapOverlay);
+            }
+            this.chainGapOverlay.children.forEach(line => line.geometry.dispose());
+            if (this.chainGapOverlay.children.length > 0) this.chainGapOverlay.children[0].material.dispose();
+            this.chainGapOverlay = null;
+        }
+
+        // Clean up semi-hollow gap highlight
+        if (this.profileGapOverlay) {
+            if (this.viewer && this.viewer.scene) {
+                this.viewer.scene.remove(this.profileGapOverlay);
+            }
+            this.profileGapOverlay.children.forEach(line => {
+                line.geometry.dispose();
+                line.material.dispose();
+            });
+            this.profileGapOverlay = null;
+        }
+
+        this.clearWallOverlay();
+        if (this.viewer) this.viewer.requestRender();
     }
 
     t(key) {